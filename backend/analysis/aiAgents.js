@@ -21,24 +21,9 @@
  * - Insights Agent → summary and recommendations
  */
 
-import OpenAI from 'openai';
-
-let openaiClient = null;
-function getOpenAIClient() {
-  if (openaiClient) return openaiClient;
-  const apiKey = String(process.env.OPENAI_API_KEY || '');
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY missing');
-  }
-  openaiClient = new OpenAI({
-    apiKey,
-    timeout: 8000, // 8s timeout for faster failure detection
-    maxRetries: 0 // No retries - fail fast to prevent freezing
-  });
-  return openaiClient;
-}
-
-const MODEL = 'gpt-4o-mini';
+import { resolveAgentProvider } from '../llm/providers.js';
+import { formatMatrixForPrompt, matrixFieldsForObjection } from './objectionMatrix.js';
+import { languagePrompt } from './language.js';
 
 /**
  * Strategy Context - Provides strategy-specific guidance to AI agents
@@ -115,6 +100,7 @@ function withTimeout(promise, ms, fallback) {
  * Helper: Call AI with optimized settings per agent
  * - Enforces JSON output (reduces parse failures + reduces verbosity)
  * - Adds per-call timeout so one slow agent doesn't block everything
+ * - Provider/model are resolved per agent name (see llm/providers.js)
  */
 async function callAI(systemPrompt, userPrompt, agentName, maxTokensOrOptions = 800) {
   const startTime = Date.now();
@@ -130,74 +116,26 @@ async function callAI(systemPrompt, userPrompt, agentName, maxTokensOrOptions =
   const stream = opts.stream === true;
   const onDelta = typeof opts.onDelta === 'function' ? opts.onDelta : null;
 
-  const doCall = async (signal) => {
-    const openai = getOpenAIClient();
-    const baseReq = {
-      model: MODEL,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      temperature: 0.0,
-      max_tokens: maxTokens
-    };
-
-    let response;
-    try {
-      // Prefer strict JSON output if supported by the API/model
-      if (stream) {
-        // Stream tokens so we can forward deltas to the frontend (scores-only agents).
-        const streamResp = await openai.chat.completions.create(
-          { ...baseReq, response_format: { type: 'json_object' }, stream: true },
-          // IMPORTANT: signal must be passed as a request option (not in the JSON body),
-          // otherwise the API rejects it: "Unrecognized request argument supplied: signal"
-          { signal }
-        );
-
-        let full = '';
-        for await (const chunk of streamResp) {
-          const delta = chunk?.choices?.[0]?.delta?.content || '';
-          if (delta) {
-            full += delta;
-            try { onDelta?.(delta, agentName); } catch {}
-          }
-        }
-
-        // Match non-stream response shape used below
-        response = { choices: [{ message: { content: full } }] };
-      } else {
-        response = await openai.chat.completions.create(
-          { ...baseReq, response_format: { type: 'json_object' } },
-          // IMPORTANT: signal must be passed as a request option (not in the JSON body),
-          // otherwise the API rejects it: "Unrecognized request argument supplied: signal"
-          { signal }
-        );
-      }
-    } catch (e) {
-      // Fallback for older API behavior: no response_format / no stream
-      if (stream) {
-        const streamResp = await openai.chat.completions.create(
-          { ...baseReq, stream: true },
-          { signal }
-        );
-        let full = '';
-        for await (const chunk of streamResp) {
-          const delta = chunk?.choices?.[0]?.delta?.content || '';
-          if (delta) {
-            full += delta;
-            try { onDelta?.(delta, agentName); } catch {}
-          }
-        }
-        response = { choices: [{ message: { content: full } }] };
-      } else {
-        response = await openai.chat.completions.create(
-          baseReq,
-          { signal }
-        );
-      }
-    }
+  // A temperature in the agent's LLM config wins over the call site's
+  const { provider, model, temperature = 0.0 } = resolveAgentProvider(agentName, { temperature: opts.temperature });
+  const json = opts.json !== false;
 
-    let content = response?.choices?.[0]?.message?.content ?? '{}';
+  const doCall = async (signal) => {
+    let content = await provider.complete({
+      agentName,
+      systemPrompt,
+      userPrompt,
+      model,
+      maxTokens,
+      temperature,
+      json,
+      stream,
+      timeoutMs,
+      // Stream tokens so we can forward deltas to the frontend (scores-only agents).
+      onDelta: onDelta ? (delta) => onDelta(delta, agentName) : null,
+      signal
+    });
+    content = content || '{}';
     try {
       return JSON.parse(content);
     } catch {
@@ -260,7 +198,7 @@ async function callAI(systemPrompt, userPrompt, agentName, maxTokensOrOptions =
 // - call_transcript_chunks.speaker_role
 // - call_sessions.transcript_text speaker labels
 // ============================================================================
-export async function runSpeakerRoleAgent(newChunk, conversationHistory = '') {
+export async function runSpeakerRoleAgent(newChunk, conversationHistory = '', language = null) {
   const text = String(newChunk || '').trim();
   if (!text) return { speaker: 'unknown' };
 
@@ -308,7 +246,7 @@ New chunk to classify:
 
 Return {"speaker":"closer"} OR {"speaker":"prospect"} OR {"speaker":"unknown"}`;
 
-  const result = await callAI(systemPrompt, userPrompt, 'SpeakerRoleAgent', { 
+  const result = await callAI(languagePrompt(language) + systemPrompt, userPrompt, 'SpeakerRoleAgent', { 
     maxTokens: 50, 
     timeoutMs: 3500, 
     pool: 'aux' 
@@ -323,11 +261,21 @@ Return {"speaker":"closer"} OR {"speaker":"prospect"} OR {"speaker":"unknown"}`;
 // Each agent scores only its pillar's indicators
 // ============================================================================
 
+// Rolling call memory (callMemory.js) goes ahead of the recent window so facts stated early
+// in a long call still count; '' until the first segment is summarized.
+const withCallMemory = (memoryContext) => (memoryContext ? `${memoryContext}\n\n` : '');
+
+// Every pillar agent backs each score with the words it came from; the engine drops quotes
+// that aren't in the transcript (see indicatorEvidence.js).
+const PILLAR_EVIDENCE_RULES = `EVIDENCE:
+- Add "evidence" with, per indicator you scored from something said, {"quote": 3-15 words copied EXACTLY from the transcript, "offset": character position where the quote starts in the transcript}
+- Quote the prospect, not the closer. Never paraphrase. Leave an indicator out of "evidence" if nothing specific was said.`;
+
 /**
  * P1 AGENT: Pain & Desire (indicators 1-4)
  * Weight: 1.5x - MOST IMPORTANT
  */
-async function runP1Agent(transcript, onStream = null) {
+async function runP1Agent(transcript, onStream = null, memoryContext = '', language = null) {
   const systemPrompt = `Score PILLAR 1: PAIN & DESIRE from prospect statements.
 
 INDICATORS (1-10 scale):
@@ -343,11 +291,13 @@ WHAT TO LOOK FOR:
 - IMPORTANT: "expensive" signals pain intensity (indicator 1 = 7-9) + high desire for solution
 - Score 6-8 for clear signals, 4-6 for moderate, 7-10 for strong
 
-Return ONLY: {"1":6,"2":5,"3":7,"4":6}`;
+${PILLAR_EVIDENCE_RULES}
+
+Return ONLY: {"1":6,"2":5,"3":7,"4":6,"evidence":{"1":{"quote":"exact words from the transcript","offset":120}}}`;
 
-  const userPrompt = `Score:\n"${transcript}"`;
-  return await callAI(systemPrompt, userPrompt, 'P1-PainDesire', {
-    maxTokens: 150,
+  const userPrompt = `${withCallMemory(memoryContext)}Score:\n"${transcript}"`;
+  return await callAI(languagePrompt(language) + systemPrompt, userPrompt, 'P1-PainDesire', {
+    maxTokens: 400,
     stream: typeof onStream === 'function',
     onDelta: (delta, agent) => {
       try { onStream?.({ agent, delta }); } catch {}
@@ -358,7 +308,7 @@ Return ONLY: {"1":6,"2":5,"3":7,"4":6}`;
 /**
  * P2 AGENT: Urgency (indicators 5-8)
  */
-async function runP2Agent(transcript, onStream = null) {
+async function runP2Agent(transcript, onStream = null, memoryContext = '', language = null) {
   const systemPrompt = `Score PILLAR 2: URGENCY from prospect speech.
 
 INDICATORS (1-10 scale):
@@ -373,11 +323,13 @@ WHAT TO LOOK FOR:
 - Breaking point: had enough, can't anymore, need change now
 - Score 6-8 for clear signals
 
-Return ONLY: {"5":6,"6":5,"7":7,"8":6}`;
+${PILLAR_EVIDENCE_RULES}
 
-  const userPrompt = `Score:\n"${transcript}"`;
-  return await callAI(systemPrompt, userPrompt, 'P2-Urgency', {
-    maxTokens: 150,
+Return ONLY: {"5":6,"6":5,"7":7,"8":6,"evidence":{"5":{"quote":"exact words from the transcript","offset":120}}}`;
+
+  const userPrompt = `${withCallMemory(memoryContext)}Score:\n"${transcript}"`;
+  return await callAI(languagePrompt(language) + systemPrompt, userPrompt, 'P2-Urgency', {
+    maxTokens: 400,
     stream: typeof onStream === 'function',
     onDelta: (delta, agent) => {
       try { onStream?.({ agent, delta }); } catch {}
@@ -388,7 +340,7 @@ Return ONLY: {"5":6,"6":5,"7":7,"8":6}`;
 /**
  * P3 AGENT: Decisiveness (indicators 9-12)
  */
-async function runP3Agent(transcript, onStream = null) {
+async function runP3Agent(transcript, onStream = null, memoryContext = '', language = null) {
   const systemPrompt = `Score PILLAR 3: DECISIVENESS from prospect speech.
 
 INDICATORS (1-10 scale):
@@ -402,11 +354,13 @@ WHAT TO LOOK FOR:
 - Speed: "let's do it", "ready now" vs "think about it", "research more"
 - Score 3-5 for hesitation, 6-8 for confidence
 
-Return ONLY: {"9":6,"10":5,"11":7,"12":6}`;
+${PILLAR_EVIDENCE_RULES}
+
+Return ONLY: {"9":6,"10":5,"11":7,"12":6,"evidence":{"9":{"quote":"exact words from the transcript","offset":120}}}`;
 
-  const userPrompt = `Score:\n"${transcript}"`;
-  return await callAI(systemPrompt, userPrompt, 'P3-Decisiveness', {
-    maxTokens: 150,
+  const userPrompt = `${withCallMemory(memoryContext)}Score:\n"${transcript}"`;
+  return await callAI(languagePrompt(language) + systemPrompt, userPrompt, 'P3-Decisiveness', {
+    maxTokens: 400,
     stream: typeof onStream === 'function',
     onDelta: (delta, agent) => {
       try { onStream?.({ agent, delta }); } catch {}
@@ -418,7 +372,7 @@ Return ONLY: {"9":6,"10":5,"11":7,"12":6}`;
  * P4 AGENT: Money (indicators 13-16)
  * Weight: 1.5x - MOST IMPORTANT
  */
-async function runP4Agent(transcript, onStream = null) {
+async function runP4Agent(transcript, onStream = null, memoryContext = '', language = null) {
   const systemPrompt = `Score PILLAR 4: AVAILABLE MONEY indicators (1-10) from PROSPECT statements.
 
 INDICATORS TO SCORE:
@@ -434,11 +388,13 @@ WHAT TO LOOK FOR:
 - Resourceful: "I'll figure it out", "find a way", "make it work"
 
 Score generously for clear signals. This pillar has 1.5x weight.
-Return ONLY: {"13":7,"14":6,"15":8,"16":7}`;
+${PILLAR_EVIDENCE_RULES}
 
-  const userPrompt = `Score Money indicators:\n"${transcript}"`;
-  return await callAI(systemPrompt, userPrompt, 'P4-Money', {
-    maxTokens: 150,
+Return ONLY: {"13":7,"14":6,"15":8,"16":7,"evidence":{"13":{"quote":"exact words from the transcript","offset":120}}}`;
+
+  const userPrompt = `${withCallMemory(memoryContext)}Score Money indicators:\n"${transcript}"`;
+  return await callAI(languagePrompt(language) + systemPrompt, userPrompt, 'P4-Money', {
+    maxTokens: 400,
     stream: typeof onStream === 'function',
     onDelta: (delta, agent) => {
       try { onStream?.({ agent, delta }); } catch {}
@@ -449,7 +405,7 @@ Return ONLY: {"13":7,"14":6,"15":8,"16":7}`;
 /**
  * P5 AGENT: Responsibility (indicators 17-20)
  */
-async function runP5Agent(transcript, onStream = null) {
+async function runP5Agent(transcript, onStream = null, memoryContext = '', language = null) {
   const systemPrompt = `Score PILLAR 5: RESPONSIBILITY & OWNERSHIP indicators (1-10) from PROSPECT statements.
 
 INDICATORS TO SCORE:
@@ -466,11 +422,13 @@ WHAT TO LOOK FOR:
 - LIES/CONTRADICTIONS: "I lied", "wasn't being honest", "that was a lie" = VERY LOW scores (1-3) on indicators 19 & 20
 
 Score generously for clear signals. If prospect shows confusion, score indicators 17-20 as 1-4. If prospect admits to lying or contradicting themselves, score indicators 17-20 as 1-3.
-Return ONLY: {"17":6,"18":7,"19":5,"20":6}`;
+${PILLAR_EVIDENCE_RULES}
+
+Return ONLY: {"17":6,"18":7,"19":5,"20":6,"evidence":{"17":{"quote":"exact words from the transcript","offset":120}}}`;
 
-  const userPrompt = `Score Responsibility indicators:\n"${transcript}"`;
-  return await callAI(systemPrompt, userPrompt, 'P5-Responsibility', {
-    maxTokens: 150,
+  const userPrompt = `${withCallMemory(memoryContext)}Score Responsibility indicators:\n"${transcript}"`;
+  return await callAI(languagePrompt(language) + systemPrompt, userPrompt, 'P5-Responsibility', {
+    maxTokens: 400,
     stream: typeof onStream === 'function',
     onDelta: (delta, agent) => {
       try { onStream?.({ agent, delta }); } catch {}
@@ -482,7 +440,7 @@ Return ONLY: {"17":6,"18":7,"19":5,"20":6}`;
  * P6 AGENT: Price Sensitivity (indicators 21-23)
  * NOTE: This pillar is REVERSE SCORED - LOW scores are GOOD
  */
-async function runP6Agent(transcript, onStream = null) {
+async function runP6Agent(transcript, onStream = null, memoryContext = '', language = null) {
   const systemPrompt = `Score PILLAR 6: PRICE SENSITIVITY indicators (1-10) from PROSPECT statements.
 
 ⚠️ REVERSE SCORING: For this pillar, LOW scores (1-3) are GOOD, HIGH scores (7-10) are BAD
@@ -503,11 +461,13 @@ WHAT TO LOOK FOR (score LOW 1-3 if these appear):
 
 IMPORTANT: Any mention of "expensive" should score indicators 21-22 as 8-9 minimum.
 
-Return ONLY: {"21":4,"22":3,"23":5}`;
+${PILLAR_EVIDENCE_RULES}
+
+Return ONLY: {"21":4,"22":3,"23":5,"evidence":{"21":{"quote":"exact words from the transcript","offset":120}}}`;
 
-  const userPrompt = `Score Price Sensitivity indicators:\n"${transcript}"`;
-  return await callAI(systemPrompt, userPrompt, 'P6-PriceSensitivity', {
-    maxTokens: 150,
+  const userPrompt = `${withCallMemory(memoryContext)}Score Price Sensitivity indicators:\n"${transcript}"`;
+  return await callAI(languagePrompt(language) + systemPrompt, userPrompt, 'P6-PriceSensitivity', {
+    maxTokens: 400,
     stream: typeof onStream === 'function',
     onDelta: (delta, agent) => {
       try { onStream?.({ agent, delta }); } catch {}
@@ -518,7 +478,7 @@ Return ONLY: {"21":4,"22":3,"23":5}`;
 /**
  * P7 AGENT: Trust (indicators 24-27)
  */
-async function runP7Agent(transcript, onStream = null) {
+async function runP7Agent(transcript, onStream = null, memoryContext = '', language = null) {
   const systemPrompt = `Score PILLAR 7: TRUST indicators (1-10) from PROSPECT statements.
 
 INDICATORS TO SCORE:
@@ -534,11 +494,13 @@ WHAT TO LOOK FOR:
 - Risk: "worth the risk", "let's try" vs "too risky", "what if"
 
 Score generously for clear signals.
-Return ONLY: {"24":6,"25":7,"26":5,"27":6}`;
+${PILLAR_EVIDENCE_RULES}
 
-  const userPrompt = `Score Trust indicators:\n"${transcript}"`;
-  return await callAI(systemPrompt, userPrompt, 'P7-Trust', {
-    maxTokens: 150,
+Return ONLY: {"24":6,"25":7,"26":5,"27":6,"evidence":{"24":{"quote":"exact words from the transcript","offset":120}}}`;
+
+  const userPrompt = `${withCallMemory(memoryContext)}Score Trust indicators:\n"${transcript}"`;
+  return await callAI(languagePrompt(language) + systemPrompt, userPrompt, 'P7-Trust', {
+    maxTokens: 400,
     stream: typeof onStream === 'function',
     onDelta: (delta, agent) => {
       try { onStream?.({ agent, delta }); } catch {}
@@ -548,23 +510,31 @@ Return ONLY: {"24":6,"25":7,"26":5,"27":6}`;
 
 /**
  * RUN ALL 7 PILLAR AGENTS IN PARALLEL
- * Combines results into single indicatorSignals object
+ * Combines results into single indicatorSignals object, plus the unverified per-indicator
+ * quotes as indicatorEvidence ({ [id]: { quote, offset } })
  */
-export async function runAllPillarAgents(transcript, onStream = null) {
+export async function runAllPillarAgents(transcript, onStream = null, memoryContext = '', language = null) {
   console.log(`[Lubometer] Starting 7 pillar agents in parallel...`);
   const startTime = Date.now();
 
   // Run all 7 pillar agents in parallel
   const [p1, p2, p3, p4, p5, p6, p7] = await Promise.all([
-    runP1Agent(transcript, onStream),
-    runP2Agent(transcript, onStream),
-    runP3Agent(transcript, onStream),
-    runP4Agent(transcript, onStream),
-    runP5Agent(transcript, onStream),
-    runP6Agent(transcript, onStream),
-    runP7Agent(transcript, onStream)
+    runP1Agent(transcript, onStream, memoryContext, language),
+    runP2Agent(transcript, onStream, memoryContext, language),
+    runP3Agent(transcript, onStream, memoryContext, language),
+    runP4Agent(transcript, onStream, memoryContext, language),
+    runP5Agent(transcript, onStream, memoryContext, language),
+    runP6Agent(transcript, onStream, memoryContext, language),
+    runP7Agent(transcript, onStream, memoryContext, language)
   ]);
 
+  // Each agent returns its own "evidence" key; pull those out before the scores are merged
+  const indicatorEvidence = {};
+  for (const p of [p1, p2, p3, p4, p5, p6, p7]) {
+    if (p?.evidence && typeof p.evidence === 'object') Object.assign(indicatorEvidence, p.evidence);
+    if (p) delete p.evidence;
+  }
+
   // Combine all indicator scores
   const indicatorSignals = {
     ...p1, // 1-4
@@ -588,6 +558,7 @@ export async function runAllPillarAgents(transcript, onStream = null) {
 
   return {
     indicatorSignals,
+    indicatorEvidence,
     pillarErrors: {
       P1: p1.error || null,
       P2: p2.error || null,
@@ -670,7 +641,7 @@ ${t}`;
  * AGENT 3a: OBJECTION DETECTION (Strategy-Aware)
  * Output: detectedObjections [{objectionText, probability}]
  */
-export async function runObjectionDetectionAgent(transcript, strategy = '') {
+export async function runObjectionDetectionAgent(transcript, strategy = '', language = null) {
   const strategyContext = getStrategyContext(strategy);
   
   const systemPrompt = `Detect prospect objections, concerns, or hesitations in this sales conversation.
@@ -702,7 +673,7 @@ Return: {"detectedObjections":[{"objectionText":"prospect concern here","probabi
   const userPrompt = `Detect objections from the MOST RECENT statements:\n"${transcript}"`;
 
   console.log(`[ObjectionDetectionAgent] INPUT: strategy=${strategy}, transcript length=${transcript?.length||0}, preview="${transcript?.slice(0,80)||'EMPTY'}"`);
-  const result = await callAI(systemPrompt, userPrompt, 'ObjectionDetectionAgent', 200);
+  const result = await callAI(languagePrompt(language) + systemPrompt, userPrompt, 'ObjectionDetectionAgent', 200);
   console.log(`[ObjectionDetectionAgent] OUTPUT (raw): detectedObjections=${result?.detectedObjections?.length||0}, error=${result?.error||'none'}`);
   
   const normalizeText = (s) => String(s || '')
@@ -781,7 +752,7 @@ Return: {"detectedObjections":[{"objectionText":"prospect concern here","probabi
  * Input: detected objections + strategy
  * Output: fears [{objectionIndex, fear}]
  */
-export async function runFearAnalysisAgent(detectedObjections, strategy = '') {
+export async function runFearAnalysisAgent(detectedObjections, strategy = '', language = null) {
   if (!detectedObjections || detectedObjections.length === 0) {
     return { fears: [] };
   }
@@ -811,7 +782,7 @@ Return: {"fears":[{"objectionIndex":0,"fear":"Fear of making a financial mistake
 
   const userPrompt = `Identify underlying fears:\n${objectionsList}`;
 
-  return await callAI(systemPrompt, userPrompt, 'FearAgent', 150);
+  return await callAI(languagePrompt(language, { reads: false, writes: true }) + systemPrompt, userPrompt, 'FearAgent', 150);
 }
 
 /**
@@ -819,7 +790,7 @@ Return: {"fears":[{"objectionIndex":0,"fear":"Fear of making a financial mistake
  * Input: detected objections + strategy
  * Output: whispers [{objectionIndex, whisper}]
  */
-export async function runWhisperReframeAgent(detectedObjections, strategy = '') {
+export async function runWhisperReframeAgent(detectedObjections, strategy = '', language = null) {
   if (!detectedObjections || detectedObjections.length === 0) {
     return { whispers: [] };
   }
@@ -848,15 +819,16 @@ Return: {"whispers":[{"objectionIndex":0,"whisper":"They need to see immediate v
 
   const userPrompt = `Generate whisper insights:\n${objectionsList}`;
 
-  return await callAI(systemPrompt, userPrompt, 'WhisperAgent', 150);
+  return await callAI(languagePrompt(language, { reads: false, writes: true }) + systemPrompt, userPrompt, 'WhisperAgent', 150);
 }
 
 /**
  * AGENT 3d: REBUTTAL SCRIPT (Strategy-Aware)
  * Input: detected objections + customScriptPrompt + strategy
- * Output: rebuttals [{objectionIndex, rebuttalScript}]
+ * Output: rebuttals [{objectionIndex, indicatorId, rebuttalScript}]
+ * indicatorId maps the objection to its Objection Matrix row (1-27).
  */
-export async function runRebuttalScriptAgent(detectedObjections, customScriptPrompt = '', strategy = '') {
+export async function runRebuttalScriptAgent(detectedObjections, customScriptPrompt = '', strategy = '', language = null) {
   if (!detectedObjections || detectedObjections.length === 0) {
     return { rebuttals: [] };
   }
@@ -932,13 +904,17 @@ RULES:
 - If CUSTOM BUSINESS CONTEXT provided, use its specific facts/numbers
 - Generate a rebuttal for EVERY objection in the list
 
-Return: {"rebuttals":[{"objectionIndex":0,"rebuttalScript":"..."},{"objectionIndex":1,"rebuttalScript":"..."}]}`;
+INDICATOR MAPPING:
+For each objection also return indicatorId: the ONE indicator below whose example objection is closest in meaning.
+${formatMatrixForPrompt()}
+
+Return: {"rebuttals":[{"objectionIndex":0,"indicatorId":21,"rebuttalScript":"..."},{"objectionIndex":1,"indicatorId":9,"rebuttalScript":"..."}]}`;
 
   const userPrompt = `Generate rebuttals for ALL ${detectedObjections.length} objections:\n${objectionsList}`;
 
   console.log(`[RebuttalAgent] Starting with timeout 15000ms for ${detectedObjections.length} objections...`);
-  const result = await callAI(systemPrompt, userPrompt, 'RebuttalAgent', { 
-    maxTokens: 300,
+  const result = await callAI(languagePrompt(language, { reads: false, writes: true }) + systemPrompt, userPrompt, 'RebuttalAgent', { 
+    maxTokens: 340,
     timeoutMs: 15000 // Give extra time for multiple rebuttals (increased from 12s)
   });
   console.log('[RebuttalAgent] OUTPUT:', {
@@ -950,6 +926,23 @@ Return: {"rebuttals":[{"objectionIndex":0,"rebuttalScript":"..."},{"objectionInd
   return result;
 }
 
+// Stand-ins when a sub-agent returns nothing, in the closer's display language
+const OBJECTION_FALLBACKS = {
+  en: {
+    fear: 'Fear of uncertainty',
+    whisper: 'They need reassurance',
+    rebuttal: 'Address their concern with empathy.',
+    rebuttalFailed: 'Most successful clients had the same concern initially—what changed their mind was realizing the cost of inaction far outweighed taking action.'
+  },
+  es: {
+    fear: 'Miedo a la incertidumbre',
+    whisper: 'Necesitan sentirse seguros',
+    rebuttal: 'Atiende su preocupación con empatía.',
+    rebuttalFailed: 'La mayoría de los clientes que tuvieron éxito tenían la misma duda al principio; cambiaron de opinión al ver que no hacer nada les costaba mucho más que actuar.'
+  }
+};
+const objectionFallbacks = (language) => OBJECTION_FALLBACKS[language?.display] || OBJECTION_FALLBACKS.en;
+
 function pickByObjectionIndex(list, idx, valueKey) {
   const arr = Array.isArray(list) ? list : [];
   const match = arr.find((x) => Number(x?.objectionIndex) === idx);
@@ -957,16 +950,22 @@ function pickByObjectionIndex(list, idx, valueKey) {
   return typeof v === 'string' ? v : '';
 }
 
+// Objection Matrix row for an objection: the rebuttal agent's indicatorId, else a local match
+function pickMatrixFields(rebuttals, idx, objectionText) {
+  const match = (Array.isArray(rebuttals) ? rebuttals : []).find((x) => Number(x?.objectionIndex) === idx);
+  return matrixFieldsForObjection(objectionText, match?.indicatorId ?? null);
+}
+
 /**
  * COMBINED OBJECTIONS FUNCTION (Strategy-Aware)
  * Runs Detection first, then Fear/Whisper/Rebuttal in parallel
  */
-export async function runObjectionsAgents(transcript, customScriptPrompt = '', strategy = '') {
+export async function runObjectionsAgents(transcript, customScriptPrompt = '', strategy = '', language = null) {
   console.log(`[ObjectionsSystem] Starting with strategy: ${strategy || 'none'}...`);
   const startTime = Date.now();
 
   // Step 1: Detect objections
-  const detectionResult = await runObjectionDetectionAgent(transcript, strategy);
+  const detectionResult = await runObjectionDetectionAgent(transcript, strategy, language);
   
   if (detectionResult.error || !detectionResult.detectedObjections?.length) {
     console.log(`[ObjectionsSystem] No objections detected`);
@@ -978,18 +977,20 @@ export async function runObjectionsAgents(transcript, customScriptPrompt = '', s
 
   // Step 2: Run Fear, Whisper, Rebuttal in PARALLEL (they only need objections, not full transcript)
   const [fearResult, whisperResult, rebuttalResult] = await Promise.all([
-    runFearAnalysisAgent(detectedObjections, strategy),
-    runWhisperReframeAgent(detectedObjections, strategy),
-    runRebuttalScriptAgent(detectedObjections, customScriptPrompt, strategy)
+    runFearAnalysisAgent(detectedObjections, strategy, language),
+    runWhisperReframeAgent(detectedObjections, strategy, language),
+    runRebuttalScriptAgent(detectedObjections, customScriptPrompt, strategy, language)
   ]);
 
   // Step 3: Combine results
+  const fallback = objectionFallbacks(language);
   const objections = detectedObjections.map((obj, idx) => ({
     objectionText: obj.objectionText,
     probability: obj.probability,
-    fear: pickByObjectionIndex(fearResult?.fears, idx, 'fear') || 'Fear of uncertainty',
-    whisper: pickByObjectionIndex(whisperResult?.whispers, idx, 'whisper') || 'They need reassurance',
-    rebuttalScript: pickByObjectionIndex(rebuttalResult?.rebuttals, idx, 'rebuttalScript') || 'Address their concern with empathy.'
+    fear: pickByObjectionIndex(fearResult?.fears, idx, 'fear') || fallback.fear,
+    whisper: pickByObjectionIndex(whisperResult?.whispers, idx, 'whisper') || fallback.whisper,
+    rebuttalScript: pickByObjectionIndex(rebuttalResult?.rebuttals, idx, 'rebuttalScript') || fallback.rebuttal,
+    ...pickMatrixFields(rebuttalResult?.rebuttals, idx, obj.objectionText)
   }));
 
   console.log(`[ObjectionsSystem] Done in ${Date.now() - startTime}ms`);
@@ -1005,8 +1006,10 @@ export async function runObjectionsAgents(transcript, customScriptPrompt = '', s
  * @param {string} customScriptPrompt
  * @param {string} strategy
  * @param {(partial: {objections: any[]}) => void} onPartial
+ * @param {{call: string, display: string}|null} language - call/display languages (language.js);
+ *   fears, whispers and rebuttals come back in the display language
  */
-export async function runObjectionsAgentsProgressive(transcript, customScriptPrompt = '', strategy = '', onPartial = null) {
+export async function runObjectionsAgentsProgressive(transcript, customScriptPrompt = '', strategy = '', onPartial = null, language = null) {
   const emit = (p) => {
     if (typeof onPartial !== 'function') return;
     try { onPartial(p); } catch {}
@@ -1016,7 +1019,7 @@ export async function runObjectionsAgentsProgressive(transcript, customScriptPro
   const startTime = Date.now();
 
   // Step 1: Detect objections (required)
-  const detectionResult = await runObjectionDetectionAgent(transcript, strategy);
+  const detectionResult = await runObjectionDetectionAgent(transcript, strategy, language);
   if (detectionResult.error || !detectionResult.detectedObjections?.length) {
     console.log(`[ObjectionsSystemProgressive] No objections detected`);
     return { objections: [] };
@@ -1024,13 +1027,16 @@ export async function runObjectionsAgentsProgressive(transcript, customScriptPro
 
   const detectedObjections = detectionResult.detectedObjections;
 
-  // Emit immediately with placeholders (so UI is instant)
-  const base = detectedObjections.map((obj) => ({
+  // Emit immediately with placeholders (so UI is instant).
+  // Matrix styles come from the local match until the rebuttal agent maps the indicator.
+  const localMatrix = detectedObjections.map((obj) => matrixFieldsForObjection(obj.objectionText));
+  const base = detectedObjections.map((obj, idx) => ({
     objectionText: obj.objectionText,
     probability: obj.probability,
     fear: '',
     whisper: '',
-    rebuttalScript: '' // will arrive later
+    rebuttalScript: '', // will arrive later
+    ...localMatrix[idx]
   }));
   
   // #region objections log H6 H9
@@ -1041,8 +1047,8 @@ export async function runObjectionsAgentsProgressive(transcript, customScriptPro
 
   // Step 2: Run Fear + Whisper (parallel) and merge (optional, but cheap)
   const fearWhisper = await Promise.allSettled([
-    runFearAnalysisAgent(detectedObjections, strategy),
-    runWhisperReframeAgent(detectedObjections, strategy)
+    runFearAnalysisAgent(detectedObjections, strategy, language),
+    runWhisperReframeAgent(detectedObjections, strategy, language)
   ]);
 
   const fearResult = fearWhisper[0].status === 'fulfilled' ? fearWhisper[0].value : { fears: [] };
@@ -1057,7 +1063,8 @@ export async function runObjectionsAgentsProgressive(transcript, customScriptPro
     probability: obj.probability,
     fear: pickByObjectionIndex(fearResult?.fears, idx, 'fear') || '',
     whisper: pickByObjectionIndex(whisperResult?.whispers, idx, 'whisper') || '',
-    rebuttalScript: ''
+    rebuttalScript: '',
+    ...localMatrix[idx]
   }));
   
   // #region objections log H6 H9
@@ -1070,7 +1077,7 @@ export async function runObjectionsAgentsProgressive(transcript, customScriptPro
   let rebuttalResult = { rebuttals: [] };
   let rebuttalFailed = false;
   try {
-    rebuttalResult = await runRebuttalScriptAgent(detectedObjections, customScriptPrompt, strategy);
+    rebuttalResult = await runRebuttalScriptAgent(detectedObjections, customScriptPrompt, strategy, language);
     if (!rebuttalResult || rebuttalResult.error) {
       console.warn('[ObjectionsSystemProgressive] Rebuttal agent failed or timed out');
       rebuttalResult = { rebuttals: [] };
@@ -1094,7 +1101,7 @@ export async function runObjectionsAgentsProgressive(transcript, customScriptPro
     const rebuttal = pickByObjectionIndex(rebuttalResult?.rebuttals, idx, 'rebuttalScript');
     // If rebuttal agent failed and no rebuttal found, provide a fallback that's assertive but honest (no fake numbers)
     const fallbackRebuttal = rebuttalFailed && !rebuttal 
-      ? "Most successful clients had the same concern initially—what changed their mind was realizing the cost of inaction far outweighed taking action."
+      ? objectionFallbacks(language).rebuttalFailed
       : rebuttal || '';
     
     return {
@@ -1102,7 +1109,8 @@ export async function runObjectionsAgentsProgressive(transcript, customScriptPro
       probability: obj.probability,
       fear: pickByObjectionIndex(fearResult?.fears, idx, 'fear') || '',
       whisper: pickByObjectionIndex(whisperResult?.whispers, idx, 'whisper') || '',
-      rebuttalScript: fallbackRebuttal
+      rebuttalScript: fallbackRebuttal,
+      ...pickMatrixFields(rebuttalResult?.rebuttals, idx, obj.objectionText)
     };
   });
   
@@ -1129,7 +1137,7 @@ export async function runObjectionsAgentsProgressive(transcript, customScriptPro
 // Detects the 5 specific incoherence rules from Truth Index CSV
 // Output: detectedRules (T1-T5 with evidence), coherenceSignals, overallCoherence
 // ============================================================================
-export async function runTruthIndexAgent(transcript, onStream = null) {
+export async function runTruthIndexAgent(transcript, onStream = null, memoryContext = '', language = null) {
   const systemPrompt = `Detect INCOHERENCE patterns (contradictions) in prospect's statements.
 
 You must detect which of these 5 specific rules (from the Truth Index CSV) apply:
@@ -1186,13 +1194,17 @@ KEY FACTS TO WATCH FOR CONTRADICTIONS:
 - Whether they need to sell urgently
 - Whether they make decisions or need approval
 
-TRANSCRIPT TO ANALYZE:
+${memoryContext ? `${memoryContext}
+
+A statement in the transcript that contradicts the call memory counts as a contradiction too (quote both sides).
+
+` : ''}TRANSCRIPT TO ANALYZE:
 "${transcript}"
 
 Flag ANY contradictions or flip-flopping in the above facts.`;
 
   console.log(`[TruthIndexAgent] INPUT: transcript length=${transcript?.length||0}, preview="${transcript?.slice(0,100)||'EMPTY'}"`);
-  const res = await callAI(systemPrompt, userPrompt, 'TruthIndexAgent', {
+  const res = await callAI(languagePrompt(language) + systemPrompt, userPrompt, 'TruthIndexAgent', {
     maxTokens: 600,
     stream: typeof onStream === 'function',
     onDelta: (delta, agent) => {
@@ -1217,7 +1229,7 @@ Flag ANY contradictions or flip-flopping in the above facts.`;
 // AGENT 7: INSIGHTS AGENT
 // Output: summary, keyMotivators, concerns, recommendation, closingReadiness
 // ============================================================================
-export async function runInsightsAgent(transcript, prospectType) {
+export async function runInsightsAgent(transcript, prospectType, language = null) {
   const systemPrompt = `Provide brief sales insights.
 
 OUTPUT:
@@ -1231,7 +1243,7 @@ Return: {"summary":"...","keyMotivators":["..."],"concerns":["..."],"recommendat
 
   const userPrompt = `${prospectType} prospect:\n"${transcript}"`;
 
-  return await callAI(systemPrompt, userPrompt, 'InsightsAgent', 200);
+  return await callAI(languagePrompt(language, { writes: true }) + systemPrompt, userPrompt, 'InsightsAgent', 200);
 }
 
 // ============================================================================
@@ -1239,7 +1251,12 @@ Return: {"summary":"...","keyMotivators":["..."],"concerns":["..."],"recommendat
 // Analyzes the entire conversation (even hour-long) and provides comprehensive summary
 // This agent runs continuously during the call and provides final summary when call ends
 // ============================================================================
-export async function runConversationSummaryAgent(fullTranscript, prospectType, isFinal = false) {
+/**
+ * @param {{memoryContext?: string, dealSheet?: string, language?: {call: string, display: string}|null}} context -
+ *   rolling call memory block, the formatted live deal sheet (dealSheet.js) and the call languages
+ *   (language.js); all optional
+ */
+export async function runConversationSummaryAgent(fullTranscript, prospectType, isFinal = false, { memoryContext = '', dealSheet = '', language = null } = {}) {
   // For very long conversations, we'll use the full transcript but with a focused prompt
   // GPT-4o-mini can handle up to ~128k tokens, so even hour-long conversations should fit
   
@@ -1287,14 +1304,136 @@ Be comprehensive but concise. Focus on actionable insights.`;
     ? fullTranscript.slice(-MAX_TRANSCRIPT_LENGTH) + '\n\n[Note: Transcript truncated - showing most recent portion]'
     : fullTranscript;
 
+  // The live transcript is bounded, so on long calls the memory carries everything before it.
+  // Deal numbers were already extracted with evidence; reuse them rather than re-deriving.
   const userPrompt = `Prospect Type: ${prospectType || 'unknown'}
-
+${memoryContext ? `\n${memoryContext}\n` : ''}${dealSheet ? `\nDEAL SHEET (extracted live with quotes - use these numbers as-is in prospectSituation and keyPoints; "earlier said" means the prospect changed the figure):\n${dealSheet}\n` : ''}
 FULL CONVERSATION TRANSCRIPT:
 ${transcriptToAnalyze}
 
 ${isFinal ? 'Provide the FINAL comprehensive summary of this completed conversation.' : 'Provide a progressive summary of the conversation so far (call still in progress).'}`;
 
-  return await callAI(systemPrompt, userPrompt, 'ConversationSummaryAgent', { maxTokens: 2000, timeoutMs: 12000, pool: 'aux' });
+  return await callAI(languagePrompt(language, { writes: true }) + systemPrompt, userPrompt, 'ConversationSummaryAgent', { maxTokens: 2000, timeoutMs: 12000, pool: 'aux' });
+}
+
+// ============================================================================
+// AGENT 9: DIAGNOSTIC QUESTIONS AGENT (Settings → "Generate with AI")
+// Not part of the live analysis loop; backs /api/generate-diagnostic-questions
+// Output: questions[{question, helper, badgeText, badgeColor}]
+// ============================================================================
+export async function runDiagnosticQuestionsAgent(prompt, prospectType) {
+  const systemPrompt = `You are an expert real estate sales coach. Generate diagnostic questions that sales closers should ask prospects during conversations.
+
+CRITICAL OUTPUT FORMAT:
+Return ONLY valid JSON with this exact structure:
+{
+  "questions": [
+    {
+      "question": "The actual question to ask the prospect",
+      "helper": "Why this question matters / what intel it reveals",
+      "badgeText": "Category label (e.g., Financial, Timeline, Pain Point)",
+      "badgeColor": "situation|timeline|authority|pain|financial"
+    }
+  ]
+}
+
+Badge color options:
+- situation: Blue (general situation/background)
+- timeline: Red (urgency/deadlines)
+- authority: Purple (decision-making power)
+- pain: Orange (problems/frustrations)
+- financial: Green (money/budget)
+
+Rules:
+1. Questions should be conversational, not robotic
+2. Each question should reveal specific intel for analysis
+3. Helper text explains WHY this question matters
+4. Return 3-7 questions (not too many)
+5. Badge text should be short (1-2 words)`;
+
+  const userPrompt = `Generate diagnostic questions for a ${prospectType} prospect.
+
+User's request: "${prompt}"
+
+Remember to return ONLY valid JSON in the format specified.`;
+
+  // Creative output (temperature 0.7) and a user waiting on a button, so allow a longer timeout.
+  return await callAI(systemPrompt, userPrompt, 'DiagnosticQuestionsAgent', {
+    maxTokens: 1500,
+    timeoutMs: 20000,
+    temperature: 0.7,
+    pool: 'aux'
+  });
+}
+
+// ============================================================================
+// AGENT 10: CALL MEMORY AGENT
+// Summarizes one finished transcript segment (or condenses older segment summaries) for the
+// rolling call memory in callMemory.js, so facts from early in a long call reach later agents.
+// Output: summary + facts[{category, fact, speaker}]
+// ============================================================================
+export async function runCallMemoryAgent(text, prospectType = '', { condense = false, language = null } = {}) {
+  const systemPrompt = condense
+    ? `You condense summaries of earlier parts of a real estate sales call into one shorter summary.
+Keep every concrete fact (property, amounts owed, dates/deadlines, who decides) and any place the prospect changed their story.
+
+Return: {"summary":"3-5 sentences","facts":[]}`
+    : `You keep notes on one part of a real estate sales call between a CLOSER and a PROSPECT.
+
+OUTPUT:
+- summary: 2-3 sentences on what happened in this part
+- facts: concrete statements worth remembering for the rest of the call, each tagged with a category:
+  * property: address, type, ownership, who lives there, condition, how long owned
+  * balances: mortgage balance, arrears, payments, liens, equity, asking price
+  * timelines: auction/foreclosure dates, move dates, deadlines, how long a problem has lasted
+  * decisionMakers: spouse, co-owners, family, attorneys - anyone who must approve
+  * other: anything else the prospect stated as fact (job, health, reasons to sell)
+- Keep facts short (under 15 words) and close to what was said. Record what the speaker claimed, even if it contradicts earlier statements.
+- 0-8 facts. Only include facts actually stated in this part.
+
+Return: {"summary":"...","facts":[{"category":"balances","fact":"Behind 3 payments on the mortgage","speaker":"prospect"}]}`;
+
+  const userPrompt = condense
+    ? `${prospectType || 'unknown'} prospect. Earlier summaries, oldest first:\n${text}`
+    : `${prospectType || 'unknown'} prospect. Transcript part:\n"${text}"`;
+
+  return await callAI(languagePrompt(language) + systemPrompt, userPrompt, 'CallMemoryAgent', { maxTokens: 500, timeoutMs: 12000, pool: 'aux' });
+}
+
+// ============================================================================
+// AGENT 11: DEAL SHEET AGENT
+// Pulls concrete deal numbers from new transcript lines (see dealSheet.js for the fields)
+// Output: facts[{field, value, evidence, speaker, confidence}]
+// ============================================================================
+export async function runDealSheetAgent(transcript, currentSheet = '', prospectType = '', language = null) {
+  const systemPrompt = `Extract deal facts from a real estate sales call between a CLOSER and a PROSPECT.
+
+FIELDS:
+- propertyAddress: street address or location of the property
+- mortgageBalance: amount still owed on the mortgage (number, dollars)
+- monthlyPayment: monthly mortgage payment (number, dollars)
+- monthsBehind: months behind on payments (number)
+- auctionDate: foreclosure auction / sale date (YYYY-MM-DD if a full date is given, otherwise as said)
+- rent: monthly rent the property gets or the prospect pays (number, dollars)
+- repairs: repairs needed, with cost if mentioned (short text)
+- askingPrice: price the prospect wants (number, dollars)
+
+RULES:
+- Only facts stated in the NEW LINES. Skip anything already on the current sheet unless the value changed.
+- evidence: the exact words (3-20 words) the value came from.
+- speaker: who said it. A closer repeating back a number the prospect confirmed counts as prospect.
+- confidence 0.5-1.0. Leave out guesses.
+
+Return: {"facts":[{"field":"mortgageBalance","value":185000,"evidence":"we still owe about 185 on it","speaker":"prospect","confidence":0.9}]}`;
+
+  const userPrompt = `${prospectType || 'unknown'} prospect.
+CURRENT SHEET:
+${currentSheet || '(empty)'}
+
+NEW LINES:
+"${transcript}"`;
+
+  return await callAI(languagePrompt(language) + systemPrompt, userPrompt, 'DealSheetAgent', { maxTokens: 400, timeoutMs: 10000, pool: 'aux' });
 }
 
 // ============================================================================
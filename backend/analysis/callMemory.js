@@ -0,0 +1,164 @@
+/**
+ * Rolling call memory
+ *
+ * The live transcript windows are bounded (conversationHistory 8k chars, plainTranscript 12k,
+ * pillar agents see the last 2k), so on long calls early facts fall out of view. This keeps a
+ * hierarchical memory next to them:
+ *   - every CALL_MEMORY_SEGMENT_CHARS of settled transcript becomes a segment summary
+ *   - once there are more than MAX_SEGMENTS, the oldest ones are condensed into a single
+ *     higher-level summary (level + 1), so the memory stays bounded however long the call runs
+ *   - facts (property, balances, timelines, decision makers) are kept per category with the
+ *     segment they came from, including statements that contradict earlier ones
+ * formatMemoryForPrompt() renders it for the pillar, truth and summary agents, which get it
+ * alongside their usual recent window.
+ */
+
+import { runCallMemoryAgent } from './aiAgents.js';
+
+const SEGMENT_CHARS = Number(process.env.CALL_MEMORY_SEGMENT_CHARS || 2000);
+const PROMPT_CHARS = Number(process.env.CALL_MEMORY_PROMPT_CHARS || 2500);
+const MAX_SEGMENTS = 8;
+const SEGMENTS_PER_CONDENSE = 4;
+// The newest chunks may still be waiting on the speaker-role agent
+const SETTLE_ENTRIES = 3;
+// Per category: the first facts stated and the most recent ones (contradictions need both)
+const KEEP_FIRST_FACTS = 3;
+const KEEP_LATEST_FACTS = 7;
+
+export const FACT_CATEGORIES = ['property', 'balances', 'timelines', 'decisionMakers', 'other'];
+
+const CATEGORY_LABELS = {
+  property: 'Property',
+  balances: 'Balances',
+  timelines: 'Timelines',
+  decisionMakers: 'Decision makers',
+  other: 'Other'
+};
+
+const toSpeakerLabel = (speaker) =>
+  speaker === 'closer' ? 'CLOSER' : speaker === 'prospect' ? 'PROSPECT' : 'UNKNOWN';
+
+export function createCallMemory() {
+  return {
+    // [{ fromSeq, toSeq, level, summary }] oldest first; level 0 = one segment, >0 = condensed
+    segments: [],
+    facts: Object.fromEntries(FACT_CATEGORIES.map((c) => [c, []])),
+    // Highest transcript entry seq already covered by a segment
+    lastSeq: 0,
+    segmentCount: 0,
+    _pending: false
+  };
+}
+
+function addFacts(memory, facts, segmentNo) {
+  for (const f of Array.isArray(facts) ? facts : []) {
+    const text = String(f?.fact || '').replace(/\s+/g, ' ').trim().slice(0, 160);
+    if (!text) continue;
+    const category = FACT_CATEGORIES.includes(f?.category) ? f.category : 'other';
+    const list = memory.facts[category];
+    if (list.some((x) => x.text.toLowerCase() === text.toLowerCase())) continue;
+    list.push({ text, speaker: f?.speaker === 'closer' ? 'closer' : 'prospect', segment: segmentNo });
+    if (list.length > KEEP_FIRST_FACTS + KEEP_LATEST_FACTS) {
+      list.splice(KEEP_FIRST_FACTS, list.length - KEEP_FIRST_FACTS - KEEP_LATEST_FACTS);
+    }
+  }
+}
+
+async function condenseOldestSegments(memory, prospectType, language) {
+  const oldest = memory.segments.slice(0, SEGMENTS_PER_CONDENSE);
+  const text = oldest.map((s) => `- ${s.summary}`).join('\n');
+  const res = await runCallMemoryAgent(text, prospectType, { condense: true, language });
+  // If the agent fails, concatenating keeps the facts; the prompt formatter trims length.
+  const summary = !res?.error && res?.summary ? String(res.summary).trim() : oldest.map((s) => s.summary).join(' ');
+  memory.segments.splice(0, oldest.length, {
+    fromSeq: oldest[0].fromSeq,
+    toSeq: oldest[oldest.length - 1].toSeq,
+    level: Math.max(...oldest.map((s) => s.level)) + 1,
+    summary
+  });
+}
+
+/**
+ * Fold settled transcript entries into the memory. At most one segment per call; the caller
+ * triggers this on every chunk, so a backlog is worked off over the next few chunks.
+ * Never throws; agent failures leave the entries to be retried on the next chunk.
+ *
+ * @param {ReturnType<typeof createCallMemory>} memory
+ * @param {Array<{seq: number, speaker: string, text: string}>} entries - meta.transcriptEntries
+ * @param {{prospectType?: string, language?: {call: string, display: string}|null}} [options]
+ * @returns {Promise<boolean>} true when a segment was added
+ */
+export async function updateCallMemory(memory, entries, { prospectType = '', language = null } = {}) {
+  if (!memory || memory._pending) return false;
+  const settled = (Array.isArray(entries) ? entries : []).slice(0, -SETTLE_ENTRIES);
+  const fresh = settled.filter((e) => Number(e?.seq) > memory.lastSeq);
+
+  const segment = [];
+  let chars = 0;
+  for (const e of fresh) {
+    segment.push(e);
+    chars += String(e.text || '').length;
+    if (chars >= SEGMENT_CHARS) break;
+  }
+  if (chars < SEGMENT_CHARS) return false;
+
+  memory._pending = true;
+  try {
+    const text = segment.map((e) => `${toSpeakerLabel(e.speaker)}: ${String(e.text || '').trim()}`).join('\n');
+    const res = await runCallMemoryAgent(text, prospectType, { language });
+    if (res?.error || !res?.summary) {
+      console.warn('[CallMemory] Segment summary failed:', res?.error || 'empty summary');
+      return false;
+    }
+    memory.segmentCount += 1;
+    memory.segments.push({
+      fromSeq: segment[0].seq,
+      toSeq: segment[segment.length - 1].seq,
+      level: 0,
+      summary: String(res.summary).trim()
+    });
+    memory.lastSeq = segment[segment.length - 1].seq;
+    addFacts(memory, res.facts, memory.segmentCount);
+
+    if (memory.segments.length > MAX_SEGMENTS) {
+      await condenseOldestSegments(memory, prospectType, language);
+    }
+    console.log(`[CallMemory] Segment ${memory.segmentCount} stored (${memory.segments.length} summaries, through chunk ${memory.lastSeq})`);
+    return true;
+  } catch (e) {
+    console.warn('[CallMemory] Update failed:', e?.message || e);
+    return false;
+  } finally {
+    memory._pending = false;
+  }
+}
+
+/**
+ * Memory block for agent prompts, or '' while nothing has been summarized yet.
+ * Oldest summaries are dropped first when over CALL_MEMORY_PROMPT_CHARS; facts always stay.
+ */
+export function formatMemoryForPrompt(memory) {
+  if (!memory || !memory.segments.length) return '';
+
+  const factLines = FACT_CATEGORIES
+    .filter((c) => memory.facts[c].length)
+    .map((c) => `- ${CATEGORY_LABELS[c]}: ${memory.facts[c].map((f) => `${f.text} (${f.speaker}, part ${f.segment})`).join('; ')}`);
+
+  const summaryLines = memory.segments.map((s) =>
+    `- ${s.level > 0 ? `[chunks ${s.fromSeq}-${s.toSeq}, condensed]` : `[chunks ${s.fromSeq}-${s.toSeq}]`} ${s.summary}`
+  );
+
+  const header = 'CALL MEMORY (earlier in this call - the transcript below only covers the recent part):';
+  const build = () => [
+    header,
+    factLines.length ? `Facts stated so far:\n${factLines.join('\n')}` : '',
+    summaryLines.length ? `Earlier parts, oldest first:\n${summaryLines.join('\n')}` : ''
+  ].filter(Boolean).join('\n');
+
+  let out = build();
+  while (out.length > PROMPT_CHARS && summaryLines.length > 1) {
+    summaryLines.shift();
+    out = build();
+  }
+  return out.length > PROMPT_CHARS ? out.slice(0, PROMPT_CHARS) : out;
+}
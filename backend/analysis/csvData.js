@@ -0,0 +1,109 @@
+/**
+ * CSV helpers for the "Zero-Stress Sales Logic" sheets in backend/data.
+ *
+ * The sheets are exported from Google Sheets, so they start with blank padding rows
+ * and use quoted fields with embedded commas. Each loader finds its header row by
+ * column name instead of assuming a fixed position.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATA_DIR = path.resolve(__dirname, '..', 'data');
+const SHEET_PREFIX = 'Copy of Zero-Stress Sales Logic - Dec 2025 V1 - ';
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === '"') {
+      if (inQuotes && next === '"') {
+        field += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+      continue;
+    }
+
+    if (!inQuotes && ch === ',') {
+      row.push(field);
+      field = '';
+      continue;
+    }
+
+    if (!inQuotes && (ch === '\n' || ch === '\r')) {
+      if (ch === '\r' && next === '\n') i++;
+      row.push(field);
+      field = '';
+      // Skip completely empty rows
+      if (row.some((c) => String(c || '').trim().length > 0)) rows.push(row);
+      row = [];
+      continue;
+    }
+
+    field += ch;
+  }
+
+  // last field
+  row.push(field);
+  if (row.some((c) => String(c || '').trim().length > 0)) rows.push(row);
+  return rows;
+}
+
+/**
+ * Absolute path of a sheet in backend/data, e.g. sheetPath('Push_Delay Rules').
+ */
+export function sheetPath(sheetName) {
+  return path.join(DATA_DIR, `${SHEET_PREFIX}${sheetName}.csv`);
+}
+
+/**
+ * Load a sheet and return { header, rows } where rows are the data rows after the
+ * first row containing every column in requiredColumns. Returns null if the file
+ * is missing or no header row matches.
+ */
+export function loadSheetTable(sheetName, requiredColumns = []) {
+  const raw = fs.readFileSync(sheetPath(sheetName), 'utf8');
+  const rows = parseCsv(raw);
+
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i].map((c) => String(c || '').trim());
+    if (requiredColumns.every((col) => r.includes(col))) {
+      return { header: r, rows: rows.slice(i + 1) };
+    }
+  }
+  return null;
+}
+
+// Sheet text uses curly quotes around most cells
+export function stripCellQuotes(s) {
+  return String(s || '').trim().replace(/^[“"']+|[”"']+$/g, '').trim();
+}
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'is', 'are', 'was', 'to', 'of', 'and', 'or', 'but', 'for', 'with', 'about', 'that', 'this',
+  'my', 'your', 'me', 'you', 'we', 'it', 'its', 'i', 'im', 'am', 'just', 'do', 'if', 'what', 'can', 'not', 'now', 'right'
+]);
+
+/**
+ * Lowercased words minus filler, for matching what was said against example phrases in the sheets.
+ */
+export function contentWords(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter((w) => w.length >= 2 && !STOP_WORDS.has(w));
+}
@@ -0,0 +1,131 @@
+/**
+ * Deal sheet - the concrete deal numbers a closer needs, built live from the call.
+ *
+ * DealSheetAgent reads new transcript lines and returns facts for the fields below, each with
+ * the quote it came from. Values are coerced to their field type here. When a later statement
+ * changes a value, the old one is kept in `previous` so the closer (and the summary agent) can
+ * see the prospect changed their story.
+ */
+
+import { runDealSheetAgent } from './aiAgents.js';
+
+export const DEAL_SHEET_FIELDS = [
+  { key: 'propertyAddress', label: 'Property address', type: 'text' },
+  { key: 'mortgageBalance', label: 'Mortgage balance', type: 'currency' },
+  { key: 'monthlyPayment', label: 'Monthly payment', type: 'currency' },
+  { key: 'monthsBehind', label: 'Months behind', type: 'number' },
+  { key: 'auctionDate', label: 'Auction date', type: 'date' },
+  { key: 'rent', label: 'Rent', type: 'currency' },
+  { key: 'repairs', label: 'Repairs', type: 'text' },
+  { key: 'askingPrice', label: 'Asking price', type: 'currency' }
+];
+
+const FIELDS_BY_KEY = Object.fromEntries(DEAL_SHEET_FIELDS.map((f) => [f.key, f]));
+const MAX_PREVIOUS_VALUES = 3;
+const MAX_EVIDENCE_CHARS = 200;
+const MIN_CONFIDENCE = 0.5;
+
+export function createDealSheet() {
+  return { fields: {}, version: 0, updatedAt: null };
+}
+
+// "$185k", "185,000", "1.2 million" -> number; null when there's no number to read
+function parseAmount(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  const s = String(v || '').toLowerCase().replace(/[$,\s]/g, '');
+  const m = s.match(/^(-?\d+(?:\.\d+)?)(k|thousand|m|million|mil)?/);
+  if (!m) return null;
+  const n = Number(m[1]);
+  if (m[2] === 'k' || m[2] === 'thousand') return n * 1000;
+  if (m[2] === 'm' || m[2] === 'million' || m[2] === 'mil') return n * 1000000;
+  return n;
+}
+
+/**
+ * Coerce an agent value to the field type. Returns null when it doesn't fit.
+ */
+export function normalizeDealSheetValue(field, value) {
+  const def = FIELDS_BY_KEY[field];
+  if (!def || value === null || value === undefined || value === '') return null;
+  if (def.type === 'currency' || def.type === 'number') {
+    const n = parseAmount(value);
+    if (n === null || n < 0) return null;
+    return def.type === 'currency' ? Math.round(n) : Math.round(n * 10) / 10;
+  }
+  if (def.type === 'date') {
+    const text = String(value).trim();
+    // ISO when the agent gave a full date, otherwise keep what was said ("end of March")
+    return /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : text.slice(0, 60);
+  }
+  return String(value).replace(/\s+/g, ' ').trim().slice(0, 160) || null;
+}
+
+/**
+ * Merge agent facts into the sheet. Returns the keys that changed (empty when nothing did).
+ * @param {ReturnType<typeof createDealSheet>} sheet
+ * @param {Array<{field: string, value: any, evidence?: string, speaker?: string, confidence?: number}>} facts
+ */
+export function mergeDealSheetFacts(sheet, facts) {
+  const changed = [];
+  const now = new Date().toISOString();
+  for (const f of Array.isArray(facts) ? facts : []) {
+    const key = String(f?.field || '');
+    const value = normalizeDealSheetValue(key, f?.value);
+    const confidence = Number(f?.confidence ?? 0.7);
+    if (value === null || confidence < MIN_CONFIDENCE) continue;
+
+    const prev = sheet.fields[key];
+    if (prev && String(prev.value).toLowerCase() === String(value).toLowerCase()) continue;
+    sheet.fields[key] = {
+      value,
+      evidence: String(f?.evidence || '').replace(/\s+/g, ' ').trim().slice(0, MAX_EVIDENCE_CHARS),
+      speaker: f?.speaker === 'closer' ? 'closer' : 'prospect',
+      confidence: Math.min(1, Math.max(0, confidence)),
+      updatedAt: now,
+      previous: prev
+        ? [{ value: prev.value, evidence: prev.evidence }, ...(prev.previous || [])].slice(0, MAX_PREVIOUS_VALUES)
+        : []
+    };
+    if (!changed.includes(key)) changed.push(key);
+  }
+  if (changed.length) {
+    sheet.version += 1;
+    sheet.updatedAt = now;
+  }
+  return changed;
+}
+
+function formatValue(def, value) {
+  if (def.type === 'currency') return `$${Number(value).toLocaleString('en-US')}`;
+  return String(value);
+}
+
+/**
+ * One line per known field, for agent prompts; '' when the sheet is empty.
+ */
+export function formatDealSheetForPrompt(sheet) {
+  const lines = DEAL_SHEET_FIELDS
+    .filter((def) => sheet?.fields?.[def.key])
+    .map((def) => {
+      const f = sheet.fields[def.key];
+      const changedFrom = (f.previous || []).map((p) => formatValue(def, p.value));
+      return `- ${def.label}: ${formatValue(def, f.value)} ("${f.evidence}")` +
+        (changedFrom.length ? ` - earlier said ${changedFrom.join(', ')}` : '');
+    });
+  return lines.length ? lines.join('\n') : '';
+}
+
+/**
+ * Run the agent over new transcript lines and merge what it finds.
+ * @returns {Promise<string[]>} changed field keys
+ */
+export async function updateDealSheet(sheet, labeledText, { prospectType = '', language = null } = {}) {
+  const text = String(labeledText || '').trim();
+  if (!text) return [];
+  const res = await runDealSheetAgent(text, formatDealSheetForPrompt(sheet), prospectType, language);
+  if (res?.error) {
+    console.warn('[DealSheet] Extraction failed:', res.error);
+    return [];
+  }
+  return mergeDealSheetFacts(sheet, res?.facts);
+}
@@ -3,7 +3,7 @@
  * 
  * Uses 5 specialized AI agents running in PARALLEL for faster analysis:
  * 1. Pillars Agent - Scores 27 indicators (used for Lubometer calculation)
- * 2. Hot Buttons Agent - Extracts emotional triggers with quotes
+ * 2. Hot Buttons - Tracker CSV prompts fired from indicator scores (no separate agent)
  * 3. Objections Agent - Detects objections with rebuttals
  * 4. Truth Index Agent - Analyzes coherence signals AND provides penalties for Lubometer
  * 5. Insights Agent - Generates overall analysis summary
@@ -20,99 +20,26 @@ import {
   runTruthIndexAgent,
   runInsightsAgent
 } from './aiAgents.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { loadObjectionMatrix } from './objectionMatrix.js';
+import { evaluateCloseDecision } from './pushDelayRules.js';
+import { evaluateHotButtons, prospectLinesFromTranscript } from './hotButtons.js';
+import { stabilizeIndicators, overallConfidence } from './scoreStabilizer.js';
+import { verifyIndicatorEvidence, mergeIndicatorEvidence } from './indicatorEvidence.js';
+import { evaluateTruthRules, getTruthRule } from './truthIndexRules.js';
+
+// Percentage points the Lubometer must move past a level boundary before the level changes
+const LEVEL_HYSTERESIS = Number(process.env.LUBOMETER_LEVEL_HYSTERESIS || 3);
 
 // ----------------------------------------------------------------------------
 // Indicator metadata (for UI display)
 // ----------------------------------------------------------------------------
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-function parseCsv(text) {
-  const rows = [];
-  let row = [];
-  let field = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < text.length; i++) {
-    const ch = text[i];
-    const next = text[i + 1];
-
-    if (ch === '"') {
-      if (inQuotes && next === '"') {
-        field += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
-
-    if (!inQuotes && ch === ',') {
-      row.push(field);
-      field = '';
-      continue;
-    }
-
-    if (!inQuotes && (ch === '\n' || ch === '\r')) {
-      if (ch === '\r' && next === '\n') i++;
-      row.push(field);
-      field = '';
-      // Skip completely empty rows
-      if (row.some((c) => String(c || '').trim().length > 0)) rows.push(row);
-      row = [];
-      continue;
-    }
-
-    field += ch;
-  }
-
-  // last field
-  row.push(field);
-  if (row.some((c) => String(c || '').trim().length > 0)) rows.push(row);
-  return rows;
-}
-
 function loadIndicatorNamesFromCsv() {
-  // Canonical source: "Indicators and Objection Matrix.csv"
-  const csvPath = path.resolve(__dirname, '..', 'data', 'Copy of Zero-Stress Sales Logic - Dec 2025 V1 - Indicators and Objection Matrix.csv');
-  try {
-    const raw = fs.readFileSync(csvPath, 'utf8');
-    const rows = parseCsv(raw);
-    if (!rows.length) return {};
-
-    // Find header row containing required columns (some files start with blank lines)
-    let headerIdx = -1;
-    for (let i = 0; i < rows.length; i++) {
-      const r = rows[i].map((c) => String(c || '').trim());
-      if (r.includes('ID') && r.includes('Pillar & Indicator')) {
-        headerIdx = i;
-        break;
-      }
-    }
-    if (headerIdx < 0) return {};
-
-    const header = rows[headerIdx].map((c) => String(c || '').trim());
-    const idCol = header.indexOf('ID');
-    const nameCol = header.indexOf('Pillar & Indicator');
-    if (idCol < 0 || nameCol < 0) return {};
-
-    const out = {};
-    for (let i = headerIdx + 1; i < rows.length; i++) {
-      const r = rows[i];
-      const id = Number(String(r[idCol] || '').trim());
-      const name = String(r[nameCol] || '').trim();
-      if (!Number.isFinite(id) || id < 1 || id > 27) continue;
-      if (!name) continue;
-      out[id] = { name };
-    }
-    return out;
-  } catch (e) {
-    console.warn('[Engine] Failed to load indicator names from CSV:', e?.message || e);
-    return {};
+  // Canonical source: "Indicators and Objection Matrix.csv" (parsed once in objectionMatrix.js)
+  const out = {};
+  for (const row of Object.values(loadObjectionMatrix())) {
+    out[row.id] = { name: row.name };
   }
+  return out;
 }
 
 // Default descriptions (UI helper line). Names will be overwritten from CSV for accuracy.
@@ -156,24 +83,12 @@ const INDICATOR_META = (() => {
   return base;
 })();
 
-function normalizeHotButtons(hotButtonDetails) {
-  const arr = Array.isArray(hotButtonDetails) ? hotButtonDetails : [];
-  return arr
-    .map((hb) => {
-      const idNum = Number(hb?.id);
-      const id = Number.isFinite(idNum) ? idNum : 0;
-      const meta = INDICATOR_META[id] || { name: '', description: '' };
-      return {
-        id,
-        name: String(hb?.name || meta.name || ''),
-        description: String(hb?.description || meta.description || ''),
-        quote: String(hb?.quote || ''),
-        score: Number(hb?.score ?? 0),
-        // Back-compat: agent uses contextualPrompt; frontend expects prompt
-        prompt: String(hb?.prompt || hb?.contextualPrompt || '')
-      };
-    })
-    .filter((hb) => hb.id >= 1 && hb.id <= 27 && (hb.quote || hb.prompt || hb.name));
+// Hot buttons come from the tracker CSV; add the indicator's UI helper line for the card
+function describeHotButtons(hotButtons) {
+  return (Array.isArray(hotButtons) ? hotButtons : []).map((hb) => ({
+    ...hb,
+    description: INDICATOR_META[hb.id]?.description || ''
+  }));
 }
 
 // Simple in-memory cache to avoid duplicate API calls
@@ -194,6 +109,12 @@ const MIN_ANALYSIS_INTERVAL = 250; // Minimum 0.25 seconds between AI analyses (
  * @param {string} customScriptPrompt
  * @param {Array|null} pillarWeights
  * @param {(partial: any) => void} onPartial
+ * @param {string|null} newTextOnly
+ * @param {{prospectTurns?: Array<{text: string, ts?: string, t?: number}>, hotButtonState?: object, memoryContext?: string, language?: {call: string, display: string}}|null} callContext
+ *   Per-call state from the connection: prospect-attributed turns for hot button quotes and Truth
+ *   Index phrase rules (defaults to the transcript's PROSPECT: lines), hot button state (fired +
+ *   used), the rolling call memory block (callMemory.js) for the pillar and truth agents, and the
+ *   call/display languages (language.js) for the agents and Truth Index phrase packs
  */
 export async function analyzeConversationProgressive(
   transcript,
@@ -201,7 +122,8 @@ export async function analyzeConversationProgressive(
   customScriptPrompt = '',
   pillarWeights = null,
   onPartial = null,
-  newTextOnly = null // Optional: only new text for hot buttons/objections to avoid re-detection
+  newTextOnly = null, // Optional: only new text for objections to avoid re-detection
+  callContext = null
 ) {
   const startTime = Date.now();
 
@@ -211,21 +133,24 @@ export async function analyzeConversationProgressive(
 
   const cleanedTranscript = cleanTranscriptForAI(transcript);
   const prospectType = prospectTypeOverride || 'foreclosure';
+  // Hot button quotes and contradiction phrases only come from what the prospect said
+  const prospectTurns = callContext?.prospectTurns || prospectTurnsFromTranscript(transcript);
+  const language = callContext?.language || null;
 
   // Small rolling windows per agent (stable latency)
   // Pillars drive Lubometer + Truth Index (deterministic). Give a bit more context so
   // indicators (esp. Responsibility) can reflect recent contradictions reliably.
   const tPillars = String(cleanedTranscript || '').slice(-2000);
   
-  // Hot Buttons and Objections: Use ONLY new text if provided (to avoid re-detecting old triggers)
-  // If no new text, skip these agents entirely (return empty arrays)
+  // Objections: Use ONLY new text if provided (to avoid re-detecting old objections)
+  // If no new text, skip the agents entirely (return empty arrays)
   const hasNewText = newTextOnly && String(newTextOnly).trim().length > 0;
-  const tHotButtons = hasNewText ? String(cleanTranscriptForAI(newTextOnly) || '').slice(-800) : null;
   const tObjections = hasNewText ? String(cleanTranscriptForAI(newTextOnly) || '').slice(-800) : null;
   
   // Truth Index needs MORE context to detect contradictions (e.g., says X early, then says Y later)
-  // Give it up to 3000 chars (~5-10 minutes of conversation) to find patterns
-  const tTruth = String(cleanedTranscript || '').slice(-3000);
+  // Give it up to 3000 chars (~5-10 minutes of conversation) to find patterns - prospect turns only,
+  // so nothing the closer says is held against the prospect
+  const tTruth = prospectTurns.map((turn) => `PROSPECT: ${turn.text}`).join('\n').slice(-3000);
   const tInsights = String(cleanedTranscript || '').slice(-800);
 
   const emit = (p) => {
@@ -281,7 +206,10 @@ export async function analyzeConversationProgressive(
   const agentErrors = {};
   const aiAnalysis = {
     indicatorSignals: {},
+    indicatorConfidence: {},
+    indicatorEvidence: {},
     emotionalLevers: {},
+    hotButtons: [],
     objections: [],
     askedQuestions: [],
     detectedRules: [],
@@ -306,79 +234,22 @@ export async function analyzeConversationProgressive(
     // #endregion
     // Truth Index is deterministic (per CSV) based on pillar indicator scores + transcript cues.
     // Do NOT wait for the TruthIndex agent; it can be slow and shouldn't gate UI updates.
-    const truthIndex = computeTruthIndex(aiAnalysis, aiAnalysis.indicatorSignals || {}, cleanedTranscript);
+    const truthIndex = computeTruthIndex(aiAnalysis, aiAnalysis.indicatorSignals || {}, prospectTurns, language);
     // #region debug log - hypothesis B/D
     fetch('http://127.0.0.1:7242/ingest/cdfb1a12-ab48-4aa1-805a-5f93e754ce9a',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'engine.js:emitTruthIndexResult',message:'Truth Index computed',data:{truthIndex,transcriptLengthForTruth:tTruth.length},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'B,D'})}).catch(()=>{});
     // #endregion
     emit({ truthIndex });
   };
 
-  const applyTruthIndexCsvPenaltiesToLubometer = ({
-    lubometer,
-    indicatorSignals,
-    transcript,
-    aiRules
-  }) => {
-    if (!lubometer || typeof lubometer !== 'object') return lubometer;
-
-    // Apply ALL detected penalties (multiple instances of same rule allowed).
-    const penaltyMap = { T1: 15, T2: 15, T3: 10, T4: 10, T5: 15 };
-    const penalties = [];
-
-    // Deterministic penalties (CSV-only): reuse TruthIndex deterministic and filter to T1..T5
-    const det = computeTruthIndexDeterministic(indicatorSignals || {}, transcript || '');
-    const detPenalties = Array.isArray(det?.penalties) ? det.penalties : [];
-    for (const p of detPenalties) {
-      const ruleId = String(p?.rule || '').slice(0, 2); // "T1", "T2", ...
-      if (!penaltyMap[ruleId]) continue;
-      penalties.push({
-        ruleId,
-        rule: String(p?.rule || ''),
-        description: String(p?.description || ''),
-        penalty: penaltyMap[ruleId],
-        source: 'deterministic',
-        evidence: String(p?.details || '')
-      });
-    }
-
-    // AI penalties (from dedicated Lubometer agent): allow if confidence >= 0.7
-    const aiDetected = Array.isArray(aiRules) ? aiRules : [];
-    for (const r of aiDetected) {
-      const ruleId = String(r?.ruleId || '').trim();
-      const conf = Number(r?.confidence || 0);
-      if (!penaltyMap[ruleId]) continue;
-      if (conf < 0.7) continue;
-      penalties.push({
-        ruleId,
-        rule: `${ruleId} (AI-detected)`,
-        description: 'Detected from conversation language',
-        penalty: penaltyMap[ruleId],
-        source: 'ai',
-        evidence: String(r?.evidence || '').slice(0, 240),
-        confidence: conf
-      });
-    }
-
-    const totalPenalty = penalties.reduce((sum, p) => sum + (Number(p?.penalty) || 0), 0);
-    const rawScore = Number(lubometer.score || 0);
-    const newScore = clamp(rawScore - totalPenalty, 0, Number(lubometer.maxScore || 9999));
-
-    return {
-      ...lubometer,
-      totalBeforePenalties: rawScore,
-      score: Math.round(newScore),
-      penalties
-    };
-  };
-
   const emitLubometerIfPossible = () => {
     if (!pillarsDone) return;
     if (!lubometerBase) return;
-    const updated = applyTruthIndexCsvPenaltiesToLubometer({
+    const updated = applyTruthIndexPenaltiesToLubometer({
       lubometer: lubometerBase,
       indicatorSignals: aiAnalysis.indicatorSignals || {},
-      transcript: cleanedTranscript,
-      aiRules: aiAnalysis.lubometerPenaltyRules || []
+      prospectTurns,
+      aiRules: aiAnalysis.lubometerPenaltyRules || [],
+      language
     });
     emit({
       lubometer: {
@@ -390,16 +261,46 @@ export async function analyzeConversationProgressive(
         pillarScores: updated.pillarScores,
         weightsUsed: updated.weightsUsed,
         totalBeforePenalties: updated.totalBeforePenalties,
-        penalties: Array.isArray(updated.penalties) ? updated.penalties : []
+        penalties: Array.isArray(updated.penalties) ? updated.penalties : [],
+        confidence: overallConfidence(aiAnalysis.indicatorConfidence)
       },
-      pillars: updated.pillarScores
+      pillars: updated.pillarScores,
+      indicatorSignals: aiAnalysis.indicatorSignals || {},
+      indicatorConfidence: aiAnalysis.indicatorConfidence || {},
+      indicatorEvidence: aiAnalysis.indicatorEvidence || {},
+      closeDecision: computeCloseDecision(updated)
     });
   };
 
-  const pillarsP = runAllPillarAgents(tPillars, makeOnStream('lubometer'))
+  const memoryContext = String(callContext?.memoryContext || '');
+  const stabilizer = callContext?.scoreStabilizer || null;
+
+  const pillarsP = runAllPillarAgents(tPillars, makeOnStream('lubometer'), memoryContext, language)
     .then((r) => {
       flushStreamGroup('lubometer', { done: true });
-      aiAnalysis.indicatorSignals = r?.indicatorSignals || {};
+      // Smooth this pass against earlier ones so a re-scored window doesn't swing the gauge
+      const stable = stabilizeIndicators(stabilizer, r?.indicatorSignals || {}, {
+        hasNewText: Boolean(newTextOnly && String(newTextOnly).trim())
+      });
+      if (stable.held.length) {
+        console.log(`[Stabilizer] Holding drops on indicators ${stable.held.join(', ')} until confirmed`);
+      }
+      aiAnalysis.rawIndicatorSignals = r?.indicatorSignals || {};
+      aiAnalysis.indicatorSignals = stable.indicatorSignals;
+      aiAnalysis.indicatorConfidence = stable.indicatorConfidence;
+      // Only the prospect's quotes that are really in the scored window count; offsets are into
+      // cleanedTranscript, scores are the smoothed ones the gauge shows
+      const rawEvidence = r?.indicatorEvidence || {};
+      const verified = verifyIndicatorEvidence(rawEvidence, tPillars, {
+        offsetBase: cleanedTranscript.length - tPillars.length,
+        indicatorSignals: aiAnalysis.indicatorSignals,
+        prospectLines: prospectTurns.map((t) => cleanTranscriptForAI(String(t?.text || '')))
+      });
+      const dropped = Object.keys(rawEvidence).length - Object.keys(verified).length;
+      if (dropped > 0) console.log(`[Evidence] Dropped ${dropped} indicator quote(s) not found in what the prospect said`);
+      aiAnalysis.indicatorEvidence = callContext?.indicatorEvidence
+        ? mergeIndicatorEvidence(callContext.indicatorEvidence, verified)
+        : verified;
       pillarsDone = true;
       
       // #region debug log - hypothesis B/E
@@ -410,7 +311,8 @@ export async function analyzeConversationProgressive(
       console.log('[DEBUG:H4] Pillars complete, about to emit Truth Index', JSON.stringify({indicatorSignalsCount:Object.keys(aiAnalysis.indicatorSignals||{}).length,tTruthLen:tTruth?.length||0}));
       // #endregion
       
-      lubometerBase = computeLubometer(aiAnalysis.indicatorSignals, pillarWeights);
+      lubometerBase = computeLubometer(aiAnalysis.indicatorSignals, pillarWeights, stabilizer?.lubometerLevel);
+      if (stabilizer) stabilizer.lubometerLevel = lubometerBase.level;
       emitLubometerIfPossible();
       emitTruthIndexIfPossible();
       
@@ -418,18 +320,25 @@ export async function analyzeConversationProgressive(
       aiAnalysis.emotionalLevers = computeEmotionalLevers(aiAnalysis.indicatorSignals, prospectType);
       emit({ emotionalLevers: aiAnalysis.emotionalLevers });
       console.log('[Engine] Emotional levers calculated from indicators (strategy:', prospectType, '):', aiAnalysis.emotionalLevers);
+
+      // Hot buttons: flagged indicators over threshold, with the tracker's closing prompt
+      aiAnalysis.hotButtons = describeHotButtons(evaluateHotButtons(aiAnalysis.indicatorSignals, {
+        prospectLines: prospectTurns.map((turn) => turn.text),
+        state: callContext?.hotButtonState || null
+      }));
+      emit({ hotButtons: aiAnalysis.hotButtons });
     })
     .catch((e) => {
       flushStreamGroup('lubometer', { done: true });
       agentErrors.pillars = String(e?.message || e || 'error');
     });
 
-  // Emotional levers are calculated from indicators (no separate hot buttons agent)
+  // Emotional levers and hot buttons are calculated from indicators (no separate hot buttons agent)
 
   // Objections: Only run if we have new text (skip if no new content)
   // Pass prospectType as strategy to objections system
   const objectionsP = tObjections
-    ? runObjectionsAgentsProgressive(tObjections, customScriptPrompt, prospectType, (p) => emit(p))
+    ? runObjectionsAgentsProgressive(tObjections, customScriptPrompt, prospectType, (p) => emit(p), language)
         .then((r) => {
           aiAnalysis.objections = Array.isArray(r?.objections) ? r.objections : [];
         })
@@ -438,7 +347,9 @@ export async function analyzeConversationProgressive(
         })
     : Promise.resolve();
 
-  const truthP = runTruthIndexAgent(tTruth, makeOnStream('truthIndex'))
+  const truthP = (tTruth
+    ? runTruthIndexAgent(tTruth, makeOnStream('truthIndex'), memoryContext, language)
+    : Promise.resolve({ detectedRules: [], coherenceSignals: [], overallCoherence: '' }))
     .then((r) => {
       flushStreamGroup('truthIndex', { done: true });
       aiAnalysis.detectedRules = Array.isArray(r?.detectedRules) ? r.detectedRules : [];
@@ -461,7 +372,7 @@ export async function analyzeConversationProgressive(
   // Truth Index agent now handles penalties for BOTH Truth Index and Lubometer
   // No separate Lubometer penalty agent needed
   
-  const insightsP = runInsightsAgent(tInsights, prospectType)
+  const insightsP = runInsightsAgent(tInsights, prospectType, language)
     .then((r) => {
       aiAnalysis.insights = r?.summary || r?.insights || '';
       aiAnalysis.keyMotivators = Array.isArray(r?.keyMotivators) ? r.keyMotivators : [];
@@ -487,11 +398,13 @@ export async function analyzeConversationProgressive(
   await Promise.allSettled([pillarsP, objectionsP, truthP, insightsP]);
 
   const result = await buildFinalResultFromAiAnalysis({
-    cleanedTranscript,
+    prospectTurns,
     prospectType,
     pillarWeights,
     aiAnalysis,
-    startTime
+    startTime,
+    lubometerLevel: stabilizer?.lubometerLevel || null,
+    language
   });
 
   return result;
@@ -556,8 +469,15 @@ export async function analyzeConversation(transcript, prospectTypeOverride = nul
     return getEmptyAnalysis();
   }
 
+  // One-shot analysis: no earlier passes to smooth against, so raw scores at neutral confidence
+  aiAnalysis.indicatorConfidence = stabilizeIndicators(null, aiAnalysis.indicatorSignals).indicatorConfidence;
+  const prospectTurns = prospectTurnsFromTranscript(transcript);
+  aiAnalysis.hotButtons = describeHotButtons(evaluateHotButtons(aiAnalysis.indicatorSignals || {}, {
+    prospectLines: prospectTurns.map((turn) => turn.text)
+  }));
+
   const result = await buildFinalResultFromAiAnalysis({
-    cleanedTranscript,
+    prospectTurns,
     prospectType,
     pillarWeights,
     aiAnalysis,
@@ -591,7 +511,7 @@ function toNum(v) {
   return Number.isFinite(n) ? n : 0;
 }
 
-function computePillarAverages(indicatorSignals) {
+export function computePillarAverages(indicatorSignals) {
   const ranges = {
     P1: [1, 4],
     P2: [5, 8],
@@ -617,7 +537,16 @@ function computePillarAverages(indicatorSignals) {
   return res;
 }
 
-function computeLubometer(indicatorSignals, pillarWeights) {
+// Level for a 0-100 percent; with a previous level, only leave it once clearly past the boundary
+function lubometerLevelFor(percent, previousLevel = null) {
+  const levelOf = (p) => (p >= 72 ? 'high' : p >= 50 ? 'medium' : 'low');
+  const plain = levelOf(percent);
+  if (!previousLevel || plain === previousLevel) return plain;
+  const rank = { low: 0, medium: 1, high: 2 };
+  return rank[plain] > rank[previousLevel] ? levelOf(percent - LEVEL_HYSTERESIS) : levelOf(percent + LEVEL_HYSTERESIS);
+}
+
+function computeLubometer(indicatorSignals, pillarWeights, previousLevel = null) {
   const pillarAvg = computePillarAverages(indicatorSignals);
   // Defaults should match the frontend's DEFAULT_SETTINGS (SettingsContext.tsx)
   const defaultWeights = { P1: 1.5, P2: 1.0, P3: 1.0, P4: 1.5, P5: 1.0, P6: 1.5, P7: 1.5 };
@@ -643,7 +572,7 @@ function computeLubometer(indicatorSignals, pillarWeights) {
   // Keep level thresholds equivalent to old 0..90 scale:
   // - High: >= 65/90 ≈ 72%
   // - Medium: >= 45/90 = 50%
-  const level = percent >= 72 ? 'high' : percent >= 50 ? 'medium' : 'low';
+  const level = lubometerLevelFor(percent, previousLevel);
   const interpretation =
     level === 'high'
       ? 'High readiness: prospect signals strong pain/urgency and openness.'
@@ -659,6 +588,21 @@ function computeLubometer(indicatorSignals, pillarWeights) {
   return { score, maxScore, level, interpretation, action, pillarScores: pillarAvg, weightsUsed };
 }
 
+/**
+ * Push/Delay verdict (C1-C7) for a penalized Lubometer result.
+ * Pillar averages are raw (P6 not reversed), which is what the CSV triggers expect.
+ */
+function computeCloseDecision(lubometer) {
+  if (!lubometer || typeof lubometer !== 'object') return null;
+  return evaluateCloseDecision({
+    score: lubometer.score,
+    scoreBeforePenalties: lubometer.totalBeforePenalties ?? lubometer.score,
+    maxScore: lubometer.maxScore || 90,
+    pillarAverages: lubometer.pillarScores || {},
+    truthPenalties: Array.isArray(lubometer.penalties) ? lubometer.penalties : []
+  });
+}
+
 /**
  * Calculate strategy-specific emotional levers from the 27 indicators.
  * Each strategy has 5 unique hot buttons with custom formulas.
@@ -751,169 +695,30 @@ function avgRange(indicatorSignals, a, b) {
   return cnt ? sum / cnt : 0;
 }
 
-function computeTruthIndexDeterministic(indicatorSignals, transcript) {
-  // #region truthindex log H1 H2 H3 H5
-  console.log('[DEBUG:H1_H2_H3_H5] Truth Index calc started', JSON.stringify({transcriptLen:transcript?.length||0,transcriptPreview:String(transcript||'').slice(-200),indicatorSignalsCount:Object.keys(indicatorSignals||{}).length,sampleIndicators:{i1:indicatorSignals?.['1'],i2:indicatorSignals?.['2'],i17:indicatorSignals?.['17'],i18:indicatorSignals?.['18'],i21:indicatorSignals?.['21']}}));
-  // #endregion
+// Prospect turns from a labeled transcript (PROSPECT: lines), for callers without per-turn speakers
+function prospectTurnsFromTranscript(transcript) {
+  return prospectLinesFromTranscript(transcript).map((text) => ({ text, ts: null, t: null }));
+}
 
-  const t = String(transcript || '').toLowerCase();
-
-  const painAvg = avgRange(indicatorSignals, 1, 4);
-  const desireAvg = (() => {
-    const d2 = toNum(indicatorSignals?.['2']);
-    const d3 = toNum(indicatorSignals?.['3']);
-    const vals = [d2, d3].filter((n) => n > 0);
-    if (!vals.length) return 0;
-    return vals.reduce((a, b) => a + b, 0) / vals.length;
-  })();
-  const urgencyAvg = avgRange(indicatorSignals, 5, 8);
-  const decisivenessAvg = avgRange(indicatorSignals, 9, 12);
-  const moneyAvg = avgRange(indicatorSignals, 13, 16);
-  const responsibilityAvg = avgRange(indicatorSignals, 17, 20);
-  const priceSensitivityRaw = avgRange(indicatorSignals, 21, 23);
-
-  // #region truthindex log H1
-  console.log('[DEBUG:H1] Pillar averages computed', JSON.stringify({painAvg,desireAvg,urgencyAvg,decisivenessAvg,moneyAvg,responsibilityAvg,priceSensitivityRaw,transcriptContains:{confused:t.includes('confused'),expensive:t.includes('expensive'),absolutely:t.includes('absolutely')}}));
-  // #endregion
+function computeTruthIndexDeterministic(indicatorSignals, prospectTurns, language = null) {
+  const pillarAverages = computePillarAverages(indicatorSignals);
+  const { P1: painAvg, P2: urgencyAvg, P3: decisivenessAvg, P5: responsibilityAvg } = pillarAverages;
+  const desireAvg = avgRange(indicatorSignals, 2, 3);
 
   const debug = String(process?.env?.DEBUG_TRUTH_INDEX || '') === '1';
   if (debug) {
     console.log(
-      `[TruthIndexDeterministic] PILLAR AVERAGES: pain=${painAvg.toFixed(1)}, desire=${desireAvg.toFixed(1)}, urgency=${urgencyAvg.toFixed(1)}, decisiveness=${decisivenessAvg.toFixed(1)}, money=${moneyAvg.toFixed(1)}, responsibility=${responsibilityAvg.toFixed(1)}, priceSensitivity=${priceSensitivityRaw.toFixed(1)}`
+      `[TruthIndexDeterministic] PILLAR AVERAGES: ${Object.entries(pillarAverages).map(([pid, v]) => `${pid}=${v.toFixed(1)}`).join(', ')}`
     );
   }
 
-  const penalties = [];
-
-  // T1: High Pain + Low Urgency (per CSV: -15 points)
-  if (painAvg >= 7 && urgencyAvg > 0 && urgencyAvg <= 4) {
-    penalties.push({
-      rule: 'T1 High Pain + Low Urgency',
-      description: 'Claims deep pain but no urgency to act',
-      penalty: 15,
-      details: `painAvg=${painAvg.toFixed(1)}, urgencyAvg=${urgencyAvg.toFixed(1)}`
-    });
-  }
-
-  // T2: High Desire + Low Decisiveness (per CSV: -15 points)
-  if (desireAvg >= 7 && decisivenessAvg > 0 && decisivenessAvg <= 4) {
-    penalties.push({
-      rule: 'T2 High Desire + Low Decisiveness',
-      description: 'Wants change but avoids decision',
-      penalty: 15,
-      details: `desireAvg=${desireAvg.toFixed(1)}, decisivenessAvg=${decisivenessAvg.toFixed(1)}`
-    });
-  }
-
-  // T3: High Money + High Price Sensitivity (per CSV: -10 points)
-  if (moneyAvg >= 7 && priceSensitivityRaw >= 8) {
-    penalties.push({
-      rule: 'T3 High Money + High Price Sensitivity',
-      description: 'Can afford it, but still resists price',
-      penalty: 10,
-      details: `moneyAvg=${moneyAvg.toFixed(1)}, priceSensitivityRaw=${priceSensitivityRaw.toFixed(1)}`
-    });
-  }
-
-  // T4: Claims Authority + Reveals Need for Approval (per CSV: -10 points)
-  const authority = toNum(indicatorSignals?.['9']);
-  const needsApproval =
-    t.includes('ask my wife') ||
-    t.includes('ask my husband') ||
-    t.includes('ask my partner') ||
-    t.includes('check with my wife') ||
-    t.includes('check with my husband') ||
-    t.includes('check with my partner') ||
-    t.includes('talk to my wife') ||
-    t.includes('talk to my husband') ||
-    t.includes('talk to my partner') ||
-    t.includes('need to ask') ||
-    t.includes('need to check') ||
-    t.includes('need to talk to');
-
-  if (authority >= 7 && needsApproval) {
-    penalties.push({
-      rule: 'T4 Claims Authority + Needs Approval',
-      description: 'Self-contradiction in who owns the decision',
-      penalty: 10,
-      details: `authority=${authority}, approvalCue=true`
-    });
-  }
-
-  // T5: High Desire + Low Responsibility (per CSV: -15 points)
-  if (desireAvg >= 7 && responsibilityAvg > 0 && responsibilityAvg <= 5) {
-    penalties.push({
-      rule: 'T5 High Desire + Low Responsibility',
-      description: 'Craves result, but doesn\'t own the change',
-      penalty: 15,
-      details: `desireAvg=${desireAvg.toFixed(1)}, responsibilityAvg=${responsibilityAvg.toFixed(1)}`
-    });
-  }
-
-  // T6: Direct text contradictions - Money/Affordability/Payments (not in CSV, but catches text patterns)
-  const haveMoney = ['do have the money', 'do have money', 'have the money', 'can afford', 'have paid', 'not behind', 'paid all'];
-  const noMoney = ["don't have the money", "don't have money", "can't afford", 'no money', 'behind on', 'behind with', 'missed payment', 'cannot pay'];
-  const haveCount = haveMoney.filter(phrase => t.includes(phrase)).length;
-  const noCount = noMoney.filter(phrase => t.includes(phrase)).length;
-  
-  if (haveCount > 0 && noCount > 0) {
-    penalties.push({
-      rule: 'T6 Money/Payment Contradiction (text-based)',
-      description: 'Says they have money/paid AND don\'t have money/behind on payments in same conversation.',
-      penalty: 20,
-      details: `${haveCount} positive + ${noCount} negative statements`
-    });
-  }
-  
-  // T6b: Explicit lying admission (not in CSV, catches explicit dishonesty)
-  const lyingPhrases = ['lying', 'i lied', 'was lying', 'not true', 'made that up', 'not being honest', 'being dishonest'];
-  const lyingCount = lyingPhrases.filter(phrase => t.includes(phrase)).length;
-  if (lyingCount > 0) {
-    penalties.push({
-      rule: 'T6b Admitted Lying (text-based)',
-      description: 'Explicitly admits to lying or making things up.',
-      penalty: 30,
-      details: `${lyingCount} dishonesty admission(s)`
-    });
-  }
-
-  // T7: Direct text contradictions - Clarity/Confusion (not in CSV)
-  const clearPhrases = ['very clear', 'absolutely', 'definitely', 'for sure', 'certain', '100%', 'no doubt'];
-  const confusedPhrases = ['confused', 'not sure', 'uncertain', "don't know", 'unclear', 'maybe'];
-  const clearCount = clearPhrases.filter(phrase => t.includes(phrase)).length;
-  const confusedCount = confusedPhrases.filter(phrase => t.includes(phrase)).length;
-  
-  if (clearCount > 0 && confusedCount > 0) {
-    penalties.push({
-      rule: 'T7 Clarity Contradiction (text-based)',
-      description: 'Says they\'re clear/certain AND confused/uncertain in same conversation.',
-      penalty: 12,
-      details: `${clearCount} clarity + ${confusedCount} confusion statements`
-    });
-  }
-
-  // T8: Direct text contradictions - Interest/Readiness (not in CSV)
-  const readyPhrases = ['ready to', 'want to move forward', "let's do it", 'sign up', "i'm in", 'sounds good'];
-  const notReadyPhrases = ['need time', 'need to think', 'not ready', 'maybe later', 'not now', 'hold off'];
-  const readyCount = readyPhrases.filter(phrase => t.includes(phrase)).length;
-  const notReadyCount = notReadyPhrases.filter(phrase => t.includes(phrase)).length;
-  
-  if (readyCount > 0 && notReadyCount > 0) {
-    penalties.push({
-      rule: 'T8 Readiness Contradiction (text-based)',
-      description: 'Says they\'re ready AND not ready in same conversation.',
-      penalty: 12,
-      details: `${readyCount} ready + ${notReadyCount} not-ready statements`
-    });
-  }
+  // T1-T5 from the CSV plus the supplementary rules file (analysis/truthIndexRules.js);
+  // phrase rules also match the call language's phrase pack
+  const penalties = evaluateTruthRules({ indicatorSignals, pillarAverages, prospectTurns, language: language?.call });
 
   const totalPenalty = penalties.reduce((s, p) => s + toNum(p.penalty), 0);
   const score = clamp(100 - totalPenalty, 0, 100);
 
-  // #region truthindex log H1
-  console.log('[DEBUG:H1] Truth Index score calculated', JSON.stringify({penalties:penalties.map(p=>({rule:p.rule,penalty:p.penalty})),totalPenalty,score}));
-  // #endregion
-
   if (debug) {
     console.log(
       `[TruthIndexDeterministic] PENALTIES: ${penalties.map((p) => `${p.rule}(-${p.penalty})`).join(', ') || 'NONE'}, FINAL SCORE: ${score}`
@@ -940,29 +745,29 @@ function computeTruthIndexDeterministic(indicatorSignals, transcript) {
   };
 }
 
-function computeTruthIndex(aiAnalysis, indicatorSignals, transcript) {
-  // Start with deterministic calculation (pillar-based T1-T5, per CSV)
-  const deterministic = computeTruthIndexDeterministic(indicatorSignals, transcript);
+function computeTruthIndex(aiAnalysis, indicatorSignals, prospectTurns, language = null) {
+  // Start with deterministic calculation (CSV rules + rules file; phrases from prospect turns only)
+  const deterministic = computeTruthIndexDeterministic(indicatorSignals, prospectTurns, language);
   
-  // If AI agent detected additional T1-T5 contradictions, apply those penalties too
-  // AI penalties MUST match CSV spec: T1=-15, T2=-15, T3=-10, T4=-10, T5=-15
+  // If AI agent detected additional contradictions, apply those penalties too
+  // AI penalties use the rule's own penalty (CSV / rules file), no scaling
   if (aiAnalysis.truthIndexFromAgent && Array.isArray(aiAnalysis.detectedRules) && aiAnalysis.detectedRules.length > 0) {
-    const penaltyMap = { T1: 15, T2: 15, T3: 10, T4: 10, T5: 15 }; // Per CSV spec
     const aiPenalties = [];
     
     for (const rule of aiAnalysis.detectedRules) {
-      const basePenalty = penaltyMap[rule.ruleId] || 0;
+      const def = getTruthRule(rule.ruleId);
       const confidence = Number(rule.confidence) || 0;
       
       // Only apply if confidence >= 0.7 (high confidence required)
-      if (basePenalty > 0 && confidence >= 0.7) {
+      if (def && confidence >= 0.7) {
         // Check if deterministic already caught this (avoid double-penalizing same rule)
-        const alreadyDetected = deterministic.penalties.some(p => p.rule.startsWith(rule.ruleId));
+        const alreadyDetected = deterministic.penalties.some(p => p.ruleId === def.id);
         if (!alreadyDetected) {
           aiPenalties.push({
-            rule: `${rule.ruleId} (AI-detected)`,
+            ruleId: def.id,
+            rule: `${def.id} (AI-detected)`,
             description: String(rule.evidence || 'AI-detected contradiction').slice(0, 200),
-            penalty: basePenalty, // Use exact CSV penalty, no scaling
+            penalty: def.penalty,
             confidence
           });
         }
@@ -995,26 +800,93 @@ function normalizeDiagnosticQuestions(aiAnalysis) {
   return { asked: [], total: 0, completion: 0 };
 }
 
-async function buildFinalResultFromAiAnalysis({ cleanedTranscript, prospectType, pillarWeights, aiAnalysis, startTime }) {
+// Shared by the progressive Lubometer emit and the final result.
+// Only rules marked `lubometer` (the CSV rows T1-T5 by default) are deducted here.
+function applyTruthIndexPenaltiesToLubometer({
+  lubometer,
+  indicatorSignals,
+  prospectTurns,
+  aiRules,
+  language = null
+}) {
+  if (!lubometer || typeof lubometer !== 'object') return lubometer;
+
+  const penalties = [];
+
+  // Deterministic penalties: same rule evaluation as the Truth Index
+  const fired = evaluateTruthRules({
+    indicatorSignals: indicatorSignals || {},
+    pillarAverages: lubometer.pillarScores || computePillarAverages(indicatorSignals || {}),
+    prospectTurns: prospectTurns || [],
+    language: language?.call
+  });
+  for (const p of fired) {
+    if (!p.lubometer) continue;
+    penalties.push({
+      ruleId: p.ruleId,
+      rule: p.rule,
+      description: p.description,
+      penalty: p.penalty,
+      source: 'deterministic',
+      evidence: p.details,
+      statements: p.statements
+    });
+  }
+
+  // AI penalties (from the Truth Index agent): allow if confidence >= 0.7
+  const aiDetected = Array.isArray(aiRules) ? aiRules : [];
+  for (const r of aiDetected) {
+    const def = getTruthRule(r?.ruleId);
+    const conf = Number(r?.confidence || 0);
+    if (!def?.lubometer) continue;
+    if (conf < 0.7) continue;
+    penalties.push({
+      ruleId: def.id,
+      rule: `${def.id} (AI-detected)`,
+      description: 'Detected from conversation language',
+      penalty: def.penalty,
+      source: 'ai',
+      evidence: String(r?.evidence || '').slice(0, 240),
+      confidence: conf
+    });
+  }
+
+  const totalPenalty = penalties.reduce((sum, p) => sum + (Number(p?.penalty) || 0), 0);
+  const rawScore = Number(lubometer.score || 0);
+  const newScore = clamp(rawScore - totalPenalty, 0, Number(lubometer.maxScore || 9999));
+
+  return {
+    ...lubometer,
+    totalBeforePenalties: rawScore,
+    score: Math.round(newScore),
+    penalties
+  };
+}
+
+async function buildFinalResultFromAiAnalysis({ prospectTurns = [], prospectType, pillarWeights, aiAnalysis, startTime, lubometerLevel = null, language = null }) {
   // Log agent results summary
   console.log(`[Engine] Agent Results Summary:`);
   console.log(`  - Pillars: ${Object.keys(aiAnalysis.indicatorSignals || {}).length} indicators scored`);
   console.log(`  - Emotional Levers: ${Object.keys(aiAnalysis.emotionalLevers || {}).length} detected`);
+  console.log(`  - Hot Buttons: ${(aiAnalysis.hotButtons || []).length} fired`);
   console.log(`  - Objections: ${(aiAnalysis.objections || []).length} detected`);
   console.log(`  - Diagnostic Questions: ${(aiAnalysis.askedQuestions || []).length} asked`);
   console.log(`  - Truth Index: ${aiAnalysis.overallCoherence || 'unknown'} coherence`);
   console.log(`  - Insights: ${aiAnalysis.closingReadiness || 'unknown'} readiness`);
 
   const indicatorSignals = aiAnalysis.indicatorSignals || {};
-  const lubometerRaw = computeLubometer(indicatorSignals, pillarWeights);
-  const lubometer = applyTruthIndexCsvPenaltiesToLubometer({
+  const lubometerRaw = computeLubometer(indicatorSignals, pillarWeights, lubometerLevel);
+  const lubometer = applyTruthIndexPenaltiesToLubometer({
     lubometer: lubometerRaw,
     indicatorSignals,
-    transcript: cleanedTranscript,
-    aiRules: aiAnalysis.lubometerPenaltyRules || []
+    prospectTurns,
+    aiRules: aiAnalysis.lubometerPenaltyRules || [],
+    language
   });
-  const truthIndex = computeTruthIndex(aiAnalysis, indicatorSignals, cleanedTranscript);
+  const truthIndex = computeTruthIndex(aiAnalysis, indicatorSignals, prospectTurns, language);
+  const closeDecision = computeCloseDecision(lubometer);
   const emotionalLevers = aiAnalysis.emotionalLevers || {};
+  const hotButtons = Array.isArray(aiAnalysis.hotButtons) ? aiAnalysis.hotButtons : [];
   const objections = Array.isArray(aiAnalysis.objections) ? aiAnalysis.objections : [];
   const diagnosticQuestions = normalizeDiagnosticQuestions(aiAnalysis);
 
@@ -1031,7 +903,8 @@ async function buildFinalResultFromAiAnalysis({ cleanedTranscript, prospectType,
       weightsUsed: lubometer.weightsUsed,
       weightedScores: {},
       totalBeforePenalties: lubometer.totalBeforePenalties ?? lubometer.score,
-      penalties: Array.isArray(lubometer.penalties) ? lubometer.penalties : []
+      penalties: Array.isArray(lubometer.penalties) ? lubometer.penalties : [],
+      confidence: overallConfidence(aiAnalysis.indicatorConfidence)
     },
     truthIndex: {
       score: truthIndex.score,
@@ -1040,7 +913,15 @@ async function buildFinalResultFromAiAnalysis({ cleanedTranscript, prospectType,
       penalties: truthIndex.penalties
     },
     pillars: lubometer.pillarScores,
+    // Raw 1-10 scores for all 27 indicators (the backend keeps these as a per-call time series)
+    indicatorSignals: { ...indicatorSignals },
+    // 0-1 per indicator: how often it was scored and how well the passes agree
+    indicatorConfidence: aiAnalysis.indicatorConfidence || {},
+    // { [id]: { quote, offset, score, at } } - verbatim quote behind each score
+    indicatorEvidence: aiAnalysis.indicatorEvidence || {},
+    closeDecision,
     emotionalLevers,
+    hotButtons,
     objections: Array.isArray(objections) ? objections : [],
     dials: extractDials(),
     diagnosticQuestions,
@@ -1148,7 +1029,12 @@ function getEmptyAnalysis() {
       penalties: []
     },
     pillars: {},
+    indicatorSignals: {},
+    indicatorConfidence: {},
+    indicatorEvidence: {},
+    closeDecision: null,
     emotionalLevers: {},
+    hotButtons: [],
     objections: [],
     dials: {
       urgency: '',
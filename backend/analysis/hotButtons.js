@@ -0,0 +1,135 @@
+/**
+ * Hot Buttons ("Hot Buttons Tracker.csv")
+ *
+ * The tracker flags which of the 27 indicators are hot buttons and gives each a Smart Closing
+ * Prompt plus example prospect language. A hot button fires when its indicator score crosses
+ * HOT_BUTTON_THRESHOLD; the prospect line that best matches the example language at that
+ * moment is kept as the triggering quote. Which prompts the closer already used is tracked
+ * per call in a state object owned by the connection (see index.js).
+ */
+
+import { loadSheetTable, stripCellQuotes, contentWords } from './csvData.js';
+
+// Indicator score (1-10) at which a flagged indicator fires
+const HOT_BUTTON_THRESHOLD = Number(process.env.HOT_BUTTON_THRESHOLD || 7);
+// Only the most recent prospect lines are candidates for the triggering quote
+const QUOTE_CANDIDATE_LINES = 12;
+const MAX_QUOTE_CHARS = 220;
+
+let cachedTracker = null;
+
+/**
+ * @returns {Record<number, {id: number, name: string, isHotButton: boolean, prompt: string, exampleLanguage: string}>}
+ */
+export function loadHotButtonTracker() {
+  if (cachedTracker) return cachedTracker;
+  const out = {};
+  try {
+    const table = loadSheetTable('Hot Buttons Tracker', ['#', 'Pillar & Indicator']);
+    if (table) {
+      const { header, rows } = table;
+      const col = (name) => header.findIndex((h) => h === name || h.endsWith(name));
+      for (const r of rows) {
+        const id = Number(String(r[col('#')] || '').trim());
+        const name = String(r[col('Pillar & Indicator')] || '').trim();
+        if (!Number.isFinite(id) || id < 1 || id > 27 || !name) continue;
+        out[id] = {
+          id,
+          name,
+          isHotButton: String(r[col('Hot Button')] || '').trim() !== '',
+          prompt: stripCellQuotes(r[col('Smart Closing Prompt')]),
+          exampleLanguage: stripCellQuotes(r[col('Example Prospect Language')])
+        };
+      }
+    }
+  } catch (e) {
+    console.warn('[HotButtons] Failed to load tracker CSV:', e?.message || e);
+  }
+  cachedTracker = out;
+  return out;
+}
+
+/**
+ * Fresh per-call state: fired buttons (id -> {quote, firedAt}) and ids the closer marked as used.
+ */
+export function createHotButtonState() {
+  return { fired: {}, usedIds: [] };
+}
+
+/**
+ * PROSPECT lines from a labeled transcript ("CLOSER: ...\n\nPROSPECT: ..."), oldest first.
+ */
+export function prospectLinesFromTranscript(transcript) {
+  return String(transcript || '')
+    .split(/\n+/)
+    .map((line) => line.match(/^\s*PROSPECT:\s*(.+)$/i)?.[1]?.trim() || '')
+    .filter(Boolean);
+}
+
+// Best-overlapping recent prospect line, the latest winning ties; '' when no line shares a word
+// with the button, rather than an unrelated line
+function pickTriggerQuote(row, prospectLines) {
+  const candidates = prospectLines.slice(-QUOTE_CANDIDATE_LINES);
+  const target = new Set(contentWords(`${row.exampleLanguage} ${row.name}`));
+  let best = '';
+  let bestScore = 0;
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const said = contentWords(candidates[i]);
+    const score = said.filter((w) => target.has(w)).length;
+    if (score > bestScore) {
+      bestScore = score;
+      best = candidates[i];
+    }
+  }
+  if (bestScore === 0) return '';
+  return best.length > MAX_QUOTE_CHARS ? `${best.slice(0, MAX_QUOTE_CHARS - 1)}…` : best;
+}
+
+/**
+ * Hot buttons currently at or above threshold, unused first then by score.
+ * Mutates state.fired: a button keeps its original quote while it stays above threshold
+ * and fires again (with a new quote) if it drops below and crosses back.
+ *
+ * @param {Record<string, number>} indicatorSignals
+ * @param {{prospectLines?: string[], state?: {fired: object, usedIds: number[]}}} opts
+ * @returns {Array<{id: number, name: string, score: number, prompt: string, exampleLanguage: string, quote: string, firedAt: string, used: boolean}>}
+ */
+export function evaluateHotButtons(indicatorSignals, { prospectLines = [], state = null } = {}) {
+  const st = state || createHotButtonState();
+  const used = new Set((st.usedIds || []).map(Number));
+  const out = [];
+
+  for (const row of Object.values(loadHotButtonTracker())) {
+    if (!row.isHotButton) continue;
+    const score = Number(indicatorSignals?.[String(row.id)]);
+    if (!Number.isFinite(score) || score < HOT_BUTTON_THRESHOLD) {
+      delete st.fired[row.id];
+      continue;
+    }
+    if (!st.fired[row.id]) {
+      st.fired[row.id] = { quote: pickTriggerQuote(row, prospectLines), firedAt: new Date().toISOString() };
+    }
+    out.push({
+      id: row.id,
+      name: row.name,
+      score,
+      prompt: row.prompt,
+      exampleLanguage: row.exampleLanguage,
+      quote: st.fired[row.id].quote,
+      firedAt: st.fired[row.id].firedAt,
+      used: used.has(row.id)
+    });
+  }
+
+  return out.sort((a, b) => Number(a.used) - Number(b.used) || b.score - a.score);
+}
+
+/**
+ * Apply the closer's used list to an already-built hot button array (e.g. the cached last frame).
+ */
+export function markUsedHotButtons(hotButtons, usedIds) {
+  const used = new Set((usedIds || []).map(Number));
+  return (Array.isArray(hotButtons) ? hotButtons : [])
+    .map((hb) => ({ ...hb, used: used.has(Number(hb.id)) }))
+    .sort((a, b) => Number(a.used) - Number(b.used) || b.score - a.score);
+}
@@ -0,0 +1,124 @@
+/**
+ * Indicator evidence - the quote behind each pillar indicator score.
+ *
+ * Pillar agents return {quote, offset} per indicator next to the score. Like the objection
+ * filter in runObjectionDetectionAgent, a quote only counts if it is actually in the transcript
+ * window the agent scored (compared without case/punctuation); paraphrases are dropped. The
+ * agent's offset is only a hint - the stored offset is where the quote really is, counted from
+ * the start of the analyzed transcript. With `prospectLines` the quote must sit inside what the
+ * prospect said: the live window is the unlabeled plain transcript, so the prospect's turns are
+ * located in it by their text rather than by PROSPECT: labels.
+ */
+
+const MIN_QUOTE_WORDS = 2;
+const MAX_QUOTE_CHARS = 200;
+
+/**
+ * Lowercase, punctuation-free copy of `text` plus, for each kept char, its index in `text`.
+ */
+function normalizeWithIndex(text) {
+  let out = '';
+  const index = [];
+  let pendingSpace = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i].toLowerCase();
+    if (/[\p{L}\p{N}]/u.test(ch)) {
+      if (pendingSpace && out) {
+        out += ' ';
+        index.push(i);
+      }
+      pendingSpace = false;
+      out += ch;
+      index.push(i);
+    } else {
+      pendingSpace = true;
+    }
+  }
+  return { text: out, index };
+}
+
+function normalizeQuote(s) {
+  return normalizeWithIndex(String(s || '')).text;
+}
+
+// [start, end) in the normalized window of each run of prospect turns. Turns are matched on
+// whole words from the end of the window back (the oldest ones may have scrolled out of it);
+// consecutive turns merge so a quote can span two transcript chunks.
+function prospectRanges(normText, lines) {
+  const ranges = [];
+  let cursor = normText.length;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const t = normalizeQuote(lines[i]);
+    if (!t || t.length > cursor) continue;
+    let at = normText.lastIndexOf(t, cursor - t.length);
+    while (at !== -1 && !isWordSpan(normText, at, at + t.length)) {
+      at = at > 0 ? normText.lastIndexOf(t, at - 1) : -1;
+    }
+    if (at === -1) continue;
+    const next = ranges[0];
+    if (next && next.start <= at + t.length + 1) next.start = at;
+    else ranges.unshift({ start: at, end: at + t.length });
+    cursor = at;
+  }
+  return ranges;
+}
+
+function isWordSpan(text, start, end) {
+  return (start === 0 || text[start - 1] === ' ') && (end === text.length || text[end] === ' ');
+}
+
+/**
+ * @param {Record<string, {quote?: string, offset?: number}|string>} rawEvidence - from runAllPillarAgents
+ * @param {string} window - transcript window the pillar agents scored
+ * @param {{ offsetBase?: number, indicatorSignals?: Record<string, number>, prospectLines?: string[] }} opts
+ *   offsetBase = where the window starts in the analyzed transcript; scores are stored alongside
+ *   (pass the displayed, stabilized ones); prospectLines = the prospect's turns, oldest first,
+ *   cleaned like the window - only quotes inside them are accepted
+ * @returns {Record<string, {quote: string, offset: number, score: number|null}>} verified evidence only
+ */
+export function verifyIndicatorEvidence(rawEvidence, window, { offsetBase = 0, indicatorSignals = {}, prospectLines = null } = {}) {
+  const out = {};
+  const source = String(window || '');
+  if (!source || !rawEvidence || typeof rawEvidence !== 'object') return out;
+  const norm = normalizeWithIndex(source);
+  const ranges = Array.isArray(prospectLines) ? prospectRanges(norm.text, prospectLines) : null;
+  const allowed = (start, end) => !ranges || ranges.some((r) => start >= r.start && end <= r.end);
+
+  for (const [id, ev] of Object.entries(rawEvidence)) {
+    const quote = typeof ev === 'string' ? ev : ev?.quote;
+    const q = normalizeQuote(quote);
+    if (!q || q.split(' ').length < MIN_QUOTE_WORDS) continue;
+
+    // Every place the quote occurs; pick the one nearest the agent's offset hint
+    const hint = Number.isFinite(Number(ev?.offset)) ? Number(ev.offset) : null;
+    let best = -1;
+    for (let at = norm.text.indexOf(q); at !== -1; at = norm.text.indexOf(q, at + 1)) {
+      if (!allowed(at, at + q.length)) continue;
+      if (best === -1 || (hint !== null && Math.abs(norm.index[at] - hint) < Math.abs(norm.index[best] - hint))) best = at;
+      if (hint === null) break;
+    }
+    if (best === -1) continue;
+
+    const start = norm.index[best];
+    const end = norm.index[best + q.length - 1] + 1;
+    const score = Number(indicatorSignals?.[id]);
+    out[id] = {
+      quote: source.slice(start, end).slice(0, MAX_QUOTE_CHARS),
+      offset: offsetBase + start,
+      score: Number.isFinite(score) ? score : null
+    };
+  }
+  return out;
+}
+
+/**
+ * Keep the latest verified quote per indicator across passes (a pass that cites nothing for an
+ * indicator leaves its earlier quote in place). Mutates and returns `store`.
+ */
+export function mergeIndicatorEvidence(store, verified, { at = new Date().toISOString() } = {}) {
+  const target = store || {};
+  for (const [id, ev] of Object.entries(verified || {})) {
+    target[id] = { ...ev, at };
+  }
+  return target;
+}
@@ -0,0 +1,80 @@
+/**
+ * Call languages - what a call is spoken in and what the closer reads.
+ *
+ * A session has two settings (start_listening config.language / config.displayLanguage):
+ *   call    'en' | 'es' | 'auto'   language the prospect and closer speak. Goes to the STT
+ *                                  provider (auto = let it detect) and tells the agents how to
+ *                                  read the transcript; 'auto' is narrowed once the transcript
+ *                                  shows which language it is (detectLanguage).
+ *   display 'en' | 'es'            language of text written for the closer (whispers, rebuttals,
+ *                                  fears, insights, summaries).
+ * Quotes (objection text, evidence) always stay in the words that were said.
+ *
+ * DEFAULT_CALL_LANGUAGE / DEFAULT_DISPLAY_LANGUAGE set the defaults (both en).
+ */
+
+export const LANGUAGE_NAMES = { en: 'English', es: 'Spanish' };
+export const CALL_LANGUAGES = [...Object.keys(LANGUAGE_NAMES), 'auto'];
+
+export function normalizeCallLanguage(value, fallback = process.env.DEFAULT_CALL_LANGUAGE || 'en') {
+  const v = String(value || '').trim().toLowerCase().slice(0, 4);
+  if (CALL_LANGUAGES.includes(v)) return v;
+  const f = String(fallback || '').trim().toLowerCase();
+  return CALL_LANGUAGES.includes(f) ? f : 'en';
+}
+
+export function normalizeDisplayLanguage(value, fallback = process.env.DEFAULT_DISPLAY_LANGUAGE || 'en') {
+  const v = String(value || '').trim().toLowerCase().slice(0, 2);
+  if (LANGUAGE_NAMES[v]) return v;
+  const f = String(fallback || '').trim().toLowerCase();
+  return LANGUAGE_NAMES[f] ? f : 'en';
+}
+
+// Short function words that rarely appear in the other language
+const MARKER_WORDS = {
+  en: new Set(['the', 'and', 'is', 'you', 'to', 'of', 'it', 'that', 'we', 'i', 'my', 'have', 'what', 'this', 'are', 'for', 'with', 'but', 'was', 'just']),
+  es: new Set(['que', 'de', 'la', 'el', 'es', 'y', 'los', 'las', 'por', 'con', 'para', 'una', 'pero', 'está', 'lo', 'mi', 'qué', 'sí', 'muy', 'tengo'])
+};
+const MIN_MARKERS = 8;
+
+/**
+ * Language a stretch of transcript is in, or null while there isn't enough to tell.
+ */
+export function detectLanguage(text) {
+  const counts = Object.fromEntries(Object.keys(MARKER_WORDS).map((lang) => [lang, 0]));
+  for (const word of String(text || '').toLowerCase().match(/[\p{L}']+/gu) || []) {
+    for (const [lang, markers] of Object.entries(MARKER_WORDS)) {
+      if (markers.has(word)) counts[lang] += 1;
+    }
+  }
+  const [best, second] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (best[1] < MIN_MARKERS || best[1] < second[1] * 2) return null;
+  return best[0];
+}
+
+/**
+ * Prompt preamble for an agent. `reads`: it reads the call transcript; `writes`: it writes text the
+ * closer reads. Empty for an English call shown in English, so those prompts are unchanged.
+ *
+ * @param {{call?: string, display?: string}|null} language
+ */
+export function languagePrompt(language, { reads = true, writes = false } = {}) {
+  const call = language?.call || 'en';
+  const display = language?.display || 'en';
+  const lines = [];
+  if (reads && call === 'auto') {
+    lines.push(
+      'LANGUAGE: The conversation may be in English or Spanish (or switch between them). Apply the word lists below to their equivalents in the language spoken. Copy any quote exactly as said - never translate quotes.'
+    );
+  } else if (reads && call !== 'en') {
+    lines.push(
+      `LANGUAGE: The conversation is in ${LANGUAGE_NAMES[call] || call}. Apply the word lists below to their ${LANGUAGE_NAMES[call] || call} equivalents. Copy any quote exactly as said, in ${LANGUAGE_NAMES[call] || call} - never translate quotes.`
+    );
+  }
+  if (writes && display !== 'en') {
+    lines.push(
+      `OUTPUT LANGUAGE: Write every text you return for the closer in ${LANGUAGE_NAMES[display] || display}, keeping JSON keys and fixed values (ids, enums) in English.`
+    );
+  }
+  return lines.length ? `${lines.join('\n')}\n\n` : '';
+}
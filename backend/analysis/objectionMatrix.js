@@ -0,0 +1,105 @@
+/**
+ * Objection Matrix ("Indicators and Objection Matrix.csv")
+ *
+ * One row per indicator (1-27): an example objection and four scripted response styles.
+ * The rebuttal agent maps each detected objection to an indicator; the matching row's
+ * responses are returned with the objection so the closer can use the playbook wording.
+ */
+
+import { loadSheetTable, stripCellQuotes, contentWords } from './csvData.js';
+
+// Column in the sheet -> stable key used in analysis payloads and user settings
+export const REBUTTAL_STYLES = [
+  { key: 'pearl', column: 'PEARL Prompt', label: 'PEARL Prompt' },
+  { key: 'david', column: 'David (Self-led Insight)', label: 'David (Self-led Insight)' },
+  { key: 'calvin', column: 'Calvin (Pattern Interrupt)', label: 'Calvin (Pattern Interrupt)' },
+  { key: 'carone', column: 'Carone (Direct Challenge)', label: 'Carone (Direct Challenge)' }
+];
+
+// Local fallback needs at least this share of the example objection's words
+const FALLBACK_MATCH_THRESHOLD = 0.5;
+
+let cachedMatrix = null;
+
+/**
+ * @returns {Record<number, {id: number, name: string, exampleObjection: string, responses: Record<string, string>}>}
+ */
+export function loadObjectionMatrix() {
+  if (cachedMatrix) return cachedMatrix;
+  const out = {};
+  try {
+    const table = loadSheetTable('Indicators and Objection Matrix', ['ID', 'Pillar & Indicator']);
+    if (table) {
+      const { header, rows } = table;
+      const col = (name) => header.indexOf(name);
+      for (const r of rows) {
+        const id = Number(String(r[col('ID')] || '').trim());
+        const name = String(r[col('Pillar & Indicator')] || '').trim();
+        if (!Number.isFinite(id) || id < 1 || id > 27 || !name) continue;
+        const responses = {};
+        for (const style of REBUTTAL_STYLES) {
+          const idx = col(style.column);
+          responses[style.key] = idx >= 0 ? stripCellQuotes(r[idx]) : '';
+        }
+        out[id] = {
+          id,
+          name,
+          exampleObjection: col('Example Objection') >= 0 ? stripCellQuotes(r[col('Example Objection')]) : '',
+          responses
+        };
+      }
+    }
+  } catch (e) {
+    console.warn('[ObjectionMatrix] Failed to load matrix CSV:', e?.message || e);
+  }
+  cachedMatrix = out;
+  return out;
+}
+
+/**
+ * Compact "id. name - example" list for agent prompts.
+ */
+export function formatMatrixForPrompt() {
+  return Object.values(loadObjectionMatrix())
+    .map((row) => `${row.id}. ${row.name} - e.g. "${row.exampleObjection}"`)
+    .join('\n');
+}
+
+/**
+ * Best indicator for an objection by word overlap with the example objections.
+ * Used when the agent didn't return a usable indicatorId. Returns null below threshold.
+ */
+export function matchObjectionToIndicator(objectionText) {
+  const said = new Set(contentWords(objectionText));
+  if (!said.size) return null;
+  let best = null;
+  let bestScore = 0;
+  for (const row of Object.values(loadObjectionMatrix())) {
+    const example = contentWords(row.exampleObjection);
+    if (!example.length) continue;
+    const score = example.filter((w) => said.has(w)).length / example.length;
+    if (score > bestScore) {
+      bestScore = score;
+      best = row.id;
+    }
+  }
+  return bestScore >= FALLBACK_MATCH_THRESHOLD ? best : null;
+}
+
+/**
+ * Matrix fields merged into an objection payload.
+ * @param {string} objectionText
+ * @param {number|string|null} agentIndicatorId - indicatorId from the rebuttal agent, if any
+ * @returns {{indicatorId: number|null, indicatorName: string, rebuttalStyles: Record<string, string>|null}}
+ */
+export function matrixFieldsForObjection(objectionText, agentIndicatorId = null) {
+  const matrix = loadObjectionMatrix();
+  const fromAgent = Number(agentIndicatorId);
+  const id = matrix[fromAgent] ? fromAgent : matchObjectionToIndicator(objectionText);
+  const row = id ? matrix[id] : null;
+  return {
+    indicatorId: row ? row.id : null,
+    indicatorName: row ? row.name : '',
+    rebuttalStyles: row ? { ...row.responses } : null
+  };
+}
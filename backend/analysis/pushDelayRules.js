@@ -0,0 +1,244 @@
+/**
+ * Push/Delay Rules Engine (C1-C7 from "Push_Delay Rules.csv")
+ *
+ * Turns the Lubometer score, pillar averages and active Truth Index penalties into a
+ * single close verdict for the closer:
+ *   C1-C4 → readiness zone from the final Lubometer score (Green / Yellow / Red / No-Go)
+ *   C5-C7 → exceptions that override the zone (no pain + no urgency, price sensitivity +
+ *           low money, truth collapse)
+ *
+ * Trigger logic is read from the CSV text ("P1 ≤ 6 AND P2 ≤ 5", "Final Score between 50–69")
+ * and compiled once at module load. The built-in rows below mirror the CSV and are only
+ * used if the file can't be read.
+ */
+
+import { loadSheetTable } from './csvData.js';
+
+// CSV thresholds are expressed on the default 0-90 Lubometer scale (sum of weights × 10).
+const CSV_SCORE_SCALE = 90;
+
+const FALLBACK_RULES = [
+  { id: 'C1', condition: 'Green Zone', trigger: 'Final Lubometer Score ≥ 70', action: '✅ Push to Close', notes: 'High readiness and coherence' },
+  { id: 'C2', condition: 'Yellow Zone', trigger: 'Final Score between 50–69', action: '⚠️ Soft Close / Coach', notes: 'Moderate readiness — clarify blockers' },
+  { id: 'C3', condition: 'Red Zone', trigger: 'Final Score between 30–49', action: '🧊 Delay or Nurture', notes: 'Low coherence or hidden risks — slow down' },
+  { id: 'C4', condition: 'No-Go Zone', trigger: 'Final Score < 30', action: '❌ Do Not Close', notes: 'System breakdown or major contradictions' },
+  { id: 'C5', condition: 'Exception: No Pain + No Urgency', trigger: 'P1 ≤ 6 AND P2 ≤ 5', action: '❌ Do Not Close', notes: 'Not enough fuel or fire' },
+  { id: 'C6', condition: 'Exception: High Price Sensitivity + Low Money Access', trigger: 'P6 raw ≥ 7 AND P4 ≤ 5', action: '❌ Do Not Close', notes: 'Buyer can’t justify or access investment' },
+  { id: 'C7', condition: 'Exception: Truth Collapse', trigger: 'Any Truth Index penalty active and Lubometer Score drops zone', action: '❌ Delay / Repair Trust', notes: 'Repair inconsistency before presenting offer' }
+];
+
+// Most restrictive verdict wins when several rules fire.
+const VERDICT_RANK = { push: 0, soft_close: 1, nurture: 2, do_not_close: 3 };
+
+const ZONE_BY_CONDITION = [
+  [/green/i, 'green'],
+  [/yellow/i, 'yellow'],
+  [/red/i, 'red'],
+  [/no-?go/i, 'no_go']
+];
+
+const OPS = {
+  '≥': (a, b) => a >= b,
+  '>=': (a, b) => a >= b,
+  '≤': (a, b) => a <= b,
+  '<=': (a, b) => a <= b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '=': (a, b) => a === b
+};
+
+function verdictFromAction(action) {
+  const a = String(action || '').toLowerCase();
+  if (a.includes('do not close')) return 'do_not_close';
+  if (a.includes('delay') || a.includes('nurture')) return 'nurture';
+  if (a.includes('soft close')) return 'soft_close';
+  if (a.includes('push')) return 'push';
+  return null;
+}
+
+function zoneFromCondition(condition) {
+  for (const [re, zone] of ZONE_BY_CONDITION) {
+    if (re.test(String(condition || ''))) return zone;
+  }
+  return null;
+}
+
+/**
+ * Compile one clause of trigger logic into a predicate over the evaluation context.
+ * Returns null for text we don't understand (the rule is then skipped, not guessed).
+ */
+function compileClause(clause) {
+  const c = String(clause || '').trim();
+
+  if (/truth index penalty/i.test(c)) {
+    // "Any Truth Index penalty active and Lubometer Score drops zone"
+    return (ctx) => ctx.truthPenalties.length > 0 && ctx.zoneBeforePenalties !== ctx.zone;
+  }
+
+  const between = c.match(/score\s+between\s+(\d+(?:\.\d+)?)\s*[–—-]\s*(\d+(?:\.\d+)?)/i);
+  if (between) {
+    const lo = Number(between[1]);
+    const hi = Number(between[2]);
+    // Integer bands in the CSV ("50–69"); treat the upper bound as "< next band".
+    return (ctx) => ctx.score >= lo && ctx.score < hi + 1;
+  }
+
+  const scoreCmp = c.match(/score\s*(≥|≤|>=|<=|<|>|=)\s*(\d+(?:\.\d+)?)/i);
+  if (scoreCmp) {
+    const op = OPS[scoreCmp[1]];
+    const n = Number(scoreCmp[2]);
+    return (ctx) => op(ctx.score, n);
+  }
+
+  const pillarCmp = c.match(/^(P[1-7])(?:\s+raw)?\s*(≥|≤|>=|<=|<|>|=)\s*(\d+(?:\.\d+)?)$/i);
+  if (pillarCmp) {
+    const pid = pillarCmp[1].toUpperCase();
+    const op = OPS[pillarCmp[2]];
+    const n = Number(pillarCmp[3]);
+    // A pillar with no scored indicators (0) has no evidence either way; don't fire on it.
+    return (ctx) => {
+      const v = Number(ctx.pillarAverages?.[pid] || 0);
+      return v > 0 && op(v, n);
+    };
+  }
+
+  return null;
+}
+
+function compileTrigger(trigger) {
+  // Conjunctions are upper-case in the sheet; lower-case "and" is prose (see C7).
+  const clauses = String(trigger || '').split(/\s+AND\s+/);
+  const preds = clauses.map(compileClause);
+  if (!preds.length || preds.some((p) => !p)) return null;
+  return (ctx) => preds.every((p) => p(ctx));
+}
+
+function compileRules(defs) {
+  const out = [];
+  for (const def of defs) {
+    const test = compileTrigger(def.trigger);
+    if (!test) {
+      console.warn(`[PushDelay] Skipping ${def.id}: unrecognized trigger logic "${def.trigger}"`);
+      continue;
+    }
+    out.push({
+      ...def,
+      zone: zoneFromCondition(def.condition),
+      verdict: verdictFromAction(def.action),
+      test
+    });
+  }
+  return out;
+}
+
+function loadRuleDefsFromCsv() {
+  try {
+    const table = loadSheetTable('Push_Delay Rules', ['Rule ID', 'Trigger Logic']);
+    if (!table) return null;
+    const { header, rows } = table;
+    const col = (name) => header.indexOf(name);
+    const idCol = col('Rule ID');
+    const condCol = col('Condition Description');
+    const trigCol = col('Trigger Logic');
+    const actCol = col('Recommended Action');
+    const notesCol = col('Notes');
+
+    const defs = rows
+      .map((r) => ({
+        id: String(r[idCol] || '').trim(),
+        condition: String(r[condCol] || '').trim(),
+        trigger: String(r[trigCol] || '').trim(),
+        action: String(r[actCol] || '').trim(),
+        notes: String(r[notesCol] || '').trim()
+      }))
+      .filter((d) => /^C\d+$/.test(d.id) && d.trigger);
+    return defs.length ? defs : null;
+  } catch (e) {
+    console.warn('[PushDelay] Failed to load Push_Delay Rules CSV:', e?.message || e);
+    return null;
+  }
+}
+
+const RULES = compileRules(loadRuleDefsFromCsv() || FALLBACK_RULES);
+const ZONE_RULES = RULES.filter((r) => r.zone);
+
+function zoneForScore(score, baseCtx) {
+  const ctx = { ...baseCtx, score };
+  const hit = ZONE_RULES.find((r) => r.test(ctx));
+  return hit ? hit.zone : null;
+}
+
+/**
+ * Evaluate every C-rule against the current analysis.
+ *
+ * @param {object} input
+ * @param {number} input.score - Final Lubometer score (after Truth Index penalties)
+ * @param {number} input.scoreBeforePenalties - Lubometer total before penalties
+ * @param {number} input.maxScore - Lubometer max for the active pillar weights
+ * @param {Record<string, number>} input.pillarAverages - Raw P1..P7 averages (0-10)
+ * @param {Array} input.truthPenalties - Truth Index penalties applied to the Lubometer
+ * @returns {{zone: string|null, verdict: string, firedRules: string[], recommendedAction: string, reason: string, normalizedScore: number}}
+ */
+export function evaluateCloseDecision({
+  score = 0,
+  scoreBeforePenalties = null,
+  maxScore = CSV_SCORE_SCALE,
+  pillarAverages = {},
+  truthPenalties = []
+} = {}) {
+  // No scored pillar yet means a 0 score from missing data, not a No-Go prospect
+  if (!Object.values(pillarAverages || {}).some((v) => Number(v) > 0)) {
+    return {
+      zone: null,
+      verdict: 'nurture',
+      firedRules: [],
+      recommendedAction: '',
+      reason: 'Not enough data to evaluate close readiness',
+      normalizedScore: 0
+    };
+  }
+
+  // Rescale to the CSV's 0-90 scale so custom pillar weights don't shift the zone bands.
+  // Zones compare the unrounded score: 69.6 is below the ≥ 70 Green boundary.
+  const scale = Number(maxScore) > 0 ? CSV_SCORE_SCALE / Number(maxScore) : 1;
+  const scaled = Number(score || 0) * scale;
+  const scaledBefore = Number(scoreBeforePenalties ?? score ?? 0) * scale;
+
+  const baseCtx = {
+    pillarAverages: pillarAverages || {},
+    truthPenalties: Array.isArray(truthPenalties) ? truthPenalties : []
+  };
+  const zone = zoneForScore(scaled, baseCtx);
+  const zoneBeforePenalties = zoneForScore(scaledBefore, baseCtx);
+  const ctx = { ...baseCtx, score: scaled, zone, zoneBeforePenalties };
+
+  const fired = RULES.filter((r) => {
+    try {
+      return r.test(ctx);
+    } catch {
+      return false;
+    }
+  });
+
+  // Governing rule: most restrictive verdict; exceptions beat zone rules at equal rank.
+  let governing = null;
+  for (const r of fired) {
+    if (!r.verdict) continue;
+    if (
+      !governing ||
+      VERDICT_RANK[r.verdict] > VERDICT_RANK[governing.verdict] ||
+      (VERDICT_RANK[r.verdict] === VERDICT_RANK[governing.verdict] && governing.zone && !r.zone)
+    ) {
+      governing = r;
+    }
+  }
+
+  return {
+    zone,
+    verdict: governing?.verdict || 'nurture',
+    firedRules: fired.map((r) => r.id),
+    recommendedAction: governing?.action || '',
+    reason: governing ? `${governing.condition}: ${governing.notes}` : 'Not enough signal to evaluate close readiness',
+    normalizedScore: Math.round(scaled * 10) / 10
+  };
+}
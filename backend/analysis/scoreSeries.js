@@ -0,0 +1,200 @@
+/**
+ * Score time series - how readiness moved over the call.
+ *
+ * Every full analysis pass recomputes the indicators from scratch, so on its own the live view
+ * only ever shows "now". This keeps a timestamped point per pass (27 indicators, 7 pillar
+ * averages, Lubometer, Truth Index) and derives:
+ *   - deltas over the last SCORE_DELTA_WINDOW_MS ("Urgency +2 in last 90s"), sent with each update
+ *   - turning points: the biggest Lubometer swings between passes, for the post-call chart
+ * It also keeps each objection the first time it was raised, with the rebuttal the closer was
+ * shown, so exports can list them after the call.
+ * The series is bounded: past SCORE_SERIES_MAX_POINTS the older half is thinned to every other
+ * point, so the whole arc survives on long calls at a lower resolution.
+ */
+
+import { loadObjectionMatrix } from './objectionMatrix.js';
+
+const MAX_POINTS = Number(process.env.SCORE_SERIES_MAX_POINTS || 600);
+const DELTA_WINDOW_MS = Number(process.env.SCORE_DELTA_WINDOW_MS || 90000);
+const MAX_DELTAS = 6;
+const MAX_TURNING_POINTS = 3;
+const MAX_OBJECTIONS = 100;
+
+// Smallest change worth calling out, per scale
+const MIN_DELTA = { indicator: 2, pillar: 1, lubometer: 5, truthIndex: 5 };
+
+export const PILLAR_LABELS = {
+  P1: 'Pain & Desire',
+  P2: 'Urgency',
+  P3: 'Decisiveness',
+  P4: 'Available Money',
+  P5: 'Responsibility',
+  P6: 'Price Sensitivity',
+  P7: 'Trust'
+};
+
+// Reverse-scored: a rise here makes the deal worse
+const REVERSE_KEYS = new Set(['P6', '21', '22', '23']);
+
+let indicatorNames = null;
+function indicatorLabel(id) {
+  if (!indicatorNames) {
+    indicatorNames = {};
+    for (const row of Object.values(loadObjectionMatrix())) indicatorNames[row.id] = row.name;
+  }
+  return indicatorNames[id] || `Indicator ${id}`;
+}
+
+const round1 = (n) => Math.round(Number(n || 0) * 10) / 10;
+
+export function createScoreSeries(startedAt = Date.now()) {
+  return { startedAt, points: [], objections: [] };
+}
+
+/**
+ * Append a point for a finished analysis pass. Passes without indicator scores are skipped.
+ * Point shape: { t (ms since start), ts (ISO), seq, indicators {1..27}, pillars {P1..P7}, lubometer, truthIndex }
+ * @returns {object|null} the stored point
+ */
+export function recordScorePoint(series, analysis, { now = Date.now(), analysisSeq = null } = {}) {
+  if (!series || !analysis) return null;
+  const indicators = {};
+  for (const [id, v] of Object.entries(analysis.indicatorSignals || {})) {
+    const n = Number(v);
+    if (Number.isFinite(n) && n > 0) indicators[id] = round1(n);
+  }
+  if (!Object.keys(indicators).length) return null;
+
+  const pillars = {};
+  for (const [pid, v] of Object.entries(analysis.lubometer?.pillarScores || analysis.pillars || {})) {
+    pillars[pid] = round1(v);
+  }
+  const point = {
+    t: Math.max(0, now - series.startedAt),
+    ts: new Date(now).toISOString(),
+    seq: analysisSeq,
+    indicators,
+    pillars,
+    lubometer: Number(analysis.lubometer?.score ?? 0),
+    truthIndex: Number(analysis.truthIndex?.score ?? 0)
+  };
+  series.points.push(point);
+
+  if (series.points.length > MAX_POINTS) {
+    const half = Math.floor(series.points.length / 2);
+    const older = series.points.slice(0, half).filter((_, i) => i % 2 === 0);
+    series.points = [...older, ...series.points.slice(half)];
+  }
+  return point;
+}
+
+const objectionKey = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Keep objections from an analysis frame that weren't seen before (same wording, ignoring case
+ * and punctuation). Shape: { t, ts, offsetMs, objectionText, fear, whisper, rebuttalScript, probability }
+ * @returns {Array<object>} the newly stored objections
+ */
+export function recordObjections(series, objections, { now = Date.now() } = {}) {
+  if (!series || !Array.isArray(objections)) return [];
+  series.objections = Array.isArray(series.objections) ? series.objections : [];
+  const seen = new Set(series.objections.map((o) => objectionKey(o.objectionText)));
+  const added = [];
+  for (const o of objections) {
+    const key = objectionKey(o?.objectionText);
+    if (!key || seen.has(key) || series.objections.length >= MAX_OBJECTIONS) continue;
+    seen.add(key);
+    const stored = {
+      t: Math.max(0, now - series.startedAt),
+      ts: new Date(now).toISOString(),
+      offsetMs: Number.isFinite(o.offsetMs) ? o.offsetMs : null,
+      objectionText: String(o.objectionText).trim(),
+      fear: typeof o.fear === 'string' ? o.fear : '',
+      whisper: typeof o.whisper === 'string' ? o.whisper : '',
+      rebuttalScript: typeof o.rebuttalScript === 'string' ? o.rebuttalScript : '',
+      probability: Number.isFinite(Number(o.probability)) ? Number(o.probability) : null
+    };
+    series.objections.push(stored);
+    added.push(stored);
+  }
+  return added;
+}
+
+// Latest point at or before `t`, else the first point
+function pointAtOrBefore(points, t) {
+  let found = points[0];
+  for (const p of points) {
+    if (p.t > t) break;
+    found = p;
+  }
+  return found;
+}
+
+/**
+ * Changes between the newest point and the one SCORE_DELTA_WINDOW_MS earlier (or the start of
+ * the call if it's shorter), biggest first. Only changes at or above MIN_DELTA are returned.
+ * `favorable` is false when the move hurts the deal (a drop, or a rise in price sensitivity).
+ * @returns {{ windowSec: number, deltas: Array<{ kind, key, label, from, to, delta, favorable, text }> }}
+ */
+export function computeScoreDeltas(series, { windowMs = DELTA_WINDOW_MS } = {}) {
+  const points = series?.points || [];
+  if (points.length < 2) return { windowSec: 0, deltas: [] };
+  const latest = points[points.length - 1];
+  const base = pointAtOrBefore(points, latest.t - windowMs);
+  if (base === latest) return { windowSec: 0, deltas: [] };
+  const windowSec = Math.round((latest.t - base.t) / 1000);
+
+  const deltas = [];
+  const add = (kind, key, label, from, to) => {
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from <= 0 || to <= 0) return;
+    const delta = round1(to - from);
+    if (Math.abs(delta) < MIN_DELTA[kind]) return;
+    deltas.push({
+      kind,
+      key,
+      label,
+      from,
+      to,
+      delta,
+      favorable: REVERSE_KEYS.has(key) ? delta < 0 : delta > 0,
+      text: `${label} ${delta > 0 ? '+' : ''}${delta} in last ${windowSec}s`
+    });
+  };
+
+  add('lubometer', 'lubometer', 'Lubometer', base.lubometer, latest.lubometer);
+  add('truthIndex', 'truthIndex', 'Truth Index', base.truthIndex, latest.truthIndex);
+  for (const pid of Object.keys(PILLAR_LABELS)) {
+    add('pillar', pid, PILLAR_LABELS[pid], base.pillars?.[pid], latest.pillars?.[pid]);
+  }
+  for (const id of Object.keys(latest.indicators)) {
+    add('indicator', id, indicatorLabel(Number(id)), base.indicators?.[id], latest.indicators[id]);
+  }
+
+  // Compare on each scale's own threshold so a 2-point pillar move isn't buried under a 6-point Lubometer one
+  deltas.sort((a, b) => Math.abs(b.delta) / MIN_DELTA[b.kind] - Math.abs(a.delta) / MIN_DELTA[a.kind]);
+  return { windowSec, deltas: deltas.slice(0, MAX_DELTAS) };
+}
+
+/**
+ * Biggest Lubometer swings between consecutive passes ("the moment the call turned").
+ * Each pillar that moved by at least MIN_DELTA.pillar in the same step is listed as a driver.
+ */
+export function findTurningPoints(series, limit = MAX_TURNING_POINTS) {
+  const points = series?.points || [];
+  const swings = [];
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const cur = points[i];
+    const delta = cur.lubometer - prev.lubometer;
+    if (Math.abs(delta) < MIN_DELTA.lubometer) continue;
+    const drivers = Object.keys(PILLAR_LABELS)
+      .map((pid) => ({ key: pid, label: PILLAR_LABELS[pid], delta: round1((cur.pillars?.[pid] || 0) - (prev.pillars?.[pid] || 0)) }))
+      .filter((d) => Math.abs(d.delta) >= MIN_DELTA.pillar)
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+    swings.push({ t: cur.t, ts: cur.ts, from: prev.lubometer, to: cur.lubometer, delta, drivers });
+  }
+  return swings
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, limit)
+    .sort((a, b) => a.t - b.t);
+}
@@ -0,0 +1,121 @@
+/**
+ * Score stabilizer - sits between runAllPillarAgents and computeLubometer.
+ *
+ * The pillar agents re-score all 27 indicators on a fresh 2,000-char window every pass, so the
+ * same conversation can come back a few points apart and the Lubometer swings with nothing new
+ * said. Per call this keeps a stable value for each indicator:
+ *   - no new transcript since the last pass: values are held (re-scoring the same words is noise)
+ *   - rises: exponential smoothing toward the raw score (SCORE_SMOOTHING_ALPHA)
+ *   - drops: "evidence required" - a raw score must stay at least SCORE_DROP_MARGIN below the
+ *     stable value on SCORE_DROP_CONFIRM_PASSES passes with new text before the value comes down
+ *   - confidence (0-1) per indicator from how often it was scored and how much the raw scores agree
+ * Lubometer level hysteresis (LUBOMETER_LEVEL_HYSTERESIS) is applied in computeLubometer with the
+ * level remembered here. SCORE_STABILIZATION=off passes raw scores straight through.
+ */
+
+const ENABLED = String(process.env.SCORE_STABILIZATION || 'on').toLowerCase() !== 'off';
+const ALPHA = Number(process.env.SCORE_SMOOTHING_ALPHA || 0.4);
+const DROP_MARGIN = Number(process.env.SCORE_DROP_MARGIN || 1.5);
+const DROP_CONFIRM_PASSES = Number(process.env.SCORE_DROP_CONFIRM_PASSES || 2);
+// Raw scores kept per indicator for the confidence spread
+const RECENT_RAW = 5;
+// Samples needed before an indicator can reach full confidence
+const FULL_CONFIDENCE_SAMPLES = 4;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+export function createScoreStabilizer() {
+  return {
+    // { [id]: { value, recent: number[], pendingDrops, samples } }
+    indicators: {},
+    // Last Lubometer level shown, for hysteresis
+    lubometerLevel: null,
+    passes: 0
+  };
+}
+
+/**
+ * Start from known values (e.g. the last stored score point after a resume) so the gauge
+ * doesn't restart from the first noisy pass.
+ */
+export function seedScoreStabilizer(state, indicatorSignals) {
+  if (!state) return;
+  for (const [id, v] of Object.entries(indicatorSignals || {})) {
+    const n = Number(v);
+    if (!Number.isFinite(n) || n <= 0) continue;
+    state.indicators[id] = { value: n, recent: [n], pendingDrops: 0, samples: 1 };
+  }
+}
+
+function confidenceOf(entry) {
+  if (!entry?.recent?.length) return 0;
+  const mean = entry.recent.reduce((a, b) => a + b, 0) / entry.recent.length;
+  const spread = Math.sqrt(entry.recent.reduce((a, b) => a + (b - mean) ** 2, 0) / entry.recent.length);
+  const coverage = Math.min(1, entry.samples / FULL_CONFIDENCE_SAMPLES);
+  // A spread of 3+ points between passes means the agents can't agree on this one
+  const agreement = 1 - Math.min(1, spread / 3);
+  return Math.round(coverage * (0.4 + 0.6 * agreement) * 100) / 100;
+}
+
+/**
+ * @param {ReturnType<typeof createScoreStabilizer>|null} state - per-call state; null = stateless (raw scores)
+ * @param {Record<string, number>} rawSignals - this pass's pillar agent scores
+ * @param {{ hasNewText?: boolean }} opts
+ * @returns {{ indicatorSignals: Record<string, number>, indicatorConfidence: Record<string, number>, held: string[] }}
+ *   held = indicators whose drop is waiting for more evidence
+ */
+export function stabilizeIndicators(state, rawSignals, { hasNewText = true } = {}) {
+  const raw = {};
+  for (const [id, v] of Object.entries(rawSignals || {})) {
+    const n = Number(v);
+    if (Number.isFinite(n) && n > 0) raw[id] = n;
+  }
+
+  if (!state || !ENABLED) {
+    const indicatorConfidence = Object.fromEntries(Object.keys(raw).map((id) => [id, 0.5]));
+    return { indicatorSignals: raw, indicatorConfidence, held: [] };
+  }
+
+  state.passes += 1;
+  const held = [];
+  for (const [id, r] of Object.entries(raw)) {
+    const entry = state.indicators[id];
+    if (!entry) {
+      state.indicators[id] = { value: r, recent: [r], pendingDrops: 0, samples: 1 };
+      continue;
+    }
+    // Same transcript as last time: keep what we have
+    if (!hasNewText) continue;
+
+    entry.samples += 1;
+    entry.recent = [...entry.recent, r].slice(-RECENT_RAW);
+
+    if (r < entry.value - DROP_MARGIN) {
+      entry.pendingDrops += 1;
+      if (entry.pendingDrops < DROP_CONFIRM_PASSES) {
+        held.push(id);
+        continue;
+      }
+    } else {
+      entry.pendingDrops = 0;
+    }
+    entry.value = round1(ALPHA * r + (1 - ALPHA) * entry.value);
+  }
+
+  const indicatorSignals = {};
+  const indicatorConfidence = {};
+  for (const [id, entry] of Object.entries(state.indicators)) {
+    indicatorSignals[id] = entry.value;
+    indicatorConfidence[id] = confidenceOf(entry);
+  }
+  return { indicatorSignals, indicatorConfidence, held };
+}
+
+/**
+ * Mean confidence over the scored indicators (0-1), shown next to the Lubometer.
+ */
+export function overallConfidence(indicatorConfidence) {
+  const values = Object.values(indicatorConfidence || {});
+  if (!values.length) return 0;
+  return Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100;
+}
@@ -0,0 +1,106 @@
+/**
+ * Transcript alignment - puts analysis evidence on the call timeline.
+ *
+ * Transcript entries carry offsetMs (where the chunk starts in the call) and, when the STT
+ * provider timed them, words ([{ text, startMs, endMs }] counted from the chunk start). A quote
+ * is looked up in the newest entry that contains its opening words (compared without
+ * case/punctuation) and gets the call offset of its first word, or of the entry when the words
+ * were not timed. Quotes that can't be found keep whatever offset they already had.
+ */
+
+const PROBE_WORDS = [6, 3];
+
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+/**
+ * Entry as tokens, each pointing at the timed word it came from (null when untimed).
+ */
+function entryTokens(entry) {
+  const words = Array.isArray(entry?.words) ? entry.words : [];
+  if (!words.length) return tokenize(entry?.text).map((tok) => ({ tok, word: null }));
+  return words.flatMap((word) => tokenize(word?.text).map((tok) => ({ tok, word })));
+}
+
+function indexOfRun(tokens, probe) {
+  outer: for (let i = 0; i + probe.length <= tokens.length; i++) {
+    for (let j = 0; j < probe.length; j++) {
+      if (tokens[i + j].tok !== probe[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
+
+/**
+ * Where `quote` was said, as { offsetMs, seq } (ms into the call), or null.
+ * Quotes cut with "…" lose their first/last word, which may be a partial one.
+ *
+ * @param {Array<{seq?: number, text: string, offsetMs?: number|null, words?: Array|null}>} entries
+ * @param {string} quote
+ */
+export function locateQuote(entries, quote) {
+  const raw = String(quote || '').trim();
+  let words = tokenize(raw);
+  if (raw.startsWith('…')) words = words.slice(1);
+  if (raw.endsWith('…')) words = words.slice(0, -1);
+  if (!words.length || !Array.isArray(entries)) return null;
+
+  const candidates = entries.filter((e) => Number.isFinite(e?.offsetMs));
+  // Long quotes may run into the next chunk, so fall back to a shorter opening
+  const sizes = [...new Set(PROBE_WORDS.map((n) => Math.min(n, words.length)))];
+  for (const size of sizes) {
+    const probe = words.slice(0, size);
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      const entry = candidates[i];
+      const tokens = entryTokens(entry);
+      const at = indexOfRun(tokens, probe);
+      if (at === -1) continue;
+      const wordStartMs = Number(tokens[at].word?.startMs);
+      return {
+        offsetMs: Math.round(entry.offsetMs + (Number.isFinite(wordStartMs) ? wordStartMs : 0)),
+        seq: entry.seq ?? null
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Copy of an analysis frame with call offsets on its evidence:
+ * objections[].offsetMs, hotButtons[].offsetMs, indicatorEvidence[id].offsetMs and
+ * truthIndex.penalties[].statements[].t (same meaning, kept under its existing name).
+ */
+export function alignAnalysisEvidence(frame, entries) {
+  if (!frame || typeof frame !== 'object') return frame;
+  const at = (quote, previous) => locateQuote(entries, quote)?.offsetMs ?? previous ?? null;
+
+  const out = { ...frame };
+  if (Array.isArray(frame.objections)) {
+    out.objections = frame.objections.map((o) => ({ ...o, offsetMs: at(o?.objectionText, o?.offsetMs) }));
+  }
+  if (Array.isArray(frame.hotButtons)) {
+    out.hotButtons = frame.hotButtons.map((hb) => ({ ...hb, offsetMs: at(hb?.quote, hb?.offsetMs) }));
+  }
+  if (frame.indicatorEvidence && typeof frame.indicatorEvidence === 'object') {
+    out.indicatorEvidence = Object.fromEntries(
+      Object.entries(frame.indicatorEvidence).map(([id, ev]) => [id, { ...ev, offsetMs: at(ev?.quote, ev?.offsetMs) }])
+    );
+  }
+  if (Array.isArray(frame.truthIndex?.penalties)) {
+    out.truthIndex = {
+      ...frame.truthIndex,
+      penalties: frame.truthIndex.penalties.map((p) =>
+        Array.isArray(p?.statements)
+          ? { ...p, statements: p.statements.map((s) => ({ ...s, t: at(s?.quote, s?.t) })) }
+          : p
+      )
+    };
+  }
+  return out;
+}
@@ -0,0 +1,475 @@
+/**
+ * Truth Index Rules - contradiction checks shared by the Truth Index and the Lubometer.
+ *
+ * Rules come from two places and are merged by rule ID:
+ *   - "Truth Index.csv" (T1-T5): condition, penalty and notes; the Trigger Logic text is compiled
+ *     into conditions ("Pain Intensity (P1) ≥ 7 AND Urgency (P2) ≤ 4")
+ *   - the supplementary rules file (data/truth-index-rules.json, or TRUTH_INDEX_RULES_PATH):
+ *     conditions for CSV rows whose trigger is prose (T4) and extra rules (T6+), such as
+ *     phrase-pair contradictions ("can afford" ... "behind on")
+ * Phrase packs (data/truth-index-phrases/<language>.json, or TRUTH_INDEX_PHRASES_DIR) add the
+ * phrases of other languages to those rules; the English phrases in the rules file always apply.
+ * A Spanish call matches English + es.json, an auto-detect call still being detected matches
+ * every pack (see evaluateTruthRules).
+ * The rules file and packs are checked for changes every TRUTH_INDEX_RULES_RELOAD_MS, so a rule
+ * or phrase added there applies on the next analysis pass without a deploy. A file that fails to
+ * parse is ignored and its last good version stays in place.
+ *
+ * Phrase conditions only look at prospect turns: a closer saying "you don't need to ask your wife"
+ * is not the prospect needing approval. Each fired phrase condition reports the prospect statement(s)
+ * behind it; a contradiction reports the pair (statement A vs statement B, in call order).
+ *
+ * Rules file format:
+ *   { "rules": [ { "id": "T9", "name": "...", "description": "...", "penalty": 10,
+ *                  "lubometer": false, "enabled": true,
+ *                  "when": [ <condition>, ... ]          (all must hold)
+ *                  or "trigger": "P4 ≥ 7 AND P6 raw ≥ 8" (CSV syntax) } ] }
+ * Conditions:
+ *   { "pillar": "P1", "op": ">=", "value": 7 }        raw pillar average (P6 not reversed)
+ *   { "indicators": [2, 3], "op": ">=", "value": 7 }  average of the scored indicators listed
+ *   { "phrases": ["ask my wife", ...] }               any phrase said
+ *   { "contradiction": [["can afford"], ["behind on"]] }  a phrase from each side, in different turns
+ * `lubometer: true` also deducts the penalty from the Lubometer (default for CSV rows only).
+ *
+ * Phrase pack format (by rule ID; phrases join the rule's first phrases/contradiction condition):
+ *   { "rules": { "T4": { "phrases": ["preguntarle a mi esposa", ...] },
+ *                "T6": { "contradiction": [["sí tengo el dinero"], ["no tengo dinero"]] } } }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, loadSheetTable, contentWords } from './csvData.js';
+import { loadObjectionMatrix } from './objectionMatrix.js';
+
+const RULES_PATH = process.env.TRUTH_INDEX_RULES_PATH || path.join(DATA_DIR, 'truth-index-rules.json');
+const PHRASES_DIR = process.env.TRUTH_INDEX_PHRASES_DIR || path.join(DATA_DIR, 'truth-index-phrases');
+const RELOAD_MS = Number(process.env.TRUTH_INDEX_RULES_RELOAD_MS || 10000);
+
+// Mirrors the CSV; only used if the file can't be read.
+const FALLBACK_CSV_RULES = [
+  { id: 'T1', name: 'High Pain + Low Urgency', trigger: 'Pain Intensity (P1) ≥ 7 AND Urgency (P2) ≤ 4', penalty: 15, description: 'Claims deep pain but no urgency to act' },
+  { id: 'T2', name: 'High Desire + Low Decisiveness', trigger: 'Desire Clarity or Priority ≥ 7 AND Decisiveness (P3) ≤ 4', penalty: 15, description: 'Wants change but avoids decision' },
+  { id: 'T3', name: 'High Money Access + High Price Sensitivity', trigger: 'Available Money (P4) ≥ 7 AND Price Sensitivity raw (P6) ≥ 8', penalty: 10, description: 'Can afford it, but still resists price' },
+  { id: 'T4', name: 'Claims Authority + Reveals Need for Approval', trigger: 'Decision Authority = “Yes” but later mentions needing external approval or another condition', penalty: 10, description: 'Self-contradiction in who owns the decision' },
+  { id: 'T5', name: 'High Desire + Low Responsibility', trigger: 'Desire Clarity or Priority ≥ 7 AND Responsibility & Ownership (P5) ≤ 5', penalty: 15, description: 'Craves result, but doesn’t own the change' }
+];
+
+const OPS = {
+  '≥': (a, b) => a >= b,
+  '>=': (a, b) => a >= b,
+  '≤': (a, b) => a <= b,
+  '<=': (a, b) => a <= b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '=': (a, b) => a === b
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+const MAX_QUOTE_CHARS = 200;
+
+// Lowercase with straight apostrophes; same length as the collapsed original, so match
+// positions can be used to cut the quote
+function normalizeSpeech(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'");
+}
+
+function collapseSpaces(s) {
+  return String(s || '').replace(/\s+/g, ' ').trim();
+}
+
+// Whole-phrase match, so "certain" doesn't fire inside "uncertain"
+function phraseMatcher(phrase) {
+  const p = collapseSpaces(normalizeSpeech(phrase));
+  if (!p) return null;
+  const escaped = p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'gu');
+  return { phrase: p, findAll: (text) => [...text.matchAll(re)].map((m) => m.index) };
+}
+
+// Match positions of `m` in `text`, minus those overlapping a longer phrase of `shadow` (the
+// other side of a contradiction): "have the money" inside "don't have the money" isn't a claim
+function phrasePositions(m, text, shadow) {
+  const found = m.findAll(text);
+  if (!shadow || !found.length) return found;
+  const longer = shadow
+    .filter((o) => o.phrase.length > m.phrase.length)
+    .flatMap((o) => o.findAll(text).map((at) => [at, at + o.phrase.length]));
+  return found.filter((at) => !longer.some(([s, e]) => at < e && s < at + m.phrase.length));
+}
+
+/**
+ * Latest prospect turn that says any of `matchers`, as a statement
+ * { quote, phrase, ts, t } (quote cut around the phrase on long turns), or null.
+ * `skipIndex` leaves one turn out; `shadow` drops matches inside a longer phrase from it.
+ */
+function latestStatement(turns, matchers, { skipIndex = -1, shadow = null } = {}) {
+  for (let i = turns.length - 1; i >= 0; i--) {
+    if (i === skipIndex) continue;
+    const turn = turns[i];
+    for (const m of matchers) {
+      const [at] = phrasePositions(m, turn.norm, shadow);
+      if (at === undefined) continue;
+      let quote = turn.text;
+      if (quote.length > MAX_QUOTE_CHARS) {
+        const start = Math.max(0, at - Math.floor((MAX_QUOTE_CHARS - m.phrase.length) / 2));
+        const end = Math.min(quote.length, start + MAX_QUOTE_CHARS);
+        quote = `${start > 0 ? '…' : ''}${quote.slice(start, end).trim()}${end < quote.length ? '…' : ''}`;
+      }
+      return { index: i, statement: { quote, phrase: m.phrase, ts: turn.ts ?? null, t: turn.t ?? null } };
+    }
+  }
+  return null;
+}
+
+function compilePhrases(list) {
+  const matchers = (Array.isArray(list) ? list : []).map(phraseMatcher).filter(Boolean);
+  return matchers.length ? matchers : null;
+}
+
+function average(values) {
+  const scored = values.filter((v) => v > 0);
+  return scored.length ? scored.reduce((a, b) => a + b, 0) / scored.length : 0;
+}
+
+/**
+ * Compile one condition object into { test(ctx) → { ok, detail } }.
+ * Returns null for conditions we don't understand (the rule is then skipped, not guessed).
+ */
+function compileCondition(cond) {
+  if (!cond || typeof cond !== 'object') return null;
+
+  if (cond.pillar || Array.isArray(cond.indicators)) {
+    const op = OPS[String(cond.op || '').trim()];
+    const n = Number(cond.value);
+    if (!op || !Number.isFinite(n)) return null;
+    const pid = cond.pillar ? String(cond.pillar).toUpperCase() : null;
+    if (pid && !/^P[1-7]$/.test(pid)) return null;
+    const ids = pid ? null : cond.indicators.map((id) => String(id)).filter((id) => Number(id) >= 1 && Number(id) <= 27);
+    if (ids && !ids.length) return null;
+    const label = pid || ids.map((id) => `#${id}`).join('/');
+    return {
+      test: (ctx) => {
+        const v = pid
+          ? Number(ctx.pillarAverages?.[pid] || 0)
+          : average(ids.map((id) => Number(ctx.indicatorSignals?.[id] || 0)));
+        // No scored indicators means no evidence either way; don't fire on it.
+        return { ok: v > 0 && op(v, n), detail: `${label}=${round1(v)}` };
+      }
+    };
+  }
+
+  if (Array.isArray(cond.contradiction)) {
+    const [a, b] = cond.contradiction.map(compilePhrases);
+    if (cond.contradiction.length !== 2 || !a || !b) return null;
+    return {
+      test: (ctx) => {
+        // The two sides must come from different turns: one statement can't contradict itself
+        let saidB = latestStatement(ctx.turns, b, { shadow: a });
+        let saidA = saidB && latestStatement(ctx.turns, a, { shadow: b, skipIndex: saidB.index });
+        if (!saidA) {
+          saidA = latestStatement(ctx.turns, a, { shadow: b });
+          saidB = saidA && latestStatement(ctx.turns, b, { shadow: a, skipIndex: saidA.index });
+        }
+        if (!saidA || !saidB) return { ok: false };
+        // Statement A is whichever was said first
+        const pair = saidA.index <= saidB.index ? [saidA, saidB] : [saidB, saidA];
+        return {
+          ok: true,
+          detail: `"${pair[0].statement.phrase}" vs "${pair[1].statement.phrase}"`,
+          statements: pair.map((s) => s.statement)
+        };
+      }
+    };
+  }
+
+  if (Array.isArray(cond.phrases)) {
+    const matchers = compilePhrases(cond.phrases);
+    if (!matchers) return null;
+    return {
+      test: (ctx) => {
+        const said = latestStatement(ctx.turns, matchers);
+        if (!said) return { ok: false };
+        return { ok: true, detail: `said "${said.statement.phrase}"`, statements: [said.statement] };
+      }
+    };
+  }
+
+  return null;
+}
+
+let indicatorNameWords = null;
+// Indicators whose whole name appears in the CSV term, e.g. "Desire Clarity or Priority" → 2, 3
+function indicatorsNamedIn(term) {
+  if (!indicatorNameWords) {
+    indicatorNameWords = Object.values(loadObjectionMatrix()).map((row) => ({ id: row.id, words: contentWords(row.name) }));
+  }
+  const termWords = contentWords(term);
+  const ids = indicatorNameWords.filter(({ words }) => words.length && words.every((w) => termWords.includes(w))).map(({ id }) => id);
+  return ids.length ? ids : null;
+}
+
+/**
+ * Turn CSV trigger text ("Available Money (P4) ≥ 7 AND Price Sensitivity raw (P6) ≥ 8") into
+ * condition objects. Returns null if any clause isn't a pillar/indicator comparison.
+ */
+function conditionsFromTrigger(trigger) {
+  // Conjunctions are upper-case in the sheet (same convention as the Push/Delay rules)
+  const clauses = String(trigger || '').split(/\s+AND\s+/);
+  const out = [];
+  for (const clause of clauses) {
+    const m = clause.trim().match(/^(.*?)\s*(≥|≤|>=|<=|<|>|=)\s*(\d+(?:\.\d+)?)$/);
+    if (!m) return null;
+    const term = m[1];
+    const pillar = term.match(/\b(P[1-7])\b/i);
+    if (pillar) {
+      out.push({ pillar: pillar[1].toUpperCase(), op: m[2], value: Number(m[3]) });
+      continue;
+    }
+    const indicators = indicatorsNamedIn(term);
+    if (!indicators) return null;
+    out.push({ indicators, op: m[2], value: Number(m[3]) });
+  }
+  return out.length ? out : null;
+}
+
+function loadCsvRuleDefs() {
+  try {
+    const table = loadSheetTable('Truth Index', ['Rule ID', 'Trigger Logic']);
+    if (!table) return null;
+    const { header, rows } = table;
+    const col = (name) => header.indexOf(name);
+    const defs = rows
+      .map((r) => ({
+        id: String(r[col('Rule ID')] || '').trim(),
+        name: String(r[col('Incoherence Condition')] || '').trim(),
+        trigger: String(r[col('Trigger Logic')] || '').trim(),
+        // "–15" (en dash) in the sheet
+        penalty: Math.abs(Number(String(r[col('Penalty (Points)')] || '').replace(/[^\d.]/g, ''))),
+        description: String(r[col('Notes')] || '').trim()
+      }))
+      .filter((d) => /^T\d+$/.test(d.id) && d.penalty > 0);
+    return defs.length ? defs : null;
+  } catch (e) {
+    console.warn('[TruthRules] Failed to load Truth Index CSV:', e?.message || e);
+    return null;
+  }
+}
+
+const CSV_DEFS = (loadCsvRuleDefs() || FALLBACK_CSV_RULES).map((d) => ({ ...d, lubometer: true, source: 'csv' }));
+
+function readRulesFile() {
+  const parsed = JSON.parse(fs.readFileSync(RULES_PATH, 'utf8'));
+  const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+  if (!Array.isArray(rules)) throw new Error('expected { "rules": [...] }');
+  return rules.filter((r) => r && typeof r === 'object' && /^\w+$/.test(String(r.id || '')));
+}
+
+function readPhrasePack(file) {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!parsed?.rules || typeof parsed.rules !== 'object' || Array.isArray(parsed.rules)) {
+    throw new Error('expected { "rules": { "T4": {...} } }');
+  }
+  return parsed.rules;
+}
+
+// Rule conditions with the packs' phrases added: "phrases" to the first phrases condition,
+// each "contradiction" side to the same side of the first contradiction condition
+function withPackPhrases(conditions, packEntries) {
+  if (!packEntries.length) return conditions;
+  const out = conditions.map((c) => (c && typeof c === 'object' ? { ...c } : c));
+  const phrasesCond = out.find((c) => Array.isArray(c?.phrases));
+  const contradictionCond = out.find((c) => Array.isArray(c?.contradiction));
+  for (const entry of packEntries) {
+    if (phrasesCond && Array.isArray(entry?.phrases)) {
+      phrasesCond.phrases = [...phrasesCond.phrases, ...entry.phrases];
+    }
+    if (contradictionCond && Array.isArray(entry?.contradiction)) {
+      contradictionCond.contradiction = contradictionCond.contradiction.map((side, i) => [
+        ...(Array.isArray(side) ? side : []),
+        ...(Array.isArray(entry.contradiction[i]) ? entry.contradiction[i] : [])
+      ]);
+    }
+  }
+  return out;
+}
+
+function compileRules(fileDefs, packs = []) {
+  const byId = new Map(CSV_DEFS.map((d) => [d.id, d]));
+  for (const def of fileDefs) {
+    const id = String(def.id);
+    const base = byId.get(id);
+    byId.set(id, { lubometer: false, ...base, ...def, id, source: base ? 'csv' : 'rules file' });
+  }
+
+  const out = [];
+  for (const def of byId.values()) {
+    if (def.enabled === false) continue;
+    const conditions = Array.isArray(def.when) ? def.when : conditionsFromTrigger(def.trigger);
+    const packEntries = packs.map((pack) => pack[def.id]).filter(Boolean);
+    const compiled = withPackPhrases(conditions || [], packEntries).map(compileCondition);
+    const penalty = Math.abs(Number(def.penalty));
+    if (!compiled.length || compiled.some((c) => !c) || !(penalty > 0)) {
+      console.warn(`[TruthRules] Skipping ${def.id}: no usable conditions or penalty`);
+      continue;
+    }
+    out.push({
+      id: def.id,
+      label: `${def.id} ${def.name || ''}`.trim(),
+      description: String(def.description || ''),
+      penalty,
+      lubometer: def.lubometer === true,
+      source: def.source,
+      conditions: compiled
+    });
+  }
+  return out;
+}
+
+// Raw rules file + phrase packs; compiled rule sets are cached per pack combination
+let sources = null;
+let sourcesStamp = null;
+let rulesByPacks = new Map();
+let lastCheckAt = 0;
+
+function packFiles() {
+  try {
+    return fs.readdirSync(PHRASES_DIR).filter((name) => name.endsWith('.json')).sort();
+  } catch {
+    return [];
+  }
+}
+
+function mtimeOf(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+function currentStamp() {
+  return [`rules:${mtimeOf(RULES_PATH)}`, ...packFiles().map((name) => `${name}:${mtimeOf(path.join(PHRASES_DIR, name))}`)].join('|');
+}
+
+function loadSources(previous) {
+  let fileDefs = [];
+  if (mtimeOf(RULES_PATH) !== null) {
+    try {
+      fileDefs = readRulesFile();
+    } catch (e) {
+      console.warn(`[TruthRules] Ignoring ${RULES_PATH}: ${e?.message || e}`);
+      // Keep the last good rules; don't retry the same broken file every pass
+      fileDefs = previous?.fileDefs || [];
+    }
+  }
+
+  const packs = {};
+  for (const name of packFiles()) {
+    const language = path.basename(name, '.json').toLowerCase();
+    try {
+      packs[language] = readPhrasePack(path.join(PHRASES_DIR, name));
+    } catch (e) {
+      console.warn(`[TruthRules] Ignoring phrase pack ${name}: ${e?.message || e}`);
+      if (previous?.packs?.[language]) packs[language] = previous.packs[language];
+    }
+  }
+  return { fileDefs, packs };
+}
+
+function refreshSources() {
+  const now = Date.now();
+  if (sources && now - lastCheckAt < RELOAD_MS) return;
+  lastCheckAt = now;
+
+  const stamp = currentStamp();
+  if (sources && stamp === sourcesStamp) return;
+  sources = loadSources(sources);
+  sourcesStamp = stamp;
+  rulesByPacks = new Map();
+  const packNames = Object.keys(sources.packs);
+  console.log(
+    `[TruthRules] Loaded ${sources.fileDefs.length} rules from ${mtimeOf(RULES_PATH) === null ? 'no rules file' : RULES_PATH}` +
+      `${packNames.length ? `, phrase packs: ${packNames.join(', ')}` : ''}`
+  );
+}
+
+// Packs whose phrases apply: none for English, the call language's pack, or every pack while
+// the language is unknown ('auto')
+function packsFor(language) {
+  const lang = String(language || 'en').toLowerCase();
+  if (lang === 'en') return [];
+  if (sources.packs[lang]) return [lang];
+  return lang === 'auto' ? Object.keys(sources.packs).sort() : [];
+}
+
+function currentRules(language = 'en') {
+  refreshSources();
+  const names = packsFor(language);
+  const key = names.join(',');
+  if (!rulesByPacks.has(key)) {
+    rulesByPacks.set(key, compileRules(sources.fileDefs, names.map((name) => sources.packs[name])));
+  }
+  return rulesByPacks.get(key);
+}
+
+/**
+ * @param {string} ruleId - e.g. "T4"
+ * @returns {{ id, label, description, penalty, lubometer, source }|null}
+ */
+export function getTruthRule(ruleId) {
+  const rule = currentRules().find((r) => r.id === String(ruleId || '').trim());
+  if (!rule) return null;
+  const { conditions, ...meta } = rule;
+  return meta;
+}
+
+/**
+ * Evaluate every Truth Index rule against the current scores and what the prospect said.
+ *
+ * @param {object} input
+ * @param {Record<string, number>} input.indicatorSignals - 1-10 scores for the 27 indicators
+ * @param {Record<string, number>} input.pillarAverages - Raw P1..P7 averages (computePillarAverages)
+ * @param {Array<{ text: string, ts?: string|null, t?: number|null }>} input.prospectTurns -
+ *   prospect-attributed turns in call order (ts ISO, t ms since call start)
+ * @param {string} [input.language] - call language ('en', 'es', 'auto'); picks the phrase packs
+ * @returns {Array<{ ruleId, rule, description, penalty, details, lubometer, statements }>} fired rules,
+ *   in rule order; statements = prospect quotes behind the phrase conditions ([A, B] for a contradiction)
+ */
+export function evaluateTruthRules({ indicatorSignals = {}, pillarAverages = {}, prospectTurns = [], language = 'en' } = {}) {
+  const turns = (Array.isArray(prospectTurns) ? prospectTurns : [])
+    .map((turn) => {
+      const text = collapseSpaces(turn?.text);
+      return { text, norm: normalizeSpeech(text), ts: turn?.ts ?? null, t: turn?.t ?? null };
+    })
+    .filter((turn) => turn.text);
+  const ctx = { indicatorSignals, pillarAverages, turns };
+  const fired = [];
+  for (const rule of currentRules(language)) {
+    const details = [];
+    const statements = [];
+    let ok = true;
+    for (const cond of rule.conditions) {
+      const res = cond.test(ctx);
+      if (!res.ok) {
+        ok = false;
+        break;
+      }
+      details.push(res.detail);
+      if (res.statements) statements.push(...res.statements);
+    }
+    if (!ok) continue;
+    fired.push({
+      ruleId: rule.id,
+      rule: rule.label,
+      description: rule.description,
+      penalty: rule.penalty,
+      details: details.join(', '),
+      lubometer: rule.lubometer,
+      statements
+    });
+  }
+  return fired;
+}
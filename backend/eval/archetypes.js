@@ -0,0 +1,116 @@
+/**
+ * Prospect archetype loader for "backend/txt files/*.txt".
+ *
+ * Pulls the spoken material out of each discovery framework so scenarios can reference it
+ * instead of copying it:
+ *   @question:N  → first "Key Questions" bullet of Phase N (closer lines)
+ *   @pain:N      → Nth "Core Pain Statements" quote
+ *   @objection:N → Nth "Likely Objections" quote
+ *   @belief:N    → Nth "False Beliefs" statement (annotation in parentheses removed)
+ * N is 1-based for question (phase number) and 0-based otherwise, matching the file order.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ARCHETYPES_DIR = path.resolve(__dirname, '..', 'txt files');
+
+// File name → prospectType id used by the frontend and strategy prompts.
+export const ARCHETYPE_PROSPECT_TYPES = {
+  'foreclosure-prospect.txt': 'foreclosure',
+  'tired-landlord-prospect.txt': 'performing-tired-landlord',
+  'distressed-landlord-prospect.txt': 'distressed-landlord',
+  'cash-equity-seller.txt': 'cash-equity-seller',
+  'creative-finance-savvy-prospect.txt': 'creative-seller-financing'
+};
+
+const unquote = (s) => String(s || '').trim().replace(/^[-*\s]*/, '').replace(/^["“]|["”]$/g, '').trim();
+
+// "They won't really foreclose, they'll negotiate... (denial, time's up)" → spoken part only
+const stripAnnotation = (s) => unquote(String(s || '').replace(/\s*\([^)]*\)\s*"?$/, '"')).replace(/\.\.\.$/, '.').trim();
+
+/**
+ * Parse one archetype file into its reusable lines.
+ */
+export function parseArchetype(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const out = { title: '', questions: {}, pain: [], objections: [], beliefs: [] };
+
+  let section = '';
+  let subsection = '';
+  let phase = null;
+  let inKeyQuestions = false;
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (line.startsWith('# ') && !out.title) out.title = line.slice(2).trim();
+
+    if (line.startsWith('## ')) {
+      section = line.slice(3).trim().toLowerCase();
+      subsection = '';
+      phase = null;
+      inKeyQuestions = false;
+      continue;
+    }
+
+    if (line.startsWith('### ')) {
+      subsection = line.slice(4).trim();
+      const phaseMatch = subsection.match(/^Phase\s+(\d+)/i);
+      phase = phaseMatch ? Number(phaseMatch[1]) : null;
+      inKeyQuestions = false;
+      const objection = subsection.match(/^Objection:\s*(.+)$/i);
+      if (section.startsWith('likely objections') && objection) out.objections.push(unquote(objection[1]));
+      continue;
+    }
+
+    if (line.startsWith('**')) {
+      inKeyQuestions = phase !== null && /^\*\*Key Questions:\*\*/i.test(line);
+      const statement = line.match(/^\*\*Statement:\*\*\s*(.+)$/i);
+      if (section.startsWith('false beliefs') && statement) out.beliefs.push(stripAnnotation(statement[1]));
+      continue;
+    }
+
+    if (!line.startsWith('- ')) continue;
+    if (inKeyQuestions && !out.questions[phase]) {
+      out.questions[phase] = unquote(line);
+    } else if (section.startsWith('pain') && /^core pain statements$/i.test(subsection)) {
+      out.pain.push(unquote(line));
+    }
+  }
+
+  return out;
+}
+
+const cache = new Map();
+
+export function loadArchetype(fileName) {
+  if (cache.has(fileName)) return cache.get(fileName);
+  const parsed = parseArchetype(fs.readFileSync(path.join(ARCHETYPES_DIR, fileName), 'utf8'));
+  parsed.fileName = fileName;
+  parsed.prospectType = ARCHETYPE_PROSPECT_TYPES[fileName] || '';
+  cache.set(fileName, parsed);
+  return parsed;
+}
+
+/**
+ * Resolve "@kind:N" against an archetype; any other string is returned as-is.
+ */
+export function resolveArchetypeRef(archetype, value) {
+  const m = String(value || '').match(/^@(question|pain|objection|belief):(\d+)$/);
+  if (!m) return String(value || '');
+  const [, kind, idxStr] = m;
+  const idx = Number(idxStr);
+  const resolved =
+    kind === 'question' ? archetype.questions[idx]
+      : kind === 'pain' ? archetype.pain[idx]
+        : kind === 'objection' ? archetype.objections[idx]
+          : archetype.beliefs[idx];
+  if (!resolved) {
+    throw new Error(`${archetype.fileName}: no ${kind} #${idx}`);
+  }
+  return resolved;
+}
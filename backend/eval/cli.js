@@ -0,0 +1,114 @@
+/**
+ * Agent evaluation CLI
+ *
+ *   npm run eval                                   # all scenarios, saves eval/results/<timestamp>.json
+ *   npm run eval -- --scenario foreclosure-ready   # comma-separate for several
+ *   npm run eval -- --compare eval/results/baseline.json
+ *   npm run eval -- --label "P2 prompt v3" --out eval/results/p2-v3.json
+ *
+ * Options:
+ *   --scenarios <path>   Scenario file (default eval/scenarios.json)
+ *   --scenario <ids>     Comma-separated scenario ids to run
+ *   --compare <path>     Previous results file; prints deltas against it
+ *   --out <path>         Results file (default eval/results/<timestamp>.json)
+ *   --label <text>       Free-form label stored with the run
+ *   --verbose            Print every check, not just failures
+ *
+ * Exits 0 even when checks fail; the scorecard is the signal. Use LLM_PROVIDER=scripted to
+ * exercise the harness offline (scores will reflect the neutral fixtures, not the prompts).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+const EVAL_OUTPUT_DIR = process.env.EVAL_OUTPUT_DIR || path.join(__dirname, 'results');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // Imported after dotenv so providers see LLM_* / OPENAI_API_KEY from backend/.env
+  const { loadScenarios, runScenario, DEFAULT_SCENARIOS_PATH } = await import('./evaluate.js');
+  const { summarizeRun, formatScorecard } = await import('./scoring.js');
+  const { describeLlmConfig } = await import('../llm/providers.js');
+
+  let scenarios = loadScenarios(typeof args.scenarios === 'string' ? path.resolve(args.scenarios) : DEFAULT_SCENARIOS_PATH);
+  if (typeof args.scenario === 'string') {
+    const wanted = new Set(args.scenario.split(',').map((s) => s.trim()).filter(Boolean));
+    scenarios = scenarios.filter((s) => wanted.has(s.id));
+    const missing = [...wanted].filter((id) => !scenarios.some((s) => s.id === id));
+    if (missing.length) throw new Error(`Unknown scenario(s): ${missing.join(', ')}`);
+  }
+
+  let baseline = null;
+  if (typeof args.compare === 'string') {
+    baseline = JSON.parse(fs.readFileSync(path.resolve(args.compare), 'utf8'));
+  }
+
+  const llm = describeLlmConfig();
+  console.log(`[Eval] Running ${scenarios.length} scenario(s) with ${llm}`);
+
+  // Sequential on purpose: scenarios already fan out to ~10 agents each, and parallel runs
+  // would compete for the same throttled pool and skew timeouts.
+  const results = [];
+  for (const scenario of scenarios) {
+    const res = await runScenario(scenario);
+    results.push(res);
+    const errs = Object.entries(res.actual.errors);
+    console.log(
+      `[Eval] ${scenario.id}: ${res.score.passed}/${res.score.total} in ${res.durationMs}ms` +
+        (errs.length ? ` (errors: ${errs.map(([k, v]) => `${k}=${v}`).join(', ')})` : '')
+    );
+    for (const c of res.score.checks) {
+      if (!c.pass || args.verbose) console.log(`    ${c.pass ? 'ok  ' : 'FAIL'} [${c.area}] ${c.name} - ${c.detail}`);
+    }
+  }
+
+  const summary = summarizeRun(results);
+  const run = {
+    label: typeof args.label === 'string' ? args.label : '',
+    startedAt: new Date().toISOString(),
+    llm,
+    summary,
+    results
+  };
+
+  const outPath = typeof args.out === 'string'
+    ? path.resolve(args.out)
+    : path.join(EVAL_OUTPUT_DIR, `${run.startedAt.replace(/[:.]/g, '-')}.json`);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(run, null, 2));
+
+  console.log('\n=== Scorecard' + (baseline ? ` (vs ${baseline.label || baseline.startedAt || args.compare})` : '') + ' ===');
+  console.log(formatScorecard(summary, baseline?.summary || null));
+  console.log(`\n[Eval] Results written to ${outPath}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('[Eval] Failed:', e?.message || e);
+    process.exit(1);
+  });
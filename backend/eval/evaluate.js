@@ -0,0 +1,108 @@
+/**
+ * Agent evaluation - runs the Lubometer pillar agents, the objections system and the
+ * Truth Index agent against the golden scenarios and scores them. The Truth Index rules
+ * (CSV + rules file) are also evaluated on the scenario's prospect turns.
+ *
+ * Agents are called directly (not through the engine) so a failure points at one agent's
+ * prompt rather than at scheduling or merging.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runAllPillarAgents, runObjectionsAgentsProgressive, runTruthIndexAgent } from '../analysis/aiAgents.js';
+import { computePillarAverages } from '../analysis/engine.js';
+import { evaluateTruthRules } from '../analysis/truthIndexRules.js';
+import { loadArchetype, resolveArchetypeRef } from './archetypes.js';
+import { scoreScenario } from './scoring.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_SCENARIOS_PATH = path.join(__dirname, 'scenarios.json');
+
+const LINE_RE = /^(CLOSER|PROSPECT)\s*:\s*(.+)$/i;
+
+/**
+ * Load scenarios and resolve "@kind:N" references against their archetype files.
+ */
+export function loadScenarios(filePath = DEFAULT_SCENARIOS_PATH) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const list = Array.isArray(raw?.scenarios) ? raw.scenarios : [];
+
+  return list.map((s) => {
+    if (!s?.id) throw new Error('Scenario missing id');
+    const archetype = loadArchetype(s.archetype);
+    const turns = (s.script || []).map((line, i) => {
+      const m = String(line).match(LINE_RE);
+      if (!m) throw new Error(`${s.id}: script line ${i + 1} must start with CLOSER: or PROSPECT:`);
+      return { speaker: m[1].toLowerCase(), text: resolveArchetypeRef(archetype, m[2].trim()) };
+    });
+    const expect = s.expect || {};
+    return {
+      id: s.id,
+      description: s.description || '',
+      archetype: s.archetype,
+      prospectType: s.prospectType || archetype.prospectType,
+      turns,
+      // Same labeled format as the session transcript (conversationHistory)
+      transcript: turns.map((t) => `${t.speaker.toUpperCase()}: ${t.text}`).join('\n\n'),
+      expect: {
+        ...expect,
+        objections: (expect.objections || []).map((o) => resolveArchetypeRef(archetype, o))
+      }
+    };
+  });
+}
+
+/**
+ * Run one scenario through the three agent groups.
+ */
+export async function runScenario(scenario) {
+  const startTime = Date.now();
+  const [pillarsRes, objectionsRes, truthRes] = await Promise.allSettled([
+    runAllPillarAgents(scenario.transcript),
+    runObjectionsAgentsProgressive(scenario.transcript, '', scenario.prospectType),
+    runTruthIndexAgent(scenario.transcript)
+  ]);
+
+  const errors = {};
+  const valueOf = (res, key) => {
+    if (res.status === 'rejected') {
+      errors[key] = String(res.reason?.message || res.reason || 'error');
+      return {};
+    }
+    if (res.value?.error) errors[key] = String(res.value.error);
+    return res.value || {};
+  };
+  const pillars = valueOf(pillarsRes, 'pillars');
+  const objections = valueOf(objectionsRes, 'objections');
+  const truth = valueOf(truthRes, 'truth');
+  const pillarErrors = Object.entries(pillars.pillarErrors || {}).filter(([, e]) => e);
+  if (pillarErrors.length) errors.pillars = pillarErrors.map(([pid, e]) => `${pid}: ${e}`).join('; ');
+
+  const indicatorSignals = pillars.indicatorSignals || {};
+  const pillarAverages = computePillarAverages(indicatorSignals);
+  const actual = {
+    indicatorSignals,
+    pillarAverages,
+    objections: Array.isArray(objections.objections)
+      ? objections.objections.map((o) => ({ objectionText: o.objectionText, probability: o.probability }))
+      : [],
+    truthRules: Array.isArray(truth.detectedRules) ? truth.detectedRules : [],
+    rulesFired: evaluateTruthRules({
+      indicatorSignals,
+      pillarAverages,
+      prospectTurns: scenario.turns.filter((t) => t.speaker === 'prospect')
+    }).map((r) => ({ ruleId: r.ruleId, details: r.details })),
+    errors
+  };
+
+  return {
+    id: scenario.id,
+    prospectType: scenario.prospectType,
+    durationMs: Date.now() - startTime,
+    actual,
+    score: scoreScenario(scenario.expect, actual)
+  };
+}
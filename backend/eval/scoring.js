@@ -0,0 +1,129 @@
+/**
+ * Scenario scoring + scorecard comparison.
+ *
+ * Every expectation becomes one pass/fail check so runs can be compared as a single
+ * accuracy number and per-area (pillars / objections / truth / rules) breakdowns.
+ */
+
+import { contentWords } from '../analysis/csvData.js';
+
+const OBJECTION_MATCH_THRESHOLD = 0.5;
+
+/**
+ * Share of the expected phrase's content words found in the detected objection text.
+ * Detection must quote the transcript, so recall of the expected words is the right measure.
+ */
+export function objectionMatchScore(expected, detected) {
+  const exp = contentWords(expected);
+  if (!exp.length) return 0;
+  const det = new Set(contentWords(detected));
+  return exp.filter((w) => det.has(w)).length / exp.length;
+}
+
+/**
+ * @param {object} expect - resolved scenario expectations
+ * @param {object} actual - { pillarAverages, objections, truthRules, rulesFired, errors }
+ * @returns {{checks: Array, passed: number, total: number, byArea: object}}
+ */
+export function scoreScenario(expect, actual) {
+  const checks = [];
+  const add = (area, name, pass, detail) => checks.push({ area, name, pass: Boolean(pass), detail });
+
+  for (const [pid, [lo, hi]] of Object.entries(expect.pillars || {})) {
+    const v = Number(actual.pillarAverages?.[pid] || 0);
+    add('pillars', `${pid} in ${lo}-${hi}`, v >= lo && v <= hi, `got ${v.toFixed(1)}`);
+  }
+
+  const detected = (actual.objections || []).map((o) => String(o?.objectionText || ''));
+  for (const exp of expect.objections || []) {
+    let best = 0;
+    let bestText = '';
+    for (const d of detected) {
+      const s = objectionMatchScore(exp, d);
+      if (s > best) {
+        best = s;
+        bestText = d;
+      }
+    }
+    add('objections', `detects "${exp}"`, best >= OBJECTION_MATCH_THRESHOLD, bestText ? `best "${bestText}" (${best.toFixed(2)})` : 'none detected');
+  }
+  if (typeof expect.maxObjections === 'number') {
+    add('objections', `at most ${expect.maxObjections} objection(s)`, detected.length <= expect.maxObjections, `got ${detected.length}`);
+  }
+
+  const fired = new Set((actual.truthRules || []).map((r) => String(r?.ruleId || '').trim()));
+  for (const rule of expect.truthRules || []) {
+    add('truth', `fires ${rule}`, fired.has(rule), `fired [${[...fired].join(', ')}]`);
+  }
+  for (const rule of expect.forbiddenTruthRules || []) {
+    add('truth', `does not fire ${rule}`, !fired.has(rule), `fired [${[...fired].join(', ')}]`);
+  }
+
+  const ruleHits = new Set((actual.rulesFired || []).map((r) => String(r?.ruleId || '').trim()));
+  for (const rule of expect.rules || []) {
+    add('rules', `rules fire ${rule}`, ruleHits.has(rule), `fired [${[...ruleHits].join(', ')}]`);
+  }
+  for (const rule of expect.forbiddenRules || []) {
+    add('rules', `rules do not fire ${rule}`, !ruleHits.has(rule), `fired [${[...ruleHits].join(', ')}]`);
+  }
+
+  const byArea = {};
+  for (const c of checks) {
+    byArea[c.area] = byArea[c.area] || { passed: 0, total: 0 };
+    byArea[c.area].total += 1;
+    if (c.pass) byArea[c.area].passed += 1;
+  }
+  const passed = checks.filter((c) => c.pass).length;
+  return { checks, passed, total: checks.length, byArea };
+}
+
+/**
+ * Roll scenario results up into the run-level scorecard.
+ */
+export function summarizeRun(results) {
+  const byArea = {};
+  let passed = 0;
+  let total = 0;
+  for (const r of results) {
+    passed += r.score.passed;
+    total += r.score.total;
+    for (const [area, s] of Object.entries(r.score.byArea)) {
+      byArea[area] = byArea[area] || { passed: 0, total: 0 };
+      byArea[area].passed += s.passed;
+      byArea[area].total += s.total;
+    }
+  }
+  const pct = (p, t) => (t ? Math.round((p / t) * 1000) / 10 : null);
+  return {
+    accuracy: pct(passed, total),
+    passed,
+    total,
+    byArea: Object.fromEntries(Object.entries(byArea).map(([a, s]) => [a, { ...s, accuracy: pct(s.passed, s.total) }])),
+    scenarios: Object.fromEntries(results.map((r) => [r.id, pct(r.score.passed, r.score.total)]))
+  };
+}
+
+const fmtPct = (v) => (v === null || v === undefined ? '   -  ' : `${v.toFixed(1).padStart(5)}%`);
+const fmtDelta = (cur, prev) => {
+  if (prev === null || prev === undefined || cur === null || cur === undefined) return '';
+  const d = Math.round((cur - prev) * 10) / 10;
+  if (d === 0) return '  (=)';
+  return `  (${d > 0 ? '+' : ''}${d.toFixed(1)})`;
+};
+
+/**
+ * Text scorecard for the console; includes deltas when a baseline summary is given.
+ */
+export function formatScorecard(summary, baseline = null) {
+  const lines = [];
+  lines.push(`Overall   ${fmtPct(summary.accuracy)}  ${summary.passed}/${summary.total} checks${fmtDelta(summary.accuracy, baseline?.accuracy)}`);
+  for (const [area, s] of Object.entries(summary.byArea)) {
+    lines.push(`${area.padEnd(10)}${fmtPct(s.accuracy)}  ${s.passed}/${s.total}${fmtDelta(s.accuracy, baseline?.byArea?.[area]?.accuracy)}`);
+  }
+  lines.push('');
+  const width = Math.max(10, ...Object.keys(summary.scenarios).map((id) => id.length)) + 2;
+  for (const [id, acc] of Object.entries(summary.scenarios)) {
+    lines.push(`${id.padEnd(width)}${fmtPct(acc)}${fmtDelta(acc, baseline?.scenarios?.[id])}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,416 @@
+/**
+ * Session export formats - render an export packet (export/packet.js) as:
+ *   json   the packet itself
+ *   md     Markdown, for pasting into CRM notes and email
+ *   csv    one row per item, columns section, offset_ms, clock, speaker, label, text, detail:
+ *            session / summary / debrief   label = field, text = value
+ *            transcript                    speaker and text at offset_ms
+ *            timeline                      label = Lubometer | Truth Index, text = score
+ *            turning_point                 text = "from → to (delta)", detail = pillar drivers
+ *            objection                     label = fear, text = objection, detail = rebuttal shown
+ *   html   one self-contained page (inline CSS and SVG chart, no external assets) laid out for print
+ */
+
+export const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+const FORMAT_ALIASES = { markdown: 'md' };
+
+// Timeline rows in Markdown / HTML tables; the chart and the CSV keep every point
+const MAX_TABLE_POINTS = 30;
+
+const SPEAKER_LABELS = { closer: 'Closer', prospect: 'Prospect', unknown: 'Unknown' };
+
+const SUMMARY_SECTIONS = [
+  ['executiveSummary', 'Executive Summary'],
+  ['prospectSituation', 'Prospect Situation'],
+  ['keyPoints', 'Key Points'],
+  ['objectionsRaised', 'Objections Raised'],
+  ['objectionsResolved', 'Objections Resolved'],
+  ['nextSteps', 'Next Steps'],
+  ['closerPerformance', 'Closer Performance'],
+  ['prospectReadiness', 'Prospect Readiness'],
+  ['recommendations', 'Recommendations']
+];
+
+/**
+ * Format name from a query value ("md" or "markdown", case-insensitive), or null if unsupported.
+ */
+export function normalizeExportFormat(value) {
+  const key = String(value || '').trim().toLowerCase();
+  const format = FORMAT_ALIASES[key] || key;
+  return EXPORT_FORMATS[format] ? format : null;
+}
+
+// 222000 -> "3:42", 3722000 -> "1:02:02"
+export function formatClock(ms) {
+  if (!Number.isFinite(ms)) return '';
+  const total = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// "whichObjectionCameUp" -> "Which objection came up"
+const humanize = (key) => {
+  const words = String(key).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const speakerLabel = (speaker) => SPEAKER_LABELS[speaker] || SPEAKER_LABELS.unknown;
+
+const isBlank = (value) =>
+  value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length);
+
+const valueText = (value) => (Array.isArray(value) ? value.map(String).join('; ') : String(value));
+
+const signed = (n) => `${n > 0 ? '+' : ''}${n}`;
+
+/**
+ * Summary as [{ label, value }] in reading order: the known sections, then anything else the
+ * agent returned. Values are strings or string arrays.
+ */
+function summarySections(summary) {
+  const data = summary?.summary || {};
+  const known = new Set(SUMMARY_SECTIONS.map(([key]) => key));
+  const sections = SUMMARY_SECTIONS.map(([key, label]) => ({ label, value: data[key] }));
+  for (const [key, value] of Object.entries(data)) {
+    if (!known.has(key) && (typeof value === 'string' || Array.isArray(value))) sections.push({ label: humanize(key), value });
+  }
+  return sections.filter((s) => !isBlank(s.value));
+}
+
+/**
+ * Debrief as [{ label, value }]: outcome, scores and narrative fields, then questionnaire answers.
+ */
+function debriefFields(debrief) {
+  if (!debrief) return [];
+  const dials = Object.entries(debrief.dials || {})
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => `${humanize(k)} ${v}`);
+  const fields = [
+    { label: 'Outcome', value: debrief.outcome },
+    { label: 'Lubometer', value: debrief.lubometer },
+    { label: 'Dials', value: dials.join(', ') },
+    { label: 'Truth Index', value: debrief.truthIndexScore },
+    { label: 'Collapse conditions', value: (debrief.collapseConditions || []).map((c) => (typeof c === 'string' ? c : JSON.stringify(c))) },
+    { label: 'Notes', value: debrief.notes },
+    { label: 'What went well', value: debrief.whatWentWell },
+    { label: "What didn't go well", value: debrief.whatDidntGoWell },
+    { label: 'Why this outcome', value: debrief.whyOutcome }
+  ];
+  for (const [key, value] of Object.entries(debrief.answers || {})) {
+    fields.push({ label: humanize(key), value: typeof value === 'object' && value !== null && !Array.isArray(value) ? JSON.stringify(value) : value });
+  }
+  return fields.filter((f) => !isBlank(f.value));
+}
+
+function sessionFields(session) {
+  return [
+    { label: 'Session', value: session.id },
+    { label: 'Closer', value: session.userEmail },
+    { label: 'Prospect type', value: session.prospectType },
+    { label: 'Source', value: session.sourceName ? `${session.source} (${session.sourceName})` : session.source },
+    { label: 'Language', value: session.detectedLanguage || session.language },
+    { label: 'Started', value: session.createdAt },
+    { label: 'Ended', value: session.endedAt },
+    { label: 'Duration', value: Number.isFinite(session.durationMs) ? formatClock(session.durationMs) : null },
+    { label: 'Status', value: session.status }
+  ].filter((f) => !isBlank(f.value));
+}
+
+// Evenly spaced points, always keeping the last one
+function samplePoints(points, max = MAX_TABLE_POINTS) {
+  if (points.length <= max) return points;
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+}
+
+const objectionOffset = (o) => (Number.isFinite(o.offsetMs) ? o.offsetMs : o.t);
+
+const driversText = (tp) => (tp.drivers || []).map((d) => `${d.label} ${signed(d.delta)}`).join(', ');
+
+const callTitle = (packet) => `${packet.session.prospectType || 'Call'} - ${String(packet.session.createdAt || '').slice(0, 10)}`;
+
+/**
+ * Download name: call-2026-01-13-foreclosure-1a2b3c4d.md
+ */
+export function exportFileName(packet, format) {
+  const date = String(packet.session.createdAt || '').slice(0, 10) || 'undated';
+  const type = String(packet.session.prospectType || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return ['call', date, type, String(packet.session.id).slice(0, 8)].filter(Boolean).join('-') + `.${EXPORT_FORMATS[format].extension}`;
+}
+
+// --- Markdown ---
+
+// Inline text: one line, with Markdown syntax characters escaped
+const md = (value) => String(value ?? '').replace(/\s*\n\s*/g, ' ').replace(/([\\`*_[\]<>|#])/g, '\\$1');
+
+function renderMarkdown(packet) {
+  const out = [`# Call export: ${md(callTitle(packet))}`, ''];
+  for (const f of sessionFields(packet.session)) out.push(`- **${f.label}:** ${md(f.value)}`);
+  out.push(`- **Exported:** ${packet.exportedAt}`, '');
+
+  out.push(`## Summary${packet.summary ? (packet.summary.isFinal ? ' (final)' : ' (progressive)') : ''}`, '');
+  const sections = summarySections(packet.summary);
+  if (!sections.length) out.push('_No summary was generated for this call._', '');
+  for (const s of sections) {
+    out.push(`### ${s.label}`, '');
+    if (Array.isArray(s.value)) out.push(...s.value.map((item) => `- ${md(item)}`));
+    else out.push(md(s.value));
+    out.push('');
+  }
+
+  out.push('## Timeline', '');
+  const points = packet.timeline?.points || [];
+  if (!points.length) {
+    out.push('_No analysis timeline was saved for this call._', '');
+  } else {
+    out.push('| Time | Lubometer | Truth Index |', '|---|---|---|');
+    for (const p of samplePoints(points)) out.push(`| ${formatClock(p.t)} | ${p.lubometer} | ${p.truthIndex} |`);
+    out.push('');
+    const turningPoints = packet.timeline.turningPoints || [];
+    if (turningPoints.length) {
+      out.push('### Turning Points', '');
+      for (const tp of turningPoints) {
+        const drivers = driversText(tp);
+        out.push(`- **${formatClock(tp.t)}** Lubometer ${tp.from} → ${tp.to} (${signed(tp.delta)})${drivers ? `: ${md(drivers)}` : ''}`);
+      }
+      out.push('');
+    }
+  }
+
+  out.push('## Objections', '');
+  if (!packet.objections.length) out.push('_No objections were detected._', '');
+  packet.objections.forEach((o, i) => {
+    out.push(`### ${i + 1}. ${md(o.objectionText)} (${formatClock(objectionOffset(o))})`, '');
+    if (o.fear) out.push(`- **Fear:** ${md(o.fear)}`);
+    if (o.whisper) out.push(`- **Whisper:** ${md(o.whisper)}`);
+    if (o.rebuttalScript) out.push(`- **Rebuttal:** ${md(o.rebuttalScript)}`);
+    out.push('');
+  });
+
+  out.push('## Debrief', '');
+  const debrief = debriefFields(packet.debrief);
+  if (!debrief.length) out.push('_No debrief was written for this call._');
+  for (const f of debrief) out.push(`- **${md(f.label)}:** ${md(valueText(f.value))}`);
+  out.push('');
+
+  out.push('## Transcript', '');
+  if (!packet.transcript.length) out.push('_The transcript is empty._', '');
+  for (const line of packet.transcript) {
+    out.push(`**[${formatClock(line.offsetMs)}] ${speakerLabel(line.speaker)}:** ${md(line.text)}`, '');
+  }
+  return out.join('\n');
+}
+
+// --- CSV ---
+
+const CSV_COLUMNS = ['section', 'offset_ms', 'clock', 'speaker', 'label', 'text', 'detail'];
+
+// Spreadsheets run cells starting with these as formulas; transcript and agent text must stay text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(packet) {
+  const rows = [];
+  const row = (section, { offsetMs = null, speaker = '', label = '', text = '', detail = '' } = {}) =>
+    rows.push([section, offsetMs, formatClock(offsetMs), speaker, label, text, detail]);
+
+  for (const f of sessionFields(packet.session)) row('session', { label: f.label, text: f.value });
+  for (const s of summarySections(packet.summary)) row('summary', { label: s.label, text: valueText(s.value) });
+  for (const line of packet.transcript) {
+    row('transcript', { offsetMs: line.offsetMs, speaker: speakerLabel(line.speaker), text: line.text });
+  }
+  for (const p of packet.timeline?.points || []) {
+    row('timeline', { offsetMs: p.t, label: 'Lubometer', text: p.lubometer });
+    row('timeline', { offsetMs: p.t, label: 'Truth Index', text: p.truthIndex });
+  }
+  for (const tp of packet.timeline?.turningPoints || []) {
+    row('turning_point', { offsetMs: tp.t, label: 'Lubometer', text: `${tp.from} → ${tp.to} (${signed(tp.delta)})`, detail: driversText(tp) });
+  }
+  for (const o of packet.objections) {
+    row('objection', { offsetMs: objectionOffset(o), label: o.fear, text: o.objectionText, detail: o.rebuttalScript });
+  }
+  for (const f of debriefFields(packet.debrief)) row('debrief', { label: f.label, text: valueText(f.value) });
+
+  // BOM so Excel reads the file as UTF-8 (accents in Spanish calls)
+  return '\uFEFF' + [CSV_COLUMNS, ...rows].map((r) => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- HTML ---
+
+const html = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const CHART_W = 720;
+const CHART_H = 180;
+const CHART_PAD = 28;
+
+// Lubometer and Truth Index (0-100) over the call as two polylines
+function timelineChart(points) {
+  if (points.length < 2) return '';
+  const maxT = Math.max(1, points[points.length - 1].t);
+  const x = (t) => (CHART_PAD + (t / maxT) * (CHART_W - 2 * CHART_PAD)).toFixed(1);
+  const y = (v) => (CHART_H - CHART_PAD - (Math.min(100, Math.max(0, Number(v) || 0)) / 100) * (CHART_H - 2 * CHART_PAD)).toFixed(1);
+  const line = (key) => points.map((p) => `${x(p.t)},${y(p[key])}`).join(' ');
+  const grid = [0, 50, 100]
+    .map((v) => `<line x1="${CHART_PAD}" x2="${CHART_W - CHART_PAD}" y1="${y(v)}" y2="${y(v)}" class="grid"/><text x="4" y="${Number(y(v)) + 4}" class="axis">${v}</text>`)
+    .join('');
+  return `<svg viewBox="0 0 ${CHART_W} ${CHART_H}" class="chart" role="img" aria-label="Lubometer and Truth Index over the call">
+${grid}
+<polyline points="${line('lubometer')}" class="lubometer"/>
+<polyline points="${line('truthIndex')}" class="truth"/>
+<text x="${CHART_PAD}" y="${CHART_H - 6}" class="axis">0:00</text>
+<text x="${CHART_W - CHART_PAD}" y="${CHART_H - 6}" class="axis" text-anchor="end">${formatClock(maxT)}</text>
+</svg>
+<p class="legend"><span class="key lubometer"></span>Lubometer <span class="key truth"></span>Truth Index</p>`;
+}
+
+const HTML_STYLE = `
+body { font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #111827; max-width: 820px; margin: 24px auto; padding: 0 16px; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+h2 { font-size: 17px; border-bottom: 2px solid #0e7490; padding-bottom: 4px; margin-top: 28px; }
+h3 { font-size: 14px; margin: 14px 0 4px; }
+dl.fields { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; margin: 8px 0; }
+dl.fields dt { font-weight: 600; color: #374151; }
+dl.fields dd { margin: 0; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+.muted { color: #6b7280; font-style: italic; }
+.clock { font-family: ui-monospace, Menlo, Consolas, monospace; color: #6b7280; white-space: nowrap; }
+.speaker-closer { color: #0e7490; font-weight: 600; white-space: nowrap; }
+.speaker-prospect { color: #b45309; font-weight: 600; white-space: nowrap; }
+.speaker-unknown { color: #6b7280; font-weight: 600; white-space: nowrap; }
+.objection { border: 1px solid #e5e7eb; border-left: 4px solid #b45309; border-radius: 4px; padding: 8px 12px; margin: 8px 0; }
+.chart { width: 100%; height: auto; }
+.chart .grid { stroke: #e5e7eb; }
+.chart .axis { font-size: 10px; fill: #6b7280; }
+.chart polyline { fill: none; stroke-width: 2; }
+.chart .lubometer, .key.lubometer { stroke: #0e7490; background: #0e7490; }
+.chart .truth, .key.truth { stroke: #7c3aed; background: #7c3aed; }
+.legend { font-size: 12px; color: #374151; }
+.key { display: inline-block; width: 12px; height: 3px; margin: 0 4px 3px 8px; }
+.print { float: right; padding: 6px 12px; }
+@media print {
+  body { margin: 0; max-width: none; }
+  .print { display: none; }
+  h2 { break-after: avoid; }
+  .objection, tr, .chart { break-inside: avoid; }
+}`;
+
+const fieldList = (fields) =>
+  `<dl class="fields">${fields.map((f) => `<dt>${html(f.label)}</dt><dd>${html(valueText(f.value))}</dd>`).join('')}</dl>`;
+
+const muted = (text) => `<p class="muted">${html(text)}</p>`;
+
+function renderHtml(packet) {
+  const title = `Call export: ${callTitle(packet)}`;
+  const parts = [];
+
+  parts.push(`<button class="print" onclick="window.print()">Print</button>`, `<h1>${html(title)}</h1>`);
+  parts.push(fieldList([...sessionFields(packet.session), { label: 'Exported', value: packet.exportedAt }]));
+
+  parts.push(`<h2>Summary${packet.summary ? (packet.summary.isFinal ? ' (final)' : ' (progressive)') : ''}</h2>`);
+  const sections = summarySections(packet.summary);
+  if (!sections.length) parts.push(muted('No summary was generated for this call.'));
+  for (const s of sections) {
+    parts.push(`<h3>${html(s.label)}</h3>`);
+    parts.push(Array.isArray(s.value) ? `<ul>${s.value.map((item) => `<li>${html(item)}</li>`).join('')}</ul>` : `<p>${html(s.value)}</p>`);
+  }
+
+  parts.push('<h2>Timeline</h2>');
+  const points = packet.timeline?.points || [];
+  if (!points.length) {
+    parts.push(muted('No analysis timeline was saved for this call.'));
+  } else {
+    parts.push(timelineChart(points));
+    const turningPoints = packet.timeline.turningPoints || [];
+    if (turningPoints.length) {
+      parts.push('<h3>Turning Points</h3><table><tr><th>Time</th><th>Lubometer</th><th>Drivers</th></tr>');
+      for (const tp of turningPoints) {
+        parts.push(`<tr><td class="clock">${formatClock(tp.t)}</td><td>${tp.from} → ${tp.to} (${signed(tp.delta)})</td><td>${html(driversText(tp))}</td></tr>`);
+      }
+      parts.push('</table>');
+    }
+    parts.push('<h3>Scores</h3><table><tr><th>Time</th><th>Lubometer</th><th>Truth Index</th></tr>');
+    for (const p of samplePoints(points)) {
+      parts.push(`<tr><td class="clock">${formatClock(p.t)}</td><td>${html(p.lubometer)}</td><td>${html(p.truthIndex)}</td></tr>`);
+    }
+    parts.push('</table>');
+  }
+
+  parts.push('<h2>Objections</h2>');
+  if (!packet.objections.length) parts.push(muted('No objections were detected.'));
+  for (const o of packet.objections) {
+    parts.push(`<div class="objection"><strong>${html(o.objectionText)}</strong> <span class="clock">${formatClock(objectionOffset(o))}</span>`);
+    parts.push(fieldList([
+      { label: 'Fear', value: o.fear },
+      { label: 'Whisper', value: o.whisper },
+      { label: 'Rebuttal', value: o.rebuttalScript }
+    ].filter((f) => !isBlank(f.value))));
+    parts.push('</div>');
+  }
+
+  parts.push('<h2>Debrief</h2>');
+  const debrief = debriefFields(packet.debrief);
+  parts.push(debrief.length ? fieldList(debrief) : muted('No debrief was written for this call.'));
+
+  parts.push('<h2>Transcript</h2>');
+  if (!packet.transcript.length) parts.push(muted('The transcript is empty.'));
+  else {
+    parts.push('<table>');
+    for (const line of packet.transcript) {
+      const speaker = SPEAKER_LABELS[line.speaker] ? line.speaker : 'unknown';
+      parts.push(`<tr><td class="clock">${formatClock(line.offsetMs)}</td><td class="speaker-${speaker}">${speakerLabel(speaker)}</td><td>${html(line.text)}</td></tr>`);
+    }
+    parts.push('</table>');
+  }
+
+  const lang = packet.session.displayLanguage === 'es' ? 'es' : 'en';
+  return `<!doctype html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${html(title)}</title>
+<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
+
+const RENDERERS = {
+  json: (packet) => `${JSON.stringify(packet, null, 2)}\n`,
+  md: renderMarkdown,
+  csv: renderCsv,
+  html: renderHtml
+};
+
+/**
+ * Render a packet. `format` must come from normalizeExportFormat.
+ * @returns {{body: string, contentType: string, fileName: string}}
+ */
+export function renderExport(packet, format) {
+  return {
+    body: RENDERERS[format](packet),
+    contentType: EXPORT_FORMATS[format].contentType,
+    fileName: exportFileName(packet, format)
+  };
+}
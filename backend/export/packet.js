@@ -0,0 +1,68 @@
+/**
+ * Session export packet - everything about one stored call in a single object, for
+ * GET /api/sessions/:id/export and the format renderers in export/formats.js:
+ *   session, transcript (speakers and call offsets), summary, Lubometer / Truth Index timeline
+ *   with turning points, objections with the rebuttals shown, and the debrief with its answers.
+ *
+ * The packet is also the JSON export, so it only gains fields; `version` changes if one ever has
+ * to change shape.
+ */
+
+import { loadDebrief, loadFullTranscript, loadSummary, loadTimeline } from '../sessions/history.js';
+
+export const EXPORT_PACKET_VERSION = 1;
+
+// Where a line falls in the call: its stored offset, else its insert time against the session start
+function lineOffsetMs(line, startedAtMs) {
+  if (Number.isFinite(line.offsetMs)) return line.offsetMs;
+  const ts = Date.parse(line.ts);
+  return Number.isFinite(ts) && Number.isFinite(startedAtMs) ? Math.max(0, ts - startedAtMs) : null;
+}
+
+/**
+ * Assemble the packet for a session the caller can see (a publicSession from sessions/history.js).
+ * Parts that were never stored (no summary yet, no debrief) are null; the timeline keeps only the
+ * Lubometer, Truth Index and pillar scores of each point.
+ * @param {object} repo - user-scoped repository (storage/index.js)
+ */
+export async function buildExportPacket(repo, session, { now = Date.now() } = {}) {
+  const [lines, summary, timeline, debrief] = await Promise.all([
+    loadFullTranscript(repo, session.id),
+    loadSummary(repo, session.id),
+    loadTimeline(repo, session.id),
+    loadDebrief(repo, session.id)
+  ]);
+  const startedAtMs = Date.parse(session.createdAt);
+
+  return {
+    version: EXPORT_PACKET_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    session,
+    transcript: lines
+      .filter((l) => l.text)
+      .map((l) => ({
+        id: l.id,
+        speaker: l.speaker,
+        text: l.text,
+        ts: l.ts,
+        offsetMs: lineOffsetMs(l, startedAtMs),
+        audioOffsetMs: l.audioOffsetMs
+      })),
+    summary,
+    timeline: timeline
+      ? {
+          startedAt: timeline.startedAt,
+          points: timeline.points.map((p) => ({
+            t: p.t,
+            ts: p.ts,
+            lubometer: p.lubometer,
+            truthIndex: p.truthIndex,
+            pillars: p.pillars || {}
+          })),
+          turningPoints: timeline.turningPoints
+        }
+      : null,
+    objections: timeline?.objections || [],
+    debrief
+  };
+}
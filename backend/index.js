@@ -3,18 +3,84 @@ import { WebSocketServer, WebSocket } from 'ws';
 import http from 'http';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { createRealtimeConnection } from './realtime/listener.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRealtimeConnection, normalizeAudioChannel } from './realtime/listener.js';
 import { analyzeConversationProgressive } from './analysis/engine.js';
+import { createHotButtonState, markUsedHotButtons } from './analysis/hotButtons.js';
+import { createCallMemory, updateCallMemory, formatMemoryForPrompt } from './analysis/callMemory.js';
+import { createDealSheet, updateDealSheet, formatDealSheetForPrompt } from './analysis/dealSheet.js';
+import { saveDealSheet, loadDealSheet } from './sessions/dealSheets.js';
+import { createScoreSeries, recordScorePoint, recordObjections, computeScoreDeltas, findTurningPoints } from './analysis/scoreSeries.js';
+import { saveScoreSeries, loadScoreSeries } from './sessions/scoreSeries.js';
+import { createScoreStabilizer, seedScoreStabilizer } from './analysis/scoreStabilizer.js';
+import { alignAnalysisEvidence } from './analysis/transcriptAlignment.js';
+import { detectLanguage, normalizeCallLanguage, normalizeDisplayLanguage } from './analysis/language.js';
 import { createUserSupabaseClient, isSupabaseConfigured } from './supabase.js';
-import { runConversationSummaryAgent, runSpeakerRoleAgent } from './analysis/aiAgents.js';
+import { runConversationSummaryAgent, runDiagnosticQuestionsAgent, runSpeakerRoleAgent } from './analysis/aiAgents.js';
+import { describeLlmConfig } from './llm/providers.js';
+import { describeSttConfig } from './stt/providers.js';
+import { loadSessionChunks, parseTimestampedTranscript } from './replay/sources.js';
+import { createFrameRecorder } from './replay/recorder.js';
+import { parseReplaySpeed, runReplay } from './replay/runner.js';
+import { parseUploadedTranscript, parseWav, toPcm16k } from './uploads/formats.js';
+import { transcribeRecording } from './uploads/transcribe.js';
+import { loadResumableSession } from './sessions/resume.js';
+import { saveRecording, loadRecording } from './sessions/recordings.js';
+import { getRecordingStorage, describeRecordingStorage } from './recording/storage.js';
+import { describeStorage, getStore, repositoryForToken } from './storage/index.js';
+import { resolveSupabaseUser } from './storage/supabaseStore.js';
+import { createCallRecorder } from './recording/recorder.js';
+import { loadManagerTeam, normalizeCoachingNote, saveCoachingNote } from './sessions/listenIn.js';
+import {
+  isSessionId,
+  listSessions,
+  loadDebrief,
+  loadFullTranscript,
+  loadSession,
+  loadSummary,
+  loadTimeline,
+  loadTranscriptPage,
+  parseSessionListQuery,
+  parseTranscriptQuery,
+  saveDebrief,
+  saveSummary
+} from './sessions/history.js';
+import { SESSIONS_OPENAPI } from './sessions/openapi.js';
+import { analysisWebhookEvents, createWebhookEventState, restoreWebhookEventState, webhookEventStateToJson } from './webhooks/events.js';
+import {
+  cancelWebhookRetries,
+  dispatchWebhookEvent,
+  forgetWebhooks,
+  redeliverWebhook,
+  sendTestWebhook
+} from './webhooks/delivery.js';
+import {
+  generateWebhookSecret,
+  isWebhookId,
+  listDeliveries,
+  parseDeliveryQuery,
+  parseWebhookInput,
+  publicDelivery,
+  publicWebhook
+} from './webhooks/registry.js';
+import { buildExportPacket } from './export/packet.js';
+import { normalizeExportFormat, renderExport } from './export/formats.js';
 
 dotenv.config();
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
 // Build/version marker for runtime verification (set in Railway as BACKEND_BUILD_SHA)
 const BACKEND_BUILD_SHA = process.env.BACKEND_BUILD_SHA || process.env.RAILWAY_GIT_COMMIT_SHA || 'unknown';
 console.log('[BOOT] backend starting', {
   BACKEND_BUILD_SHA,
   hasOpenAIKey: Boolean(process.env.OPENAI_API_KEY),
+  llm: describeLlmConfig(),
+  stt: describeSttConfig(),
+  recording: describeRecordingStorage(),
+  storage: describeStorage(),
   hasElevenLabsKey: Boolean(process.env.ELEVENLABS_API_KEY),
   hasRealtimeModelEnv: Boolean(process.env.OPENAI_REALTIME_MODEL),
   realtimeDisabled: process.env.OPENAI_REALTIME_DISABLED === 'true',
@@ -28,7 +94,8 @@ const PORT = process.env.PORT || 3001;
 const WS_PORT = process.env.WS_PORT || 3002;
 
 app.use(cors());
-app.use(express.json());
+// Uploaded transcripts (POST /api/uploads) arrive as JSON, so allow more than the 100kb default.
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 
 // Create HTTP server
 const server = http.createServer(app);
@@ -44,6 +111,68 @@ const connections = new Map();
 // Store per-connection persistence metadata
 const connectionPersistence = new Map(); // connectionId -> { authToken, sessionId, userId, userEmail, lastTranscriptPersistMs, conversationHistory, lastSummaryMs, summaryId }
 
+// Everything that belongs to one call. A socket that starts a second call gets a fresh set
+// (start_listening); a resumed call keeps its own (resumeSession).
+function createCallState() {
+  return {
+    sessionId: null,
+    lastTranscriptPersistMs: 0,
+    conversationHistory: '',
+    lastSummaryMs: 0,
+    summaryId: null,
+    detectedLanguage: null,
+    // Plain transcript (no labels) for deterministic calculations
+    plainTranscript: '',
+    transcriptEntries: [],
+    // Hot buttons fired this call (keeps their triggering quote) and prompts the closer already used
+    hotButtonState: createHotButtonState(),
+    // Segment summaries + fact sheet for everything that scrolled out of the bounded transcripts
+    callMemory: createCallMemory(),
+    // Live deal numbers (address, balances, auction date...) with the quotes they came from
+    dealSheet: createDealSheet(),
+    // Deal sheet agent progress: last transcript entry it read, when it last ran, the run in flight
+    _dealSheetRun: { seq: 0, lastMs: 0, pending: null },
+    // Indicator / pillar / Lubometer / Truth Index history, one point per full analysis pass
+    scoreSeries: createScoreSeries(),
+    // Smoothed indicator values and the Lubometer level, so re-scored windows don't swing the gauge
+    scoreStabilizer: createScoreStabilizer(),
+    // Latest verified quote per indicator ({ [id]: { quote, offset, score, at } })
+    indicatorEvidence: {},
+    // Manager coaching notes for this call and the state behind call webhooks (close zone etc.)
+    coachingNotes: [],
+    _webhookState: null,
+    _chunkSeq: 0,
+    _lastTranscriptText: '',
+    _lastAnalyzedTranscriptLength: 0,
+    _lastAnalysisFrame: null,
+    _scoreSeriesSavedMs: 0
+  };
+}
+
+function createConnectionMeta(overrides = {}) {
+  return {
+    authToken: null,
+    userId: null,
+    userEmail: null,
+    // Settings/config
+    prospectType: '',
+    customScriptPrompt: '',
+    pillarWeights: null,
+    // Call language ('en', 'es', 'auto'), the language found for an auto call, and the closer's
+    // display language (analysis/language.js)
+    language: normalizeCallLanguage(),
+    displayLanguage: normalizeDisplayLanguage(),
+    // Client mode: backend_transcribe (default) or websocket_transcribe (frontend sends text)
+    clientMode: 'backend_transcribe',
+    ...createCallState(),
+    // Heartbeat diagnostics
+    _lastChunkMs: 0,
+    _lastAnalysisOkMs: 0,
+    _lastAnalysisErr: '',
+    ...overrides
+  };
+}
+
 // Ping all connections every 10 seconds to keep them alive (Railway proxy times out idle connections)
 const PING_INTERVAL = 10000;
 const CONNECTION_TIMEOUT = 35000; // Mark connection dead if no pong in 35 seconds
@@ -139,28 +268,7 @@ process.on('SIGTERM', () => {
 wss.on('connection', (ws, req) => {
   const connectionId = `conn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   connections.set(connectionId, ws);
-  connectionPersistence.set(connectionId, {
-    authToken: null,
-    sessionId: null,
-    userId: null,
-    userEmail: null,
-    lastTranscriptPersistMs: 0,
-    conversationHistory: '',
-    lastSummaryMs: 0,
-    summaryId: null,
-    // Settings/config
-    prospectType: '',
-    customScriptPrompt: '',
-    pillarWeights: null,
-    // Plain transcript (no labels) for deterministic calculations
-    plainTranscript: '',
-    // Client mode: backend_transcribe (default) or websocket_transcribe (frontend sends text)
-    clientMode: 'backend_transcribe',
-    // Heartbeat diagnostics
-    _lastChunkMs: 0,
-    _lastAnalysisOkMs: 0,
-    _lastAnalysisErr: ''
-  });
+  connectionPersistence.set(connectionId, createConnectionMeta());
 
   // Track last activity time
   ws.isAlive = true;
@@ -182,16 +290,30 @@ wss.on('connection', (ws, req) => {
 
       const data = JSON.parse(message.toString());
 
+      // Listen-in connections are read-only: no audio, transcript or settings from a manager.
+      if (connectionPersistence.get(connectionId)?.listenSessionId && !isListenerMessage(data)) {
+        sendToClient(connectionId, { type: 'error', message: `${data.type} is not allowed on a listen-in connection` });
+        return;
+      }
+
       if (data.type === 'start_listening') {
         // Start real-time conversation listening
         console.log(`[WS] Received start_listening from ${connectionId}`);
         // Capture config/settings for this connection (used for audio-driven transcription as well)
         {
           const meta = connectionPersistence.get(connectionId) || { authToken: null, sessionId: null, userId: null };
+          // A new call: nothing from an earlier call on this socket carries over
+          Object.assign(meta, createCallState());
           meta.clientMode = typeof data.config?.clientMode === 'string' ? data.config.clientMode : (meta.clientMode || 'backend_transcribe');
           meta.prospectType = typeof data.config?.prospectType === 'string' ? data.config.prospectType : (meta.prospectType || '');
           meta.customScriptPrompt = typeof data.config?.customScriptPrompt === 'string' ? data.config.customScriptPrompt : (meta.customScriptPrompt || '');
           meta.pillarWeights = Array.isArray(data.config?.pillarWeights) ? data.config.pillarWeights : (meta.pillarWeights || null);
+          setCallLanguages(meta, data.config);
+          // Kept so a resumed connection can restart backend STT with the same settings
+          meta.listenConfig = data.config && typeof data.config === 'object' ? data.config : {};
+          meta._listening = true;
+          // Call clock for transcript offsets, also without a stored session (openCallSession resets it)
+          meta.sessionStartTime = Date.now();
           connectionPersistence.set(connectionId, meta);
 
           // Runtime evidence in Railway logs (no secrets)
@@ -241,119 +363,39 @@ wss.on('connection', (ws, req) => {
           console.log(`[WS] clientMode=${cm}: skipping backend STT (no ElevenLabs)`);
         }
 
-        // Create a call session in Supabase (if configured + authed)
+        // Create a stored call session (if storage is on and the caller resolves to a user)
         const meta = connectionPersistence.get(connectionId);
-        console.log(`[WS] Creating session - authToken: ${meta?.authToken ? 'present' : 'MISSING'}, supabase: ${isSupabaseConfigured() ? 'configured' : 'NOT CONFIGURED'}`);
-        if (meta?.authToken && isSupabaseConfigured()) {
-          const supabase = createUserSupabaseClient(meta.authToken);
-          if (supabase) {
-            // Resolve user id from token so RLS inserts work with explicit user_id
-            const { data: userData, error: userError } = await supabase.auth.getUser();
-            if (userError) {
-              console.warn(`[WS] Auth getUser error: ${userError.message}`);
-            }
-            const userId = userData?.user?.id || null;
-            const userEmail = userData?.user?.email || null;
-            console.log(`[WS] Resolved user: ${userEmail || 'NO EMAIL'}, userId: ${userId || 'NO ID'}`);
-            
-            meta.userId = userId;
-            meta.userEmail = userEmail;
-            if (userId) {
-              // IMPORTANT: Store userId, userEmail, and prospectType in meta for later use by summary agent
-              meta.userId = userId;
-              meta.userEmail = userEmail;
-              meta.prospectType = data.config?.prospectType || '';
-              meta.sessionStartTime = Date.now(); // Store start time for duration calculation
-              connectionPersistence.set(connectionId, meta);
-              console.log(`[WS] Stored userId=${userId}, userEmail=${userEmail}, prospectType=${meta.prospectType} in connection meta`);
-
-              const { data: sessionRow, error } = await supabase
-                .from('call_sessions')
-                .insert({
-                  user_id: userId,
-                  user_email: userEmail || '',
-                  prospect_type: meta.prospectType,
-                  connection_id: connectionId
-                })
-                .select('id')
-                .single();
-              if (error) {
-                console.warn(`[WS] Supabase call_sessions insert failed: ${error.message}`);
-              } else {
-                meta.sessionId = sessionRow?.id || null;
-                connectionPersistence.set(connectionId, meta);
-                console.log(`[WS] Session created: sessionId=${meta.sessionId}, ready for summaries`);
-                sendToClient(connectionId, { type: 'session_started', sessionId: meta.sessionId });
-              }
-            } else {
-              console.warn(`[WS] No userId resolved from auth token - summaries will not work`);
-            }
-          }
+        console.log(`[WS] Creating session - authToken: ${meta?.authToken ? 'present' : 'MISSING'}, storage: ${describeStorage()}`);
+        if (getStore()) {
+          const sessionId = await openCallSession(connectionId, { prospectType: data.config?.prospectType || '' });
+          // Opt-in per call; only stored sessions are recorded, since playback is tied to them
+          const recording = Boolean(sessionId && data.config?.record === true && startCallRecording(connectionId));
+          if (sessionId) sendToClient(connectionId, { type: 'session_started', sessionId, recording });
         }
       } else if (data.type === 'stop_listening') {
         // Stop listening
         stopListening(connectionId);
         // Mark session ended and generate final summary
         const meta = connectionPersistence.get(connectionId);
-        if (meta?.authToken && meta?.sessionId && meta?.userId && isSupabaseConfigured()) {
-          const supabase = createUserSupabaseClient(meta.authToken);
-          if (supabase) {
-            // Use prospect type from meta (most reliable) or from stop_listening message
-            const finalProspectType = meta.prospectType || data.prospectType || '';
-            console.log(`[${connectionId}] Stopping session with prospectType: ${finalProspectType}`);
-
-            // Update session end time and prospect type
-            void supabase
-              .from('call_sessions')
-              .update({ 
-                ended_at: new Date().toISOString(), 
-                updated_at: new Date().toISOString(),
-                prospect_type: finalProspectType // Ensure prospect type is saved
-              })
-              .eq('id', meta.sessionId)
-              .eq('user_id', meta.userId)
-              .then(({ error }) => {
-                if (error) console.warn(`[WS] Failed to update session ended_at: ${error.message}`);
-                else console.log(`[${connectionId}] Session marked as ended`);
-              })
-              .catch(() => {});
-
-            // Generate FINAL summary of entire conversation
-            const formattedTranscript = meta.conversationHistory || '';
-            if (formattedTranscript.length > 100) {
-              console.log(`[${connectionId}] Generating FINAL conversation summary with prospectType: ${finalProspectType}`);
-              runConversationSummaryAgent(formattedTranscript, finalProspectType, true)
-                .then((summaryResult) => {
-                  if (summaryResult && !summaryResult.error) {
-                    const summaryData = {
-                      session_id: meta.sessionId,
-                      user_id: meta.userId,
-                      user_email: meta.userEmail || '',
-                      prospect_type: finalProspectType,
-                      summary_json: summaryResult,
-                      is_final: true,
-                      updated_at: new Date().toISOString()
-                    };
-
-                    void supabase
-                      .from('call_summaries')
-                      .upsert(summaryData, { onConflict: 'session_id' })
-                      .then(({ error }) => {
-                        if (error) {
-                          console.warn(`[WS] Final summary upsert failed: ${error.message}`);
-                        } else {
-                          console.log(`[${connectionId}] Final summary generated and saved`);
-                        }
-                      })
-                      .catch(() => {});
-                  }
-                })
-                .catch((err) => {
-                  console.warn(`[${connectionId}] Final summary generation error: ${err.message}`);
-                });
-            }
-          }
+        if (meta) meta._listening = false;
+        if (meta?.sessionId) endListenIn(meta.sessionId, 'call ended');
+        if (sessionRepo(meta)) {
+          // Use prospect type from meta (most reliable) or from stop_listening message
+          void finalizeCallSession(connectionId, { prospectType: meta.prospectType || data.prospectType || '' });
         }
+      } else if (data.type === 'resume_session') {
+        // Reattach to a call after a socket drop instead of starting a new session
+        await resumeSession(connectionId, data);
+      } else if (data.type === 'listen_in') {
+        // Manager subscribes read-only to another closer's live session
+        await startListenIn(connectionId, data);
+      } else if (data.type === 'stop_listen_in') {
+        stopListenIn(connectionId);
+        sendToClient(connectionId, { type: 'listen_in_ended', sessionId: data.sessionId || null, reason: 'stopped' });
+      } else if (data.type === 'coaching_note') {
+        await sendCoachingNote(connectionId, data);
+      } else if (data.type === 'hot_buttons_used') {
+        setUsedHotButtons(connectionId, data.ids);
       } else if (data.type === 'transcript') {
         // Receive transcript from frontend (from audio transcription or manual input)
         // Ignore empty transcripts (used for keepalive)
@@ -380,16 +422,20 @@ wss.on('connection', (ws, req) => {
         const nextCustom = typeof data.customScriptPrompt === 'string' ? data.customScriptPrompt : meta.customScriptPrompt || '';
         const nextWeights = Array.isArray(data.pillarWeights) ? data.pillarWeights : meta.pillarWeights || null;
         const nextWeightsStr = nextWeights ? JSON.stringify(nextWeights) : null;
+        const prevDisplay = meta.displayLanguage;
+        const nextDisplay = normalizeDisplayLanguage(data.displayLanguage, meta.displayLanguage);
         
         // Check if settings actually changed
-        const settingsChanged = (nextCustom !== prevCustom) || (nextWeightsStr !== prevWeights);
+        const settingsChanged = (nextCustom !== prevCustom) || (nextWeightsStr !== prevWeights) || (nextDisplay !== prevDisplay);
         
         meta.customScriptPrompt = nextCustom;
         meta.pillarWeights = nextWeights;
+        meta.displayLanguage = nextDisplay;
         connectionPersistence.set(connectionId, meta);
         console.log(`[WS] settings_update stored for ${connectionId.slice(-6)}`, {
           hasCustomScript: Boolean(nextCustom),
           pillarWeightsCount: Array.isArray(nextWeights) ? nextWeights.length : 0,
+          displayLanguage: nextDisplay,
           settingsChanged
         });
         
@@ -416,7 +462,7 @@ wss.on('connection', (ws, req) => {
         // Receive audio chunk from frontend
         let realtimeConnection = realtimeConnections.get(connectionId);
         if (!realtimeConnection) {
-          await startRealtimeListening(connectionId, {});
+          await startRealtimeListening(connectionId, connectionPersistence.get(connectionId)?.listenConfig || {});
           realtimeConnection = realtimeConnections.get(connectionId);
         }
         if (realtimeConnection) {
@@ -434,9 +480,13 @@ wss.on('connection', (ws, req) => {
           }
           // Convert base64 to buffer if needed
           const audioBuffer = Buffer.from(data.audio, 'base64');
+          connectionPersistence.get(connectionId)?.recording?.write(audioBuffer, { mimeType, channel: data.channel });
           // Feed audio to Scribe. Committed transcripts are handled via the connection's onChunk callback (VAD-based),
           // which then calls handleIncomingTextChunk and updates the UI.
-          await realtimeConnection.sendAudio(audioBuffer, mimeType);
+          // `channel` ('closer' | 'prospect') labels a separately captured stream; omitted = mono mix.
+          await realtimeConnection.sendAudio(audioBuffer, mimeType, { channel: normalizeAudioChannel(data.channel) });
+          // End of turn (e.g. push-to-talk release): commit now instead of waiting for the VAD pause.
+          if (data.commit === true) await realtimeConnection.commit();
         }
       } else if (data.type === 'prospect_type_changed') {
         // Handle prospect type change
@@ -468,16 +518,19 @@ wss.on('connection', (ws, req) => {
     })();
     console.log(`[WS] Connection closed: ${connectionId}`, { code, reason: reasonStr });
     connections.delete(connectionId);
+    stopListenIn(connectionId);
     // IMPORTANT: Do NOT finalize/end sessions on transient WS close.
     // Railway/proxies can drop websockets; we only finalize on explicit stop_listening.
+    // Keep the call state for SESSION_RESUME_GRACE_MS so the client can resume_session.
+    parkConnectionState(connectionId);
     console.log(`[WS] Close cleanup complete (no finalization) for ${connectionId}`);
-    connectionPersistence.delete(connectionId);
   });
 
   ws.on('error', (error) => {
     console.error(`[WS] Error for ${connectionId}:`, { message: error?.message, name: error?.name });
     connections.delete(connectionId);
-    connectionPersistence.delete(connectionId);
+    stopListenIn(connectionId);
+    parkConnectionState(connectionId);
   });
 
   // Send welcome message
@@ -495,6 +548,10 @@ const lastGoodAnalysis = new Map();
 const ANALYSIS_THROTTLE_MS = 400; // Min time between analyses (normal transcript-driven runs)
 const ANALYSIS_MAX_PENDING_MS = 25000; // Stuck detection: force-clear pending after this long
 
+// In-memory transcript bounds per connection
+const MAX_PLAIN_TRANSCRIPT_CHARS = 12000;
+const MAX_TRANSCRIPT_ENTRIES = 220;
+
 // Helper function to send data to client
 function sendToClient(connectionId, data) {
   const ws = connections.get(connectionId);
@@ -510,6 +567,19 @@ function sendToClient(connectionId, data) {
   }
 }
 
+/**
+ * Send a live-call frame to the closer and to any managers listening in on the session.
+ */
+function sendToSession(connectionId, data) {
+  sendToClient(connectionId, data);
+  const sessionId = connectionPersistence.get(connectionId)?.sessionId;
+  const listeners = sessionId ? sessionListeners.get(sessionId) : null;
+  if (!listeners) return;
+  for (const listenerId of listeners) {
+    sendToClient(listenerId, data);
+  }
+}
+
 /**
  * Schedule an analysis run for the given connection using the latest transcript/settings.
  * This is used both on new transcript chunks and on settings updates (so changes apply immediately).
@@ -556,6 +626,26 @@ function scheduleAnalysis(connectionId, overrides = {}, opts = {}) {
     (typeof overrides.customScriptPrompt === 'string' ? overrides.customScriptPrompt : '') || meta.customScriptPrompt || '';
   const pwSnapshot =
     (overrides.pillarWeights !== undefined ? overrides.pillarWeights : null) ?? meta.pillarWeights ?? null;
+  // Hot button quotes and Truth Index phrase rules use what the prospect (not the closer) said
+  meta.hotButtonState = meta.hotButtonState || createHotButtonState();
+  meta.scoreStabilizer = meta.scoreStabilizer || createScoreStabilizer();
+  meta.indicatorEvidence = meta.indicatorEvidence || {};
+  const callContext = {
+    prospectTurns: (meta.transcriptEntries || [])
+      .filter((e) => e?.speaker === 'prospect' && String(e.text || '').trim())
+      .map((e) => ({
+        text: String(e.text).trim(),
+        ts: e.ts ? new Date(e.ts).toISOString() : null,
+        t: Number.isFinite(e.offsetMs)
+          ? e.offsetMs
+          : e.ts && meta.sessionStartTime ? Math.max(0, e.ts - meta.sessionStartTime) : null
+      })),
+    hotButtonState: meta.hotButtonState,
+    memoryContext: formatMemoryForPrompt(meta.callMemory),
+    scoreStabilizer: meta.scoreStabilizer,
+    indicatorEvidence: meta.indicatorEvidence,
+    language: callLanguages(meta)
+  };
 
   // Sequence guard: ensures stale analysis results can't overwrite newer ones
   meta._analysisSeq = (meta._analysisSeq || 0) + 1;
@@ -582,7 +672,7 @@ function scheduleAnalysis(connectionId, overrides = {}, opts = {}) {
         // Special-case streaming deltas: forward as a dedicated WS message so the frontend
         // can consume without interfering with analysis_update merging.
         if (partial._stream && typeof partial._stream === 'object') {
-          sendToClient(connectionId, {
+          sendToSession(connectionId, {
             type: 'analysis_stream',
             data: {
               ...partial._stream,
@@ -591,13 +681,13 @@ function scheduleAnalysis(connectionId, overrides = {}, opts = {}) {
           });
           return;
         }
-        sendToClient(connectionId, {
+        sendToSession(connectionId, {
           type: 'analysis_update',
-          data: {
+          data: alignAnalysisEvidence({
             ...partial,
             analysisSeq: seq,
             partial: true
-          }
+          }, mCheck.transcriptEntries)
         });
       };
 
@@ -607,25 +697,40 @@ function scheduleAnalysis(connectionId, overrides = {}, opts = {}) {
         csSnapshot,
         pwSnapshot,
         sendPartialIfCurrent,
-        hasNewText ? newTextOnly : null // Only analyze new text for hot buttons/objections
+        hasNewText ? newTextOnly : null, // Only analyze new text for objections
+        callContext
       );
 
       // Only send if this is still the newest analysis run
       const mCheck = connectionPersistence.get(connectionId);
       if (mCheck && mCheck._analysisSeq === seq && analysis) {
-        sendToClient(connectionId, {
-          type: 'analysis_update',
-          data: {
-            ...analysis,
-            analysisSeq: seq,
-            hotButtons: Array.isArray(analysis.hotButtons) ? analysis.hotButtons : [],
-            objections: Array.isArray(analysis.objections) ? analysis.objections : []
-          }
-        });
+        // Keep the call arc and send what moved recently along with the scores
+        mCheck.scoreSeries = mCheck.scoreSeries || createScoreSeries(mCheck.sessionStartTime || Date.now());
+        recordScorePoint(mCheck.scoreSeries, analysis, { analysisSeq: seq });
+        // Evidence quotes get where they were said ("03:42 into the call")
+        const frame = alignAnalysisEvidence({
+          ...analysis,
+          analysisSeq: seq,
+          hotButtons: Array.isArray(analysis.hotButtons) ? analysis.hotButtons : [],
+          objections: Array.isArray(analysis.objections) ? analysis.objections : [],
+          trends: computeScoreDeltas(mCheck.scoreSeries)
+        }, mCheck.transcriptEntries);
+        sendToSession(connectionId, { type: 'analysis_update', data: frame });
+        const newObjections = recordObjections(mCheck.scoreSeries, frame.objections);
+        for (const objection of newObjections) emitCallWebhook(mCheck, 'objection_detected', objection);
+        mCheck._webhookState = mCheck._webhookState || createWebhookEventState();
+        const webhookEvents = analysisWebhookEvents(mCheck._webhookState, frame);
+        for (const { event, data } of webhookEvents) {
+          emitCallWebhook(mCheck, event, data);
+        }
+        // Snapshot for managers who join mid-call
+        mCheck._lastAnalysisFrame = frame;
 
         // Update tracked length to avoid re-analyzing old text
         mCheck._lastAnalyzedTranscriptLength = transcriptSnapshot.length;
         connectionPersistence.set(connectionId, mCheck);
+        // Save at once after an event went out, so a resumed call doesn't send it again
+        void persistScoreSeries(connectionId, { force: newObjections.length > 0 || webhookEvents.length > 0 });
 
         // Mark last successful analysis time for heartbeat visibility
         const mOk = connectionPersistence.get(connectionId);
@@ -665,31 +770,421 @@ function scheduleAnalysis(connectionId, overrides = {}, opts = {}) {
   });
 }
 
+/**
+ * Store the closer's full list of used hot button ids (resends are idempotent) and push the
+ * re-marked hot buttons to the closer and any listening managers.
+ */
+function setUsedHotButtons(connectionId, ids) {
+  const meta = connectionPersistence.get(connectionId);
+  if (!meta) return;
+  const usedIds = [...new Set((Array.isArray(ids) ? ids : []).map(Number))]
+    .filter((id) => Number.isInteger(id) && id >= 1 && id <= 27);
+  meta.hotButtonState = meta.hotButtonState || createHotButtonState();
+  meta.hotButtonState.usedIds = usedIds;
+
+  const last = meta._lastAnalysisFrame;
+  const hotButtons = markUsedHotButtons(last?.hotButtons, usedIds);
+  if (last) meta._lastAnalysisFrame = { ...last, hotButtons };
+  connectionPersistence.set(connectionId, meta);
+  if (hotButtons.length) {
+    sendToSession(connectionId, { type: 'analysis_update', data: { hotButtons, partial: true } });
+  }
+}
+
+const DEAL_SHEET_INTERVAL_MS = Number(process.env.DEAL_SHEET_INTERVAL_MS || 8000);
+const DEAL_SHEET_MAX_INPUT_CHARS = 3000;
+
+/**
+ * Run the deal sheet agent over chunks it hasn't seen (throttled; the next chunk picks up
+ * whatever was skipped). `force` (call end) skips the throttle and, if a refresh is in flight,
+ * waits for it and then reads what it didn't cover. `call` is the state to update instead of the
+ * connection's live meta: finalizeCallSession passes its snapshot, since a new call may start on
+ * the socket before the final refresh runs. On changes, pushes deal_sheet_update to the closer
+ * and listeners and upserts call_deal_sheets. Never throws.
+ * @returns {Promise<string[]>} changed field keys
+ */
+async function refreshDealSheet(connectionId, { force = false, call = null } = {}) {
+  const meta = call || connectionPersistence.get(connectionId);
+  if (!meta) return [];
+  // Shared with snapshots of the same call, so a run started on the live meta counts for them
+  const run = meta._dealSheetRun;
+  if (run.pending) {
+    if (!force) return [];
+    await run.pending;
+    return refreshDealSheet(connectionId, { force, call: meta });
+  }
+  if (!force && Date.now() - run.lastMs < DEAL_SHEET_INTERVAL_MS) return [];
+
+  const fresh = (meta.transcriptEntries || []).filter((e) => Number(e?.seq) > run.seq);
+  if (!fresh.length) return [];
+  const text = fresh.map((e) => `${toSpeakerLabel(e.speaker)}: ${String(e.text || '').trim()}`).join('\n').slice(-DEAL_SHEET_MAX_INPUT_CHARS);
+
+  meta.dealSheet = meta.dealSheet || createDealSheet();
+  run.lastMs = Date.now();
+  const pending = extractDealSheet(connectionId, { ...meta }, text, fresh[fresh.length - 1].seq);
+  run.pending = pending;
+  try {
+    return await pending;
+  } finally {
+    run.pending = null;
+  }
+}
+
+// `call` is a copy taken when the run started: the live meta is reset in place when a new call
+// starts on the socket, and this run's results belong to the call it read.
+async function extractDealSheet(connectionId, call, text, lastSeq) {
+  try {
+    const changed = await updateDealSheet(call.dealSheet, text, { prospectType: call.prospectType, language: callLanguages(call) });
+    call._dealSheetRun.seq = lastSeq;
+    if (!changed.length) return [];
+
+    console.log(`[DealSheet] ${connectionId.slice(-6)} updated: ${changed.join(', ')}`);
+    // Not once the socket has moved on to another call; that call's UI would show this sheet
+    if (connectionPersistence.get(connectionId)?._dealSheetRun === call._dealSheetRun) {
+      sendToSession(connectionId, {
+        type: 'deal_sheet_update',
+        data: { sessionId: call.sessionId || null, dealSheet: call.dealSheet, changed }
+      });
+    }
+    const repo = sessionRepo(call);
+    if (repo) {
+      saveDealSheet(repo, {
+        sessionId: call.sessionId,
+        userId: call.userId,
+        userEmail: call.userEmail,
+        prospectType: call.prospectType,
+        dealSheet: call.dealSheet
+      }).catch((e) => console.warn(`[DealSheet] Save failed: ${e.message}`));
+    }
+    return changed;
+  } catch (e) {
+    console.warn(`[DealSheet] Refresh failed: ${e?.message || e}`);
+    return [];
+  }
+}
+
+const SCORE_SERIES_SAVE_MS = Number(process.env.SCORE_SERIES_SAVE_MS || 30000);
+
+/**
+ * Upsert the score series to call_score_series, at most every SCORE_SERIES_SAVE_MS unless forced
+ * (call end). Best-effort; never throws.
+ */
+async function persistScoreSeries(connectionId, { force = false } = {}) {
+  const meta = connectionPersistence.get(connectionId);
+  if (!meta?.scoreSeries?.points?.length) return;
+  const repo = sessionRepo(meta);
+  if (!repo) return;
+  if (!force && Date.now() - (meta._scoreSeriesSavedMs || 0) < SCORE_SERIES_SAVE_MS) return;
+
+  meta._scoreSeriesSavedMs = Date.now();
+  try {
+    await saveScoreSeries(repo, {
+      sessionId: meta.sessionId,
+      userId: meta.userId,
+      userEmail: meta.userEmail,
+      series: meta.scoreSeries,
+      turningPoints: findTurningPoints(meta.scoreSeries),
+      webhookState: webhookEventStateToJson(meta._webhookState)
+    });
+  } catch (e) {
+    console.warn(`[ScoreSeries] Save failed: ${e.message}`);
+  }
+}
+
+/**
+ * Record a stored session's audio when the call opted in (start_listening config.record) and
+ * RECORDING_STORAGE is set. The recorder lives on the meta, so it carries over on resume_session.
+ * @returns {boolean} recording
+ */
+function startCallRecording(connectionId) {
+  const meta = connectionPersistence.get(connectionId);
+  const storage = getRecordingStorage();
+  if (!storage || !meta?.sessionId || !meta.userId) return false;
+  const objectKey = `${meta.userId}/${meta.sessionId}.wav`;
+  if (meta.recording && meta.recordingKey === objectKey) return true;
+  // Restarted on the same socket with a new session: the old call's recording is done.
+  if (meta.recording) void finishCallRecording(meta);
+  try {
+    meta.recording = createCallRecorder(storage.workingPath(objectKey));
+    meta.recordingKey = objectKey;
+  } catch (e) {
+    console.warn(`[Recording] Could not start ${objectKey}: ${e.message}`);
+    return false;
+  }
+  connectionPersistence.set(connectionId, meta);
+  console.log(`[Recording] Recording ${objectKey} (${storage.name})`);
+  return true;
+}
+
+/**
+ * Close the recorder, hand the WAV to storage and add the call_recordings row. Once per call:
+ * on stop_listening, or when a dropped call's resume grace period runs out.
+ */
+async function finishCallRecording(meta) {
+  const recorder = meta?.recording;
+  if (!recorder) return;
+  meta.recording = null;
+  const objectKey = meta.recordingKey;
+  const storage = getRecordingStorage();
+  try {
+    const recording = await recorder.close();
+    await storage.put(objectKey, recording.filePath);
+    const repo = sessionRepo(meta);
+    if (repo) {
+      await saveRecording(repo, {
+        sessionId: meta.sessionId,
+        userId: meta.userId,
+        userEmail: meta.userEmail,
+        storage: storage.name,
+        objectKey,
+        recording
+      });
+    }
+    console.log(`[Recording] Saved ${objectKey}: ${Math.round(recording.durationMs / 1000)}s, ${recording.sizeBytes} bytes`);
+  } catch (e) {
+    console.warn(`[Recording] Failed to save ${objectKey}: ${e.message}`);
+  }
+}
+
+// Shared context for the progressive and final conversation summaries
+const summaryContext = (meta) => ({
+  memoryContext: formatMemoryForPrompt(meta?.callMemory),
+  dealSheet: formatDealSheetForPrompt(meta?.dealSheet),
+  language: callLanguages(meta)
+});
+
+/**
+ * Store the call and display languages from a start_listening config / upload request
+ * ({ language, displayLanguage }); missing values keep what the meta has.
+ */
+function setCallLanguages(meta, config) {
+  const language = normalizeCallLanguage(config?.language, meta.language);
+  if (language !== meta.language) meta.detectedLanguage = null;
+  meta.language = language;
+  meta.displayLanguage = normalizeDisplayLanguage(config?.displayLanguage, meta.displayLanguage);
+}
+
+// Languages the agents work with: an auto-detect call reads as 'auto' until detectLanguage
+// has enough transcript to tell
+function callLanguages(meta) {
+  const call = meta?.language === 'auto' ? meta.detectedLanguage || 'auto' : meta?.language || normalizeCallLanguage();
+  return { call, display: meta?.displayLanguage || normalizeDisplayLanguage() };
+}
+
+// Auto-detect calls: settle the language once the transcript shows it, and keep it on the session
+function updateDetectedLanguage(connectionId, meta) {
+  if (meta.language !== 'auto' || meta.detectedLanguage) return;
+  const detected = detectLanguage(meta.plainTranscript);
+  if (!detected) return;
+  meta.detectedLanguage = detected;
+  console.log(`[Language] ${connectionId.slice(-6)} detected ${detected}`);
+  sessionRepo(meta)
+    ?.sessions.update(meta.sessionId, { detected_language: detected, updated_at: new Date().toISOString() })
+    .catch((e) => console.warn(`[Language] Failed to store detected language: ${e.message}`));
+}
+
+// Storage repository for a connection's stored session, or null when the call isn't stored.
+function sessionRepo(meta) {
+  if (!meta?.sessionId || !meta.userId) return null;
+  return getStore()?.forUser({ id: meta.userId, email: meta.userEmail || null }, meta.authToken) || null;
+}
+
+// Send a call event to the user's webhooks (webhooks/delivery.js) without holding up the call.
+function emitCallWebhook(meta, event, data) {
+  const repo = sessionRepo(meta);
+  if (!repo) return;
+  dispatchWebhookEvent(repo, { event, sessionId: meta.sessionId, data })
+    .catch((e) => console.warn(`[Webhooks] Failed to dispatch ${event}: ${e.message}`));
+}
+
+/**
+ * Create the call_sessions row for a connection whose user the store can resolve (from the meta's
+ * auth token, or the local user for LOCAL_API_TOKEN with SQLite and no Supabase), and keep userId / userEmail /
+ * sessionId on the meta for persistence and the final summary.
+ * `source` marks sessions that did not come from a live call (e.g. "upload").
+ * @returns {Promise<string|null>} session id
+ */
+async function openCallSession(connectionId, { prospectType = '', source = 'live', sourceName = null } = {}) {
+  const meta = connectionPersistence.get(connectionId);
+  const store = getStore();
+  if (!meta || !store) return null;
+
+  // Resolve user id from token so RLS inserts work with explicit user_id
+  const user = await store.resolveUser(meta.authToken || null).catch((e) => {
+    console.warn(`[WS] Auth getUser error: ${e.message}`);
+    return null;
+  });
+  if (!user) return null;
+  const userId = user.id;
+  const userEmail = user.email || null;
+  console.log(`[WS] Resolved user: ${userEmail || 'NO EMAIL'}, userId: ${userId || 'NO ID'}`);
+
+  meta.userId = userId;
+  meta.userEmail = userEmail;
+  if (!userId) {
+    console.warn(`[WS] No userId resolved from auth token - summaries will not work`);
+    return null;
+  }
+
+  // IMPORTANT: Store userId, userEmail, and prospectType in meta for later use by summary agent
+  meta.prospectType = prospectType;
+  meta.sessionStartTime = Date.now(); // Store start time for duration calculation
+  if (!meta.scoreSeries?.points.length) meta.scoreSeries = createScoreSeries(meta.sessionStartTime);
+  connectionPersistence.set(connectionId, meta);
+  console.log(`[WS] Stored userId=${userId}, userEmail=${userEmail}, prospectType=${meta.prospectType} in connection meta`);
+
+  let sessionId;
+  try {
+    sessionId = await store.forUser(user, meta.authToken).sessions.create({
+      user_id: userId,
+      user_email: userEmail || '',
+      prospect_type: meta.prospectType,
+      connection_id: connectionId,
+      language: meta.language || normalizeCallLanguage(),
+      display_language: meta.displayLanguage || normalizeDisplayLanguage(),
+      // Live rows rely on the column default so older databases keep working
+      ...(source !== 'live' ? { source, source_name: sourceName } : {})
+    });
+  } catch (e) {
+    console.warn(`[WS] call_sessions insert failed: ${e.message}`);
+    return null;
+  }
+  meta.sessionId = sessionId || null;
+  connectionPersistence.set(connectionId, meta);
+  console.log(`[WS] Session created: sessionId=${meta.sessionId}, ready for summaries`);
+  emitCallWebhook(meta, 'session_started', {
+    prospectType: meta.prospectType,
+    source,
+    sourceName,
+    language: meta.language || normalizeCallLanguage(),
+    displayLanguage: meta.displayLanguage || normalizeDisplayLanguage(),
+    startedAt: new Date(meta.sessionStartTime).toISOString()
+  });
+  return meta.sessionId;
+}
+
+/**
+ * End of call: mark the session ended, save the score series, catch the last lines on the deal
+ * sheet and generate the FINAL summary of the entire conversation. Storage steps are skipped when
+ * the connection has no stored session; the summary is generated either way.
+ * @returns {Promise<object|null>} final summary
+ */
+async function finalizeCallSession(connectionId, { prospectType = '' } = {}) {
+  const meta = connectionPersistence.get(connectionId);
+  if (!meta) return null;
+  // This call's state; a new call on the same socket replaces the meta's (createCallState)
+  // while the final summary is still being written
+  const call = { ...meta };
+  const repo = sessionRepo(call);
+  console.log(`[${connectionId}] Stopping session with prospectType: ${prospectType}`);
+
+  if (repo) {
+    // Update session end time and prospect type
+    void repo.sessions
+      .update(meta.sessionId, {
+        ended_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        prospect_type: prospectType // Ensure prospect type is saved
+      })
+      .then(
+        () => console.log(`[${connectionId}] Session marked as ended`),
+        (e) => console.warn(`[WS] Failed to update session ended_at: ${e.message}`)
+      );
+
+    void persistScoreSeries(connectionId, { force: true });
+
+    const lastPoint = meta.scoreSeries?.points[meta.scoreSeries.points.length - 1];
+    emitCallWebhook(meta, 'session_ended', {
+      prospectType,
+      startedAt: meta.sessionStartTime ? new Date(meta.sessionStartTime).toISOString() : null,
+      endedAt: new Date().toISOString(),
+      durationMs: meta.sessionStartTime ? Date.now() - meta.sessionStartTime : null,
+      closeZone: meta._webhookState?.closeZone || null,
+      lubometer: lastPoint ? lastPoint.lubometer : null,
+      truthIndex: lastPoint ? lastPoint.truthIndex : null,
+      objections: meta.scoreSeries?.objections?.length || 0
+    });
+  }
+  void finishCallRecording(meta);
+
+  const formattedTranscript = meta.conversationHistory || '';
+  if (formattedTranscript.length <= 100) return null;
+  console.log(`[${connectionId}] Generating FINAL conversation summary with prospectType: ${prospectType}`);
+  try {
+    // Catch the last lines on the deal sheet before the final summary reads it
+    await refreshDealSheet(connectionId, { force: true, call });
+    const summaryResult = await runConversationSummaryAgent(formattedTranscript, prospectType, true, summaryContext(call));
+    if (!summaryResult || summaryResult.error) return null;
+    if (repo) {
+      try {
+        await saveSummary(repo, {
+          sessionId: call.sessionId,
+          userId: call.userId,
+          userEmail: call.userEmail,
+          prospectType,
+          summary: summaryResult,
+          isFinal: true
+        });
+        console.log(`[${connectionId}] Final summary generated and saved`);
+        emitCallWebhook(call, 'final_summary_ready', {
+          prospectType,
+          executiveSummary: summaryResult.executiveSummary || '',
+          summary: summaryResult
+        });
+      } catch (e) {
+        console.warn(`[WS] Final summary upsert failed: ${e.message}`);
+      }
+    }
+    return summaryResult;
+  } catch (err) {
+    console.warn(`[${connectionId}] Final summary generation error: ${err.message}`);
+    return null;
+  }
+}
+
+// Dedup key of a transcript chunk: per speaker when the speaker is known up front (both sides
+// saying "yeah" is not a repeat), else the text alone
+const transcriptDedupKey = (speaker, text) =>
+  speaker === 'closer' || speaker === 'prospect' ? `${speaker}:${text}` : text;
+
+// A mono chunk has no speaker yet, so it repeats the last chunk whenever the text matches; the key
+// restored on resume carries the stored speaker, which for mono audio is the speaker AI's label.
+function isRepeatedChunk(lastKey, speaker, text) {
+  if (lastKey === transcriptDedupKey(speaker, text)) return true;
+  return speaker !== 'closer' && speaker !== 'prospect' && (lastKey === `closer:${text}` || lastKey === `prospect:${text}`);
+}
+
+const toSpeakerLabel = (speaker) =>
+  speaker === 'closer' ? 'CLOSER' : speaker === 'prospect' ? 'PROSPECT' : 'UNKNOWN';
+
+function rebuildConversationHistory(meta) {
+  // Maintain a labeled transcript derived from per-chunk entries so we can update labels later
+  const entries = Array.isArray(meta?.transcriptEntries) ? meta.transcriptEntries : [];
+  const joined = entries
+    .map((e) => `${toSpeakerLabel(e?.speaker)}: ${String(e?.text || '').trim()}`.trim())
+    .filter(Boolean)
+    .join('\n\n');
+  const MAX_HISTORY_CHARS = 8000;
+  meta.conversationHistory = joined.length > MAX_HISTORY_CHARS ? joined.slice(-MAX_HISTORY_CHARS) : joined;
+}
+
 async function handleIncomingTextChunk(connectionId, {
   chunkText,
   prospectType = '',
   customScriptPrompt = '',
   pillarWeights = null,
-  clientTsMs = null
+  clientTsMs = null,
+  speaker = null,
+  audioOffsetMs = null,
+  callOffsetMs = null,
+  words = null
 }) {
   const text = String(chunkText || '').trim();
+  // Known when the chunk came from a labeled audio channel; otherwise the speaker AI decides.
+  const knownSpeaker = speaker === 'closer' || speaker === 'prospect' ? speaker : null;
   console.log(`[handleIncomingTextChunk] Received text: length=${text.length}, preview="${text.slice(0,100)}"`);
   if (!text) return;
 
-  const toSpeakerLabel = (speaker) =>
-    speaker === 'closer' ? 'CLOSER' : speaker === 'prospect' ? 'PROSPECT' : 'UNKNOWN';
-
-  const rebuildConversationHistory = (meta) => {
-    // Maintain a labeled transcript derived from per-chunk entries so we can update labels later
-    const entries = Array.isArray(meta?.transcriptEntries) ? meta.transcriptEntries : [];
-    const joined = entries
-      .map((e) => `${toSpeakerLabel(e?.speaker)}: ${String(e?.text || '').trim()}`.trim())
-      .filter(Boolean)
-      .join('\n\n');
-    const MAX_HISTORY_CHARS = 8000;
-    meta.conversationHistory = joined.length > MAX_HISTORY_CHARS ? joined.slice(-MAX_HISTORY_CHARS) : joined;
-  };
-  
   // Debug: Log what we received including custom script prompt
   console.log(`[handleIncomingTextChunk] Received`, {
     connectionId: connectionId.slice(-8),
@@ -723,32 +1218,33 @@ async function handleIncomingTextChunk(connectionId, {
       meta._lastBadPhrase = '';
     }
 
-    // Deduplicate repeated identical transcripts
-    if (meta._lastTranscriptText === text) {
+    // Deduplicate repeated identical transcripts (per speaker: both sides saying "yeah" is not a repeat)
+    const dedupKey = transcriptDedupKey(knownSpeaker, text);
+    if (isRepeatedChunk(meta._lastTranscriptText, knownSpeaker, text)) {
       meta._repeatCount = (meta._repeatCount || 0) + 1;
       connectionPersistence.set(connectionId, meta);
       if (meta._repeatCount >= 1) return;
     } else {
       meta._repeatCount = 0;
-      meta._lastTranscriptText = text;
+      meta._lastTranscriptText = dedupKey;
     }
 
     meta.plainTranscript = (meta.plainTranscript ? meta.plainTranscript + ' ' : '') + text;
     // Keep it bounded
-    const MAX_PLAIN = 12000;
-    if (meta.plainTranscript.length > MAX_PLAIN) {
-      meta.plainTranscript = meta.plainTranscript.slice(-MAX_PLAIN);
+    if (meta.plainTranscript.length > MAX_PLAIN_TRANSCRIPT_CHARS) {
+      meta.plainTranscript = meta.plainTranscript.slice(-MAX_PLAIN_TRANSCRIPT_CHARS);
     }
+    updateDetectedLanguage(connectionId, meta);
     connectionPersistence.set(connectionId, meta);
   }
 
-  // Speaker-role detection is a SIDE-CAR task:
+  // Speaker-role detection is a SIDE-CAR task, and only needed for mono audio / plain text:
   // - Must NOT block sending transcript chunks to the frontend
   // - Must NOT block scheduling the main analysis pipeline
   // We insert the chunk as unknown immediately, then update Supabase + session transcript when the AI returns.
-  const speakerPromise = (async () => {
+  const speakerPromise = knownSpeaker ? null : (async () => {
     try {
-      const aiSpeaker = await runSpeakerRoleAgent(text, conversationHistory);
+      const aiSpeaker = await runSpeakerRoleAgent(text, conversationHistory, callLanguages(meta));
       const sp = String(aiSpeaker?.speaker || '').toLowerCase();
       if (sp.includes('closer')) return 'closer';
       if (sp.includes('prospect')) return 'prospect';
@@ -758,7 +1254,13 @@ async function handleIncomingTextChunk(connectionId, {
     }
   })();
 
-  const detectedSpeaker = 'unknown';
+  const detectedSpeaker = knownSpeaker || 'unknown';
+
+  // Where the chunk starts in the call (ms). Audio and replayed chunks know it; typed text was
+  // said just now. Words are ms from the chunk start, when the STT provider timed them.
+  let offsetMs = Number.isFinite(callOffsetMs) ? Math.max(0, Math.round(callOffsetMs)) : null;
+  if (offsetMs === null && meta?.sessionStartTime) offsetMs = Math.max(0, Date.now() - meta.sessionStartTime);
+  const chunkWords = Array.isArray(words) && words.length ? words : null;
 
   // Track this chunk in-memory so we can re-label it later when speakerPromise completes.
   // Keep bounded so long calls don't bloat memory.
@@ -767,25 +1269,26 @@ async function handleIncomingTextChunk(connectionId, {
     meta._chunkSeq = (meta._chunkSeq || 0) + 1;
     localChunkSeq = meta._chunkSeq;
     meta.transcriptEntries = Array.isArray(meta.transcriptEntries) ? meta.transcriptEntries : [];
-    meta.transcriptEntries.push({ seq: localChunkSeq, speaker: detectedSpeaker, text });
+    meta.transcriptEntries.push({ seq: localChunkSeq, speaker: detectedSpeaker, text, ts: Date.now(), offsetMs, words: chunkWords });
     // Bound by count first (cheap), then by char cap via rebuildConversationHistory()
-    const MAX_ENTRIES = 220;
-    if (meta.transcriptEntries.length > MAX_ENTRIES) {
-      meta.transcriptEntries = meta.transcriptEntries.slice(-MAX_ENTRIES);
+    if (meta.transcriptEntries.length > MAX_TRANSCRIPT_ENTRIES) {
+      meta.transcriptEntries = meta.transcriptEntries.slice(-MAX_TRANSCRIPT_ENTRIES);
     }
     rebuildConversationHistory(meta);
     connectionPersistence.set(connectionId, meta);
   }
 
-  console.log(`[${connectionId.slice(-6)}] chunk: "${text.slice(0, 40)}..." speaker=${detectedSpeaker} (speaker AI async)`);
+  console.log(`[${connectionId.slice(-6)}] chunk: "${text.slice(0, 40)}..." speaker=${detectedSpeaker}${knownSpeaker ? ' (audio channel)' : ' (speaker AI async)'}`);
 
   // Send the transcribed chunk to the frontend for transparency/debugging
-  sendToClient(connectionId, {
+  sendToSession(connectionId, {
     type: 'transcript_chunk',
     data: {
       speaker: detectedSpeaker,
       text,
-      ts: Date.now()
+      ts: Date.now(),
+      offsetMs,
+      ...(chunkWords ? { words: chunkWords } : {})
     }
   });
 
@@ -796,83 +1299,91 @@ async function handleIncomingTextChunk(connectionId, {
     { force: false, reason: 'transcript' }
   );
 
+  // Fold older chunks into the rolling call memory (side-car, like speaker detection).
+  if (meta) {
+    meta.callMemory = meta.callMemory || createCallMemory();
+    updateCallMemory(meta.callMemory, meta.transcriptEntries, {
+      prospectType: meta.prospectType || prospectType,
+      language: callLanguages(meta)
+    }).catch(() => {});
+    void refreshDealSheet(connectionId);
+  }
+
   // NOTE: Progressive summary is handled in startRealtimeListening -> onTranscript (single place).
 
-  // Persist transcript chunk to Supabase immediately (unknown), then update speaker_role asynchronously.
-  if (meta?.authToken && meta?.sessionId && meta?.userId && isSupabaseConfigured()) {
-    const supabase = createUserSupabaseClient(meta.authToken);
-    if (supabase) {
-      const insertPromise = supabase
-        .from('call_transcript_chunks')
-        .insert({
-          session_id: meta.sessionId,
-          user_id: meta.userId,
-          user_email: meta.userEmail || '',
-          speaker_role: detectedSpeaker,
-          chunk_text: text,
-          chunk_char_count: chunkCharCount,
-          client_ts_ms: clientTsMs
-        })
-        .select('id')
-        .single();
-
-      // Update session with formatted transcript paragraph
-      void supabase
-        .from('call_sessions')
-        .update({
-          updated_at: new Date().toISOString(),
-          transcript_text: meta.conversationHistory || '',
-          transcript_char_count: (meta.conversationHistory || '').length,
-          ...(prospectType ? { prospect_type: prospectType } : {})
-        })
-        .eq('id', meta.sessionId)
-        .eq('user_id', meta.userId)
-        .then(() => {})
-        .catch(() => {});
-
-      // When speaker AI returns + insert succeeded, update only that row + refresh session transcript.
-      void Promise.allSettled([speakerPromise, insertPromise]).then(([spRes, insRes]) => {
-        const sp = spRes.status === 'fulfilled' ? spRes.value : 'unknown';
-        const insertedId = insRes.status === 'fulfilled' ? insRes.value?.data?.id : null;
-        if (!insertedId) return;
-        if (sp !== 'closer' && sp !== 'prospect') return;
-
-        // Update the chunk row
-        void supabase
-          .from('call_transcript_chunks')
-          .update({ speaker_role: sp })
-          .eq('id', insertedId)
-          .eq('user_id', meta.userId)
-          .then(() => {})
-          .catch(() => {});
+  // Re-label the in-memory entry when the speaker AI returns. Hot button quotes and Truth Index
+  // phrase rules only use prospect turns, so this can't depend on Supabase being configured.
+  void speakerPromise?.then((sp) => {
+    if ((sp !== 'closer' && sp !== 'prospect') || localChunkSeq == null) return;
+    const m2 = connectionPersistence.get(connectionId);
+    if (!m2 || !Array.isArray(m2.transcriptEntries)) return;
+    const idx = m2.transcriptEntries.findIndex((e) => e?.seq === localChunkSeq);
+    if (idx < 0) return;
+    m2.transcriptEntries[idx] = { ...m2.transcriptEntries[idx], speaker: sp };
+    rebuildConversationHistory(m2);
+    connectionPersistence.set(connectionId, m2);
+  });
 
-        // Update in-memory transcript + session transcript_text (best-effort; does not affect analysis latency)
-        const m2 = connectionPersistence.get(connectionId);
-        if (m2 && Array.isArray(m2.transcriptEntries) && localChunkSeq != null) {
-          const idx = m2.transcriptEntries.findIndex((e) => e?.seq === localChunkSeq);
-          if (idx >= 0) {
-            m2.transcriptEntries[idx] = { ...m2.transcriptEntries[idx], speaker: sp };
-            rebuildConversationHistory(m2);
-            connectionPersistence.set(connectionId, m2);
-
-            void supabase
-              .from('call_sessions')
-              .update({
-                updated_at: new Date().toISOString(),
-                transcript_text: m2.conversationHistory || '',
-                transcript_char_count: (m2.conversationHistory || '').length,
-                ...(prospectType ? { prospect_type: prospectType } : {})
-              })
-              .eq('id', meta.sessionId)
-              .eq('user_id', meta.userId)
-              .then(() => {})
-              .catch(() => {});
-          }
-        }
-      });
+  // Persist transcript chunk immediately (channel role, or unknown until the speaker AI returns).
+  const repo = sessionRepo(meta);
+  if (repo) {
+    const insertPromise = repo.chunks.insert({
+      session_id: meta.sessionId,
+      user_id: meta.userId,
+      user_email: meta.userEmail || '',
+      speaker_role: detectedSpeaker,
+      chunk_text: text,
+      chunk_char_count: chunkCharCount,
+      client_ts_ms: clientTsMs,
+      call_offset_ms: offsetMs,
+      ...(chunkWords ? { words_json: chunkWords } : {}),
+      // Only sent for recorded calls, so databases without the column keep working
+      ...(audioOffsetMs != null ? { audio_offset_ms: Math.round(audioOffsetMs) } : {})
+    });
+
+    // Update session with formatted transcript paragraph
+    void repo.sessions
+      .update(meta.sessionId, {
+        updated_at: new Date().toISOString(),
+        transcript_text: meta.conversationHistory || '',
+        transcript_char_count: (meta.conversationHistory || '').length,
+        ...(prospectType ? { prospect_type: prospectType } : {})
+      })
+      .catch(() => {});
+
+    // Role already known from the audio channel: nothing to re-label, just run the insert.
+    if (!speakerPromise) {
+      void insertPromise.then(() => {}, () => {});
+      return null;
     }
+
+    // When speaker AI returns + insert succeeded, update only that row + refresh session transcript.
+    void Promise.allSettled([speakerPromise, insertPromise]).then(([spRes, insRes]) => {
+      const sp = spRes.status === 'fulfilled' ? spRes.value : 'unknown';
+      const insertedId = insRes.status === 'fulfilled' ? insRes.value : null;
+      if (!insertedId) return;
+      if (sp !== 'closer' && sp !== 'prospect') return;
+
+      // Update the chunk row
+      void repo.chunks.update(insertedId, { speaker_role: sp }).catch(() => {});
+
+      // Session transcript_text with the re-labeled entry (best-effort; does not affect analysis latency)
+      const m2 = connectionPersistence.get(connectionId);
+      if (m2) {
+        void repo.sessions
+          .update(meta.sessionId, {
+            updated_at: new Date().toISOString(),
+            transcript_text: m2.conversationHistory || '',
+            transcript_char_count: (m2.conversationHistory || '').length,
+            ...(prospectType ? { prospect_type: prospectType } : {})
+          })
+          .catch(() => {});
+      }
+    });
   }
 
+  // Pending speaker label for callers that must wait for it (wrapped so `await` doesn't block on it)
+  return { speakerPromise };
 }
 
 async function startRealtimeListening(connectionId, config) {
@@ -884,12 +1395,26 @@ async function startRealtimeListening(connectionId, config) {
     });
 
     const realtimeConnection = await createRealtimeConnection({
+      // Per-call STT backend by name (start_listening config.sttProvider); empty = STT_PROVIDER
+      sttProvider: typeof config?.sttProvider === 'string' ? config.sttProvider : '',
+      // Call language for the STT sessions (start_listening config.language; auto = provider detects)
+      language: connectionPersistence.get(connectionId)?.language || '',
       // Called when a new transcript chunk is committed (VAD-based)
       // This triggers the FULL analysis pipeline including realtime AI
-      onChunk: async (chunkText) => {
+      onChunk: async (chunkText, { channel = 'mono', speaker = null, audioSinceStartMs = null, words = [] } = {}) => {
         const meta = connectionPersistence.get(connectionId);
+        // Where the utterance starts in the call recording (when there is one)
+        const audioOffsetMs = meta?.recording && audioSinceStartMs != null
+          ? Math.max(0, meta.recording.positionMs(channel) - audioSinceStartMs)
+          : null;
+        // ...and in the call: the recording's position when recorded, else back from now
+        let callOffsetMs = audioOffsetMs;
+        if (callOffsetMs === null && audioSinceStartMs != null && meta?.sessionStartTime) {
+          callOffsetMs = Math.max(0, Date.now() - meta.sessionStartTime - audioSinceStartMs);
+        }
         console.log(`[${connectionId}] VAD committed chunk`, {
           chunkPreview: chunkText.slice(0, 60),
+          speaker: speaker || '(mono)',
           customScriptPrompt: meta?.customScriptPrompt || '(NONE - not set!)',
           prospectType: meta?.prospectType || '(none)'
         });
@@ -899,7 +1424,11 @@ async function startRealtimeListening(connectionId, config) {
           prospectType: meta?.prospectType || '',
           customScriptPrompt: meta?.customScriptPrompt || '',
           pillarWeights: meta?.pillarWeights ?? null,
-          clientTsMs: Date.now()
+          clientTsMs: Date.now(),
+          speaker,
+          audioOffsetMs,
+          callOffsetMs,
+          words
         });
       },
       onTranscript: async (transcript, prospectType, customScriptPrompt, pillarWeights) => {
@@ -916,31 +1445,23 @@ async function startRealtimeListening(connectionId, config) {
           // Persist a readable "paragraph" snapshot with CLOSER:/PROSPECT: labels on the session row.
           // Uses the formatted conversationHistory which has speaker labels.
           const meta = connectionPersistence.get(connectionId);
-          if (meta?.authToken && meta?.sessionId && meta?.userId && isSupabaseConfigured()) {
+          const repo = sessionRepo(meta);
+          if (repo) {
             const now = Date.now();
             // Limit update frequency to reduce DB writes during rapid updates
             if (!meta.lastTranscriptPersistMs || (now - meta.lastTranscriptPersistMs) > 5000) {
               meta.lastTranscriptPersistMs = now;
               connectionPersistence.set(connectionId, meta);
-              const supabase = createUserSupabaseClient(meta.authToken);
-              if (supabase) {
-                // Use the formatted conversation history with speaker labels
-                const formattedTranscript = meta.conversationHistory || '';
-                void supabase
-                  .from('call_sessions')
-                  .update({
-                    updated_at: new Date().toISOString(),
-                    prospect_type: prospectType || '',
-                    transcript_text: formattedTranscript,
-                    transcript_char_count: formattedTranscript.length
-                  })
-                  .eq('id', meta.sessionId)
-                  .eq('user_id', meta.userId)
-                  .then(({ error }) => {
-                    if (error) console.warn(`[WS] Supabase call_sessions transcript update failed: ${error.message}`);
-                  })
-                  .catch(() => {});
-              }
+              // Use the formatted conversation history with speaker labels
+              const formattedTranscript = meta.conversationHistory || '';
+              void repo.sessions
+                .update(meta.sessionId, {
+                  updated_at: new Date().toISOString(),
+                  prospect_type: prospectType || '',
+                  transcript_text: formattedTranscript,
+                  transcript_char_count: formattedTranscript.length
+                })
+                .catch((e) => console.warn(`[WS] call_sessions transcript update failed: ${e.message}`));
             }
 
             // CONVERSATION SUMMARY: Continuously analyze and update summary (every 15 seconds for faster testing)
@@ -959,36 +1480,22 @@ async function startRealtimeListening(connectionId, config) {
               const summaryProspectType = meta.prospectType || prospectType || '';
               if (formattedTranscript.length > 50) { // Reduced from 100 for testing
                 console.log(`[${connectionId}] Running conversation summary agent with prospectType: ${summaryProspectType}`);
-                runConversationSummaryAgent(formattedTranscript, summaryProspectType, false)
+                runConversationSummaryAgent(formattedTranscript, summaryProspectType, false, summaryContext(meta))
                   .then((summaryResult) => {
                     console.log(`[${connectionId}] Summary agent result:`, summaryResult ? 'success' : 'null', summaryResult?.error || '');
-                    if (summaryResult && !summaryResult.error && isSupabaseConfigured()) {
-                      const supabase = createUserSupabaseClient(meta.authToken);
-                      if (supabase) {
-                        const summaryData = {
-                          session_id: meta.sessionId,
-                          user_id: meta.userId,
-                          user_email: meta.userEmail || '',
-                          prospect_type: summaryProspectType,
-                          summary_json: summaryResult,
-                          is_final: false,
-                          updated_at: new Date().toISOString()
-          };
-
-                        // Upsert summary (update if exists, insert if new)
-                        console.log(`[${connectionId}] Upserting summary to Supabase...`, { session_id: summaryData.session_id, user_id: summaryData.user_id });
-                        void supabase
-                          .from('call_summaries')
-                          .upsert(summaryData, { onConflict: 'session_id' })
-                          .then(({ error, data: upsertData }) => {
-                            if (error) {
-                              console.error(`[WS] Supabase summary upsert failed: ${error.message}`, error);
-                            } else {
-                              console.log(`[${connectionId}] Summary upserted successfully to Supabase`);
-                            }
-                          })
-                          .catch((err) => { console.error(`[WS] Summary upsert exception:`, err); });
-                      }
+                    if (summaryResult && !summaryResult.error) {
+                      // Upsert summary (update if exists, insert if new)
+                      console.log(`[${connectionId}] Upserting summary...`, { session_id: meta.sessionId, user_id: meta.userId });
+                      saveSummary(repo, {
+                        sessionId: meta.sessionId,
+                        userId: meta.userId,
+                        userEmail: meta.userEmail,
+                        prospectType: summaryProspectType,
+                        summary: summaryResult,
+                        isFinal: false
+                      })
+                        .then(() => console.log(`[${connectionId}] Summary upserted successfully`))
+                        .catch((err) => console.error(`[WS] Summary upsert failed: ${err.message}`));
                     }
                   })
                   .catch((err) => {
@@ -1036,79 +1543,1318 @@ function stopListening(connectionId) {
   });
 }
 
-// API endpoint to generate diagnostic questions using AI
-app.post('/api/generate-diagnostic-questions', async (req, res) => {
-  try {
-    const { prompt, prospectType } = req.body;
+// -----------------------------------------------------------------------------
+// Session resume
+// Railway proxies drop sockets mid-call. Instead of discarding the connection state on
+// close, it is parked for SESSION_RESUME_GRACE_MS under the call's sessionId (or the old
+// connectionId for unauthenticated calls). A new socket sends resume_session to take it
+// over; after the grace period the state can still be rebuilt from call_transcript_chunks.
+// -----------------------------------------------------------------------------
+const SESSION_RESUME_GRACE_MS = Number(process.env.SESSION_RESUME_GRACE_MS || 120000);
+const parkedSessions = new Map(); // sessionId | connectionId -> { meta, connectionId, parkedAt, timer }
 
-    if (!prompt || typeof prompt !== 'string') {
-      return res.status(400).json({ error: 'Prompt is required' });
+function parkConnectionState(connectionId) {
+  const meta = connectionPersistence.get(connectionId);
+  connectionPersistence.delete(connectionId);
+
+  // STT is tied to the socket; the resumed connection starts its own.
+  const realtimeConnection = realtimeConnections.get(connectionId);
+  if (realtimeConnection) {
+    try { realtimeConnection.close(); } catch {}
+    realtimeConnections.delete(connectionId);
+    lastGoodAnalysis.delete(connectionId);
+  }
+
+  if (!meta?._listening) return;
+  parkSessionState(meta.sessionId || connectionId, meta, connectionId);
+}
+
+function parkSessionState(key, meta, connectionId) {
+  if (parkedSessions.has(key)) return; // 'error' and 'close' both fire
+  const timer = setTimeout(() => {
+    parkedSessions.delete(key);
+    if (meta.sessionId) endListenIn(meta.sessionId, 'closer disconnected');
+    // The call never came back; keep what was recorded.
+    void finishCallRecording(meta);
+    console.log(`[Resume] Grace period over for ${String(key).slice(-8)}; in-memory state dropped`);
+  }, SESSION_RESUME_GRACE_MS);
+  timer.unref?.();
+  parkedSessions.set(key, { meta, connectionId, parkedAt: Date.now(), timer });
+  console.log(`[Resume] Parked ${String(key).slice(-8)} for ${SESSION_RESUME_GRACE_MS}ms (${meta.transcriptEntries?.length || 0} chunks)`);
+}
+
+/**
+ * Find in-memory state for a call: parked after a close, or still attached to an old
+ * socket whose close hasn't been noticed yet (the new socket can win that race).
+ * Ownership is checked before anything is detached.
+ */
+async function takeInMemorySession(connectionId, { sessionId, previousConnectionId, authToken }) {
+  let found = null;
+  for (const key of [sessionId, previousConnectionId]) {
+    if (key && parkedSessions.has(key)) {
+      found = { key, meta: parkedSessions.get(key).meta, parked: true };
+      break;
+    }
+  }
+  if (!found) {
+    for (const [otherId, meta] of connectionPersistence.entries()) {
+      if (otherId === connectionId) continue;
+      if ((sessionId && meta?.sessionId === sessionId) || (previousConnectionId && otherId === previousConnectionId)) {
+        found = { key: otherId, meta, parked: false };
+        break;
+      }
     }
+  }
+  if (!found) return null;
+  if (!(await callerOwnsSession(found.meta, authToken))) return { denied: true };
 
-    console.log(`[API] Generating diagnostic questions for ${prospectType} with prompt:`, prompt.slice(0, 100));
+  if (found.parked) {
+    clearTimeout(parkedSessions.get(found.key)?.timer);
+    parkedSessions.delete(found.key);
+  } else {
+    const otherId = found.key;
+    connectionPersistence.delete(otherId);
+    const realtimeConnection = realtimeConnections.get(otherId);
+    if (realtimeConnection) {
+      try { realtimeConnection.close(); } catch {}
+      realtimeConnections.delete(otherId);
+    }
+    try { connections.get(otherId)?.terminate?.(); } catch {}
+    connections.delete(otherId);
+  }
+  return { meta: found.meta, source: 'memory' };
+}
 
-    const systemPrompt = `You are an expert real estate sales coach. Generate diagnostic questions that sales closers should ask prospects during conversations.
-
-CRITICAL OUTPUT FORMAT:
-Return ONLY valid JSON with this exact structure:
-{
-  "questions": [
-    {
-      "question": "The actual question to ask the prospect",
-      "helper": "Why this question matters / what intel it reveals",
-      "badgeText": "Category label (e.g., Financial, Timeline, Pain Point)",
-      "badgeColor": "situation|timeline|authority|pain|financial"
+async function rehydrateSessionFromStorage(sessionId, authToken) {
+  if (!getStore()) throw new Error('storage not configured');
+  const found = await repositoryForToken(authToken);
+  if (!found) throw new Error('invalid auth token');
+  const { user, repo } = found;
+  const userId = user.id;
+
+  const { session, chunks } = await loadResumableSession(repo, sessionId, userId);
+  const entries = chunks
+    .slice(-MAX_TRANSCRIPT_ENTRIES)
+    .map((c, i) => ({ seq: i + 1, speaker: c.speaker, text: c.text, ts: c.ts, offsetMs: c.offsetMs, words: c.words }));
+  const plain = chunks.map((c) => c.text).join(' ');
+  const lastChunk = chunks[chunks.length - 1];
+  const meta = createConnectionMeta({
+    authToken,
+    sessionId: session.id,
+    userId,
+    userEmail: user.email || null,
+    prospectType: session.prospect_type || '',
+    language: normalizeCallLanguage(session.language),
+    detectedLanguage: session.detected_language || null,
+    displayLanguage: normalizeDisplayLanguage(session.display_language),
+    sessionStartTime: Date.parse(session.created_at) || Date.now(),
+    plainTranscript: plain.length > MAX_PLAIN_TRANSCRIPT_CHARS ? plain.slice(-MAX_PLAIN_TRANSCRIPT_CHARS) : plain,
+    transcriptEntries: entries,
+    _chunkSeq: entries.length,
+    // Same form handleIncomingTextChunk compares against, so a re-sent last chunk is still dropped
+    _lastTranscriptText: lastChunk ? transcriptDedupKey(lastChunk.speaker, lastChunk.text) : ''
+  });
+  rebuildConversationHistory(meta);
+  // Objections only look at new text; everything loaded here was already shown to the closer.
+  meta._lastAnalyzedTranscriptLength = meta.plainTranscript.length;
+  // Same for the deal sheet: keep what was extracted before the drop
+  meta._dealSheetRun.seq = entries.length;
+  try {
+    const stored = await loadDealSheet(repo, session.id);
+    if (stored?.fields) meta.dealSheet = { ...createDealSheet(), ...stored };
+  } catch (e) {
+    console.warn(`[Resume] Deal sheet not restored: ${e.message}`);
+  }
+  try {
+    const storedSeries = await loadScoreSeries(repo, session.id);
+    if (storedSeries?.points.length) {
+      const { webhookState, ...series } = storedSeries;
+      meta.scoreSeries = series;
+      // Events the webhooks already got (zone changes, penalties) don't fire again after the drop
+      if (webhookState) meta._webhookState = restoreWebhookEventState(webhookState);
+      // Pick the gauge up where it was instead of from the first noisy pass
+      seedScoreStabilizer(meta.scoreStabilizer, storedSeries.points[storedSeries.points.length - 1].indicators);
     }
-  ]
+  } catch (e) {
+    console.warn(`[Resume] Score series not restored: ${e.message}`);
+  }
+  return { meta, source: 'storage' };
+}
+
+async function callerOwnsSession(meta, authToken) {
+  if (!meta?.userId) return true; // unauthenticated call: the old connectionId is the capability
+  if (authToken && authToken === meta.authToken) return true;
+  // Tokens refresh during long calls; compare the user behind the new token (or the local user).
+  const store = getStore();
+  if (!store) return false;
+  try {
+    const user = await store.resolveUser(authToken);
+    return user?.id === meta.userId;
+  } catch {
+    return false;
+  }
 }
 
-Badge color options:
-- situation: Blue (general situation/background)
-- timeline: Red (urgency/deadlines)
-- authority: Purple (decision-making power)
-- pain: Orange (problems/frustrations)
-- financial: Green (money/budget)
+async function resumeSession(connectionId, data) {
+  const sessionId = typeof data.sessionId === 'string' && data.sessionId ? data.sessionId : null;
+  const previousConnectionId = typeof data.connectionId === 'string' && data.connectionId ? data.connectionId : null;
+  const authToken = typeof data.authToken === 'string' && data.authToken ? data.authToken : null;
+  const fail = (reason) => {
+    console.warn(`[Resume] ${connectionId.slice(-6)} could not resume ${sessionId || previousConnectionId || '(none)'}: ${reason}`);
+    sendToClient(connectionId, { type: 'session_resume_failed', sessionId, reason });
+  };
+
+  if (!sessionId && !previousConnectionId) return fail('sessionId or connectionId required');
 
-Rules:
-1. Questions should be conversational, not robotic
-2. Each question should reveal specific intel for analysis
-3. Helper text explains WHY this question matters
-4. Return 3-7 questions (not too many)
-5. Badge text should be short (1-2 words)`;
+  let resumed = await takeInMemorySession(connectionId, { sessionId, previousConnectionId, authToken });
+  if (resumed?.denied) return fail('not authorized for this session');
+  if (!resumed) {
+    if (!sessionId || !getStore()) return fail('session state expired');
+    try {
+      resumed = await rehydrateSessionFromStorage(sessionId, authToken);
+    } catch (e) {
+      return fail(String(e?.message || e));
+    }
+  }
 
-    const userPrompt = `Generate diagnostic questions for a ${prospectType} prospect.
+  const meta = resumed.meta;
+  const cfg = data.config && typeof data.config === 'object' ? data.config : null;
+  if (authToken) meta.authToken = authToken;
+  if (cfg) {
+    if (typeof cfg.clientMode === 'string') meta.clientMode = cfg.clientMode;
+    if (typeof cfg.prospectType === 'string' && cfg.prospectType) meta.prospectType = cfg.prospectType;
+    if (typeof cfg.customScriptPrompt === 'string') meta.customScriptPrompt = cfg.customScriptPrompt;
+    if (Array.isArray(cfg.pillarWeights)) meta.pillarWeights = cfg.pillarWeights;
+    setCallLanguages(meta, cfg);
+    meta.listenConfig = { ...(meta.listenConfig || {}), ...cfg };
+  }
+  // Continue the client's analysisSeq so the new run isn't dropped as stale.
+  meta._analysisSeq = Math.max(Number(meta._analysisSeq || 0), Number(data.lastAnalysisSeq || 0));
+  meta._analysisPending = false;
+  meta._analysisPendingStart = 0;
+  meta._analysisDirty = false;
+  meta._lastAnalysisMs = 0;
+  meta._listening = true;
+  connectionPersistence.set(connectionId, meta);
 
-User's request: "${prompt}"
+  console.log(`[Resume] ${connectionId.slice(-6)} resumed ${meta.sessionId || previousConnectionId} from ${resumed.source}`, {
+    chunks: meta.transcriptEntries?.length || 0,
+    analysisSeq: meta._analysisSeq
+  });
 
-Remember to return ONLY valid JSON in the format specified.`;
+  if ((meta.clientMode || 'backend_transcribe') === 'backend_transcribe') {
+    await startRealtimeListening(connectionId, meta.listenConfig || {});
+  }
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 1500
-      })
-    });
+  sendToClient(connectionId, {
+    type: 'session_resumed',
+    sessionId: meta.sessionId || null,
+    source: resumed.source,
+    chunkCount: meta.transcriptEntries?.length || 0,
+    analysisSeq: meta._analysisSeq
+  });
+  if (Object.keys(meta.dealSheet?.fields || {}).length) {
+    sendToClient(connectionId, {
+      type: 'deal_sheet_update',
+      data: { sessionId: meta.sessionId || null, dealSheet: meta.dealSheet, changed: [] }
+    });
+  }
+  // Coaching notes sent while the closer's socket was down
+  for (const note of meta.coachingNotes || []) {
+    if (note.delivered) continue;
+    note.delivered = true;
+    sendToClient(connectionId, { type: 'coaching_note', data: publicCoachingNote(note) });
+  }
+
+  // Fresh full analysis on the new socket (the old one may have died mid-run).
+  scheduleAnalysis(connectionId, {}, { force: true, reason: 'resume' });
+}
+
+// -----------------------------------------------------------------------------
+// Manager listen-in
+// A manager's socket subscribes read-only to a live sessionId and receives the same
+// transcript_chunk / analysis_stream / analysis_update frames as the closer (see
+// sendToSession). Managers can send coaching notes that only the closer sees.
+// -----------------------------------------------------------------------------
+const sessionListeners = new Map(); // sessionId -> Set<listener connectionId>
+const LISTENER_MESSAGE_TYPES = new Set(['listen_in', 'stop_listen_in', 'coaching_note', 'debug_event']);
+const MAX_COACHING_NOTES = 50;
+
+const isListenerMessage = (data) =>
+  LISTENER_MESSAGE_TYPES.has(data?.type) ||
+  // Empty transcript messages are the client keepalive
+  (data?.type === 'transcript' && !String(data.text || '').trim());
+
+const publicCoachingNote = ({ delivered, ...note }) => note;
+
+/**
+ * The closer's state for a live session: attached to a socket, or parked during a reconnect
+ * (connectionId null).
+ */
+function findSessionOwner(sessionId) {
+  for (const [connectionId, meta] of connectionPersistence.entries()) {
+    if (meta?.sessionId === sessionId && meta._listening && !meta.listenSessionId) {
+      return { connectionId, meta };
+    }
+  }
+  const parked = parkedSessions.get(sessionId);
+  return parked ? { connectionId: null, meta: parked.meta } : null;
+}
+
+function liveSessionSummaries() {
+  const out = [];
+  for (const meta of connectionPersistence.values()) {
+    if (!meta?.sessionId || !meta._listening || meta.listenSessionId) continue;
+    out.push({
+      sessionId: meta.sessionId,
+      closerId: meta.userId,
+      closerEmail: meta.userEmail || null,
+      prospectType: meta.prospectType || '',
+      startedAt: meta.sessionStartTime ? new Date(meta.sessionStartTime).toISOString() : null,
+      chunkCount: meta.transcriptEntries?.length || 0,
+      listenerCount: sessionListeners.get(meta.sessionId)?.size || 0
+    });
+  }
+  return out;
+}
+
+async function startListenIn(connectionId, data) {
+  const sessionId = typeof data.sessionId === 'string' && data.sessionId ? data.sessionId : null;
+  const authToken = typeof data.authToken === 'string' && data.authToken ? data.authToken : null;
+  const fail = (reason) => {
+    console.warn(`[ListenIn] ${connectionId.slice(-6)} could not listen in on ${sessionId || '(none)'}: ${reason}`);
+    sendToClient(connectionId, { type: 'listen_in_failed', sessionId, reason });
+  };
+
+  if (!sessionId) return fail('sessionId required');
+  if (!authToken || !isSupabaseConfigured()) return fail('authentication required');
+  const supabase = createUserSupabaseClient(authToken);
+  if (!supabase) return fail('storage not configured');
+
+  let team;
+  try {
+    team = await loadManagerTeam(supabase);
+  } catch (e) {
+    return fail(String(e?.message || e));
+  }
+  const owner = findSessionOwner(sessionId);
+  if (!owner) return fail('session is not live');
+  if (!owner.meta.userId || !team.closerIds.has(owner.meta.userId)) return fail('not authorized for this session');
+
+  const meta = connectionPersistence.get(connectionId);
+  if (!meta) return;
+  if (meta._listening) return fail('stop your own call before listening in');
+  stopListenIn(connectionId); // switching from another call
+  meta.authToken = authToken;
+  meta.userId = team.managerId;
+  meta.userEmail = team.managerEmail;
+  meta.listenSessionId = sessionId;
+  connectionPersistence.set(connectionId, meta);
+
+  const listeners = sessionListeners.get(sessionId) || new Set();
+  listeners.add(connectionId);
+  sessionListeners.set(sessionId, listeners);
+  console.log(`[ListenIn] ${team.managerEmail || team.managerId} listening to ${sessionId.slice(-8)} (${listeners.size} listener(s))`);
+
+  // Catch-up snapshot; live frames follow through sendToSession.
+  sendToClient(connectionId, {
+    type: 'listen_in_started',
+    sessionId,
+    closerEmail: owner.meta.userEmail || null,
+    prospectType: owner.meta.prospectType || '',
+    startedAt: owner.meta.sessionStartTime ? new Date(owner.meta.sessionStartTime).toISOString() : null,
+    transcript: (owner.meta.transcriptEntries || []).map((e) => ({ speaker: e.speaker, text: e.text, offsetMs: e.offsetMs ?? null })),
+    analysis: owner.meta._lastAnalysisFrame || null,
+    dealSheet: owner.meta.dealSheet || null,
+    notes: (owner.meta.coachingNotes || []).map(publicCoachingNote)
+  });
+}
+
+function stopListenIn(connectionId) {
+  const meta = connectionPersistence.get(connectionId);
+  const sessionId = meta?.listenSessionId;
+  if (!sessionId) return;
+  meta.listenSessionId = null;
+  const listeners = sessionListeners.get(sessionId);
+  if (listeners) {
+    listeners.delete(connectionId);
+    if (!listeners.size) sessionListeners.delete(sessionId);
+  }
+  console.log(`[ListenIn] ${connectionId.slice(-6)} left ${sessionId.slice(-8)}`);
+}
+
+// Closer ended the call: tell every listener and drop the subscriptions.
+function endListenIn(sessionId, reason) {
+  const listeners = sessionListeners.get(sessionId);
+  if (!listeners) return;
+  sessionListeners.delete(sessionId);
+  for (const listenerId of listeners) {
+    const meta = connectionPersistence.get(listenerId);
+    if (meta) meta.listenSessionId = null;
+    sendToClient(listenerId, { type: 'listen_in_ended', sessionId, reason });
+  }
+}
+
+async function sendCoachingNote(connectionId, data) {
+  const meta = connectionPersistence.get(connectionId);
+  const sessionId = meta?.listenSessionId;
+  if (!sessionId) {
+    sendToClient(connectionId, { type: 'error', message: 'coaching_note requires an active listen-in' });
+    return;
+  }
+  const text = normalizeCoachingNote(data.text);
+  if (!text) return;
+  const owner = findSessionOwner(sessionId);
+  if (!owner) {
+    sendToClient(connectionId, { type: 'error', message: 'session is not live' });
+    return;
+  }
+
+  const note = {
+    id: `note_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    sessionId,
+    text,
+    from: meta.userEmail || 'Manager',
+    ts: Date.now(),
+    delivered: Boolean(owner.connectionId)
+  };
+  owner.meta.coachingNotes = [...(owner.meta.coachingNotes || []), note].slice(-MAX_COACHING_NOTES);
+
+  // Closer gets it now, or on resume if their socket is mid-reconnect.
+  if (owner.connectionId) sendToClient(owner.connectionId, { type: 'coaching_note', data: publicCoachingNote(note) });
+  for (const listenerId of sessionListeners.get(sessionId) || []) {
+    sendToClient(listenerId, { type: 'coaching_note', data: publicCoachingNote(note) });
+  }
+
+  const supabase = createUserSupabaseClient(meta.authToken);
+  if (supabase && owner.meta.userId) {
+    saveCoachingNote(supabase, { sessionId, managerId: meta.userId, closerId: owner.meta.userId, text }).catch((e) => {
+      console.warn(`[ListenIn] Coaching note insert failed: ${e.message}`);
+    });
+  }
+}
+
+// Live sessions the calling manager may listen in on.
+app.get('/api/live-sessions', async (req, res) => {
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authorization: Bearer <supabase access token> required' });
+  }
+  const supabase = isSupabaseConfigured() ? createUserSupabaseClient(token) : null;
+  if (!supabase) {
+    return res.status(503).json({ error: 'Supabase is not configured' });
+  }
+  try {
+    const team = await loadManagerTeam(supabase);
+    res.json({ sessions: liveSessionSummaries().filter((s) => team.closerIds.has(s.closerId)) });
+  } catch (error) {
+    console.error('[API] Error listing live sessions:', error);
+    res.status(error.message === 'invalid auth token' ? 401 : 500).json({
+      error: 'Failed to list live sessions',
+      details: error.message
+    });
+  }
+});
+
+// Call recording playback with HTTP range requests, so an <audio> element can seek to a
+// transcript line's audio_offset_ms. The owner and the closer's managers can listen (RLS on
+// call_recordings). <audio> can't set headers, so the token may also come as ?access_token=.
+app.get('/api/recordings/:sessionId', async (req, res) => {
+  if (!isSessionId(req.params.sessionId)) {
+    return res.status(400).json({ error: 'Session id must be a UUID' });
+  }
+  const token = bearerToken(req) || (typeof req.query.access_token === 'string' ? req.query.access_token : '');
+  const storage = getRecordingStorage();
+  if (!getStore() || !storage) {
+    return res.status(503).json({ error: 'Storage or RECORDING_STORAGE is not configured' });
+  }
+  const found = await repositoryForToken(token);
+  if (!found) {
+    return res.status(401).json({ error: 'Authorization: Bearer <supabase access token> required' });
+  }
+  try {
+    const recording = await loadRecording(found.repo, req.params.sessionId);
+    if (!recording) return res.status(404).json({ error: 'Recording not found' });
+
+    // A recording still in progress has no bytes saved yet
+    const size = Number(recording.size_bytes) || 0;
+    if (size <= 0) return res.status(404).json({ error: 'Recording is empty' });
+    let start = 0;
+    let end = size - 1;
+    const range = String(req.headers.range || '').match(/^bytes=(\d*)-(\d*)$/);
+    // "bytes=-" matches but names no range; it gets the whole file with a 200
+    const partial = Boolean(range && (range[1] || range[2]));
+    if (partial) {
+      if (range[1]) {
+        start = Number(range[1]);
+        if (range[2]) end = Math.min(Number(range[2]), size - 1);
+      } else {
+        start = Math.max(0, size - Number(range[2])); // bytes=-N: last N bytes
+      }
+      if (start > end || start >= size) {
+        res.set('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+      }
+    }
+
+    const object = await storage.read(recording.object_key, { start, end });
+    if (!object) return res.status(404).json({ error: 'Recording file not found' });
+    res.status(partial ? 206 : 200);
+    res.set({
+      'Content-Type': recording.mime_type || 'audio/wav',
+      'Accept-Ranges': 'bytes',
+      'Content-Length': String(object.end - object.start + 1),
+      'Cache-Control': 'private, no-store',
+      ...(partial ? { 'Content-Range': `bytes ${object.start}-${object.end}/${object.size}` } : {})
+    });
+    object.stream.on('error', () => res.destroy());
+    res.on('close', () => object.stream.destroy());
+    object.stream.pipe(res);
+  } catch (error) {
+    console.error('[API] Error streaming recording:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to load recording',
+        details: error.message
+      });
+    }
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Session replay
+// Drives a recorded call through handleIncomingTextChunk/scheduleAnalysis on a virtual
+// connection and records every frame that would have gone to the browser.
+// -----------------------------------------------------------------------------
+// Absolute, since res.sendFile refuses relative paths
+const REPLAY_OUTPUT_DIR = path.resolve(process.env.REPLAY_OUTPUT_DIR || path.join(__dirname, 'replays'));
+const replayJobs = new Map(); // replayId -> job (status, stats, framesPath)
+const MAX_REPLAY_JOBS = 50;
+
+/**
+ * Start a replay in the background and return its job record.
+ * Replays never write to Supabase: the virtual connection has no auth token. `userId` (the
+ * requesting storage user) makes the job visible to that user only.
+ */
+export function startReplay({
+  chunks,
+  speed = 1,
+  prospectType = '',
+  customScriptPrompt = '',
+  pillarWeights = null,
+  source = '',
+  framesPath = null,
+  userId = null
+}) {
+  if (!Array.isArray(chunks) || chunks.length === 0) {
+    throw new Error('Replay has no transcript chunks');
+  }
+  const replaySpeed = parseReplaySpeed(speed);
+  const replayId = `replay_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  const connectionId = `conn_${replayId}`;
+  const recorder = createFrameRecorder(framesPath || path.join(REPLAY_OUTPUT_DIR, `${replayId}.jsonl`), {
+    speed: replaySpeed
+  });
+
+  // Looks like an open socket to sendToClient(); frames go to the recorder instead.
+  connections.set(connectionId, {
+    readyState: WebSocket.OPEN,
+    lastActivity: Date.now(),
+    send: (messageStr) => {
+      try {
+        recorder.record(JSON.parse(messageStr));
+      } catch (e) {
+        console.warn(`[Replay] Failed to record frame: ${e.message}`);
+      }
+    }
+  });
+  connectionPersistence.set(connectionId, createConnectionMeta({
+    prospectType,
+    customScriptPrompt,
+    pillarWeights,
+    clientMode: 'websocket_transcribe'
+  }));
+
+  const job = {
+    replayId,
+    userId,
+    status: 'running',
+    source,
+    speed: Number.isFinite(replaySpeed) ? replaySpeed : 'max',
+    totalChunks: chunks.length,
+    chunksFed: 0,
+    framesPath: recorder.filePath,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    settled: null,
+    stats: null,
+    error: null,
+    cancelled: false
+  };
+  replayJobs.set(replayId, job);
+  if (replayJobs.size > MAX_REPLAY_JOBS) {
+    const oldest = [...replayJobs.values()].find((j) => j.status !== 'running');
+    if (oldest) replayJobs.delete(oldest.replayId);
+  }
+  console.log(`[Replay] ${replayId} started: ${chunks.length} chunks from ${source || 'input'} at ${job.speed}x`);
+
+  job.done = (async () => {
+    try {
+      const result = await runReplay({
+        chunks,
+        speed: replaySpeed,
+        feedChunk: async (chunk, i) => {
+          recorder.setChunkIndex(i);
+          job.chunksFed = i + 1;
+          const meta = connectionPersistence.get(connectionId);
+          await handleIncomingTextChunk(connectionId, {
+            chunkText: chunk.text,
+            prospectType: meta?.prospectType || '',
+            customScriptPrompt: meta?.customScriptPrompt || '',
+            pillarWeights: meta?.pillarWeights ?? null,
+            clientTsMs: chunk.clientTsMs ?? null,
+            callOffsetMs: chunk.offsetMs ?? null
+          });
+        },
+        getAnalysisState: () => {
+          const meta = connectionPersistence.get(connectionId) || {};
+          return { pending: Boolean(meta._analysisPending), dirty: Boolean(meta._analysisDirty) };
+        },
+        flushAnalysis: () => scheduleAnalysis(connectionId, {}, { force: true, reason: 'replay_flush' }),
+        isCancelled: () => job.cancelled
+      });
+      job.settled = result.settled;
+      job.status = result.cancelled ? 'cancelled' : 'completed';
+    } catch (e) {
+      console.error(`[Replay] ${replayId} failed:`, e?.message || e);
+      job.status = 'failed';
+      job.error = String(e?.message || e);
+    } finally {
+      connections.delete(connectionId);
+      connectionPersistence.delete(connectionId);
+      await recorder.close();
+      job.stats = recorder.stats();
+      job.finishedAt = new Date().toISOString();
+      console.log(`[Replay] ${replayId} ${job.status}: ${job.stats.frames} frames -> ${job.framesPath}`);
+    }
+    return job;
+  })();
+
+  return job;
+}
+
+const publicReplayJob = ({ done, userId, ...job }) => job;
+
+const bearerToken = (req) => {
+  const header = String(req.headers.authorization || '');
+  return header.toLowerCase().startsWith('bearer ') ? header.slice(7).trim() : '';
+};
+
+// Start a replay from a stored session (the owner's) or an inline timestamped transcript. Needs
+// a Bearer token whenever storage or Supabase auth is configured, since a replay spends LLM calls.
+// Returns immediately; poll GET /api/replay/:id.
+app.post('/api/replay', async (req, res) => {
+  try {
+    const { sessionId, transcript, speed, prospectType, customScriptPrompt, pillarWeights } = req.body || {};
+    let chunks;
+    let sessionProspectType = '';
+    let source;
+
+    const caller = await requireApiCaller(req, res);
+    if (!caller) return;
+    const { userId, token } = caller;
+
+    if (sessionId) {
+      const loaded = await loadSessionChunks(String(sessionId), token);
+      chunks = loaded.chunks;
+      sessionProspectType = loaded.session?.prospect_type || '';
+      source = `session:${sessionId}`;
+    } else if (typeof transcript === 'string' && transcript.trim()) {
+      chunks = parseTimestampedTranscript(transcript);
+      source = 'inline';
+    } else {
+      return res.status(400).json({ error: 'sessionId or transcript is required' });
+    }
+
+    if (!chunks.length) {
+      return res.status(400).json({ error: 'No transcript chunks to replay' });
+    }
+
+    const job = startReplay({
+      chunks,
+      speed,
+      prospectType: (typeof prospectType === 'string' && prospectType) || sessionProspectType,
+      customScriptPrompt: typeof customScriptPrompt === 'string' ? customScriptPrompt : '',
+      pillarWeights: Array.isArray(pillarWeights) ? pillarWeights : null,
+      source,
+      userId
+    });
+    res.status(202).json(publicReplayJob(job));
+  } catch (error) {
+    console.error('[API] Error starting replay:', error);
+    res.status(500).json({
+      error: 'Failed to start replay',
+      details: error.message
+    });
+  }
+});
+
+// Jobs started by a storage user are only visible to that user (they can hold a stored
+// session's transcript and analysis).
+async function findReplayJob(req, res) {
+  const job = replayJobs.get(req.params.replayId);
+  if (job && job.userId && (await userIdForToken(bearerToken(req)).catch(() => null)) !== job.userId) {
+    res.status(404).json({ error: 'Replay not found' });
+    return null;
+  }
+  if (!job) res.status(404).json({ error: 'Replay not found' });
+  return job || null;
+}
+
+app.get('/api/replay/:replayId', async (req, res) => {
+  const job = await findReplayJob(req, res);
+  if (!job) return;
+  res.json(publicReplayJob(job));
+});
+
+// Recorded frames as JSON lines (complete once status != running)
+app.get('/api/replay/:replayId/frames', async (req, res) => {
+  const job = await findReplayJob(req, res);
+  if (!job) return;
+  res.type('application/x-ndjson');
+  res.sendFile(job.framesPath, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Frames file not available' });
+  });
+});
+
+app.delete('/api/replay/:replayId', async (req, res) => {
+  const job = await findReplayJob(req, res);
+  if (!job) return;
+  if (job.status === 'running') job.cancelled = true;
+  res.json(publicReplayJob(job));
+});
+
+// -----------------------------------------------------------------------------
+// Uploaded calls
+// Runs a recorded call (transcript or audio) through the same handleIncomingTextChunk /
+// scheduleAnalysis path as a live call on a virtual connection, then the final summary. With the
+// uploader's token it is stored as a normal call session (source "upload").
+// -----------------------------------------------------------------------------
+const uploadJobs = new Map(); // uploadId -> job (status, phase, progress, analysis, summary)
+const MAX_UPLOAD_JOBS = 50;
+const UPLOAD_MAX_AUDIO_MB = Number(process.env.UPLOAD_MAX_AUDIO_MB || 200);
+// Nobody is watching an upload live, so chunks go in back-to-back by default.
+const UPLOAD_ANALYSIS_SPEED = process.env.UPLOAD_ANALYSIS_SPEED || 'max';
+const UPLOAD_AUDIO_FORMATS = ['wav', 'pcm_16000', 'pcm_16000_stereo'];
+
+// Storage user id for a bearer token (the local user for LOCAL_API_TOKEN with SQLite and no Supabase), or null.
+async function userIdForToken(token) {
+  const user = await getStore()?.resolveUser(token || null).catch(() => null);
+  return user?.id || null;
+}
+
+/**
+ * Caller of an endpoint that runs the LLM pipeline. With a store or Supabase auth configured
+ * the token must resolve to a user (401 otherwise, like sessionsApiAuth); with neither there
+ * are no users and anonymous calls are allowed.
+ * @returns {Promise<{userId: string|null, token: string}|null>} null once the 401 is sent
+ */
+async function requireApiCaller(req, res) {
+  const token = bearerToken(req);
+  const store = getStore();
+  if (!store && !isSupabaseConfigured()) return { userId: null, token };
+  const user = store
+    ? await store.resolveUser(token || null).catch(() => null)
+    : await resolveSupabaseUser(token).catch(() => null);
+  if (!user?.id) {
+    res.status(401).json({
+      error: token ? 'Invalid Supabase access token' : 'Authorization: Bearer <supabase access token> required'
+    });
+    return null;
+  }
+  return { userId: store ? user.id : null, token };
+}
+
+/**
+ * Start analyzing an uploaded call in the background and return its job record.
+ * Pass `chunks` for a parsed transcript, or `recording` ({ pcm, stereo, durationMs } from
+ * toPcm16k) to transcribe first. Progress: transcribing (audio only) → analyzing → summarizing.
+ */
+function startUploadAnalysis({
+  chunks = null,
+  recording = null,
+  format = '',
+  filename = '',
+  authToken = null,
+  userId = null,
+  prospectType = '',
+  customScriptPrompt = '',
+  pillarWeights = null,
+  sttProvider = '',
+  language = '',
+  displayLanguage = ''
+}) {
+  if (!recording && (!Array.isArray(chunks) || chunks.length === 0)) {
+    throw new Error('Upload has no transcript chunks');
+  }
+  const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  const connectionId = `conn_${uploadId}`;
+
+  // Looks like an open socket to sendToClient(); the result is read from the meta instead.
+  connections.set(connectionId, { readyState: WebSocket.OPEN, lastActivity: Date.now(), send: () => {} });
+  connectionPersistence.set(connectionId, {
+    ...createConnectionMeta({
+      prospectType,
+      customScriptPrompt,
+      pillarWeights,
+      clientMode: 'websocket_transcribe',
+      language: normalizeCallLanguage(language),
+      displayLanguage: normalizeDisplayLanguage(displayLanguage)
+    }),
+    authToken: authToken || null
+  });
+
+  const job = {
+    uploadId,
+    status: 'running',
+    phase: recording ? 'transcribing' : 'analyzing',
+    progress: 0,
+    format,
+    filename,
+    durationMs: recording?.durationMs ?? null,
+    totalChunks: chunks?.length || 0,
+    chunksFed: 0,
+    sessionId: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    settled: null,
+    analysis: null,
+    summary: null,
+    error: null,
+    cancelled: false,
+    userId
+  };
+  uploadJobs.set(uploadId, job);
+  if (uploadJobs.size > MAX_UPLOAD_JOBS) {
+    const oldest = [...uploadJobs.values()].find((j) => j.status !== 'running');
+    if (oldest) uploadJobs.delete(oldest.uploadId);
+  }
+  console.log(`[Upload] ${uploadId} started: ${format} ${filename || '(unnamed)'}`);
+
+  job.done = (async () => {
+    try {
+      if (userId) {
+        job.sessionId = await openCallSession(connectionId, { prospectType, source: 'upload', sourceName: filename || null });
+      }
+
+      let callChunks = chunks;
+      // Audio is 0-40% of the bar, chunk analysis up to 90%, the final summary the rest.
+      const analyzeFrom = recording ? 40 : 0;
+      if (recording) {
+        callChunks = await transcribeRecording({
+          pcm: recording.pcm,
+          stereo: recording.stereo,
+          sttProvider,
+          language: normalizeCallLanguage(language),
+          onProgress: (fraction) => {
+            job.progress = Math.round(fraction * analyzeFrom);
+          },
+          isCancelled: () => job.cancelled
+        });
+        if (!job.cancelled && !callChunks.length) throw new Error('No speech found in the recording');
+        job.totalChunks = callChunks.length;
+        job.phase = 'analyzing';
+      }
+
+      const speakerLabels = [];
+      const result = await runReplay({
+        chunks: callChunks,
+        speed: parseReplaySpeed(UPLOAD_ANALYSIS_SPEED),
+        feedChunk: async (chunk, i) => {
+          const meta = connectionPersistence.get(connectionId);
+          const fed = await handleIncomingTextChunk(connectionId, {
+            chunkText: chunk.text,
+            prospectType: meta?.prospectType || '',
+            customScriptPrompt: meta?.customScriptPrompt || '',
+            pillarWeights: meta?.pillarWeights ?? null,
+            clientTsMs: chunk.clientTsMs ?? null,
+            speaker: chunk.speaker,
+            callOffsetMs: chunk.offsetMs ?? null,
+            words: chunk.words ?? null
+          });
+          if (fed?.speakerPromise) speakerLabels.push(fed.speakerPromise);
+          job.chunksFed = i + 1;
+          job.progress = analyzeFrom + Math.round(((i + 1) / callChunks.length) * (90 - analyzeFrom));
+        },
+        getAnalysisState: () => {
+          const meta = connectionPersistence.get(connectionId) || {};
+          return { pending: Boolean(meta._analysisPending), dirty: Boolean(meta._analysisDirty) };
+        },
+        flushAnalysis: () => scheduleAnalysis(connectionId, {}, { force: true, reason: 'upload_flush' }),
+        isCancelled: () => job.cancelled
+      });
+      job.settled = result.settled;
+      if (result.cancelled || job.cancelled) {
+        job.status = 'cancelled';
+        return job;
+      }
+
+      // Summary and stored transcript should see the speaker AI's labels, not "unknown".
+      await Promise.allSettled(speakerLabels);
+      job.phase = 'summarizing';
+      job.summary = await finalizeCallSession(connectionId, { prospectType });
+      job.analysis = connectionPersistence.get(connectionId)?._lastAnalysisFrame || null;
+      job.progress = 100;
+      job.status = 'completed';
+    } catch (e) {
+      console.error(`[Upload] ${uploadId} failed:`, e?.message || e);
+      job.status = 'failed';
+      job.error = String(e?.message || e);
+    } finally {
+      connections.delete(connectionId);
+      connectionPersistence.delete(connectionId);
+      job.finishedAt = new Date().toISOString();
+      console.log(`[Upload] ${uploadId} ${job.status}: ${job.chunksFed}/${job.totalChunks} chunks, session=${job.sessionId || 'not stored'}`);
+    }
+    return job;
+  })();
+
+  return job;
+}
+
+const publicUploadJob = ({ done, userId, ...job }) => job;
+
+// Jobs for stored sessions are only visible to their owner.
+async function findUploadJob(req, res) {
+  const job = uploadJobs.get(req.params.uploadId);
+  if (job && job.userId && (await userIdForToken(bearerToken(req)).catch(() => null)) !== job.userId) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+  if (!job) res.status(404).json({ error: 'Upload not found' });
+  return job || null;
+}
+
+// Analyze a recorded call. JSON body { transcript, format?, filename?, speakers?, prospectType?,
+// customScriptPrompt?, pillarWeights?, language?, displayLanguage? } for transcripts (text, PDF text,
+// VTT, SRT, JSON), or a raw audio body (audio/wav, application/octet-stream) with
+// ?format=wav|pcm_16000|pcm_16000_stereo&filename=&prospectType=&sttProvider=&language=&displayLanguage=.
+// Needs a Bearer token whenever storage or Supabase auth is configured; the call is then stored
+// as the caller's session. Returns immediately; poll GET /api/uploads/:id.
+app.post('/api/uploads', express.raw({ type: ['audio/*', 'application/octet-stream'], limit: UPLOAD_MAX_AUDIO_MB * 1024 * 1024 }), async (req, res) => {
+  try {
+    const isAudio = Buffer.isBuffer(req.body);
+    const input = isAudio ? req.query : req.body || {};
+    const caller = await requireApiCaller(req, res);
+    if (!caller) return;
+    const { userId, token } = caller;
+
+    const common = {
+      filename: typeof input.filename === 'string' ? input.filename.slice(0, 255) : '',
+      authToken: userId ? token || null : null,
+      userId,
+      prospectType: typeof input.prospectType === 'string' ? input.prospectType : '',
+      customScriptPrompt: typeof input.customScriptPrompt === 'string' ? input.customScriptPrompt : '',
+      pillarWeights: Array.isArray(input.pillarWeights) ? input.pillarWeights : null,
+      sttProvider: typeof input.sttProvider === 'string' ? input.sttProvider : '',
+      language: typeof input.language === 'string' ? input.language : '',
+      displayLanguage: typeof input.displayLanguage === 'string' ? input.displayLanguage : ''
+    };
+
+    let job;
+    if (isAudio) {
+      const ext = common.filename.toLowerCase().split('.').pop();
+      const format = String(input.format || (ext === 'wav' || /wav/.test(req.headers['content-type'] || '') ? 'wav' : 'pcm_16000'));
+      if (!UPLOAD_AUDIO_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unsupported audio format "${format}" (expected: ${UPLOAD_AUDIO_FORMATS.join(', ')})` });
+      }
+      let recording;
+      try {
+        recording = format === 'wav'
+          ? toPcm16k(parseWav(req.body))
+          : toPcm16k({ sampleRate: 16000, channels: format === 'pcm_16000_stereo' ? 2 : 1, data: req.body });
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+      if (!recording.pcm.length) {
+        return res.status(400).json({ error: 'Recording has no audio' });
+      }
+      job = startUploadAnalysis({ ...common, recording, format });
+    } else {
+      if (typeof input.transcript !== 'string' || !input.transcript.trim()) {
+        return res.status(400).json({ error: 'transcript (string) or an audio body is required' });
+      }
+      let parsed;
+      try {
+        parsed = parseUploadedTranscript(input.transcript, {
+          format: input.format,
+          filename: common.filename,
+          speakers: input.speakers
+        });
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+      if (!parsed.chunks.length) {
+        return res.status(400).json({ error: 'No transcript chunks found in the upload' });
+      }
+      job = startUploadAnalysis({ ...common, chunks: parsed.chunks, format: parsed.format });
+    }
+    res.status(202).json(publicUploadJob(job));
+  } catch (error) {
+    console.error('[API] Error starting upload analysis:', error);
+    res.status(500).json({
+      error: 'Failed to start upload analysis',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/uploads/:uploadId', async (req, res) => {
+  const job = await findUploadJob(req, res);
+  if (job) res.json(publicUploadJob(job));
+});
+
+app.delete('/api/uploads/:uploadId', async (req, res) => {
+  const job = await findUploadJob(req, res);
+  if (!job) return;
+  if (job.status === 'running') job.cancelled = true;
+  res.json(publicUploadJob(job));
+});
+
+// -----------------------------------------------------------------------------
+// Sessions API
+// Stored calls for CRM and internal tools: list/filter sessions, transcript, summary, timeline,
+// debrief, exports (export/), summary regeneration, settings and webhooks (webhooks/). Read side in sessions/history.js, contract in
+// sessions/openapi.js (served at /api/openapi.json). Rows are scoped to the token's user (RLS
+// with Supabase; the local user with SQLite and no Supabase auth, for the LOCAL_API_TOKEN bearer).
+// -----------------------------------------------------------------------------
+
+/**
+ * User-scoped repository and user for an API request, or null after sending the 401/503 (and
+ * the 400 for a malformed :id).
+ */
+async function sessionsApiAuth(req, res) {
+  if (!getStore()) {
+    res.status(503).json({ error: 'Storage is not configured' });
+    return null;
+  }
+  const token = bearerToken(req);
+  const found = await repositoryForToken(token);
+  if (!found) {
+    res.status(401).json({
+      error: token ? 'Invalid Supabase access token' : 'Authorization: Bearer <supabase access token> required'
+    });
+    return null;
+  }
+  if (req.params.id !== undefined && !isSessionId(req.params.id)) {
+    res.status(400).json({ error: 'Session id must be a UUID' });
+    return null;
+  }
+  return { repo: found.repo, user: found.user, userId: found.user.id };
+}
+
+// Auth, then the :id session (404 when missing or not visible), then the handler.
+function sessionRoute(action, handler) {
+  return async (req, res) => {
+    try {
+      const auth = await sessionsApiAuth(req, res);
+      if (!auth) return;
+      const session = await loadSession(auth.repo, req.params.id);
+      if (!session) return res.status(404).json({ error: 'Session not found' });
+      await handler(req, res, { ...auth, session });
+    } catch (error) {
+      console.error(`[API] Error ${action}:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: `Failed ${action}`, details: error.message });
+      }
+    }
+  };
+}
+
+app.get('/api/openapi.json', (req, res) => {
+  res.json(SESSIONS_OPENAPI);
+});
+
+// ?limit=&cursor=&prospectType=&source=&language=&status=open|ended&from=&to=
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const auth = await sessionsApiAuth(req, res);
+    if (!auth) return;
+    let options;
+    try {
+      options = parseSessionListQuery(req.query);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    res.json(await listSessions(auth.repo, options));
+  } catch (error) {
+    console.error('[API] Error listing sessions:', error);
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/sessions/:id', sessionRoute('loading session', async (req, res, { session }) => {
+  res.json({ session });
+}));
+
+app.get('/api/sessions/:id/transcript', sessionRoute('loading transcript', async (req, res, { repo, session }) => {
+  let options;
+  try {
+    options = parseTranscriptQuery(req.query);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  res.json({ sessionId: session.id, ...(await loadTranscriptPage(repo, session.id, options)) });
+}));
+
+app.get('/api/sessions/:id/summary', sessionRoute('loading summary', async (req, res, { repo, session }) => {
+  res.json({ sessionId: session.id, summary: await loadSummary(repo, session.id) });
+}));
+
+app.get('/api/sessions/:id/timeline', sessionRoute('loading timeline', async (req, res, { repo, session }) => {
+  res.json({ sessionId: session.id, timeline: await loadTimeline(repo, session.id) });
+}));
+
+app.get('/api/sessions/:id/debrief', sessionRoute('loading debrief', async (req, res, { repo, session }) => {
+  res.json({ sessionId: session.id, debrief: await loadDebrief(repo, session.id) });
+}));
+
+// ?format=json|md|csv|html (default json), ?disposition=inline to open instead of download
+// (e.g. the printable HTML in a new tab).
+app.get('/api/sessions/:id/export', sessionRoute('exporting session', async (req, res, { repo, session }) => {
+  const format = normalizeExportFormat(req.query.format || 'json');
+  if (!format) {
+    return res.status(400).json({ error: 'format must be one of: json, md, csv, html' });
+  }
+  const packet = await buildExportPacket(repo, session);
+  const { body, contentType, fileName } = renderExport(packet, format);
+  const disposition = req.query.disposition === 'inline' ? 'inline' : 'attachment';
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `${disposition}; filename="${fileName}"`);
+  res.send(body);
+}));
+
+// Body: the Debrief shape, every field optional. Owner only, like summarize.
+app.post('/api/sessions/:id/debrief', sessionRoute('saving debrief', async (req, res, { repo, userId, session }) => {
+  if (session.userId !== userId) {
+    return res.status(403).json({ error: 'Only the session owner can add a debrief' });
+  }
+  if (req.body !== undefined && (typeof req.body !== 'object' || Array.isArray(req.body))) {
+    return res.status(400).json({ error: 'Body must be a JSON object' });
+  }
+  res.status(201).json({ sessionId: session.id, debrief: await saveDebrief(repo, session, req.body || {}) });
+}));
+
+// Regenerate the summary from the full stored transcript (e.g. after a prompt change). Body:
+// { displayLanguage? }. Owner only - managers can read a closer's calls but not rewrite them.
+app.post('/api/sessions/:id/summarize', sessionRoute('regenerating summary', async (req, res, { repo, userId, session }) => {
+  if (session.userId !== userId) {
+    return res.status(403).json({ error: 'Only the session owner can regenerate its summary' });
+  }
+  const lines = await loadFullTranscript(repo, session.id);
+  const transcript = lines
+    .filter((l) => l.text)
+    .map((l) => `${toSpeakerLabel(l.speaker)}: ${l.text}`)
+    .join('\n\n');
+  if (transcript.length <= 100) {
+    return res.status(422).json({ error: 'Transcript is too short to summarize' });
+  }
+
+  const language = {
+    call: session.detectedLanguage || session.language,
+    display: normalizeDisplayLanguage(req.body?.displayLanguage, session.displayLanguage)
+  };
+  const dealSheet = await loadDealSheet(repo, session.id).catch(() => null);
+  const isFinal = session.status === 'ended';
+  console.log(`[API] Regenerating ${isFinal ? 'final' : 'progressive'} summary for session ${session.id} (${lines.length} lines)`);
+  const summary = await runConversationSummaryAgent(transcript, session.prospectType, isFinal, {
+    dealSheet: formatDealSheetForPrompt(dealSheet),
+    language
+  });
+  if (!summary || summary.error) {
+    return res.status(502).json({ error: 'Summary agent failed', details: summary?.error || 'no result' });
+  }
+  await saveSummary(repo, {
+    sessionId: session.id,
+    userId,
+    userEmail: session.userEmail,
+    prospectType: session.prospectType,
+    summary,
+    isFinal
+  });
+  res.json({ sessionId: session.id, summary: await loadSummary(repo, session.id) });
+}));
+
+// The caller's saved settings blob (the same row the frontend settings page keeps).
+app.get('/api/settings', async (req, res) => {
+  try {
+    const auth = await sessionsApiAuth(req, res);
+    if (!auth) return;
+    const row = await auth.repo.settings.get();
+    res.json({
+      settings: row?.settings ?? null,
+      updatedAt: row?.updated_at || null,
+      updatedByEmail: row?.updated_by_email || null
+    });
+  } catch (error) {
+    console.error('[API] Error loading settings:', error);
+    res.status(500).json({
+      error: 'Failed to load settings',
+      details: error.message
+    });
+  }
+});
+
+// Body: { settings: {...} }, replacing what was stored.
+app.put('/api/settings', async (req, res) => {
+  try {
+    const auth = await sessionsApiAuth(req, res);
+    if (!auth) return;
+    const settings = req.body?.settings;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return res.status(400).json({ error: 'settings must be a JSON object' });
+    }
+    const updatedAt = new Date().toISOString();
+    await auth.repo.settings.save({
+      settings,
+      user_email: auth.user.email || '',
+      updated_by_email: auth.user.email || '',
+      updated_at: updatedAt
+    });
+    res.json({ settings, updatedAt, updatedByEmail: auth.user.email || null });
+  } catch (error) {
+    console.error('[API] Error saving settings:', error);
+    res.status(500).json({
+      error: 'Failed to save settings',
+      details: error.message
+    });
+  }
+});
+
+// Webhooks: the caller's registrations and their delivery history (webhooks/). The secret is only
+// in the responses that create or rotate it.
+function webhookRoute(action, handler) {
+  return async (req, res) => {
+    try {
+      const auth = await sessionsApiAuth(req, res);
+      if (!auth) return;
+      if (req.params.webhookId !== undefined && !isWebhookId(req.params.webhookId)) {
+        return res.status(400).json({ error: 'Webhook id must be a UUID' });
+      }
+      await handler(req, res, auth);
+    } catch (error) {
+      console.error(`[API] Error ${action}:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: `Failed ${action}`, details: error.message });
+      }
+    }
+  };
+}
+
+app.get('/api/webhooks', webhookRoute('listing webhooks', async (req, res, { repo }) => {
+  const rows = await repo.webhooks.list();
+  res.json({ webhooks: rows.map(publicWebhook) });
+}));
+
+// Body: { url, events: [...], format?: json|slack, description?, active?, secret? }
+app.post('/api/webhooks', webhookRoute('creating webhook', async (req, res, { repo, userId }) => {
+  let input;
+  try {
+    input = parseWebhookInput(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const secret = input.secret || generateWebhookSecret();
+  const id = await repo.webhooks.create({
+    format: 'json',
+    description: '',
+    active: true,
+    ...input,
+    secret
+  });
+  forgetWebhooks(userId);
+  res.status(201).json({ webhook: publicWebhook(await repo.webhooks.get(id)), secret });
+}));
+
+// Any of the POST fields; { rotateSecret: true } issues a new secret and returns it.
+app.patch('/api/webhooks/:webhookId', webhookRoute('updating webhook', async (req, res, { repo, userId }) => {
+  const existing = await repo.webhooks.get(req.params.webhookId);
+  if (!existing) return res.status(404).json({ error: 'Webhook not found' });
+  let patch;
+  try {
+    patch = parseWebhookInput(req.body, { partial: true });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  if (req.body.rotateSecret === true && !patch.secret) patch.secret = generateWebhookSecret();
+  await repo.webhooks.update(existing.id, { ...patch, updated_at: new Date().toISOString() });
+  forgetWebhooks(userId);
+  res.json({
+    webhook: publicWebhook(await repo.webhooks.get(existing.id)),
+    ...(patch.secret ? { secret: patch.secret } : {})
+  });
+}));
+
+app.delete('/api/webhooks/:webhookId', webhookRoute('deleting webhook', async (req, res, { repo, userId }) => {
+  const existing = await repo.webhooks.get(req.params.webhookId);
+  if (!existing) return res.status(404).json({ error: 'Webhook not found' });
+  await repo.webhooks.remove(existing.id);
+  cancelWebhookRetries(existing.id);
+  forgetWebhooks(userId);
+  res.status(204).end();
+}));
+
+// Sends a "ping" event and answers with the delivery after its first attempt.
+app.post('/api/webhooks/:webhookId/test', webhookRoute('testing webhook', async (req, res, { repo }) => {
+  const webhook = await repo.webhooks.get(req.params.webhookId);
+  if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+  const deliveryId = await sendTestWebhook(repo, webhook);
+  res.json({ delivery: publicDelivery(await repo.webhookDeliveries.get(deliveryId)) });
+}));
+
+// ?limit=&cursor=&webhookId=&status=pending|retrying|delivered|dead&event= (status=dead is the
+// dead-letter list)
+app.get('/api/webhooks/deliveries', webhookRoute('listing webhook deliveries', async (req, res, { repo }) => {
+  let options;
+  try {
+    options = parseDeliveryQuery(req.query);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  res.json(await listDeliveries(repo, options));
+}));
+
+// Sends a stored delivery again (e.g. a dead one once the receiver is fixed); 202 with the delivery
+// after the first new attempt.
+app.post('/api/webhooks/deliveries/:deliveryId/redeliver', webhookRoute('redelivering webhook', async (req, res, { repo }) => {
+  if (!isWebhookId(req.params.deliveryId)) return res.status(400).json({ error: 'Delivery id must be a UUID' });
+  const delivery = await repo.webhookDeliveries.get(req.params.deliveryId);
+  if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+  const webhook = await repo.webhooks.get(delivery.webhook_id);
+  if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+  await redeliverWebhook(repo, webhook, delivery);
+  res.status(202).json({ delivery: publicDelivery(await repo.webhookDeliveries.get(delivery.id)) });
+}));
+
+// API endpoint to generate diagnostic questions using AI
+app.post('/api/generate-diagnostic-questions', async (req, res) => {
+  try {
+    const { prompt, prospectType } = req.body;
+
+    if (!prompt || typeof prompt !== 'string') {
+      return res.status(400).json({ error: 'Prompt is required' });
+    }
+
+    console.log(`[API] Generating diagnostic questions for ${prospectType} with prompt:`, prompt.slice(0, 100));
 
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status}`);
+    const parsed = await runDiagnosticQuestionsAgent(prompt, prospectType);
+    if (parsed?.error) {
+      throw new Error(parsed.error);
     }
 
-    const data = await response.json();
-    const aiContent = data.choices?.[0]?.message?.content || '';
-    
-    // Parse JSON from AI response
-    const parsed = JSON.parse(aiContent);
-    
     if (!parsed.questions || !Array.isArray(parsed.questions)) {
       throw new Error('Invalid response format from AI');
     }
@@ -1131,7 +2877,8 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     backendBuildSha: BACKEND_BUILD_SHA,
-    supabaseConfigured: isSupabaseConfigured()
+    supabaseConfigured: isSupabaseConfigured(),
+    storage: describeStorage()
   });
 });
 
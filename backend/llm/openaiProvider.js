@@ -0,0 +1,100 @@
+/**
+ * OpenAI chat-completions provider.
+ *
+ * Also used for any OpenAI-compatible server (Ollama, vLLM, LM Studio, llama.cpp server):
+ * those only differ by baseURL/apiKey, so they share this implementation.
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * @param {object} cfg
+ * @param {string} [cfg.baseURL] - Omit for api.openai.com
+ * @param {string} [cfg.apiKey]
+ * @param {string} [cfg.apiKeyEnv] - Env var to read the key from (default OPENAI_API_KEY)
+ * @param {boolean} [cfg.jsonMode] - Send response_format=json_object (default true; many local servers ignore or reject it)
+ */
+export function createOpenAIProvider(name, cfg = {}) {
+  const baseURL = cfg.baseURL ? String(cfg.baseURL) : undefined;
+  const jsonModeDefault = cfg.jsonMode !== false;
+  let client = null;
+
+  function getClient() {
+    if (client) return client;
+    const apiKey = String(cfg.apiKey || process.env[cfg.apiKeyEnv || 'OPENAI_API_KEY'] || '');
+    // Local OpenAI-compatible servers usually accept any key, but the SDK requires a non-empty one.
+    if (!apiKey && !baseURL) {
+      throw new Error('OPENAI_API_KEY missing');
+    }
+    client = new OpenAI({
+      apiKey: apiKey || 'not-needed',
+      baseURL,
+      timeout: 8000, // 8s timeout for faster failure detection; callers pass timeoutMs per request
+      maxRetries: 0 // No retries - fail fast to prevent freezing
+    });
+    return client;
+  }
+
+  async function readStream(streamResp, onDelta) {
+    let full = '';
+    for await (const chunk of streamResp) {
+      const delta = chunk?.choices?.[0]?.delta?.content || '';
+      if (delta) {
+        full += delta;
+        try { onDelta?.(delta); } catch {}
+      }
+    }
+    return full;
+  }
+
+  return {
+    name,
+    type: baseURL ? 'openai-compatible' : 'openai',
+
+    /**
+     * @returns {Promise<string>} raw message content
+     */
+    async complete({ systemPrompt, userPrompt, model, maxTokens, temperature = 0, json = true, stream = false, onDelta = null, signal, timeoutMs }) {
+      const openai = getClient();
+      const baseReq = {
+        model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt }
+        ],
+        temperature,
+        max_tokens: maxTokens
+      };
+      // IMPORTANT: signal must be passed as a request option (not in the JSON body),
+      // otherwise the API rejects it: "Unrecognized request argument supplied: signal".
+      // The per-request timeout replaces the client's 8s default for agents that allow longer.
+      const reqOpts = { signal, ...(Number(timeoutMs) > 0 ? { timeout: Number(timeoutMs) } : {}) };
+      const useJsonMode = json && jsonModeDefault;
+
+      try {
+        // Prefer strict JSON output if supported by the API/model
+        if (stream) {
+          const streamResp = await openai.chat.completions.create(
+            { ...baseReq, ...(useJsonMode ? { response_format: { type: 'json_object' } } : {}), stream: true },
+            reqOpts
+          );
+          return await readStream(streamResp, onDelta);
+        }
+        const response = await openai.chat.completions.create(
+          { ...baseReq, ...(useJsonMode ? { response_format: { type: 'json_object' } } : {}) },
+          reqOpts
+        );
+        return response?.choices?.[0]?.message?.content ?? '{}';
+      } catch (e) {
+        if (signal?.aborted || !useJsonMode) throw e;
+        // Fallback for older API behavior: no response_format
+        if (stream) {
+          const streamResp = await openai.chat.completions.create({ ...baseReq, stream: true }, reqOpts);
+          return await readStream(streamResp, onDelta);
+        }
+        const response = await openai.chat.completions.create(baseReq, reqOpts);
+        return response?.choices?.[0]?.message?.content ?? '{}';
+      }
+    }
+  };
+}
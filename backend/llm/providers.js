@@ -0,0 +1,120 @@
+/**
+ * LLM provider registry - decides which backend/model each agent talks to.
+ *
+ * Simple setups only need env vars:
+ *   LLM_PROVIDER=openai|scripted   (default openai)
+ *   LLM_MODEL=gpt-4o-mini
+ *   LLM_BASE_URL=http://localhost:11434/v1   (turns "openai" into an OpenAI-compatible local endpoint)
+ *   LLM_API_KEY=...                          (defaults to OPENAI_API_KEY)
+ *
+ * Per-agent routing comes from LLM_CONFIG (inline JSON) or LLM_CONFIG_PATH (JSON file):
+ *   {
+ *     "default": { "provider": "openai", "model": "gpt-4o-mini" },
+ *     "providers": {
+ *       "local": { "type": "openai-compatible", "baseURL": "http://localhost:11434/v1", "jsonMode": false },
+ *       "offline": { "type": "scripted", "fixturesPath": "./fixtures/llm.json" }
+ *     },
+ *     "agents": {
+ *       "SpeakerRoleAgent": { "provider": "local", "model": "llama3.1:8b" },
+ *       "ConversationSummaryAgent": { "model": "gpt-4o" }
+ *     }
+ *   }
+ * "openai" and "scripted" are always registered; config entries with the same name override them.
+ */
+
+import fs from 'fs';
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createScriptedProvider } from './scriptedProvider.js';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  'openai-compatible': createOpenAIProvider,
+  scripted: createScriptedProvider
+};
+
+function readConfig() {
+  const inline = String(process.env.LLM_CONFIG || '').trim();
+  const file = String(process.env.LLM_CONFIG_PATH || '').trim();
+  try {
+    if (inline) return JSON.parse(inline);
+    if (file) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.error(`[LLM] Invalid ${inline ? 'LLM_CONFIG' : `LLM_CONFIG_PATH (${file})`}:`, e?.message || e);
+  }
+  return {};
+}
+
+function buildRegistry(config) {
+  const providers = new Map();
+  const defs = {
+    openai: {
+      type: 'openai',
+      baseURL: process.env.LLM_BASE_URL || undefined,
+      apiKey: process.env.LLM_API_KEY || undefined
+    },
+    scripted: { type: 'scripted' },
+    ...(config.providers || {})
+  };
+
+  for (const [name, def] of Object.entries(defs)) {
+    const type = String(def?.type || name);
+    const factory = FACTORIES[type];
+    if (!factory) {
+      console.error(`[LLM] Unknown provider type "${type}" for "${name}" (expected: ${Object.keys(FACTORIES).join(', ')})`);
+      continue;
+    }
+    providers.set(name, factory(name, def || {}));
+  }
+  return providers;
+}
+
+let state = null;
+function getState() {
+  if (state) return state;
+  const config = readConfig();
+  const providers = buildRegistry(config);
+  const defaults = {
+    provider: String(config.default?.provider || process.env.LLM_PROVIDER || 'openai'),
+    model: String(config.default?.model || process.env.LLM_MODEL || DEFAULT_MODEL),
+    ...(config.default?.temperature !== undefined ? { temperature: Number(config.default.temperature) } : {})
+  };
+  if (!providers.has(defaults.provider)) {
+    console.error(`[LLM] Default provider "${defaults.provider}" is not configured; falling back to openai`);
+    defaults.provider = 'openai';
+  }
+  state = { providers, defaults, agents: config.agents || {} };
+  return state;
+}
+
+/**
+ * Resolve the provider + model for one agent. Temperature: the agent's config entry, else the
+ * call site's `temperature`, else the config default.
+ * @returns {{provider: object, model: string, temperature?: number}}
+ */
+export function resolveAgentProvider(agentName, { temperature: callTemperature } = {}) {
+  const { providers, defaults, agents } = getState();
+  const override = agents[agentName] || {};
+  let providerName = String(override.provider || defaults.provider);
+  if (!providers.has(providerName)) {
+    console.warn(`[LLM] ${agentName}: provider "${providerName}" not configured; using ${defaults.provider}`);
+    providerName = defaults.provider;
+  }
+  const out = {
+    provider: providers.get(providerName),
+    model: String(override.model || defaults.model)
+  };
+  const temperature = override.temperature ?? callTemperature ?? defaults.temperature;
+  if (temperature !== undefined) out.temperature = Number(temperature);
+  return out;
+}
+
+/**
+ * One-line summary for the boot log, e.g. "openai (gpt-4o-mini), 2 agent overrides".
+ */
+export function describeLlmConfig() {
+  const { defaults, agents } = getState();
+  const overrides = Object.keys(agents).length;
+  return `${defaults.provider} (${defaults.model})${overrides ? `, ${overrides} agent override${overrides === 1 ? '' : 's'}` : ''}`;
+}
@@ -0,0 +1,166 @@
+/**
+ * Scripted (offline) provider - deterministic responses, no network, no API key.
+ *
+ * Used in CI and on laptops. Responses are resolved in this order:
+ *   1. Fixture file (LLM_FIXTURES_PATH or provider cfg.fixturesPath), keyed by agent name:
+ *        {
+ *          "responses": {
+ *            "P2-Urgency": {"5": 9, "6": 8, "7": 7, "8": 6},
+ *            "ObjectionDetectionAgent": [
+ *              { "match": "too expensive", "response": {"detectedObjections": [...]}},
+ *              { "match": "/ask my (wife|husband)/i", "response": {...}},
+ *              { "response": {"detectedObjections": []} }
+ *            ]
+ *          }
+ *        }
+ *      An array is a list of cases; "match" is tested against the user prompt (plain
+ *      substring or /regex/flags) and the first hit wins. A case without "match" is the default.
+ *   2. Built-in neutral responses for the known agents (mid-range scores, nothing detected).
+ *   3. The last JSON example in the system prompt ("Return: {...}"), or {}.
+ */
+
+import fs from 'fs';
+
+const pillarDefaults = (ids) => Object.fromEntries(ids.map((id) => [String(id), 5]));
+
+const BUILTIN_RESPONSES = {
+  'P1-PainDesire': () => pillarDefaults([1, 2, 3, 4]),
+  'P2-Urgency': () => pillarDefaults([5, 6, 7, 8]),
+  'P3-Decisiveness': () => pillarDefaults([9, 10, 11, 12]),
+  'P4-Money': () => pillarDefaults([13, 14, 15, 16]),
+  'P5-Responsibility': () => pillarDefaults([17, 18, 19, 20]),
+  'P6-PriceSensitivity': () => pillarDefaults([21, 22, 23]),
+  'P7-Trust': () => pillarDefaults([24, 25, 26, 27]),
+  SpeakerRoleAgent: ({ userPrompt }) => {
+    // Same cue the LLM prompt leans on: questions come from the closer.
+    const m = String(userPrompt || '').match(/New chunk to classify:\s*"([\s\S]*)"/);
+    const chunk = m ? m[1] : '';
+    return { speaker: chunk.includes('?') ? 'closer' : 'prospect' };
+  },
+  ObjectionDetectionAgent: () => ({ detectedObjections: [] }),
+  FearAgent: () => ({ fears: [] }),
+  WhisperAgent: () => ({ whispers: [] }),
+  RebuttalAgent: () => ({ rebuttals: [] }),
+  TruthIndexAgent: () => ({ detectedRules: [], coherenceSignals: [], overallCoherence: 'medium' }),
+  InsightsAgent: () => ({
+    summary: '',
+    keyMotivators: [],
+    concerns: [],
+    recommendation: '',
+    closingReadiness: 'not_ready'
+  }),
+  ConversationSummaryAgent: () => ({
+    executiveSummary: '',
+    prospectSituation: '',
+    keyPoints: [],
+    objectionsRaised: [],
+    objectionsResolved: [],
+    nextSteps: [],
+    closerPerformance: '',
+    prospectReadiness: 'not_ready',
+    recommendations: ''
+  }),
+  CallMemoryAgent: ({ userPrompt }) => {
+    // Echo the start of the segment so memory formatting can be exercised offline.
+    const body = String(userPrompt || '').split('\n').slice(1).join(' ').replace(/^"|"$/g, '');
+    return { summary: body.replace(/\s+/g, ' ').trim().slice(0, 200), facts: [] };
+  },
+  DealSheetAgent: () => ({ facts: [] }),
+  DiagnosticQuestionsAgent: () => ({
+    questions: [
+      {
+        question: "What's driving the timing on this for you?",
+        helper: 'Surfaces urgency and the real deadline',
+        badgeText: 'Timeline',
+        badgeColor: 'timeline'
+      },
+      {
+        question: 'Who else has a say in what happens with the property?',
+        helper: 'Confirms decision authority early',
+        badgeText: 'Authority',
+        badgeColor: 'authority'
+      },
+      {
+        question: 'What happens if nothing changes in the next 90 days?',
+        helper: 'Quantifies the cost of waiting',
+        badgeText: 'Pain Point',
+        badgeColor: 'pain'
+      }
+    ]
+  })
+};
+
+function loadFixtures(fixturesPath) {
+  if (!fixturesPath) return {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    return parsed?.responses && typeof parsed.responses === 'object' ? parsed.responses : {};
+  } catch (e) {
+    console.warn(`[LLM:scripted] Failed to load fixtures from ${fixturesPath}:`, e?.message || e);
+    return {};
+  }
+}
+
+function matches(pattern, text) {
+  const p = String(pattern || '');
+  const re = p.match(/^\/(.+)\/([a-z]*)$/);
+  if (re) {
+    try {
+      return new RegExp(re[1], re[2]).test(text);
+    } catch {
+      return false;
+    }
+  }
+  return text.includes(p);
+}
+
+function exampleFromPrompt(systemPrompt) {
+  const text = String(systemPrompt || '');
+  // Walk back from the end so the "Return: {...}" line wins over schema fragments.
+  for (let end = text.lastIndexOf('}'); end >= 0; end = text.lastIndexOf('}', end - 1)) {
+    for (let start = text.lastIndexOf('{', end); start >= 0; start = text.lastIndexOf('{', start - 1)) {
+      try {
+        return JSON.parse(text.slice(start, end + 1));
+      } catch {}
+    }
+  }
+  return {};
+}
+
+/**
+ * @param {object} cfg
+ * @param {string} [cfg.fixturesPath]
+ * @param {Record<string, any>} [cfg.responses] - Inline fixtures (same shape as the file's "responses")
+ */
+export function createScriptedProvider(name, cfg = {}) {
+  const fixturesPath = cfg.fixturesPath || process.env.LLM_FIXTURES_PATH || '';
+  const fixtures = { ...loadFixtures(fixturesPath), ...(cfg.responses || {}) };
+
+  function resolve({ agentName, systemPrompt, userPrompt }) {
+    const entry = fixtures[agentName];
+    if (Array.isArray(entry)) {
+      const hit = entry.find((c) => c && (c.match === undefined || matches(c.match, String(userPrompt || ''))));
+      if (hit) return hit.response;
+    } else if (entry !== undefined) {
+      return entry;
+    }
+    const builtin = BUILTIN_RESPONSES[agentName];
+    if (builtin) return builtin({ systemPrompt, userPrompt });
+    return exampleFromPrompt(systemPrompt);
+  }
+
+  return {
+    name,
+    type: 'scripted',
+
+    async complete({ agentName, systemPrompt, userPrompt, stream = false, onDelta = null, signal }) {
+      if (signal?.aborted) throw new Error('aborted');
+      const response = resolve({ agentName, systemPrompt, userPrompt });
+      const content = typeof response === 'string' ? response : JSON.stringify(response ?? {});
+      if (stream) {
+        try { onDelta?.(content); } catch {}
+      }
+      return content;
+    }
+  };
+}
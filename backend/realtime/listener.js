@@ -1,233 +1,94 @@
-import { WebSocket as WS } from 'ws';
 import dotenv from 'dotenv';
+import { resolveSttProvider } from '../stt/providers.js';
 
 dotenv.config();
 
-// Debug logging - no-op in production (logs go to Railway console instead)
-function dbg() {}
-
 /**
- * ElevenLabs Scribe v2 Realtime STT
- * - Requires PCM 16-bit little-endian at 16kHz (we stream this from the frontend)
- * - Docs: https://elevenlabs.io/docs/api-reference/speech-to-text/v-1-speech-to-text-realtime
+ * Audio channels. `mono` is a single mixed stream whose speaker is unknown (the caller falls back
+ * to the speaker-role agent). `closer` / `prospect` are separately captured streams (closer mic,
+ * prospect/system audio) - each gets its own STT session, so every committed transcript is
+ * tagged with the speaker it came from.
  */
-const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || '';
-const ELEVENLABS_MODEL_ID = process.env.ELEVENLABS_MODEL_ID || 'scribe_v2_realtime';
-// Use VAD commit strategy - Scribe commits on natural pauses in speech.
-// This produces much better transcription quality than manual commits which fragment words.
-// NOTE: Too-low VAD thresholds can treat noise as speech → hallucinated transcripts.
-const ELEVENLABS_URL =
-  `wss://api.elevenlabs.io/v1/speech-to-text/realtime?` +
-  `model_id=${encodeURIComponent(ELEVENLABS_MODEL_ID)}` +
-  `&language_code=en` +
-  `&audio_format=pcm_16000` +
-  `&commit_strategy=vad` +
-  // Balance: too-low threshold can hallucinate; too-high can miss speech (no transcripts).
-  // Controlled-test evidence: our audio often has <0.5s pauses (e.g. 0.4s max quiet in a 5s window),
-  // so 0.5s can prevent commits entirely. Use 0.3s to ensure commits happen.
-  `&vad_silence_threshold_secs=0.3` +
-  `&vad_threshold=0.25`;
-
-class ElevenLabsScribeRealtime {
-  constructor({ onError, onTranscript } = {}) {
-    this.onError = onError;
-    this.onTranscript = onTranscript; // Callback for committed transcripts (VAD-based)
-    this.ws = null;
-    this.connected = false;
-    this.closed = false; // true = user explicitly closed, don't reconnect
-    this.lastCommitted = '';
-    this.lastPartial = '';
-    this.sentFirstChunk = false; // previous_text only allowed on first chunk
-  }
-
-  async connect() {
-    if (this.connected) return;
-    if (this.closed) throw new Error('Scribe session closed');
-    if (!ELEVENLABS_API_KEY) throw new Error('ELEVENLABS_API_KEY missing');
-
-    // #region agent log
-    dbg('S1', 'backend/realtime/listener.js:connect', 'Connecting ElevenLabs Scribe WS', {
-      model: ELEVENLABS_MODEL_ID
-    });
-    // #endregion
-
-    this.ws = new WS(ELEVENLABS_URL, {
-      headers: { 'xi-api-key': ELEVENLABS_API_KEY }
-    });
+export const AUDIO_CHANNELS = ['mono', 'closer', 'prospect'];
 
-    await new Promise((resolve, reject) => {
-      const t = setTimeout(() => reject(new Error('ElevenLabs connect timeout')), 15000);
-      this.ws.on('open', () => {
-        clearTimeout(t);
-        this.connected = true;
-        // New session = can send previous_text on first chunk again
-        this.sentFirstChunk = false;
-        // Runtime evidence in Railway logs (no secrets)
-        console.log('[S1] ElevenLabs Scribe WS open', { model: ELEVENLABS_MODEL_ID });
-        // #region agent log
-        dbg('S1', 'backend/realtime/listener.js:connect', 'ElevenLabs WS open');
-        // #endregion
-        resolve();
-      });
-      this.ws.on('error', (err) => {
-        clearTimeout(t);
-        reject(err);
-      });
-    });
-
-    this.ws.on('message', (raw) => this.#onMessage(raw));
-    this.ws.on('close', (code, reason) => {
-      // IMPORTANT: do not permanently "close" on transient disconnects.
-      this.connected = false;
-      const reasonStr = Buffer.isBuffer(reason) ? reason.toString('utf8') : String(reason || '');
-      console.log('[S3] ElevenLabs Scribe WS closed', { code, reason: reasonStr.slice(0, 200) });
-      // #region debug log H5
-      try{require('fs').appendFileSync('/home/sparky/Documents/github-realestste-demo-main/.cursor/debug.log',JSON.stringify({location:'listener.js:76',message:'Scribe WS closed',data:{code,reason:reasonStr.slice(0,200),closed:this.closed},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'H5'})+'\n');}catch(e){}
-      // #endregion
-      this.ws = null;
-    });
-    this.ws.on('error', (err) => {
-      this.connected = false;
-      this.ws = null;
-      console.log('[S3] ElevenLabs Scribe WS error', { msg: err?.message || String(err) });
-      if (this.onError) this.onError(err);
-    });
-  }
+// Which role is on the left / right channel of an interleaved stereo frame (`pcm_16000_stereo`).
+const STEREO_CHANNEL_ROLES = String(process.env.STEREO_CHANNEL_ROLES || 'closer,prospect')
+  .split(',')
+  .map((s) => s.trim().toLowerCase());
 
-  close() {
-    this.closed = true;
-    this.connected = false;
-    try {
-      this.ws?.close();
-    } catch {}
-  }
-
-  #onMessage(raw) {
-    let msg;
-    try {
-      msg = JSON.parse(String(raw));
-    } catch {
-      return;
-    }
-
-    const t = String(msg?.message_type || '');
-    // Log ALL messages from ElevenLabs for debugging
-    console.log('[SCRIBE-MSG]', { 
-      type: t, 
-      hasText: !!msg?.text,
-      textLen: msg?.text?.length || 0,
-      textPreview: msg?.text?.slice?.(0, 50) || '(none)',
-      keys: Object.keys(msg || {}).slice(0, 8).join(',')
-    });
-
-    if (t === 'partial_transcript') {
-      const text = String(msg?.text || '').trim();
-      if (text) {
-        this.lastPartial = text;
-        // With VAD, send partial transcripts to callback for real-time UI updates
-        if (this.onTranscript) {
-          this.onTranscript(text, false); // false = not committed
-        }
-      }
-      return;
-    }
-
-    if (
-      t === 'committed_transcript' ||
-      t === 'committed_transcript_with_timestamps' ||
-      t === 'final_transcript' ||
-      t === 'final_transcript_with_timestamps'
-    ) {
-      const text = String(msg?.text || '').trim();
-      if (!text) return;
-
-      // Dedup common repeats
-      if (text === this.lastCommitted) return;
-      this.lastCommitted = text;
-      this.lastPartial = '';
+// Roles in left, right order - the recorder lays out per-speaker recordings the same way.
+export function stereoChannelRoles() {
+  return [...STEREO_CHANNEL_ROLES];
+}
 
-      console.log('[S2] ElevenLabs committed transcript', { len: text.length, preview: text.slice(0, 80) });
+export function normalizeAudioChannel(channel) {
+  const c = String(channel || '').trim().toLowerCase();
+  return AUDIO_CHANNELS.includes(c) ? c : 'mono';
+}
 
-      // With VAD, send committed transcripts to callback
-      if (this.onTranscript) {
-        this.onTranscript(text, true); // true = committed
-      }
-      return;
-    }
+export function isStereoMimeType(mimeType) {
+  return String(mimeType || '').toLowerCase().includes('stereo');
+}
 
-    // Surface auth/quota/etc errors (do not log secrets)
-    const tl = t.toLowerCase();
-    // message_type can be "scribe_auth_error", "scribeQuotaExceededError", etc.
-    if (tl.includes('error')) {
-      const errMsg = String(msg?.message || msg?.error || t);
-      console.log('[S3] ElevenLabs Scribe error msg', { msgType: t, errMsg: String(errMsg).slice(0, 140) });
-      // #region agent log
-      dbg('S3', 'backend/realtime/listener.js:#onMessage', 'Scribe error message', {
-        msgType: t,
-        errMsg
-      });
-      // #endregion
-      if (this.onError) this.onError(new Error(errMsg));
-    }
+/**
+ * Split interleaved PCM16 stereo (L R L R ...) into two mono PCM16 buffers.
+ * A trailing partial frame is dropped.
+ */
+export function splitStereoPcm16(buf) {
+  const frames = Math.floor(buf.length / 4);
+  const left = Buffer.alloc(frames * 2);
+  const right = Buffer.alloc(frames * 2);
+  for (let i = 0; i < frames; i++) {
+    buf.copy(left, i * 2, i * 4, i * 4 + 2);
+    buf.copy(right, i * 2, i * 4 + 2, i * 4 + 4);
   }
+  return [left, right];
+}
 
-  async sendPcmChunk(pcmBuffer, previousText = '') {
-    // If we were disconnected, reconnect.
-    if (!this.connected) {
-      // If closed=true, user explicitly closed - don't reconnect
-      if (this.closed) {
-        console.log('[S-CLOSED] Scribe session permanently closed, not reconnecting');
-        return '';
-      }
-      console.log('[S-RECONNECT] Scribe disconnected, attempting reconnect...');
-      try {
-        await this.connect();
-        console.log('[S-RECONNECT-OK] Reconnected successfully');
-      } catch (e) {
-        console.log('[S-RECONNECT-FAIL]', { err: e?.message });
-        return '';
-      }
-    }
-    if (!this.ws || this.ws.readyState !== WS.OPEN) {
-      console.log('[S-NOT-OPEN] WS not open after connect', { wsState: this.ws?.readyState, closed: this.closed });
-      return '';
-    }
-
-    // reset partial before sending
-    this.lastPartial = '';
-
-    const payload = {
-      message_type: 'input_audio_chunk',
-      audio_base_64: Buffer.from(pcmBuffer).toString('base64'),
-      sample_rate: 16000,
-      // Don't include commit:true - using VAD-based commits for better quality
-    };
-    // IMPORTANT: do NOT send previous_text. It can bias the model and cause unrelated phrases
-    // to appear when noise/VAD triggers. We want pure audio-only transcription.
-    this.sentFirstChunk = true;
-
-    // #region agent log
-    dbg('S2', 'backend/realtime/listener.js:sendPcmChunk', 'Sending PCM chunk', {
-      bytes: Buffer.byteLength(pcmBuffer)
-    });
-    // #endregion
-
-    try {
-      this.ws.send(JSON.stringify(payload));
-    } catch (e) {
-      console.log('[S-SEND-FAIL] WS send failed', { err: e?.message || String(e) });
-      return '';
-    }
-
-    // With VAD, don't wait for commits per-chunk - just return partial transcripts for real-time feel.
-    // Committed transcripts come asynchronously when Scribe detects pauses.
-    // Give a short wait for partial to arrive, then return whatever we have.
-    await new Promise(r => setTimeout(r, 150));
-    return this.lastPartial || '';
-  }
+// Common STT hallucinations on silence / noise, by language. English ones apply to every call
+// (providers fall back to them on silence whatever the language); 'auto' checks all of them.
+const HALLUCINATION_PHRASES = {
+  en: [
+    'thank you for watching',
+    'thanks for watching',
+    'like and subscribe',
+    'subscribe to my channel',
+    'hit the bell',
+    'music',
+    'applause',
+    'disclaimer',
+    'fema.gov',
+    'for more information visit'
+  ],
+  es: [
+    'gracias por ver',
+    'suscríbete',
+    'suscribete',
+    'dale like',
+    'subtítulos realizados por',
+    'subtitulos realizados por',
+    'amara.org',
+    'música',
+    'aplausos'
+  ]
+};
+
+function hallucinationPhrasesFor(language) {
+  const lang = String(language || 'en').toLowerCase();
+  if (lang === 'auto') return Object.values(HALLUCINATION_PHRASES).flat();
+  return [...HALLUCINATION_PHRASES.en, ...(lang !== 'en' ? HALLUCINATION_PHRASES[lang] || [] : [])];
 }
 
-export async function createRealtimeConnection({ onTranscript, onChunk, onError }) {
+/**
+ * @param {object} opts
+ * @param {string} [opts.sttProvider] - STT provider name (stt/providers.js); empty = STT_PROVIDER default
+ * @param {string} [opts.language] - call language for the STT sessions ('en', 'es', 'auto');
+ *   empty = the provider's default
+ */
+export async function createRealtimeConnection({ onTranscript, onChunk, onError, sttProvider = '', language = '' }) {
+  const stt = resolveSttProvider(sttProvider);
+  console.log('[A0] STT provider', { name: stt.name, type: stt.type, language: language || 'default' });
+  const badPhrases = hallucinationPhrasesFor(language);
   let conversationHistory = '';
   let isConnected = true;
   // Cap history so long sessions don't grow prompt size unbounded (prevents slowdown)
@@ -239,26 +100,11 @@ export async function createRealtimeConnection({ onTranscript, onChunk, onError
   const AUDIO_FLUSH_INTERVAL_MS = Number(process.env.AUDIO_MIN_INTERVAL_MS || 250);
   const AUDIO_MAX_PENDING_MS = Number(process.env.AUDIO_MAX_PENDING_MS || 600);
   const AUDIO_MAX_PENDING_BYTES = Number(process.env.AUDIO_MAX_PENDING_BYTES || (16000 * 2 * 1)); // 1s of PCM16@16k
-  let lastAudioFlushMs = 0;
   let audioChunkCount = 0;
-  let pendingPcm = Buffer.alloc(0);
 
   function looksLikeHallucination(text) {
     const t = String(text || '').trim().toLowerCase();
     if (!t) return true;
-    // Common STT hallucinations on silence / noise
-    const badPhrases = [
-      'thank you for watching',
-      'thanks for watching',
-      'like and subscribe',
-      'subscribe to my channel',
-      'hit the bell',
-      'music',
-      'applause',
-      'disclaimer',
-      'fema.gov',
-      'for more information visit'
-    ];
     if (badPhrases.some((p) => t.includes(p))) return true;
     // URLs are almost always hallucinations in this app context
     if (t.includes('http://') || t.includes('https://') || t.includes('www.')) return true;
@@ -290,26 +136,62 @@ function sanitizeTranscript(text) {
   return trimmed;
 }
 
-  // Handler for committed transcripts from Scribe (VAD-based commits)
-  const handleScribeTranscript = (text, isCommitted) => {
+  // Handler for committed transcripts from the STT session (VAD-based commits)
+  const handleCommittedTranscript = (channel, text, isCommitted, { words = [] } = {}) => {
     if (!text || !isCommitted) return; // Only process committed transcripts
-    
+
     const trimmed = String(text).trim();
     if (!trimmed) return;
     if (looksLikeHallucination(trimmed)) {
-      console.log('[SCRIBE-COMMIT] Rejected hallucination', { preview: trimmed.slice(0, 60) });
+      console.log('[SCRIBE-COMMIT] Rejected hallucination', { channel, preview: trimmed.slice(0, 60) });
       return;
     }
     const cleaned = sanitizeTranscript(trimmed);
     if (!cleaned) return;
     if (looksLikeHallucination(cleaned)) return;
-    
-    console.log('[SCRIBE-COMMIT] Accepted', { len: cleaned.length, preview: cleaned.slice(0, 80) });
-    
-    // Send chunk to frontend for display (via onChunk callback)
+
+    console.log('[SCRIBE-COMMIT] Accepted', { channel, len: cleaned.length, preview: cleaned.slice(0, 80) });
+
+    // Word timings (when the provider sends them) for the words that survived sanitizing
+    const timed = (Array.isArray(words) ? words : []).slice(0, cleaned.split(/\s+/).length);
+
+    // How much of this channel's audio arrived since the utterance started, so a recording of the
+    // same stream can be cued to it. The first word's timing is exact; without one, fall back to
+    // the first partial text, else the previous commit.
+    const lane = lanes.get(channel);
+    let audioSinceStartMs = null;
+    let audioStartMs = null;
+    if (lane) {
+      let startMs = lane.speechStartMs ?? lane.segmentStartMs;
+      if (timed.length) {
+        const wordStartMs = lane.sessionBaseMs + timed[0].startMs;
+        // Timings count from the provider session's first audio; ignore ones outside what it was sent
+        if (wordStartMs >= lane.sessionBaseMs && wordStartMs <= lane.receivedMs) startMs = wordStartMs;
+      }
+      audioSinceStartMs = Math.max(0, Math.round(lane.receivedMs - startMs));
+      audioStartMs = Math.round(lane.receivedMs) - audioSinceStartMs;
+      lane.segmentStartMs = lane.receivedMs;
+      lane.speechStartMs = null;
+    }
+    // Words as ms from the utterance start
+    const utteranceWords = timed.map((w) => ({
+      text: w.text,
+      startMs: Math.max(0, w.startMs - timed[0].startMs),
+      endMs: Math.max(0, w.endMs - timed[0].startMs)
+    }));
+
+    // Send chunk to frontend for display (via onChunk callback).
+    // speaker is only known when the audio came in on a labeled channel.
     if (onChunk && isConnected) {
       try {
-        onChunk(cleaned);
+        onChunk(cleaned, {
+          channel,
+          speaker: channel === 'mono' ? null : channel,
+          audioSinceStartMs,
+          // Same point on this channel's own timeline (ms since its first audio)
+          audioStartMs,
+          words: utteranceWords
+        });
       } catch (e) {
         console.error('[SCRIBE-COMMIT] onChunk error:', e);
       }
@@ -329,73 +211,136 @@ function sanitizeTranscript(text) {
     }
   };
 
-  const scribe = new ElevenLabsScribeRealtime({ 
-    onError,
-    onTranscript: handleScribeTranscript
-  });
+  // One STT session + pending PCM buffer per audio channel, created on first audio.
+  const lanes = new Map();
+  const getLane = (channel) => {
+    let lane = lanes.get(channel);
+    if (!lane) {
+      lane = {
+        channel,
+        session: stt.createSession({
+          channel,
+          language: language || undefined,
+          onError,
+          onTranscript: (text, isCommitted, extra) => handleCommittedTranscript(channel, text, isCommitted, extra)
+        }),
+        pendingPcm: Buffer.alloc(0),
+        lastFlushMs: 0,
+        // Audio timeline of this lane in ms (16kHz PCM16: 32 bytes per ms)
+        receivedMs: 0,
+        segmentStartMs: 0,
+        speechStartMs: null,
+        // Where the STT session's own audio clock starts on that timeline (moves on reconnect)
+        sessionBaseMs: 0
+      };
+      lanes.set(channel, lane);
+      console.log('[A0] audio channel opened', { channel });
+    }
+    return lane;
+  };
+
+  // Sessions drop on transient network errors; reconnect on the next audio unless closed on purpose.
+  // `pcm` is the lane's most recent audio, so a fresh session's clock starts where it begins.
+  const sendToSession = async (lane, pcm) => {
+    const session = lane.session;
+    if (!session.connected) {
+      if (session.closed) {
+        console.log('[S-CLOSED] STT session permanently closed, not reconnecting');
+        return '';
+      }
+      console.log('[S-RECONNECT] STT disconnected, attempting reconnect...');
+      try {
+        await session.connect();
+        lane.sessionBaseMs = Math.max(0, lane.receivedMs - pcm.length / 32);
+        console.log('[S-RECONNECT-OK] Reconnected successfully');
+      } catch (e) {
+        console.log('[S-RECONNECT-FAIL]', { err: e?.message });
+        return '';
+      }
+    }
+    return session.send(pcm);
+  };
+
+  const feedLane = async (lane, buf, chunkNum) => {
+    const now = Date.now();
+    // Always buffer audio; do NOT drop frames.
+    lane.pendingPcm = lane.pendingPcm.length ? Buffer.concat([lane.pendingPcm, buf]) : buf;
+    lane.receivedMs += buf.length / 32;
+
+    const pendingAgeMs = lane.lastFlushMs ? (now - lane.lastFlushMs) : 0;
+    const shouldFlush =
+      !lane.lastFlushMs ||
+      (now - lane.lastFlushMs) >= AUDIO_FLUSH_INTERVAL_MS ||
+      lane.pendingPcm.length >= AUDIO_MAX_PENDING_BYTES ||
+      pendingAgeMs >= AUDIO_MAX_PENDING_MS;
+
+    if (!shouldFlush) {
+      return { text: '' };
+    }
+
+    const pcmToSend = lane.pendingPcm;
+    lane.pendingPcm = Buffer.alloc(0);
+    lane.lastFlushMs = now;
+    console.log('[A1] flushing audio to STT', {
+      channel: lane.channel,
+      bytes: pcmToSend.length,
+      flushIntervalMs: AUDIO_FLUSH_INTERVAL_MS,
+      maxPendingMs: AUDIO_MAX_PENDING_MS,
+      maxPendingBytes: AUDIO_MAX_PENDING_BYTES
+    });
+
+    const text = await sendToSession(lane, pcmToSend);
+    const trimmed = String(text || '').trim();
+    // First words of a new utterance were somewhere in the audio just sent.
+    if (trimmed && lane.speechStartMs == null) {
+      lane.speechStartMs = Math.max(lane.segmentStartMs, lane.receivedMs - pcmToSend.length / 32);
+    }
+    console.log(`[A2] STT returned for chunk #${chunkNum}`, {
+      channel: lane.channel,
+      textLen: trimmed.length,
+      preview: trimmed.slice(0, 60) || '(empty)'
+    });
+    if (!trimmed) return { text: '' };
+    if (looksLikeHallucination(trimmed)) {
+      console.log(`[A3] Rejected hallucination chunk #${chunkNum}`, { preview: trimmed.slice(0, 60) });
+      return { text: '' };
+    }
+    const cleaned = sanitizeTranscript(trimmed);
+    if (!cleaned) {
+      console.log(`[A3] Sanitized to empty chunk #${chunkNum}`, { before: trimmed.slice(0, 60) });
+      return { text: '' };
+    }
+    if (looksLikeHallucination(cleaned)) {
+      console.log(`[A3] Post-sanitize hallucination chunk #${chunkNum}`, { cleaned: cleaned.slice(0, 60) });
+      return { text: '' };
+    }
+    console.log(`[A4] Accepted chunk #${chunkNum}`, { channel: lane.channel, cleanedLen: cleaned.length });
+    return { text: cleaned };
+  };
 
   try {
     const connection = {
-      // Send audio data (from browser microphone)
-      sendAudio: async (audioData, mimeType = '') => {
+      // Send audio data (from browser microphone / system audio).
+      // PCM16@16k mono on `channel` ('mono' | 'closer' | 'prospect'), or an interleaved stereo
+      // frame (mimeType `pcm_16000_stereo`) that is split per STEREO_CHANNEL_ROLES.
+      sendAudio: async (audioData, mimeType = '', { channel = 'mono' } = {}) => {
         // Runtime evidence for Railway logs
         const chunkNum = ++audioChunkCount;
+        const stereo = isStereoMimeType(mimeType);
         console.log(`[A1] sendAudio chunk #${chunkNum}`, {
           bytes: audioData?.length || audioData?.byteLength || 0,
-          scribeConnected: scribe.connected,
-          scribeClosed: scribe.closed
+          channel: stereo ? 'stereo' : normalizeAudioChannel(channel)
         });
         try {
-          const now = Date.now();
-          // Always buffer audio; do NOT drop frames.
           const buf = Buffer.isBuffer(audioData) ? audioData : Buffer.from(audioData || []);
-          pendingPcm = pendingPcm.length ? Buffer.concat([pendingPcm, buf]) : buf;
-
-          const pendingAgeMs = lastAudioFlushMs ? (now - lastAudioFlushMs) : 0;
-          const shouldFlush =
-            !lastAudioFlushMs ||
-            (now - lastAudioFlushMs) >= AUDIO_FLUSH_INTERVAL_MS ||
-            pendingPcm.length >= AUDIO_MAX_PENDING_BYTES ||
-            pendingAgeMs >= AUDIO_MAX_PENDING_MS;
-
-          if (!shouldFlush) {
-            return { text: '' };
+          if (!stereo) {
+            return await feedLane(getLane(normalizeAudioChannel(channel)), buf, chunkNum);
           }
-
-          const pcmToSend = pendingPcm;
-          pendingPcm = Buffer.alloc(0);
-          lastAudioFlushMs = now;
-          console.log('[A1] flushing audio to Scribe', {
-            bytes: pcmToSend.length,
-            flushIntervalMs: AUDIO_FLUSH_INTERVAL_MS,
-            maxPendingMs: AUDIO_MAX_PENDING_MS,
-            maxPendingBytes: AUDIO_MAX_PENDING_BYTES
-          });
-
-          // Expect PCM16@16k from frontend. Ignore mimeType; kept for backward compatibility.
-          // We intentionally do NOT send previous_text to Scribe (see sendPcmChunk).
-          const text = await scribe.sendPcmChunk(pcmToSend, '');
-          const trimmed = String(text || '').trim();
-          console.log(`[A2] Scribe returned for chunk #${chunkNum}`, {
-            textLen: trimmed.length,
-            preview: trimmed.slice(0, 60) || '(empty)'
-          });
-          if (!trimmed) return { text: '' };
-          if (looksLikeHallucination(trimmed)) {
-            console.log(`[A3] Rejected hallucination chunk #${chunkNum}`, { preview: trimmed.slice(0, 60) });
-            return { text: '' };
-          }
-          const cleaned = sanitizeTranscript(trimmed);
-          if (!cleaned) {
-            console.log(`[A3] Sanitized to empty chunk #${chunkNum}`, { before: trimmed.slice(0, 60) });
-            return { text: '' };
-          }
-          if (looksLikeHallucination(cleaned)) {
-            console.log(`[A3] Post-sanitize hallucination chunk #${chunkNum}`, { cleaned: cleaned.slice(0, 60) });
-            return { text: '' };
-          }
-          console.log(`[A4] Accepted chunk #${chunkNum}`, { cleanedLen: cleaned.length });
-          return { text: cleaned };
+          const parts = splitStereoPcm16(buf);
+          const results = await Promise.all(
+            parts.map((part, i) => feedLane(getLane(normalizeAudioChannel(STEREO_CHANNEL_ROLES[i])), part, chunkNum))
+          );
+          return { text: results.map((r) => r.text).filter(Boolean).join(' ') };
         } catch (error) {
           console.log(`[A5] sendAudio error chunk #${chunkNum}`, { err: error?.message || String(error) });
           console.error('Audio processing error:', error);
@@ -403,7 +348,25 @@ function sanitizeTranscript(text) {
           return { text: '', error: error.message };
         }
       },
-      
+
+      // End of turn: flush buffered audio and ask every channel's STT session to commit now
+      // instead of waiting for its VAD pause.
+      commit: async () => {
+        for (const lane of lanes.values()) {
+          try {
+            if (lane.pendingPcm.length) {
+              const pcm = lane.pendingPcm;
+              lane.pendingPcm = Buffer.alloc(0);
+              lane.lastFlushMs = Date.now();
+              await sendToSession(lane, pcm);
+            }
+            if (lane.session.connected) await lane.session.commit();
+          } catch (e) {
+            console.log('[A5] commit error', { channel: lane.channel, err: e?.message || String(e) });
+          }
+        }
+      },
+
       // Send text transcript (from frontend or transcription)
       sendTranscript: async (text, prospectType = null, customScriptPrompt = '', pillarWeights = null) => {
         if (!text || text.trim().length === 0) return;
@@ -428,9 +391,11 @@ function sanitizeTranscript(text) {
       
       close: () => {
         isConnected = false;
-        try {
-          scribe.close();
-        } catch {}
+        for (const lane of lanes.values()) {
+          try {
+            lane.session.close();
+          } catch {}
+        }
       },
       
       isConnected: () => isConnected,
@@ -446,20 +411,3 @@ function sanitizeTranscript(text) {
     throw error;
   }
 }
-
-// Alternative: Use OpenAI's audio transcription API for real-time processing
-export async function processAudioStream(audioStream, onTranscript) {
-  try {
-    return {
-      start: () => {
-        console.log('Audio processing started');
-      },
-      stop: () => {
-        console.log('Audio processing stopped');
-      }
-    };
-  } catch (error) {
-    console.error('Audio processing error:', error);
-    throw error;
-  }
-}
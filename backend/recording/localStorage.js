@@ -0,0 +1,46 @@
+/**
+ * Local disk recording storage. The recorder writes straight into RECORDING_DIR, so put() only
+ * has to check the file is there.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export function createLocalRecordingStorage({ dir }) {
+  const root = path.resolve(dir);
+  const fileFor = (key) => {
+    const file = path.resolve(root, key);
+    // Keys are built by the backend, but never let one escape the recordings directory.
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid recording key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    workingPath: (key) => fileFor(key),
+
+    async put(key, localPath) {
+      const target = fileFor(key);
+      if (path.resolve(localPath) !== target) {
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.rename(localPath, target);
+      }
+    },
+
+    /**
+     * @returns {Promise<{stream: import('stream').Readable, size: number, start: number, end: number} | null>}
+     */
+    async read(key, { start = 0, end = null } = {}) {
+      const file = fileFor(key);
+      let stat;
+      try {
+        stat = await fs.promises.stat(file);
+      } catch {
+        return null;
+      }
+      const last = Math.min(end ?? stat.size - 1, stat.size - 1);
+      return { stream: fs.createReadStream(file, { start, end: last }), size: stat.size, start, end: last };
+    }
+  };
+}
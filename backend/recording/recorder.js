@@ -0,0 +1,181 @@
+/**
+ * Call recorder - writes the PCM16@16k audio a call streams in `audio_chunk` messages to a WAV
+ * file, next to what goes to STT.
+ *
+ * The layout is fixed by the first audio:
+ *   - mono (`channel` omitted / "mono")        → 1-channel WAV
+ *   - `pcm_16000_stereo` frames                → 2-channel WAV as sent (STEREO_CHANNEL_ROLES)
+ *   - separate `closer` / `prospect` streams   → 2-channel WAV in STEREO_CHANNEL_ROLES order
+ * Separate streams arrive independently, so each side is buffered and written once the other
+ * side has audio for the same span; a side that lags by more than MAX_SKEW_MS is padded with
+ * silence (e.g. prospect capture started late, or the tab stopped sending).
+ *
+ * The WAV header is written with zero sizes and patched on close().
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isStereoMimeType, normalizeAudioChannel, stereoChannelRoles } from '../realtime/listener.js';
+
+const SAMPLE_RATE = 16000;
+const BYTES_PER_MS = (SAMPLE_RATE * 2) / 1000; // per channel
+const MAX_SKEW_MS = 2000;
+
+function wavHeader({ channels, dataBytes }) {
+  const h = Buffer.alloc(44);
+  h.write('RIFF', 0, 'ascii');
+  h.writeUInt32LE(36 + dataBytes, 4);
+  h.write('WAVE', 8, 'ascii');
+  h.write('fmt ', 12, 'ascii');
+  h.writeUInt32LE(16, 16);
+  h.writeUInt16LE(1, 20); // PCM
+  h.writeUInt16LE(channels, 22);
+  h.writeUInt32LE(SAMPLE_RATE, 24);
+  h.writeUInt32LE(SAMPLE_RATE * 2 * channels, 28);
+  h.writeUInt16LE(2 * channels, 32);
+  h.writeUInt16LE(16, 34);
+  h.write('data', 36, 'ascii');
+  h.writeUInt32LE(dataBytes, 40);
+  return h;
+}
+
+function interleave(left, right) {
+  const frames = Math.min(left.length, right.length) / 2;
+  const out = Buffer.alloc(frames * 4);
+  for (let i = 0; i < frames; i++) {
+    left.copy(out, i * 4, i * 2, i * 2 + 2);
+    right.copy(out, i * 4 + 2, i * 2, i * 2 + 2);
+  }
+  return out;
+}
+
+/**
+ * @param {string} filePath - local WAV path (uploaded by the storage adapter after close)
+ */
+export function createCallRecorder(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const out = fs.createWriteStream(filePath, { flags: 'w' });
+  out.on('error', (e) => console.warn(`[Recording] Write failed for ${filePath}: ${e.message}`));
+  out.write(wavHeader({ channels: 1, dataBytes: 0 }));
+
+  const roles = stereoChannelRoles();
+  let layout = null; // 'mono' | 'stereo' | 'split'
+  let channels = 1;
+  let framesWritten = 0;
+  let closed = false;
+  // split layout: pending mono PCM per side (0 = left, 1 = right)
+  const pending = [Buffer.alloc(0), Buffer.alloc(0)];
+  const started = [false, false];
+
+  const durationMs = () => Math.round((framesWritten / SAMPLE_RATE) * 1000);
+
+  const writeFrames = (buf) => {
+    if (!buf.length) return;
+    out.write(buf);
+    framesWritten += buf.length / (2 * channels);
+  };
+
+  const flushSplit = ({ final = false } = {}) => {
+    const maxSkewBytes = MAX_SKEW_MS * BYTES_PER_MS;
+    const [l, r] = pending;
+    if (final || Math.abs(l.length - r.length) > maxSkewBytes) {
+      // Pad the short side so the long one can be written (all of it on close).
+      const target = final ? Math.max(l.length, r.length) : Math.max(l.length, r.length) - maxSkewBytes;
+      for (let i = 0; i < 2; i++) {
+        if (pending[i].length < target) pending[i] = Buffer.concat([pending[i], Buffer.alloc(target - pending[i].length)]);
+      }
+    }
+    const n = Math.min(pending[0].length, pending[1].length);
+    if (!n) return;
+    writeFrames(interleave(pending[0].subarray(0, n), pending[1].subarray(0, n)));
+    pending[0] = pending[0].subarray(n);
+    pending[1] = pending[1].subarray(n);
+  };
+
+  return {
+    filePath,
+
+    /**
+     * Append one audio_chunk. Odd trailing bytes are dropped.
+     */
+    write(pcm, { mimeType = '', channel = 'mono' } = {}) {
+      if (closed || !pcm?.length) return;
+      const stereoFrame = isStereoMimeType(mimeType);
+      const ch = normalizeAudioChannel(channel);
+      if (!layout) {
+        layout = stereoFrame ? 'stereo' : ch === 'mono' ? 'mono' : 'split';
+        channels = layout === 'mono' ? 1 : 2;
+      }
+      const buf = pcm.subarray(0, pcm.length - (pcm.length % (stereoFrame ? 4 : 2)));
+
+      if (layout === 'mono') {
+        // A stereo frame in a mono recording is mixed down.
+        if (!stereoFrame) return writeFrames(buf);
+        const mixed = Buffer.alloc(buf.length / 2);
+        for (let i = 0; i < mixed.length / 2; i++) {
+          mixed.writeInt16LE(Math.round((buf.readInt16LE(i * 4) + buf.readInt16LE(i * 4 + 2)) / 2), i * 2);
+        }
+        return writeFrames(mixed);
+      }
+      if (layout === 'stereo') {
+        // Mono audio in a stereo recording goes to both sides.
+        return writeFrames(stereoFrame ? buf : interleave(buf, buf));
+      }
+      if (stereoFrame) {
+        flushSplit({ final: true });
+        return writeFrames(buf);
+      }
+      const side = roles.indexOf(ch);
+      if (side === -1) {
+        // Mono mix while recording per-speaker streams: both sides, after what's pending.
+        flushSplit({ final: true });
+        return writeFrames(interleave(buf, buf));
+      }
+      if (!started[side]) {
+        // A side that starts late (e.g. prospect capture) begins where the other side is now.
+        started[side] = true;
+        if (started[1 - side]) pending[side] = Buffer.alloc(pending[1 - side].length);
+      }
+      pending[side] = pending[side].length ? Buffer.concat([pending[side], buf]) : buf;
+      flushSplit();
+    },
+
+    /**
+     * Where the next audio on `channel` will land in the file, in ms. Transcript lines use it to
+     * find where they were said.
+     */
+    positionMs(channel = 'mono') {
+      const side = layout === 'split' ? roles.indexOf(normalizeAudioChannel(channel)) : -1;
+      const bufferedFrames = side === -1 ? 0 : pending[side].length / 2;
+      return Math.round(((framesWritten + bufferedFrames) / SAMPLE_RATE) * 1000);
+    },
+
+    durationMs,
+
+    /**
+     * Flush buffered audio and patch the WAV header.
+     * @returns {Promise<{filePath: string, channels: number, channelRoles: string[], durationMs: number, sizeBytes: number}>}
+     */
+    async close() {
+      if (!closed) {
+        if (layout === 'split') flushSplit({ final: true });
+        closed = true;
+        await new Promise((resolve) => out.end(resolve));
+        const dataBytes = framesWritten * 2 * channels;
+        const fd = await fs.promises.open(filePath, 'r+');
+        try {
+          await fd.write(wavHeader({ channels, dataBytes }), 0, 44, 0);
+        } finally {
+          await fd.close();
+        }
+      }
+      return {
+        filePath,
+        channels,
+        channelRoles: channels === 2 ? roles.slice(0, 2) : ['mono'],
+        durationMs: durationMs(),
+        sizeBytes: 44 + framesWritten * 2 * channels
+      };
+    }
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * S3-compatible recording storage (AWS S3, MinIO, Cloudflare R2, ...) over plain HTTPS with
+ * SigV4 signing, so no SDK is needed. Objects are addressed path-style
+ * (<endpoint>/<bucket>/<key>), which every S3-compatible service accepts.
+ *
+ * Recordings are written to a local temp file during the call and uploaded with one PUT when it
+ * stops; the temp file is removed afterwards.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding per path segment, as SigV4 expects
+const encodeKey = (key) =>
+  key
+    .split('/')
+    .map((s) => encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+
+export function createS3RecordingStorage({ bucket, region, endpoint, accessKeyId, secretAccessKey, prefix = '', tmpDir }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 recording storage needs RECORDING_S3_BUCKET, RECORDING_S3_ACCESS_KEY_ID and RECORDING_S3_SECRET_ACCESS_KEY');
+  }
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const workDir = tmpDir || path.join(os.tmpdir(), 'call-recordings');
+  const objectKey = (key) => `${prefix ? `${prefix.replace(/\/+$/, '')}/` : ''}${key}`;
+
+  // Signed request; resolves with the response stream (caller consumes or discards it).
+  const request = (method, key, { headers = {}, body = null, contentLength = null } = {}) => {
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const uri = `${base.pathname.replace(/\/+$/, '')}/${bucket}/${encodeKey(objectKey(key))}`;
+    const payloadHash = 'UNSIGNED-PAYLOAD';
+    const signed = {
+      host: base.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      uri,
+      '',
+      ...signedHeaders.map((h) => `${h}:${signed[h]}`),
+      '',
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const lib = base.protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+      const req = lib.request(
+        {
+          method,
+          hostname: base.hostname,
+          port: base.port || undefined,
+          path: uri,
+          headers: {
+            ...headers,
+            ...signed,
+            ...(contentLength != null ? { 'content-length': contentLength } : {}),
+            authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+          }
+        },
+        resolve
+      );
+      req.on('error', reject);
+      if (body) body.on('error', reject).pipe(req);
+      else req.end();
+    });
+  };
+
+  const readError = async (res) => {
+    let text = '';
+    for await (const part of res) text += part;
+    const code = text.match(/<Code>([^<]+)<\/Code>/)?.[1];
+    return new Error(`S3 ${res.statusCode}${code ? ` ${code}` : ''}`);
+  };
+
+  return {
+    name: 's3',
+
+    workingPath: (key) => path.join(workDir, key),
+
+    async put(key, localPath) {
+      const { size } = await fs.promises.stat(localPath);
+      const res = await request('PUT', key, {
+        headers: { 'content-type': 'audio/wav' },
+        body: fs.createReadStream(localPath),
+        contentLength: size
+      });
+      if (res.statusCode >= 300) throw await readError(res);
+      res.resume();
+      await fs.promises.unlink(localPath).catch(() => {});
+    },
+
+    async read(key, { start = 0, end = null } = {}) {
+      const res = await request('GET', key, { headers: { range: `bytes=${start}-${end ?? ''}` } });
+      if (res.statusCode === 404 || res.statusCode === 416) {
+        res.resume();
+        return null;
+      }
+      if (res.statusCode >= 300) throw await readError(res);
+      // Content-Range: bytes 0-1023/52340
+      const range = String(res.headers['content-range'] || '').match(/bytes (\d+)-(\d+)\/(\d+)/);
+      const size = range ? Number(range[3]) : Number(res.headers['content-length'] || 0);
+      return {
+        stream: res,
+        size,
+        start: range ? Number(range[1]) : 0,
+        end: range ? Number(range[2]) : size - 1
+      };
+    }
+  };
+}
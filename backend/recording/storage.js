@@ -0,0 +1,54 @@
+/**
+ * Recording storage - picks where call recordings are kept. Recording is off unless
+ * RECORDING_STORAGE is set, and then only for calls that opt in (start_listening config.record).
+ *
+ *   RECORDING_STORAGE=local   RECORDING_DIR (default backend/recordings)
+ *   RECORDING_STORAGE=s3      RECORDING_S3_BUCKET, RECORDING_S3_REGION (default us-east-1),
+ *                             RECORDING_S3_ENDPOINT (MinIO, R2, ...; default AWS),
+ *                             RECORDING_S3_ACCESS_KEY_ID, RECORDING_S3_SECRET_ACCESS_KEY,
+ *                             RECORDING_S3_PREFIX
+ *
+ * Adapter: { name, workingPath(key) → local path the recorder writes to, put(key, localPath),
+ *            read(key, { start, end }) → { stream, size, start, end } | null }
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLocalRecordingStorage } from './localStorage.js';
+import { createS3RecordingStorage } from './s3Storage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+let storage; // undefined = not resolved yet, null = recording disabled
+export function getRecordingStorage() {
+  if (storage !== undefined) return storage;
+  const type = String(process.env.RECORDING_STORAGE || '').trim().toLowerCase();
+  storage = null;
+  try {
+    if (type === 'local') {
+      storage = createLocalRecordingStorage({ dir: process.env.RECORDING_DIR || path.resolve(__dirname, '..', 'recordings') });
+    } else if (type === 's3') {
+      storage = createS3RecordingStorage({
+        bucket: process.env.RECORDING_S3_BUCKET,
+        region: process.env.RECORDING_S3_REGION || 'us-east-1',
+        endpoint: process.env.RECORDING_S3_ENDPOINT || '',
+        accessKeyId: process.env.RECORDING_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.RECORDING_S3_SECRET_ACCESS_KEY,
+        prefix: process.env.RECORDING_S3_PREFIX || ''
+      });
+    } else if (type && type !== 'off') {
+      console.error(`[Recording] Unknown RECORDING_STORAGE "${type}" (expected: local, s3); recording disabled`);
+    }
+  } catch (e) {
+    console.error('[Recording] Storage not available; recording disabled:', e?.message || e);
+    storage = null;
+  }
+  return storage;
+}
+
+/**
+ * One-line summary for the boot log.
+ */
+export function describeRecordingStorage() {
+  return getRecordingStorage()?.name || 'off';
+}
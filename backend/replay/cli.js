@@ -0,0 +1,99 @@
+/**
+ * Session replay CLI
+ *
+ *   npm run replay -- --file call.txt --speed 10 --prospect-type foreclosure
+ *   npm run replay -- --session <call_sessions.id> --token <supabase access token> --speed max
+ *
+ * Options:
+ *   --file <path>            Timestamped transcript (see replay/sources.js for the format)
+ *   --session <id>           Stored session from call_transcript_chunks (needs --token or SUPABASE_ACCESS_TOKEN)
+ *   --token <jwt>            Supabase access token of the session owner
+ *   --speed <n|max>          1 = real time (default), 10 = 10x faster, max = back-to-back
+ *   --prospect-type <type>   Defaults to the session's prospect type
+ *   --custom-script <text>   Custom script prompt (as set in Settings)
+ *   --weights <json>         Pillar weights array, e.g. '[{"id":"P1","weight":1.5}, ...]'
+ *   --out <path>             Frames file (default: replays/<replayId>.jsonl)
+ *
+ * Runs the full server in-process (HTTP on an ephemeral port unless PORT is set) so chunks
+ * take exactly the same path as a live connection. Combine with LLM_PROVIDER=scripted for
+ * deterministic, offline runs.
+ */
+
+import path from 'path';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || (!args.file && !args.session)) {
+    console.log('Usage: npm run replay -- (--file <path> | --session <id> --token <jwt>) [--speed <n|max>] [--prospect-type <type>] [--out <path>]');
+    process.exit(args.help ? 0 : 1);
+  }
+
+  // Don't collide with a dev server on 3001; must be set before index.js is loaded.
+  if (!process.env.PORT) process.env.PORT = '0';
+  const { startReplay } = await import('../index.js');
+  const { loadSessionChunks, loadTranscriptFile } = await import('./sources.js');
+
+  let chunks;
+  let sessionProspectType = '';
+  let source;
+  if (args.session) {
+    const token = String(args.token || process.env.SUPABASE_ACCESS_TOKEN || '');
+    const loaded = await loadSessionChunks(String(args.session), token);
+    chunks = loaded.chunks;
+    sessionProspectType = loaded.session?.prospect_type || '';
+    source = `session:${args.session}`;
+  } else {
+    chunks = loadTranscriptFile(String(args.file));
+    source = `file:${path.basename(String(args.file))}`;
+  }
+
+  let pillarWeights = null;
+  if (args.weights) {
+    pillarWeights = JSON.parse(String(args.weights));
+    if (!Array.isArray(pillarWeights)) throw new Error('--weights must be a JSON array');
+  }
+
+  const job = startReplay({
+    chunks,
+    speed: args.speed,
+    prospectType: typeof args['prospect-type'] === 'string' ? args['prospect-type'] : sessionProspectType,
+    customScriptPrompt: typeof args['custom-script'] === 'string' ? args['custom-script'] : '',
+    pillarWeights,
+    source,
+    framesPath: typeof args.out === 'string' ? path.resolve(args.out) : null
+  });
+
+  const result = await job.done;
+  console.log('[Replay] Summary', {
+    replayId: result.replayId,
+    status: result.status,
+    settled: result.settled,
+    chunks: `${result.chunksFed}/${result.totalChunks}`,
+    frames: result.stats?.frames || 0,
+    byType: result.stats?.byType || {},
+    framesPath: result.framesPath
+  });
+  process.exit(result.status === 'completed' ? 0 : 1);
+}
+
+main().catch((e) => {
+  console.error('[Replay] Failed:', e?.message || e);
+  process.exit(1);
+});
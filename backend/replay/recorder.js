@@ -0,0 +1,52 @@
+/**
+ * Frame recorder - appends every frame the replay connection would have sent to the
+ * browser as one JSON line:
+ *   {"tMs":1520,"callMs":15200,"chunkIndex":3,"type":"analysis_update","data":{...}}
+ * tMs is wall time since the replay started; callMs maps it back onto the original call
+ * timeline (tMs × speed), which is what "at minute 12" complaints refer to.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export function createFrameRecorder(filePath, { speed = 1 } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const out = fs.createWriteStream(filePath, { flags: 'w' });
+  const startedAt = Date.now();
+  const timeScale = Number.isFinite(speed) && speed > 0 ? speed : null;
+  let chunkIndex = -1;
+  let count = 0;
+  const countsByType = {};
+
+  return {
+    filePath,
+
+    setChunkIndex(i) {
+      chunkIndex = i;
+    },
+
+    record(frame) {
+      const tMs = Date.now() - startedAt;
+      const type = String(frame?.type || 'unknown');
+      count += 1;
+      countsByType[type] = (countsByType[type] || 0) + 1;
+      out.write(
+        JSON.stringify({
+          tMs,
+          callMs: timeScale ? Math.round(tMs * timeScale) : null,
+          chunkIndex,
+          ...frame,
+          type
+        }) + '\n'
+      );
+    },
+
+    stats() {
+      return { frames: count, byType: { ...countsByType } };
+    },
+
+    close() {
+      return new Promise((resolve) => out.end(resolve));
+    }
+  };
+}
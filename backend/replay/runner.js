@@ -0,0 +1,83 @@
+/**
+ * Replay runner - paces recorded chunks into the live pipeline and waits for analysis
+ * to settle after the last one.
+ *
+ * The runner knows nothing about WebSockets or the engine; index.js passes hooks that
+ * call the same handleIncomingTextChunk/scheduleAnalysis path a real connection uses.
+ */
+
+const SETTLE_POLL_MS = 250;
+const SETTLE_QUIET_POLLS = 4; // ~1s with nothing pending/dirty before we call it done
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Normalize a speed option: number multiplier (1 = real time, 10 = 10× faster),
+ * or "max"/0 to feed chunks back-to-back.
+ */
+export function parseReplaySpeed(value) {
+  if (value === undefined || value === null || value === '') return 1;
+  if (String(value).toLowerCase() === 'max') return Infinity;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) return 1;
+  if (n === 0) return Infinity;
+  return Math.min(Math.max(n, 0.1), 1000);
+}
+
+/**
+ * @param {object} args
+ * @param {Array<{offsetMs: number, text: string}>} args.chunks
+ * @param {number} args.speed - from parseReplaySpeed()
+ * @param {(chunk: object, index: number) => Promise<void>} args.feedChunk
+ * @param {() => {pending: boolean, dirty: boolean}} args.getAnalysisState
+ * @param {() => void} args.flushAnalysis - run a catch-up pass for throttled chunks
+ * @param {() => boolean} [args.isCancelled]
+ * @param {number} [args.settleTimeoutMs]
+ * @returns {Promise<{chunksFed: number, settled: boolean, cancelled: boolean}>}
+ */
+export async function runReplay({
+  chunks,
+  speed = 1,
+  feedChunk,
+  getAnalysisState,
+  flushAnalysis,
+  isCancelled = () => false,
+  settleTimeoutMs = 60000
+}) {
+  const list = Array.isArray(chunks) ? chunks : [];
+  const startedAt = Date.now();
+  let chunksFed = 0;
+
+  for (let i = 0; i < list.length; i++) {
+    if (isCancelled()) return { chunksFed, settled: false, cancelled: true };
+    if (Number.isFinite(speed)) {
+      const dueAt = startedAt + Number(list[i].offsetMs || 0) / speed;
+      const wait = dueAt - Date.now();
+      if (wait > 0) await sleep(wait);
+    }
+    await feedChunk(list[i], i);
+    chunksFed += 1;
+  }
+
+  // The scheduler only runs a catch-up pass when another analysis finishes, so a chunk that
+  // landed inside the throttle window after the last run would otherwise never be analyzed.
+  const settleDeadline = Date.now() + settleTimeoutMs;
+  let quiet = 0;
+  while (Date.now() < settleDeadline) {
+    if (isCancelled()) return { chunksFed, settled: false, cancelled: true };
+    const { pending, dirty } = getAnalysisState();
+    if (!pending && dirty) {
+      flushAnalysis();
+      quiet = 0;
+    } else if (!pending && !dirty) {
+      quiet += 1;
+      if (quiet >= SETTLE_QUIET_POLLS) return { chunksFed, settled: true, cancelled: false };
+    } else {
+      quiet = 0;
+    }
+    await sleep(SETTLE_POLL_MS);
+  }
+
+  console.warn(`[Replay] Analysis did not settle within ${settleTimeoutMs}ms`);
+  return { chunksFed, settled: false, cancelled: false };
+}
@@ -0,0 +1,115 @@
+/**
+ * Replay sources - turn a recorded call into an ordered list of chunks:
+ *   [{ offsetMs, text, speaker, clientTsMs }]
+ *
+ * offsetMs is the position in the original call (0 = first chunk), used to pace the replay.
+ */
+
+import fs from 'fs';
+import { getStore, repositoryForToken } from '../storage/index.js';
+
+// Spacing for lines that don't carry their own timestamp.
+const DEFAULT_GAP_MS = 3000;
+
+// [12:04] / [1:02:03.5] / 12:04 / +4500ms
+const TS_RE = /^\s*(?:\[\s*(\d{1,2}(?::\d{1,2}){1,2}(?:\.\d+)?)\s*\]|(\d{1,2}(?::\d{1,2}){1,2}(?:\.\d+)?)(?=\s)|\+(\d+)ms)\s*/;
+const SPEAKER_RE = /^(closer|prospect|unknown)\s*:\s*/i;
+
+function clockToMs(clock) {
+  const parts = String(clock).split(':').map(Number);
+  let sec = 0;
+  for (const p of parts) sec = sec * 60 + p;
+  return Math.round(sec * 1000);
+}
+
+/**
+ * Parse a timestamped text transcript. One chunk per line:
+ *   [00:05] CLOSER: Thanks for hopping on.
+ *   [00:09] PROSPECT: Sure, we got the notice last week.
+ *   +2500ms So what's the sale date?      (relative to the previous line)
+ *   Plain lines are spaced DEFAULT_GAP_MS after the previous one.
+ * Blank lines and lines starting with "#" are ignored.
+ */
+export function parseTimestampedTranscript(text) {
+  const chunks = [];
+  let lastOffset = null;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    let line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    let offsetMs;
+    const ts = line.match(TS_RE);
+    if (ts) {
+      line = line.slice(ts[0].length);
+      if (ts[3] !== undefined) offsetMs = (lastOffset ?? 0) + Number(ts[3]);
+      else offsetMs = clockToMs(ts[1] ?? ts[2]);
+    } else {
+      offsetMs = lastOffset === null ? 0 : lastOffset + DEFAULT_GAP_MS;
+    }
+
+    let speaker = 'unknown';
+    const sp = line.match(SPEAKER_RE);
+    if (sp) {
+      speaker = sp[1].toLowerCase();
+      line = line.slice(sp[0].length);
+    }
+
+    line = line.trim();
+    if (!line) continue;
+    // Never go backwards in time (hand-edited files)
+    offsetMs = Math.max(offsetMs, lastOffset ?? 0);
+    lastOffset = offsetMs;
+    chunks.push({ offsetMs, text: line, speaker, clientTsMs: null });
+  }
+
+  return chunks;
+}
+
+export function loadTranscriptFile(filePath) {
+  return parseTimestampedTranscript(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Load a stored session from storage (scoped to the token's user; RLS with Supabase).
+ * @returns {Promise<{session: object, chunks: Array}>}
+ */
+export async function loadSessionChunks(sessionId, authToken) {
+  if (!getStore()) throw new Error('Storage is not configured');
+  const found = await repositoryForToken(authToken);
+  if (!found) throw new Error('Auth token required to load a stored session');
+  const { repo } = found;
+
+  let session;
+  let rows;
+  try {
+    session = await repo.sessions.get(sessionId);
+  } catch (e) {
+    throw new Error(`Session not found: ${e.message}`);
+  }
+  if (!session) throw new Error(`Session not found: ${sessionId}`);
+  try {
+    rows = await repo.chunks.list(sessionId, { limit: 10000 });
+  } catch (e) {
+    throw new Error(`Failed to load transcript chunks: ${e.message}`);
+  }
+
+  // Prefer the client clock (what the closer saw); fall back to insert time.
+  const tsOf = (r) => Number(r.client_ts_ms) || Date.parse(r.created_at) || 0;
+  const rowsSafe = Array.isArray(rows) ? rows : [];
+  const t0 = rowsSafe.length ? tsOf(rowsSafe[0]) : 0;
+  let lastOffset = 0;
+  const chunks = rowsSafe
+    .filter((r) => String(r.chunk_text || '').trim())
+    .map((r) => {
+      lastOffset = Math.max(lastOffset, tsOf(r) - t0);
+      return {
+        offsetMs: lastOffset,
+        text: String(r.chunk_text).trim(),
+        speaker: r.speaker_role || 'unknown',
+        clientTsMs: r.client_ts_ms ?? null
+      };
+    });
+
+  return { session, chunks };
+}
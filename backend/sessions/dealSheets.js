@@ -0,0 +1,28 @@
+/**
+ * Deal sheet - storage side.
+ *
+ * One row per session in call_deal_sheets (next to call_summaries), upserted whenever the live
+ * sheet changes. Extraction and merging live in analysis/dealSheet.js.
+ */
+
+/**
+ * @param {object} repo - user-scoped repository (storage/index.js)
+ */
+export async function saveDealSheet(repo, { sessionId, userId, userEmail, prospectType, dealSheet }) {
+  await repo.dealSheets.upsert({
+    session_id: sessionId,
+    user_id: userId,
+    user_email: userEmail || '',
+    prospect_type: prospectType || '',
+    deal_sheet_json: dealSheet,
+    updated_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Stored sheet for a session, or null if none was saved yet.
+ */
+export async function loadDealSheet(repo, sessionId) {
+  const row = await repo.dealSheets.get(sessionId);
+  return row?.deal_sheet_json || null;
+}
@@ -0,0 +1,292 @@
+/**
+ * Stored sessions - the REST sessions API's side of storage (/api/sessions, see openapi.js).
+ *
+ * Maps call_sessions / call_transcript_chunks / call_summaries / call_score_series /
+ * call_debriefs rows from the storage repository (storage/index.js) to the API's camelCase
+ * shapes and back, so callers depend on this contract rather than on the table layout. Lists page with opaque cursors: sessions newest first on
+ * (created_at, id), transcript lines oldest first on the chunk id.
+ */
+
+import { findTurningPoints } from '../analysis/scoreSeries.js';
+import { loadScoreSeries } from './scoreSeries.js';
+
+const DEFAULT_SESSION_PAGE = 25;
+const MAX_SESSION_PAGE = 100;
+const DEFAULT_TRANSCRIPT_PAGE = 200;
+const MAX_TRANSCRIPT_PAGE = 1000;
+// A re-summarized transcript is read in full, up to this many lines.
+const MAX_TRANSCRIPT_LINES = 5000;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// created_at as PostgREST returns it, kept verbatim (microseconds) so pages don't skip rows
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?([+-]\d{2}:\d{2}|Z)$/;
+
+export const isSessionId = (value) => UUID_RE.test(String(value || ''));
+export const isStoredTimestamp = (value) => TIMESTAMP_RE.test(String(value));
+
+// Cursor and limit helpers are shared with the other paged lists (webhooks/registry.js)
+export function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+export function pageLimit(value, fallback, max) {
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error('limit must be a positive integer');
+  return Math.min(n, max);
+}
+
+function isoDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const ms = Date.parse(String(value));
+  if (!Number.isFinite(ms)) throw new Error(`${name} must be an ISO 8601 date`);
+  return new Date(ms).toISOString();
+}
+
+const speakerRole = (role) => (role === 'closer' || role === 'prospect' ? role : 'unknown');
+
+function publicSession(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    userEmail: row.user_email || null,
+    prospectType: row.prospect_type || '',
+    source: row.source || 'live',
+    sourceName: row.source_name || null,
+    language: row.language || 'en',
+    detectedLanguage: row.detected_language || null,
+    displayLanguage: row.display_language || 'en',
+    status: row.ended_at ? 'ended' : 'open',
+    createdAt: row.created_at,
+    endedAt: row.ended_at || null,
+    durationMs: row.ended_at ? Math.max(0, Date.parse(row.ended_at) - Date.parse(row.created_at)) : null
+  };
+}
+
+/**
+ * Validate GET /api/sessions query parameters. Throws with a message fit for a 400.
+ */
+export function parseSessionListQuery(query = {}) {
+  const status = query.status ? String(query.status) : null;
+  if (status && status !== 'open' && status !== 'ended') {
+    throw new Error('status must be "open" or "ended"');
+  }
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (!after || !isStoredTimestamp(after.c) || !isSessionId(after.i)) {
+      throw new Error('cursor is invalid');
+    }
+  }
+  return {
+    limit: pageLimit(query.limit, DEFAULT_SESSION_PAGE, MAX_SESSION_PAGE),
+    after,
+    prospectType: query.prospectType ? String(query.prospectType) : null,
+    source: query.source ? String(query.source) : null,
+    language: query.language ? String(query.language) : null,
+    status,
+    from: isoDate(query.from, 'from'),
+    to: isoDate(query.to, 'to')
+  };
+}
+
+/**
+ * One page of sessions the caller can see, newest first.
+ * @param {object} repo - user-scoped repository (storage/index.js)
+ * @param {ReturnType<typeof parseSessionListQuery>} options
+ * @returns {Promise<{sessions: Array<object>, nextCursor: string|null}>}
+ */
+export async function listSessions(repo, options) {
+  const { limit, after, ...filters } = options;
+  const rows = await repo.sessions.list({
+    ...filters,
+    limit: limit + 1,
+    after: after ? { createdAt: after.c, id: after.i } : null
+  });
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    sessions: page.map(publicSession),
+    nextCursor: rows.length > limit && last ? encodeCursor({ c: last.created_at, i: last.id }) : null
+  };
+}
+
+/**
+ * A session by id, or null when it doesn't exist or the caller may not see it.
+ */
+export async function loadSession(repo, sessionId) {
+  const row = await repo.sessions.get(sessionId);
+  return row ? publicSession(row) : null;
+}
+
+/**
+ * Validate GET /api/sessions/:id/transcript query parameters. Throws with a message fit for a 400.
+ */
+export function parseTranscriptQuery(query = {}) {
+  let afterId = null;
+  if (query.cursor) {
+    afterId = decodeCursor(query.cursor)?.i;
+    if (!Number.isInteger(afterId)) throw new Error('cursor is invalid');
+  }
+  return { limit: pageLimit(query.limit, DEFAULT_TRANSCRIPT_PAGE, MAX_TRANSCRIPT_PAGE), afterId };
+}
+
+/**
+ * One page of transcript lines, oldest first. offsetMs is the position in the call, audioOffsetMs
+ * the position in its recording (null when there is none).
+ * @returns {Promise<{lines: Array<object>, nextCursor: string|null}>}
+ */
+export async function loadTranscriptPage(repo, sessionId, { limit = DEFAULT_TRANSCRIPT_PAGE, afterId = null } = {}) {
+  const rows = await repo.chunks.list(sessionId, { afterId, limit: limit + 1 });
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    lines: page.map((r) => ({
+      id: r.id,
+      speaker: speakerRole(r.speaker_role),
+      text: String(r.chunk_text || '').trim(),
+      ts: r.created_at,
+      offsetMs: r.call_offset_ms ?? null,
+      audioOffsetMs: r.audio_offset_ms ?? null,
+      words: Array.isArray(r.words_json) ? r.words_json : null
+    })),
+    nextCursor: rows.length > limit && last ? encodeCursor({ i: last.id }) : null
+  };
+}
+
+/**
+ * Every transcript line of a session (up to MAX_TRANSCRIPT_LINES), oldest first.
+ */
+export async function loadFullTranscript(repo, sessionId) {
+  const lines = [];
+  let afterId = null;
+  while (lines.length < MAX_TRANSCRIPT_LINES) {
+    const page = await loadTranscriptPage(repo, sessionId, { limit: MAX_TRANSCRIPT_PAGE, afterId });
+    lines.push(...page.lines);
+    if (!page.nextCursor) break;
+    afterId = page.lines[page.lines.length - 1].id;
+  }
+  return lines.slice(0, MAX_TRANSCRIPT_LINES);
+}
+
+/**
+ * Latest summary for a session, or null if none was generated yet.
+ */
+export async function loadSummary(repo, sessionId) {
+  const data = await repo.summaries.get(sessionId);
+  if (!data) return null;
+  return {
+    isFinal: Boolean(data.is_final),
+    prospectType: data.prospect_type || '',
+    summary: data.summary_json || {},
+    createdAt: data.created_at,
+    updatedAt: data.updated_at
+  };
+}
+
+/**
+ * Analysis timeline: the stored score series plus its biggest Lubometer swings and the
+ * objections raised (with the rebuttals shown), or null.
+ */
+export async function loadTimeline(repo, sessionId) {
+  const series = await loadScoreSeries(repo, sessionId);
+  if (!series) return null;
+  return {
+    startedAt: new Date(series.startedAt).toISOString(),
+    points: series.points,
+    turningPoints: findTurningPoints(series),
+    objections: series.objections
+  };
+}
+
+/**
+ * Most recent debrief linked to the session (call_debriefs.session_id), or null.
+ */
+export async function loadDebrief(repo, sessionId) {
+  const data = await repo.debriefs.latestForSession(sessionId);
+  if (!data) return null;
+  let answers = null;
+  try {
+    answers = data.system_notes ? JSON.parse(data.system_notes) : null;
+  } catch {
+    answers = null;
+  }
+  return {
+    id: data.id,
+    closerId: data.closer_id || null,
+    prospectType: data.prospect_type || '',
+    callDate: data.call_date || null,
+    outcome: data.outcome || null,
+    lubometer: data.lubometer ?? null,
+    dials: {
+      urgency: data.urgency ?? null,
+      trust: data.trust ?? null,
+      authority: data.authority ?? null,
+      structure: data.structure ?? null
+    },
+    truthIndexScore: data.truth_index_score ?? null,
+    collapseConditions: Array.isArray(data.collapse_conditions) ? data.collapse_conditions : [],
+    notes: data.notes || '',
+    whatWentWell: data.what_went_well || '',
+    whatDidntGoWell: data.what_didnt_go_well || '',
+    whyOutcome: data.why_outcome || '',
+    answers,
+    createdAt: data.created_at
+  };
+}
+
+/**
+ * Save a regenerated summary over the session's current one.
+ */
+export async function saveSummary(repo, { sessionId, userId, userEmail, prospectType, summary, isFinal }) {
+  await repo.summaries.upsert({
+    session_id: sessionId,
+    user_id: userId,
+    user_email: userEmail || '',
+    prospect_type: prospectType || '',
+    summary_json: summary,
+    is_final: Boolean(isFinal),
+    updated_at: new Date().toISOString()
+  });
+}
+
+const intOrNull = (value) => (Number.isFinite(Number(value)) && value !== null && value !== '' ? Math.round(Number(value)) : null);
+const textOf = (value, max = 5000) => (typeof value === 'string' ? value.slice(0, max) : '');
+
+/**
+ * Store a debrief for the session from a POST /api/sessions/:id/debrief body (the Debrief shape,
+ * all fields optional). Returns the stored debrief.
+ */
+export async function saveDebrief(repo, session, input = {}) {
+  const dials = input.dials && typeof input.dials === 'object' ? input.dials : {};
+  const row = {
+    session_id: session.id,
+    user_id: repo.user.id,
+    closer_id: textOf(input.closerId, 200) || session.userId,
+    prospect_type: textOf(input.prospectType, 200) || session.prospectType,
+    call_date: session.createdAt,
+    outcome: textOf(input.outcome, 50) || 'pending',
+    lubometer: intOrNull(input.lubometer) ?? undefined,
+    urgency: intOrNull(dials.urgency) ?? undefined,
+    trust: intOrNull(dials.trust) ?? undefined,
+    authority: intOrNull(dials.authority) ?? undefined,
+    structure: intOrNull(dials.structure) ?? undefined,
+    truth_index_score: intOrNull(input.truthIndexScore) ?? undefined,
+    collapse_conditions: Array.isArray(input.collapseConditions) ? input.collapseConditions : [],
+    notes: textOf(input.notes),
+    what_went_well: textOf(input.whatWentWell),
+    what_didnt_go_well: textOf(input.whatDidntGoWell),
+    why_outcome: textOf(input.whyOutcome),
+    system_notes: input.answers && typeof input.answers === 'object' ? JSON.stringify(input.answers) : ''
+  };
+  await repo.debriefs.insert(row);
+  return loadDebrief(repo, session.id);
+}
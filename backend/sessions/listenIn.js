@@ -0,0 +1,59 @@
+/**
+ * Manager listen-in - storage side.
+ *
+ * Who may listen to whose calls comes from manager_team_members (manager_id -> closer_id),
+ * read with the manager's own token so RLS only returns their team. Coaching notes are kept
+ * in call_coaching_notes for post-call review. The subscriber registry and fan-out live in
+ * index.js next to connectionPersistence.
+ */
+
+const MAX_NOTE_CHARS = 500;
+
+/**
+ * Resolve the manager behind a token and the closers they manage.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - manager-scoped client (RLS)
+ * @returns {Promise<{managerId: string, managerEmail: string|null, closerIds: Set<string>}>}
+ */
+export async function loadManagerTeam(supabase) {
+  const { data: userData, error: userError } = await supabase.auth.getUser();
+  const managerId = userData?.user?.id || null;
+  if (userError || !managerId) {
+    throw new Error('invalid auth token');
+  }
+
+  const { data: rows, error } = await supabase
+    .from('manager_team_members')
+    .select('closer_id')
+    .eq('manager_id', managerId);
+  if (error) {
+    throw new Error(`failed to load team: ${error.message}`);
+  }
+
+  return {
+    managerId,
+    managerEmail: userData.user.email || null,
+    closerIds: new Set((Array.isArray(rows) ? rows : []).map((r) => r.closer_id).filter(Boolean))
+  };
+}
+
+/**
+ * Trim and bound a coaching note; returns '' when there's nothing to send.
+ */
+export function normalizeCoachingNote(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NOTE_CHARS);
+}
+
+/**
+ * Persist a coaching note. Best effort: a failed insert never blocks delivery to the closer.
+ */
+export async function saveCoachingNote(supabase, { sessionId, managerId, closerId, text }) {
+  const { data, error } = await supabase
+    .from('call_coaching_notes')
+    .insert({ session_id: sessionId, manager_id: managerId, closer_id: closerId, note_text: text })
+    .select('id, created_at')
+    .single();
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data;
+}
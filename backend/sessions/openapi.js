@@ -0,0 +1,724 @@
+/**
+ * OpenAPI 3 description of the REST sessions API, served at GET /api/openapi.json.
+ *
+ * This is the contract CRM and internal tools code against; shapes come from sessions/history.js.
+ * Change both together, and only add fields - never rename or drop one.
+ */
+
+const sessionIdParam = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  schema: { type: 'string', format: 'uuid' }
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const commonErrors = {
+  401: errorResponse('Missing or invalid bearer token'),
+  503: errorResponse('Storage is not configured'),
+  500: errorResponse('Unexpected storage error')
+};
+
+const WEBHOOK_EVENTS = [
+  'session_started',
+  'objection_detected',
+  'close_zone_changed',
+  'truth_penalty_applied',
+  'session_ended',
+  'final_summary_ready'
+];
+
+const webhookIdParam = { ...sessionIdParam, name: 'webhookId' };
+
+const webhookErrors = {
+  ...commonErrors,
+  400: errorResponse('Malformed webhook id or body'),
+  404: errorResponse('Webhook not found, or not visible to the caller')
+};
+
+const sessionErrors = {
+  ...commonErrors,
+  400: errorResponse('Malformed session id or query parameter'),
+  404: errorResponse('Session not found, or not visible to the caller')
+};
+
+export const SESSIONS_OPENAPI = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Zero-Stress Sales sessions API',
+    version: '1.0.0',
+    description:
+      'Stored calls: list and filter sessions, read their transcript, summary, analysis timeline and debrief, export a call, regenerate the summary, ' +
+      'add a debrief, read or replace the caller\'s settings, and manage webhooks for call events with their delivery history. ' +
+      'With Supabase every request needs a Supabase access token and rows are scoped by the same row-level security as the app; ' +
+      'with local SQLite storage and no Supabase auth, requests act as the single local user and need no token.'
+  },
+  security: [{ bearerAuth: [] }],
+  paths: {
+    '/api/sessions': {
+      get: {
+        summary: 'List sessions, newest first',
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 25 } },
+          { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'nextCursor from the previous page' },
+          { name: 'prospectType', in: 'query', schema: { type: 'string' } },
+          { name: 'source', in: 'query', schema: { type: 'string', enum: ['live', 'upload'] } },
+          { name: 'language', in: 'query', schema: { type: 'string', enum: ['en', 'es', 'auto'] } },
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['open', 'ended'] } },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' }, description: 'Created at or after' },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' }, description: 'Created before' }
+        ],
+        responses: {
+          200: jsonResponse('One page of sessions', {
+            type: 'object',
+            required: ['sessions', 'nextCursor'],
+            properties: {
+              sessions: { type: 'array', items: { $ref: '#/components/schemas/Session' } },
+              nextCursor: { type: 'string', nullable: true, description: 'Null on the last page' }
+            }
+          }),
+          400: errorResponse('Invalid query parameter'),
+          ...commonErrors
+        }
+      }
+    },
+    '/api/sessions/{id}': {
+      get: {
+        summary: 'One session',
+        parameters: [sessionIdParam],
+        responses: {
+          200: jsonResponse('The session', {
+            type: 'object',
+            required: ['session'],
+            properties: { session: { $ref: '#/components/schemas/Session' } }
+          }),
+          ...sessionErrors
+        }
+      }
+    },
+    '/api/sessions/{id}/transcript': {
+      get: {
+        summary: 'Transcript lines with speaker roles, oldest first',
+        parameters: [
+          sessionIdParam,
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 200 } },
+          { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'nextCursor from the previous page' }
+        ],
+        responses: {
+          200: jsonResponse('One page of transcript lines', {
+            type: 'object',
+            required: ['sessionId', 'lines', 'nextCursor'],
+            properties: {
+              sessionId: { type: 'string', format: 'uuid' },
+              lines: { type: 'array', items: { $ref: '#/components/schemas/TranscriptLine' } },
+              nextCursor: { type: 'string', nullable: true }
+            }
+          }),
+          ...sessionErrors
+        }
+      }
+    },
+    '/api/sessions/{id}/summary': {
+      get: {
+        summary: 'Latest AI summary (progressive while the call runs, final after it ends)',
+        parameters: [sessionIdParam],
+        responses: {
+          200: jsonResponse('The summary, or null if none was generated yet', {
+            type: 'object',
+            required: ['sessionId', 'summary'],
+            properties: {
+              sessionId: { type: 'string', format: 'uuid' },
+              summary: { allOf: [{ $ref: '#/components/schemas/Summary' }], nullable: true }
+            }
+          }),
+          ...sessionErrors
+        }
+      }
+    },
+    '/api/sessions/{id}/summarize': {
+      post: {
+        summary: 'Regenerate the summary from the stored transcript',
+        description: 'Runs the summary agent over the full transcript and replaces the stored summary. Only the session owner may call it.',
+        parameters: [sessionIdParam],
+        requestBody: {
+          required: false,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  displayLanguage: { type: 'string', enum: ['en', 'es'], description: 'Defaults to the session display language' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse('The new summary', {
+            type: 'object',
+            required: ['sessionId', 'summary'],
+            properties: {
+              sessionId: { type: 'string', format: 'uuid' },
+              summary: { $ref: '#/components/schemas/Summary' }
+            }
+          }),
+          403: errorResponse('Caller can see the session but does not own it'),
+          422: errorResponse('Transcript is too short to summarize'),
+          502: errorResponse('Summary agent failed'),
+          ...sessionErrors
+        }
+      }
+    },
+    '/api/sessions/{id}/timeline': {
+      get: {
+        summary: 'Analysis timeline: score points over the call, the biggest Lubometer swings and the objections raised',
+        parameters: [sessionIdParam],
+        responses: {
+          200: jsonResponse('The timeline, or null if no analysis was saved', {
+            type: 'object',
+            required: ['sessionId', 'timeline'],
+            properties: {
+              sessionId: { type: 'string', format: 'uuid' },
+              timeline: { allOf: [{ $ref: '#/components/schemas/Timeline' }], nullable: true }
+            }
+          }),
+          ...sessionErrors
+        }
+      }
+    },
+    '/api/sessions/{id}/debrief': {
+      get: {
+        summary: 'Most recent post-call debrief linked to the session',
+        parameters: [sessionIdParam],
+        responses: {
+          200: jsonResponse('The debrief, or null if none is linked', {
+            type: 'object',
+            required: ['sessionId', 'debrief'],
+            properties: {
+              sessionId: { type: 'string', format: 'uuid' },
+              debrief: { allOf: [{ $ref: '#/components/schemas/Debrief' }], nullable: true }
+            }
+          }),
+          ...sessionErrors
+        }
+      },
+      post: {
+        summary: 'Add a post-call debrief to the session',
+        description: 'Every field is optional; omitted scores stay empty and outcome defaults to pending. Only the session owner may call it.',
+        parameters: [sessionIdParam],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/DebriefInput' } } }
+        },
+        responses: {
+          201: jsonResponse('The stored debrief', {
+            type: 'object',
+            required: ['sessionId', 'debrief'],
+            properties: {
+              sessionId: { type: 'string', format: 'uuid' },
+              debrief: { $ref: '#/components/schemas/Debrief' }
+            }
+          }),
+          403: errorResponse('Caller can see the session but does not own it'),
+          ...sessionErrors
+        }
+      }
+    },
+    '/api/sessions/{id}/export': {
+      get: {
+        summary: 'Full call packet for CRM records and partners',
+        description:
+          'Session, transcript with speakers and call offsets, summary, Lubometer / Truth Index timeline with turning points, ' +
+          'objections with the rebuttals shown, and the debrief with its answers. The json format returns the ExportPacket.',
+        parameters: [
+          sessionIdParam,
+          { name: 'format', in: 'query', schema: { type: 'string', enum: ['json', 'md', 'csv', 'html'], default: 'json' } },
+          {
+            name: 'disposition',
+            in: 'query',
+            schema: { type: 'string', enum: ['attachment', 'inline'], default: 'attachment' },
+            description: 'inline to open the file (e.g. the printable HTML) instead of downloading it'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'The export, with a Content-Disposition file name',
+            content: {
+              'application/json': { schema: { $ref: '#/components/schemas/ExportPacket' } },
+              'text/markdown': { schema: { type: 'string' } },
+              'text/csv': { schema: { type: 'string', description: 'Columns: section, offset_ms, clock, speaker, label, text, detail' } },
+              'text/html': { schema: { type: 'string', description: 'Self-contained printable page' } }
+            }
+          },
+          ...sessionErrors
+        }
+      }
+    },
+    '/api/settings': {
+      get: {
+        summary: "The caller's saved settings",
+        responses: {
+          200: jsonResponse('The settings, or null if none were saved', { $ref: '#/components/schemas/Settings' }),
+          ...commonErrors
+        }
+      },
+      put: {
+        summary: "Replace the caller's settings",
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['settings'],
+                properties: { settings: { type: 'object', additionalProperties: true } }
+              }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse('The saved settings', { $ref: '#/components/schemas/Settings' }),
+          400: errorResponse('settings is missing or not an object'),
+          ...commonErrors
+        }
+      }
+    },
+    '/api/webhooks': {
+      get: {
+        summary: "The caller's webhooks",
+        responses: {
+          200: jsonResponse('All webhooks, oldest first', {
+            type: 'object',
+            required: ['webhooks'],
+            properties: { webhooks: { type: 'array', items: { $ref: '#/components/schemas/Webhook' } } }
+          }),
+          ...commonErrors
+        }
+      },
+      post: {
+        summary: 'Register a webhook',
+        description:
+          'Events are POSTed as JSON (the WebhookEvent envelope, or { text } with format slack), signed with ' +
+          'X-ZSS-Signature: v1=<hex HMAC-SHA256 of "<X-ZSS-Timestamp>.<raw body>">. Failed deliveries retry with exponential backoff.',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/WebhookInput' } } }
+        },
+        responses: {
+          201: jsonResponse('The webhook and its signing secret (only shown here and on rotation)', {
+            type: 'object',
+            required: ['webhook', 'secret'],
+            properties: { webhook: { $ref: '#/components/schemas/Webhook' }, secret: { type: 'string' } }
+          }),
+          400: errorResponse('Invalid url, events, format or secret'),
+          ...commonErrors
+        }
+      }
+    },
+    '/api/webhooks/{webhookId}': {
+      parameters: [webhookIdParam],
+      patch: {
+        summary: 'Change a webhook',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                allOf: [
+                  { $ref: '#/components/schemas/WebhookInput' },
+                  {
+                    type: 'object',
+                    properties: { rotateSecret: { type: 'boolean', description: 'Issue a new secret and return it' } }
+                  }
+                ],
+                description: 'Only the fields sent are changed'
+              }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse('The webhook, with secret when it changed', {
+            type: 'object',
+            required: ['webhook'],
+            properties: { webhook: { $ref: '#/components/schemas/Webhook' }, secret: { type: 'string' } }
+          }),
+          ...webhookErrors
+        }
+      },
+      delete: {
+        summary: 'Delete a webhook and its delivery history',
+        responses: {
+          204: { description: 'Deleted' },
+          ...webhookErrors
+        }
+      }
+    },
+    '/api/webhooks/{webhookId}/test': {
+      parameters: [webhookIdParam],
+      post: {
+        summary: 'Send a ping event',
+        responses: {
+          200: jsonResponse('The delivery after its first attempt', {
+            type: 'object',
+            required: ['delivery'],
+            properties: { delivery: { $ref: '#/components/schemas/WebhookDelivery' } }
+          }),
+          ...webhookErrors
+        }
+      }
+    },
+    '/api/webhooks/deliveries': {
+      get: {
+        summary: 'Webhook delivery history, newest first',
+        description: 'status=dead lists the deliveries that failed for good (the dead letters).',
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } },
+          { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'nextCursor from the previous page' },
+          { name: 'webhookId', in: 'query', schema: { type: 'string', format: 'uuid' } },
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'retrying', 'delivered', 'dead'] } },
+          { name: 'event', in: 'query', schema: { type: 'string', enum: [...WEBHOOK_EVENTS, 'ping'] } }
+        ],
+        responses: {
+          200: jsonResponse('One page of deliveries', {
+            type: 'object',
+            required: ['deliveries', 'nextCursor'],
+            properties: {
+              deliveries: { type: 'array', items: { $ref: '#/components/schemas/WebhookDelivery' } },
+              nextCursor: { type: 'string', nullable: true }
+            }
+          }),
+          400: errorResponse('Malformed query parameter'),
+          ...commonErrors
+        }
+      }
+    },
+    '/api/webhooks/deliveries/{deliveryId}/redeliver': {
+      parameters: [{ ...sessionIdParam, name: 'deliveryId' }],
+      post: {
+        summary: 'Send a stored delivery again',
+        description: 'Uses the webhook\'s current URL and secret and starts a fresh round of retries; the event id is unchanged.',
+        responses: {
+          202: jsonResponse('The delivery after its first new attempt', {
+            type: 'object',
+            required: ['delivery'],
+            properties: { delivery: { $ref: '#/components/schemas/WebhookDelivery' } }
+          }),
+          400: errorResponse('Malformed delivery id'),
+          404: errorResponse('Delivery or its webhook not found'),
+          ...commonErrors
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Supabase access token' }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: { error: { type: 'string' }, details: { type: 'string' } }
+      },
+      Session: {
+        type: 'object',
+        required: ['id', 'userId', 'prospectType', 'source', 'language', 'displayLanguage', 'status', 'createdAt'],
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          userId: { type: 'string', description: 'Supabase user id, or LOCAL_USER_ID with local storage' },
+          userEmail: { type: 'string', nullable: true },
+          prospectType: { type: 'string' },
+          source: { type: 'string', enum: ['live', 'upload'] },
+          sourceName: { type: 'string', nullable: true, description: 'Uploaded file name' },
+          language: { type: 'string', enum: ['en', 'es', 'auto'] },
+          detectedLanguage: { type: 'string', nullable: true, description: 'Set once an auto call shows its language' },
+          displayLanguage: { type: 'string', enum: ['en', 'es'] },
+          status: { type: 'string', enum: ['open', 'ended'] },
+          createdAt: { type: 'string', format: 'date-time' },
+          endedAt: { type: 'string', format: 'date-time', nullable: true },
+          durationMs: { type: 'integer', nullable: true }
+        }
+      },
+      TranscriptLine: {
+        type: 'object',
+        required: ['id', 'speaker', 'text', 'ts'],
+        properties: {
+          id: { type: 'integer' },
+          speaker: { type: 'string', enum: ['closer', 'prospect', 'unknown'] },
+          text: { type: 'string' },
+          ts: { type: 'string', format: 'date-time' },
+          offsetMs: { type: 'integer', nullable: true, description: 'Position in the call' },
+          audioOffsetMs: { type: 'integer', nullable: true, description: 'Position in the call recording' },
+          words: {
+            type: 'array',
+            nullable: true,
+            items: {
+              type: 'object',
+              properties: { text: { type: 'string' }, startMs: { type: 'integer' }, endMs: { type: 'integer' } }
+            }
+          }
+        }
+      },
+      Summary: {
+        type: 'object',
+        required: ['isFinal', 'summary'],
+        properties: {
+          isFinal: { type: 'boolean' },
+          prospectType: { type: 'string' },
+          summary: {
+            type: 'object',
+            additionalProperties: true,
+            properties: {
+              executiveSummary: { type: 'string' },
+              prospectSituation: { type: 'string' },
+              keyPoints: { type: 'array', items: { type: 'string' } },
+              objectionsRaised: { type: 'array', items: { type: 'string' } },
+              objectionsResolved: { type: 'array', items: { type: 'string' } },
+              nextSteps: { type: 'array', items: { type: 'string' } },
+              closerPerformance: { type: 'string' },
+              prospectReadiness: { type: 'string' },
+              recommendations: { type: 'string' }
+            }
+          },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Timeline: {
+        type: 'object',
+        required: ['startedAt', 'points', 'turningPoints'],
+        properties: {
+          startedAt: { type: 'string', format: 'date-time' },
+          points: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                t: { type: 'integer', description: 'ms since the call started' },
+                ts: { type: 'string', format: 'date-time' },
+                seq: { type: 'integer', nullable: true },
+                indicators: { type: 'object', additionalProperties: { type: 'number' } },
+                pillars: { type: 'object', additionalProperties: { type: 'number' } },
+                lubometer: { type: 'number' },
+                truthIndex: { type: 'number' }
+              }
+            }
+          },
+          turningPoints: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                t: { type: 'integer' },
+                ts: { type: 'string', format: 'date-time' },
+                from: { type: 'number' },
+                to: { type: 'number' },
+                delta: { type: 'number' },
+                drivers: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { key: { type: 'string' }, label: { type: 'string' }, delta: { type: 'number' } }
+                  }
+                }
+              }
+            }
+          },
+          objections: { type: 'array', items: { $ref: '#/components/schemas/Objection' } }
+        }
+      },
+      Objection: {
+        type: 'object',
+        required: ['objectionText'],
+        properties: {
+          t: { type: 'integer', description: 'ms since the call started when it was detected' },
+          ts: { type: 'string', format: 'date-time' },
+          offsetMs: { type: 'integer', nullable: true, description: 'Where the prospect said it' },
+          objectionText: { type: 'string' },
+          fear: { type: 'string' },
+          whisper: { type: 'string' },
+          rebuttalScript: { type: 'string', description: 'Rebuttal the closer was shown' },
+          probability: { type: 'number', nullable: true }
+        }
+      },
+      Debrief: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          closerId: { type: 'string', nullable: true },
+          prospectType: { type: 'string' },
+          callDate: { type: 'string', format: 'date-time', nullable: true },
+          outcome: { type: 'string', nullable: true },
+          lubometer: { type: 'integer', nullable: true },
+          dials: {
+            type: 'object',
+            properties: {
+              urgency: { type: 'integer', nullable: true },
+              trust: { type: 'integer', nullable: true },
+              authority: { type: 'integer', nullable: true },
+              structure: { type: 'integer', nullable: true }
+            }
+          },
+          truthIndexScore: { type: 'integer', nullable: true },
+          collapseConditions: { type: 'array', items: {} },
+          notes: { type: 'string' },
+          whatWentWell: { type: 'string' },
+          whatDidntGoWell: { type: 'string' },
+          whyOutcome: { type: 'string' },
+          answers: { type: 'object', nullable: true, additionalProperties: true, description: 'Debrief questionnaire answers' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      ExportPacket: {
+        type: 'object',
+        required: ['version', 'exportedAt', 'session', 'transcript', 'summary', 'timeline', 'objections', 'debrief'],
+        properties: {
+          version: { type: 'integer', enum: [1] },
+          exportedAt: { type: 'string', format: 'date-time' },
+          session: { $ref: '#/components/schemas/Session' },
+          transcript: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                speaker: { type: 'string', enum: ['closer', 'prospect', 'unknown'] },
+                text: { type: 'string' },
+                ts: { type: 'string', format: 'date-time' },
+                offsetMs: { type: 'integer', nullable: true },
+                audioOffsetMs: { type: 'integer', nullable: true }
+              }
+            }
+          },
+          summary: { allOf: [{ $ref: '#/components/schemas/Summary' }], nullable: true },
+          timeline: {
+            type: 'object',
+            nullable: true,
+            description: 'Timeline points keep only lubometer, truthIndex and pillars',
+            properties: {
+              startedAt: { type: 'string', format: 'date-time' },
+              points: { type: 'array', items: { type: 'object', additionalProperties: true } },
+              turningPoints: { type: 'array', items: { type: 'object', additionalProperties: true } }
+            }
+          },
+          objections: { type: 'array', items: { $ref: '#/components/schemas/Objection' } },
+          debrief: { allOf: [{ $ref: '#/components/schemas/Debrief' }], nullable: true }
+        }
+      },
+      DebriefInput: {
+        type: 'object',
+        properties: {
+          closerId: { type: 'string', description: 'Defaults to the session owner' },
+          prospectType: { type: 'string', description: 'Defaults to the session prospect type' },
+          outcome: { type: 'string', description: 'e.g. closed, no-sale-good, brutal (default pending)' },
+          lubometer: { type: 'integer' },
+          dials: {
+            type: 'object',
+            properties: {
+              urgency: { type: 'integer' },
+              trust: { type: 'integer' },
+              authority: { type: 'integer' },
+              structure: { type: 'integer' }
+            }
+          },
+          truthIndexScore: { type: 'integer' },
+          collapseConditions: { type: 'array', items: {} },
+          notes: { type: 'string' },
+          whatWentWell: { type: 'string' },
+          whatDidntGoWell: { type: 'string' },
+          whyOutcome: { type: 'string' },
+          answers: { type: 'object', additionalProperties: true }
+        }
+      },
+      Settings: {
+        type: 'object',
+        required: ['settings', 'updatedAt', 'updatedByEmail'],
+        properties: {
+          settings: { type: 'object', nullable: true, additionalProperties: true },
+          updatedAt: { type: 'string', format: 'date-time', nullable: true },
+          updatedByEmail: { type: 'string', nullable: true }
+        }
+      },
+      WebhookInput: {
+        type: 'object',
+        required: ['url', 'events'],
+        properties: {
+          url: { type: 'string', format: 'uri', description: 'http(s); local and private addresses need WEBHOOK_ALLOW_PRIVATE_URLS=true' },
+          events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+          format: { type: 'string', enum: ['json', 'slack'], default: 'json' },
+          description: { type: 'string', maxLength: 500 },
+          active: { type: 'boolean', default: true },
+          secret: { type: 'string', minLength: 16, maxLength: 256, description: 'Generated when omitted' }
+        }
+      },
+      Webhook: {
+        type: 'object',
+        required: ['id', 'url', 'events', 'format', 'active', 'createdAt'],
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          url: { type: 'string' },
+          events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+          format: { type: 'string', enum: ['json', 'slack'] },
+          description: { type: 'string' },
+          active: { type: 'boolean' },
+          secretHint: { type: 'string', nullable: true, description: 'Last four characters of the secret' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      WebhookEvent: {
+        type: 'object',
+        description: 'Body of a json-format delivery',
+        required: ['id', 'type', 'createdAt', 'sessionId', 'user', 'data'],
+        properties: {
+          id: { type: 'string', description: 'evt_…; the same across retries and redeliveries' },
+          type: { type: 'string', enum: [...WEBHOOK_EVENTS, 'ping'] },
+          createdAt: { type: 'string', format: 'date-time' },
+          sessionId: { type: 'string', format: 'uuid', nullable: true },
+          user: {
+            type: 'object',
+            properties: { id: { type: 'string' }, email: { type: 'string', nullable: true } }
+          },
+          data: {
+            type: 'object',
+            additionalProperties: true,
+            description:
+              'objection_detected: an Objection; close_zone_changed: from, to, verdict, recommendedAction, reason, lubometer, truthIndex; ' +
+              'truth_penalty_applied: ruleId, rule, description, penalty, truthIndex, statements; ' +
+              'session_started / session_ended: prospect type, times and final scores; final_summary_ready: executiveSummary and summary'
+          }
+        }
+      },
+      WebhookDelivery: {
+        type: 'object',
+        required: ['id', 'webhookId', 'event', 'eventId', 'status', 'attempts', 'createdAt'],
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          webhookId: { type: 'string', format: 'uuid' },
+          sessionId: { type: 'string', format: 'uuid', nullable: true },
+          event: { type: 'string' },
+          eventId: { type: 'string' },
+          status: { type: 'string', enum: ['pending', 'retrying', 'delivered', 'dead'] },
+          attempts: { type: 'integer' },
+          responseStatus: { type: 'integer', nullable: true },
+          lastError: { type: 'string', nullable: true },
+          nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+          deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          payload: { $ref: '#/components/schemas/WebhookEvent' }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Call recordings - storage side.
+ *
+ * One call_recordings row per recorded session, written when the call stops and the WAV has been
+ * handed to the storage adapter (recording/storage.js). Transcript lines point into it with
+ * call_transcript_chunks.audio_offset_ms.
+ */
+
+/**
+ * @param {object} repo - user-scoped repository (storage/index.js)
+ */
+export async function saveRecording(repo, { sessionId, userId, userEmail, storage, objectKey, recording }) {
+  await repo.recordings.upsert({
+    session_id: sessionId,
+    user_id: userId,
+    user_email: userEmail || '',
+    storage,
+    object_key: objectKey,
+    mime_type: 'audio/wav',
+    channels: recording.channels,
+    channel_roles: recording.channelRoles,
+    duration_ms: recording.durationMs,
+    size_bytes: recording.sizeBytes,
+    updated_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Recording row for a session, or null when there is none or the caller may not see it
+ * (owner, or with Supabase also the closer's manager via RLS).
+ */
+export async function loadRecording(repo, sessionId) {
+  return repo.recordings.get(sessionId);
+}
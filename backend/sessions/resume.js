@@ -0,0 +1,46 @@
+/**
+ * Session resume - storage side.
+ *
+ * When a socket drops and the in-memory state has already expired (or the server
+ * restarted), the call can still be rebuilt from call_sessions + call_transcript_chunks.
+ * The parking/grace-period side lives in index.js next to connectionPersistence.
+ */
+
+// Chunks older than this don't fit in the in-memory transcript bounds anyway.
+const MAX_CHUNKS_TO_LOAD = 400;
+
+/**
+ * Load an open session owned by userId and its most recent transcript chunks (oldest first).
+ * @param {object} repo - user-scoped repository (storage/index.js)
+ * @returns {Promise<{session: object, chunks: Array<{id: number, speaker: string, text: string, ts: number|null, offsetMs: number|null, words: Array|null}>}>}
+ */
+export async function loadResumableSession(repo, sessionId, userId) {
+  const session = await repo.sessions.get(sessionId).catch(() => null);
+  if (!session || session.user_id !== userId) {
+    throw new Error('session not found');
+  }
+  if (session.ended_at) {
+    throw new Error('session already ended');
+  }
+
+  let rows;
+  try {
+    rows = await repo.chunks.list(sessionId, { limit: MAX_CHUNKS_TO_LOAD, newestFirst: true });
+  } catch (e) {
+    throw new Error(`failed to load transcript chunks: ${e.message}`);
+  }
+
+  const chunks = rows
+    .reverse()
+    .map((r) => ({
+      id: r.id,
+      speaker: r.speaker_role === 'closer' || r.speaker_role === 'prospect' ? r.speaker_role : 'unknown',
+      text: String(r.chunk_text || '').trim(),
+      ts: Date.parse(r.created_at) || null,
+      offsetMs: r.call_offset_ms ?? null,
+      words: Array.isArray(r.words_json) ? r.words_json : null
+    }))
+    .filter((c) => c.text);
+
+  return { session, chunks };
+}
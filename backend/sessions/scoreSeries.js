@@ -0,0 +1,41 @@
+/**
+ * Score time series - storage side.
+ *
+ * One row per session in call_score_series, upserted every SCORE_SERIES_SAVE_MS during the
+ * call and once more when it stops. Point recording and deltas live in analysis/scoreSeries.js.
+ * objections_json holds the call's objections with their rebuttals, webhook_state_json what the
+ * call's webhooks were already told (webhooks/events.js) so a resumed call doesn't repeat it.
+ */
+
+/**
+ * @param {object} repo - user-scoped repository (storage/index.js)
+ */
+export async function saveScoreSeries(repo, { sessionId, userId, userEmail, series, turningPoints, webhookState = null }) {
+  await repo.scoreSeries.upsert({
+    session_id: sessionId,
+    user_id: userId,
+    user_email: userEmail || '',
+    started_at: new Date(series.startedAt).toISOString(),
+    points_json: series.points,
+    turning_points_json: turningPoints || [],
+    // Only sent once there are objections, so databases without the column keep working
+    ...(series.objections?.length ? { objections_json: series.objections } : {}),
+    ...(webhookState ? { webhook_state_json: webhookState } : {}),
+    updated_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Stored series for a session as { startedAt, points, objections, webhookState }, or null if none
+ * was saved yet.
+ */
+export async function loadScoreSeries(repo, sessionId) {
+  const data = await repo.scoreSeries.get(sessionId);
+  if (!data) return null;
+  return {
+    startedAt: Date.parse(data.started_at) || Date.now(),
+    points: Array.isArray(data.points_json) ? data.points_json : [],
+    objections: Array.isArray(data.objections_json) ? data.objections_json : [],
+    webhookState: data.webhook_state_json && typeof data.webhook_state_json === 'object' ? data.webhook_state_json : null
+  };
+}
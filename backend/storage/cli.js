@@ -0,0 +1,66 @@
+/**
+ * Local storage migrations CLI
+ *
+ *   npm run migrate               apply pending migrations
+ *   npm run migrate -- --status   list applied and pending migrations
+ *
+ * Options:
+ *   --db <path>   Database file (default: STORAGE_SQLITE_PATH, else backend/data/local/zss.sqlite)
+ *
+ * Only for STORAGE_BACKEND=sqlite; the Supabase schema is applied with the Supabase CLI from
+ * frontend/supabase/migrations.
+ */
+
+import dotenv from 'dotenv';
+import { DEFAULT_SQLITE_PATH } from './index.js';
+import { migrationLabel, migrationStatus, runMigrations } from './migrate.js';
+import { openDatabase } from './sqliteStore.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function main() {
+  dotenv.config();
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: npm run migrate -- [--status] [--db <path>]');
+    process.exit(0);
+  }
+  const filePath = typeof args.db === 'string' ? args.db : process.env.STORAGE_SQLITE_PATH || DEFAULT_SQLITE_PATH;
+  const db = openDatabase(filePath);
+  try {
+    if (args.status) {
+      const { applied, pending } = migrationStatus(db);
+      console.log(`${filePath}`);
+      for (const m of applied) console.log(`  applied  ${migrationLabel(m)}  ${m.applied_at}`);
+      for (const m of pending) console.log(`  pending  ${migrationLabel(m)}`);
+      if (!applied.length && !pending.length) console.log('  no migrations');
+      return;
+    }
+    const applied = runMigrations(db, { log: (msg) => console.log(msg) });
+    console.log(applied.length ? `${filePath}: ${applied.length} migration(s) applied` : `${filePath}: up to date`);
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e?.message || e);
+  process.exit(1);
+}
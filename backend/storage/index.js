@@ -0,0 +1,103 @@
+/**
+ * Storage - where sessions, transcript chunks, summaries, debriefs, settings, deal sheets, score
+ * series, recording metadata and webhooks (with their delivery history) are kept.
+ *
+ *   STORAGE_BACKEND=supabase  hosted tables, per-user tokens and RLS (default when Supabase is configured)
+ *   STORAGE_BACKEND=sqlite    one local file, STORAGE_SQLITE_PATH (default backend/data/local/zss.sqlite);
+ *                             opt-in only. Pending migrations run on startup unless
+ *                             STORAGE_AUTO_MIGRATE=false (then: npm run migrate)
+ *   STORAGE_BACKEND=off       nothing is persisted (the default without Supabase)
+ *
+ * With SQLite, users still come from Supabase access tokens when Supabase auth is configured;
+ * otherwise a caller presenting LOCAL_API_TOKEN is the single local user (LOCAL_USER_ID, default
+ * "local"; LOCAL_USER_EMAIL) and any other caller - or every caller, with no LOCAL_API_TOKEN set -
+ * is rejected. Manager listen-in needs the hosted team tables and stays Supabase-only.
+ *
+ * Store:      { name, resolveUser(token) → { id, email } | null, forUser(user, token) → repository }
+ * Repository (scoped to one user; rows use the Supabase column names):
+ *   sessions     create(row) → id, update(id, patch), get(id), list({ limit, after: { createdAt, id },
+ *                prospectType, source, language, status: 'open'|'ended', from, to }) newest first
+ *   chunks       insert(row) → id, update(id, patch), list(sessionId, { afterId, limit, newestFirst })
+ *   summaries, dealSheets, scoreSeries, recordings
+ *                upsert(row), get(sessionId)        one row per session
+ *   debriefs     insert(row) → id, latestForSession(sessionId)
+ *   settings     get(), save({ settings, user_email, updated_by_email, updated_at })
+ *   webhooks     create(row) → id, update(id, patch), remove(id), get(id), list()
+ *   webhookDeliveries
+ *                insert(row) → id, update(id, patch), get(id), list({ limit, after: { createdAt, id },
+ *                webhookId, status, event }) newest first
+ * Repository methods throw on storage errors.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isSupabaseConfigured } from '../supabase.js';
+import { createSupabaseStore, resolveSupabaseUser } from './supabaseStore.js';
+import { createSqliteStore } from './sqliteStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_SQLITE_PATH = path.resolve(__dirname, '..', 'data', 'local', 'zss.sqlite');
+
+// Compared as digests so the check takes the same time whatever the token's length
+function tokensMatch(a, b) {
+  const digest = (s) => crypto.createHash('sha256').update(String(s)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+async function resolveLocalUser(token) {
+  if (isSupabaseConfigured()) return resolveSupabaseUser(token);
+  const expected = String(process.env.LOCAL_API_TOKEN || '');
+  if (!expected || !token || !tokensMatch(token, expected)) return null;
+  return { id: process.env.LOCAL_USER_ID || 'local', email: process.env.LOCAL_USER_EMAIL || null };
+}
+
+let store; // undefined = not resolved yet, null = persistence off
+export function getStore() {
+  if (store !== undefined) return store;
+  const configured = String(process.env.STORAGE_BACKEND || '').trim().toLowerCase();
+  const type = configured || (isSupabaseConfigured() ? 'supabase' : 'off');
+  store = null;
+  try {
+    if (type === 'supabase') {
+      if (isSupabaseConfigured()) store = createSupabaseStore();
+      else console.error('[Storage] STORAGE_BACKEND=supabase but SUPABASE_URL / SUPABASE_ANON_KEY are not set; nothing will be saved');
+    } else if (type === 'sqlite') {
+      store = createSqliteStore({
+        filePath: process.env.STORAGE_SQLITE_PATH || DEFAULT_SQLITE_PATH,
+        resolveUser: resolveLocalUser,
+        migrate: process.env.STORAGE_AUTO_MIGRATE !== 'false'
+      });
+      if (!isSupabaseConfigured() && !process.env.LOCAL_API_TOKEN) {
+        console.error('[Storage] STORAGE_BACKEND=sqlite without Supabase auth needs LOCAL_API_TOKEN; every request will be rejected');
+      }
+    } else if (type !== 'off') {
+      console.error(`[Storage] Unknown STORAGE_BACKEND "${type}" (expected: supabase, sqlite, off); nothing will be saved`);
+    }
+  } catch (e) {
+    console.error('[Storage] Store not available; nothing will be saved:', e?.message || e);
+    store = null;
+  }
+  return store;
+}
+
+/**
+ * User and repository for a request's token, or null when there is no store or the token
+ * doesn't resolve to a user.
+ * @returns {Promise<{user: {id: string, email: string|null}, repo: object}|null>}
+ */
+export async function repositoryForToken(token) {
+  const s = getStore();
+  if (!s) return null;
+  const user = await s.resolveUser(token || null).catch(() => null);
+  const repo = user ? s.forUser(user, token) : null;
+  return repo ? { user, repo } : null;
+}
+
+/**
+ * One-line summary for the boot log.
+ */
+export function describeStorage() {
+  return getStore()?.name || 'off';
+}
@@ -0,0 +1,82 @@
+/**
+ * Migration runner for the SQLite store.
+ *
+ * storage/migrations/NNNN_name.sql are applied in version order, each in its own transaction,
+ * and recorded in schema_migrations. Migrations are append-only: once one has shipped, change the
+ * schema with the next number instead of editing it. The Supabase schema is separate
+ * (frontend/supabase/migrations); keep the two in step when a table changes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const MIGRATIONS_DIR = path.resolve(__dirname, 'migrations');
+
+const FILE_RE = /^(\d+)_([\w-]+)\.sql$/;
+
+// 1, 'initial_schema' -> 0001_initial_schema (the file name)
+export const migrationLabel = (m) => `${String(m.version).padStart(4, '0')}_${m.name}`;
+
+/**
+ * Migration files in the order they apply: [{ version, name, file }].
+ */
+export function listMigrations(dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .map((file) => {
+      const m = file.match(FILE_RE);
+      return m ? { version: Number(m[1]), name: m[2], file: path.join(dir, file) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`create table if not exists schema_migrations (
+    version integer primary key,
+    name text not null,
+    applied_at text not null
+  )`);
+}
+
+/**
+ * Applied and pending migrations for a database.
+ * @returns {{applied: Array<{version: number, name: string, applied_at: string}>, pending: Array<{version: number, name: string}>}}
+ */
+export function migrationStatus(db, { dir = MIGRATIONS_DIR } = {}) {
+  ensureMigrationsTable(db);
+  const applied = db.prepare('select version, name, applied_at from schema_migrations order by version').all();
+  const done = new Set(applied.map((m) => m.version));
+  return {
+    applied,
+    pending: listMigrations(dir)
+      .filter((m) => !done.has(m.version))
+      .map(({ version, name }) => ({ version, name }))
+  };
+}
+
+/**
+ * Apply pending migrations. A failing migration rolls back on its own and stops the run, so the
+ * database is left at the last version that applied cleanly.
+ * @returns {Array<{version: number, name: string}>} migrations applied by this call
+ */
+export function runMigrations(db, { dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  const { pending } = migrationStatus(db, { dir });
+  const files = new Map(listMigrations(dir).map((m) => [m.version, m.file]));
+  const record = db.prepare('insert into schema_migrations (version, name, applied_at) values (?, ?, ?)');
+  for (const m of pending) {
+    const sql = fs.readFileSync(files.get(m.version), 'utf8');
+    try {
+      db.transaction(() => {
+        db.exec(sql);
+        record.run(m.version, m.name, new Date().toISOString());
+      })();
+    } catch (e) {
+      throw new Error(`migration ${migrationLabel(m)} failed: ${e.message}`);
+    }
+    log(`Applied migration ${migrationLabel(m)}`);
+  }
+  return pending;
+}
@@ -0,0 +1,131 @@
+/*
+  # Local Storage Schema
+  The tables from frontend/supabase/migrations, in SQLite, for STORAGE_BACKEND=sqlite
+
+  Notes:
+  - Column names match the Supabase tables so both stores return the same rows
+  - uuid columns are text; timestamps are ISO 8601 text in UTC, so they sort as strings
+  - jsonb columns are JSON text (parsed by storage/sqliteStore.js); booleans are 0/1
+  - There is no RLS: the store filters every query by user_id
+  - call_debriefs has a user_id here (Supabase debriefs are visible to every signed-in user)
+*/
+
+create table if not exists call_sessions (
+  id text primary key,
+  user_id text not null,
+  user_email text not null default '',
+  prospect_type text not null default '',
+  connection_id text,
+  source text not null default 'live',
+  source_name text,
+  language text not null default 'en',
+  detected_language text,
+  display_language text not null default 'en',
+  transcript_text text not null default '',
+  transcript_char_count integer not null default 0,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ended_at text
+);
+
+create index if not exists call_sessions_user_created_idx on call_sessions(user_id, created_at desc, id desc);
+
+create table if not exists call_transcript_chunks (
+  id integer primary key autoincrement,
+  session_id text not null references call_sessions(id) on delete cascade,
+  user_id text not null,
+  user_email text not null default '',
+  speaker_role text not null default 'unknown',
+  chunk_text text not null,
+  chunk_char_count integer not null default 0,
+  client_ts_ms integer,
+  call_offset_ms integer,
+  audio_offset_ms integer,
+  words_json text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create index if not exists call_transcript_chunks_session_id_idx on call_transcript_chunks(session_id, id);
+
+create table if not exists call_summaries (
+  session_id text primary key,
+  user_id text not null,
+  user_email text not null default '',
+  prospect_type text not null default '',
+  summary_json text not null,
+  is_final integer not null default 0,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists call_debriefs (
+  id text primary key,
+  session_id text,
+  user_id text not null,
+  closer_id text not null default '',
+  prospect_type text not null default '',
+  call_date text,
+  lubometer integer default 50,
+  urgency integer default 5,
+  trust integer default 5,
+  authority integer default 5,
+  structure integer default 5,
+  truth_index_score integer default 50,
+  collapse_conditions text not null default '[]',
+  notes text default '',
+  outcome text default 'pending',
+  what_went_well text default '',
+  what_didnt_go_well text default '',
+  why_outcome text default '',
+  system_notes text default '',
+  accuracy_check text default '',
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create index if not exists call_debriefs_session_id_idx on call_debriefs(session_id);
+
+create table if not exists user_settings (
+  user_id text primary key,
+  user_email text,
+  updated_by_email text,
+  settings text not null default '{}',
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists call_deal_sheets (
+  session_id text primary key,
+  user_id text not null,
+  user_email text not null default '',
+  prospect_type text not null default '',
+  deal_sheet_json text not null default '{}',
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists call_score_series (
+  session_id text primary key,
+  user_id text not null,
+  user_email text not null default '',
+  started_at text not null,
+  points_json text not null default '[]',
+  turning_points_json text not null default '[]',
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists call_recordings (
+  session_id text primary key,
+  user_id text not null,
+  user_email text not null default '',
+  storage text not null default 'local',
+  object_key text not null,
+  mime_type text not null default 'audio/wav',
+  channels integer not null default 1,
+  channel_roles text not null default '["mono"]',
+  duration_ms integer not null default 0,
+  size_bytes integer not null default 0,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
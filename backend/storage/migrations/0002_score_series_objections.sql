@@ -0,0 +1,9 @@
+/*
+  # Score Series Objections
+  Mirrors frontend/supabase/migrations/20260114000000_add_score_series_objections.sql
+
+  Notes:
+  - objections_json is JSON text: the call's objections with the rebuttals the closer was shown
+*/
+
+alter table call_score_series add column objections_json text not null default '[]';
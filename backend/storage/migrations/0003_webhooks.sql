@@ -0,0 +1,44 @@
+/*
+  # Outbound Webhooks
+  Mirrors frontend/supabase/migrations/20260115000000_create_webhooks.sql
+
+  Notes:
+  - events and payload_json are JSON text; active is 0/1
+  - Deliveries go when their webhook is deleted (foreign key, on delete cascade)
+*/
+
+create table if not exists webhooks (
+  id text primary key,
+  user_id text not null,
+  url text not null,
+  secret text not null,
+  events text not null default '[]',
+  format text not null default 'json' check (format in ('json', 'slack')),
+  description text not null default '',
+  active integer not null default 1,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create index if not exists webhooks_user_id_idx on webhooks(user_id);
+
+create table if not exists webhook_deliveries (
+  id text primary key,
+  webhook_id text not null references webhooks(id) on delete cascade,
+  user_id text not null,
+  session_id text,
+  event text not null,
+  event_id text not null,
+  payload_json text not null,
+  status text not null default 'pending' check (status in ('pending', 'retrying', 'delivered', 'dead')),
+  attempts integer not null default 0,
+  response_status integer,
+  last_error text,
+  next_attempt_at text,
+  delivered_at text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create index if not exists webhook_deliveries_user_created_idx on webhook_deliveries(user_id, created_at desc, id desc);
+create index if not exists webhook_deliveries_webhook_id_idx on webhook_deliveries(webhook_id);
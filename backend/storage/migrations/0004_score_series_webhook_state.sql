@@ -0,0 +1,9 @@
+/*
+  # Score Series Webhook State
+  Mirrors frontend/supabase/migrations/20260116000000_add_score_series_webhook_state.sql
+
+  Notes:
+  - webhook_state_json is JSON text: { closeZone, truthPenaltyRules } the call's webhooks were already told about
+*/
+
+alter table call_score_series add column webhook_state_json text;
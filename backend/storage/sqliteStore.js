@@ -0,0 +1,260 @@
+/**
+ * SQLite store - the same tables as Supabase in one local file, for on-prem installs and dev
+ * setups without a hosted database. Schema: storage/migrations (applied by storage/migrate.js).
+ *
+ * There is no RLS here, so every read and write is scoped to the repository's user. Rows come
+ * back shaped like the Supabase ones: JSON columns parsed, booleans as booleans.
+ * better-sqlite3 is synchronous; the repository is async so it is interchangeable with Supabase.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { runMigrations } from './migrate.js';
+
+const require = createRequire(import.meta.url);
+
+const JSON_COLUMNS = new Set([
+  'words_json',
+  'summary_json',
+  'deal_sheet_json',
+  'points_json',
+  'turning_points_json',
+  'objections_json',
+  'webhook_state_json',
+  'channel_roles',
+  'collapse_conditions',
+  'settings',
+  'events',
+  'payload_json'
+]);
+const BOOLEAN_COLUMNS = new Set(['is_final', 'active']);
+
+const now = () => new Date().toISOString();
+
+/**
+ * Open (creating if needed) the database file. Throws when better-sqlite3 isn't installed.
+ */
+export function openDatabase(filePath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error(`better-sqlite3 is not installed (npm install better-sqlite3): ${e.message}`);
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  return db;
+}
+
+function toDb(value, column) {
+  if (value === undefined) return null;
+  if (JSON_COLUMNS.has(column)) return value === null ? null : JSON.stringify(value);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function fromDb(row) {
+  if (!row) return null;
+  const out = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (JSON_COLUMNS.has(column) && typeof value === 'string') {
+      try {
+        out[column] = JSON.parse(value);
+      } catch {
+        out[column] = null;
+      }
+    } else if (BOOLEAN_COLUMNS.has(column)) {
+      out[column] = Boolean(value);
+    } else {
+      out[column] = value;
+    }
+  }
+  return out;
+}
+
+// Column names come from our own code, never from a request; still, refuse anything odd.
+function columnsOf(row) {
+  const columns = Object.keys(row).filter((c) => row[c] !== undefined);
+  for (const c of columns) {
+    if (!/^[a-z_]+$/.test(c)) throw new Error(`invalid column "${c}"`);
+  }
+  return columns;
+}
+
+function insertRow(db, table, row, { upsertOn = null } = {}) {
+  const columns = columnsOf(row);
+  const values = columns.map((c) => toDb(row[c], c));
+  let sql = `insert into ${table} (${columns.join(', ')}) values (${columns.map(() => '?').join(', ')})`;
+  if (upsertOn) {
+    const updates = columns.filter((c) => c !== upsertOn && c !== 'created_at').map((c) => `${c} = excluded.${c}`);
+    sql += ` on conflict(${upsertOn}) do update set ${updates.join(', ')}`;
+  }
+  return db.prepare(sql).run(...values);
+}
+
+function updateRows(db, table, patch, where, whereValues) {
+  const columns = columnsOf(patch);
+  if (!columns.length) return;
+  db.prepare(`update ${table} set ${columns.map((c) => `${c} = ?`).join(', ')} where ${where}`)
+    .run(...columns.map((c) => toDb(patch[c], c)), ...whereValues);
+}
+
+function perSessionTable(db, table, user) {
+  return {
+    async upsert(row) {
+      insertRow(db, table, { ...row, user_id: user.id }, { upsertOn: 'session_id' });
+    },
+    async get(sessionId) {
+      return fromDb(db.prepare(`select * from ${table} where session_id = ? and user_id = ?`).get(sessionId, user.id));
+    }
+  };
+}
+
+function createRepository(db, user) {
+  return {
+    user,
+    sessions: {
+      async create(row) {
+        const id = crypto.randomUUID();
+        insertRow(db, 'call_sessions', { ...row, id, user_id: user.id, created_at: now(), updated_at: now() });
+        return id;
+      },
+      async update(id, patch) {
+        updateRows(db, 'call_sessions', patch, 'id = ? and user_id = ?', [id, user.id]);
+      },
+      async get(id) {
+        return fromDb(db.prepare('select * from call_sessions where id = ? and user_id = ?').get(id, user.id));
+      },
+      async list({ limit, after = null, prospectType, source, language, status, from, to }) {
+        const where = ['user_id = ?'];
+        const values = [user.id];
+        if (prospectType) { where.push('prospect_type = ?'); values.push(prospectType); }
+        if (source) { where.push('source = ?'); values.push(source); }
+        if (language) { where.push('language = ?'); values.push(language); }
+        if (status === 'open') where.push('ended_at is null');
+        if (status === 'ended') where.push('ended_at is not null');
+        if (from) { where.push('created_at >= ?'); values.push(from); }
+        if (to) { where.push('created_at < ?'); values.push(to); }
+        if (after) {
+          where.push('(created_at < ? or (created_at = ? and id < ?))');
+          values.push(after.createdAt, after.createdAt, after.id);
+        }
+        return db
+          .prepare(`select * from call_sessions where ${where.join(' and ')} order by created_at desc, id desc limit ?`)
+          .all(...values, limit)
+          .map(fromDb);
+      }
+    },
+    chunks: {
+      async insert(row) {
+        const result = insertRow(db, 'call_transcript_chunks', { ...row, user_id: user.id, created_at: now() });
+        return Number(result.lastInsertRowid);
+      },
+      async update(id, patch) {
+        updateRows(db, 'call_transcript_chunks', patch, 'id = ? and user_id = ?', [id, user.id]);
+      },
+      async list(sessionId, { afterId = null, limit = 1000, newestFirst = false } = {}) {
+        const after = afterId !== null ? 'and id > ?' : '';
+        return db
+          .prepare(`select * from call_transcript_chunks where session_id = ? and user_id = ? ${after} order by id ${newestFirst ? 'desc' : 'asc'} limit ?`)
+          .all(sessionId, user.id, ...(afterId !== null ? [afterId] : []), limit)
+          .map(fromDb);
+      }
+    },
+    summaries: perSessionTable(db, 'call_summaries', user),
+    dealSheets: perSessionTable(db, 'call_deal_sheets', user),
+    scoreSeries: perSessionTable(db, 'call_score_series', user),
+    recordings: perSessionTable(db, 'call_recordings', user),
+    debriefs: {
+      async insert(row) {
+        const id = crypto.randomUUID();
+        insertRow(db, 'call_debriefs', { ...row, id, user_id: user.id, created_at: now(), updated_at: now() });
+        return id;
+      },
+      async latestForSession(sessionId) {
+        return fromDb(
+          db.prepare('select * from call_debriefs where session_id = ? and user_id = ? order by created_at desc limit 1').get(sessionId, user.id)
+        );
+      }
+    },
+    settings: {
+      async get() {
+        return fromDb(
+          db.prepare('select settings, user_email, updated_by_email, updated_at from user_settings where user_id = ?').get(user.id)
+        );
+      },
+      async save(row) {
+        insertRow(db, 'user_settings', { ...row, user_id: user.id }, { upsertOn: 'user_id' });
+      }
+    },
+    webhooks: {
+      async create(row) {
+        const id = crypto.randomUUID();
+        insertRow(db, 'webhooks', { ...row, id, user_id: user.id, created_at: now(), updated_at: now() });
+        return id;
+      },
+      async update(id, patch) {
+        updateRows(db, 'webhooks', patch, 'id = ? and user_id = ?', [id, user.id]);
+      },
+      async remove(id) {
+        db.prepare('delete from webhooks where id = ? and user_id = ?').run(id, user.id);
+      },
+      async get(id) {
+        return fromDb(db.prepare('select * from webhooks where id = ? and user_id = ?').get(id, user.id));
+      },
+      async list() {
+        return db.prepare('select * from webhooks where user_id = ? order by created_at').all(user.id).map(fromDb);
+      }
+    },
+    webhookDeliveries: {
+      async insert(row) {
+        const id = crypto.randomUUID();
+        insertRow(db, 'webhook_deliveries', { ...row, id, user_id: user.id, created_at: now(), updated_at: now() });
+        return id;
+      },
+      async update(id, patch) {
+        updateRows(db, 'webhook_deliveries', patch, 'id = ? and user_id = ?', [id, user.id]);
+      },
+      async get(id) {
+        return fromDb(db.prepare('select * from webhook_deliveries where id = ? and user_id = ?').get(id, user.id));
+      },
+      async list({ limit, after = null, webhookId, status, event }) {
+        const where = ['user_id = ?'];
+        const values = [user.id];
+        if (webhookId) { where.push('webhook_id = ?'); values.push(webhookId); }
+        if (status) { where.push('status = ?'); values.push(status); }
+        if (event) { where.push('event = ?'); values.push(event); }
+        if (after) {
+          where.push('(created_at < ? or (created_at = ? and id < ?))');
+          values.push(after.createdAt, after.createdAt, after.id);
+        }
+        return db
+          .prepare(`select * from webhook_deliveries where ${where.join(' and ')} order by created_at desc, id desc limit ?`)
+          .all(...values, limit)
+          .map(fromDb);
+      }
+    }
+  };
+}
+
+/**
+ * @param {{filePath: string, resolveUser: (token: string|null) => Promise<{id: string, email: string|null}|null>, migrate?: boolean}} options
+ */
+export function createSqliteStore({ filePath, resolveUser, migrate = true }) {
+  const db = openDatabase(filePath);
+  if (migrate) {
+    runMigrations(db, { log: (msg) => console.log(`[Storage] ${msg}`) });
+  }
+  return {
+    name: `sqlite (${filePath})`,
+    db,
+    resolveUser,
+    forUser(user) {
+      return user?.id ? createRepository(db, user) : null;
+    }
+  };
+}
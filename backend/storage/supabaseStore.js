@@ -0,0 +1,214 @@
+/**
+ * Supabase store - the hosted tables from frontend/supabase/migrations, read and written with
+ * the user's own access token so RLS decides what they can see (a manager can read their
+ * closers' rows; nobody writes someone else's).
+ */
+
+import { createUserSupabaseClient } from '../supabase.js';
+
+function check(error) {
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+/**
+ * Signed-in user behind a Supabase access token, or null when it doesn't resolve.
+ */
+export async function resolveSupabaseUser(token) {
+  const supabase = token ? createUserSupabaseClient(token) : null;
+  if (!supabase) return null;
+  const { data, error } = await supabase.auth.getUser();
+  if (error || !data?.user?.id) return null;
+  return { id: data.user.id, email: data.user.email || null };
+}
+
+// Tables with one row per session (upserted on session_id)
+function perSessionTable(supabase, table) {
+  return {
+    async upsert(row) {
+      const { error } = await supabase.from(table).upsert(row, { onConflict: 'session_id' });
+      check(error);
+    },
+    async get(sessionId) {
+      const { data, error } = await supabase.from(table).select('*').eq('session_id', sessionId).maybeSingle();
+      check(error);
+      return data || null;
+    }
+  };
+}
+
+function createRepository(supabase, user) {
+  return {
+    user,
+    sessions: {
+      async create(row) {
+        const { data, error } = await supabase.from('call_sessions').insert(row).select('id').single();
+        check(error);
+        return data?.id || null;
+      },
+      async update(id, patch) {
+        const { error } = await supabase.from('call_sessions').update(patch).eq('id', id).eq('user_id', user.id);
+        check(error);
+      },
+      async get(id) {
+        const { data, error } = await supabase.from('call_sessions').select('*').eq('id', id).maybeSingle();
+        check(error);
+        return data || null;
+      },
+      async list({ limit, after = null, prospectType, source, language, status, from, to }) {
+        let query = supabase
+          .from('call_sessions')
+          .select('*')
+          .order('created_at', { ascending: false })
+          .order('id', { ascending: false })
+          .limit(limit);
+        if (prospectType) query = query.eq('prospect_type', prospectType);
+        if (source) query = query.eq('source', source);
+        if (language) query = query.eq('language', language);
+        if (status === 'open') query = query.is('ended_at', null);
+        if (status === 'ended') query = query.not('ended_at', 'is', null);
+        if (from) query = query.gte('created_at', from);
+        if (to) query = query.lt('created_at', to);
+        if (after) {
+          query = query.or(`created_at.lt."${after.createdAt}",and(created_at.eq."${after.createdAt}",id.lt.${after.id})`);
+        }
+        const { data, error } = await query;
+        check(error);
+        return Array.isArray(data) ? data : [];
+      }
+    },
+    chunks: {
+      async insert(row) {
+        const { data, error } = await supabase.from('call_transcript_chunks').insert(row).select('id').single();
+        check(error);
+        return data?.id ?? null;
+      },
+      async update(id, patch) {
+        const { error } = await supabase.from('call_transcript_chunks').update(patch).eq('id', id).eq('user_id', user.id);
+        check(error);
+      },
+      async list(sessionId, { afterId = null, limit = 1000, newestFirst = false } = {}) {
+        let query = supabase
+          .from('call_transcript_chunks')
+          .select('*')
+          .eq('session_id', sessionId)
+          .order('id', { ascending: !newestFirst })
+          .limit(limit);
+        if (afterId !== null) query = query.gt('id', afterId);
+        const { data, error } = await query;
+        check(error);
+        return Array.isArray(data) ? data : [];
+      }
+    },
+    summaries: perSessionTable(supabase, 'call_summaries'),
+    dealSheets: perSessionTable(supabase, 'call_deal_sheets'),
+    scoreSeries: perSessionTable(supabase, 'call_score_series'),
+    recordings: perSessionTable(supabase, 'call_recordings'),
+    debriefs: {
+      async insert(row) {
+        // Hosted debriefs have no user_id column; RLS lets any signed-in user write them
+        const { user_id: _userId, ...rest } = row;
+        const { data, error } = await supabase.from('call_debriefs').insert(rest).select('id').single();
+        check(error);
+        return data?.id || null;
+      },
+      async latestForSession(sessionId) {
+        const { data, error } = await supabase
+          .from('call_debriefs')
+          .select('*')
+          .eq('session_id', sessionId)
+          .order('created_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+        check(error);
+        return data || null;
+      }
+    },
+    settings: {
+      async get() {
+        const { data, error } = await supabase
+          .from('user_settings')
+          .select('settings, user_email, updated_by_email, updated_at')
+          .eq('user_id', user.id)
+          .maybeSingle();
+        check(error);
+        return data || null;
+      },
+      async save(row) {
+        const { error } = await supabase.from('user_settings').upsert({ ...row, user_id: user.id });
+        check(error);
+      }
+    },
+    webhooks: {
+      async create(row) {
+        const { data, error } = await supabase.from('webhooks').insert({ ...row, user_id: user.id }).select('id').single();
+        check(error);
+        return data?.id || null;
+      },
+      async update(id, patch) {
+        const { error } = await supabase.from('webhooks').update(patch).eq('id', id).eq('user_id', user.id);
+        check(error);
+      },
+      async remove(id) {
+        const { error } = await supabase.from('webhooks').delete().eq('id', id).eq('user_id', user.id);
+        check(error);
+      },
+      async get(id) {
+        const { data, error } = await supabase.from('webhooks').select('*').eq('id', id).eq('user_id', user.id).maybeSingle();
+        check(error);
+        return data || null;
+      },
+      async list() {
+        const { data, error } = await supabase.from('webhooks').select('*').eq('user_id', user.id).order('created_at');
+        check(error);
+        return Array.isArray(data) ? data : [];
+      }
+    },
+    webhookDeliveries: {
+      async insert(row) {
+        const { data, error } = await supabase.from('webhook_deliveries').insert({ ...row, user_id: user.id }).select('id').single();
+        check(error);
+        return data?.id || null;
+      },
+      async update(id, patch) {
+        const { error } = await supabase.from('webhook_deliveries').update(patch).eq('id', id).eq('user_id', user.id);
+        check(error);
+      },
+      async get(id) {
+        const { data, error } = await supabase.from('webhook_deliveries').select('*').eq('id', id).eq('user_id', user.id).maybeSingle();
+        check(error);
+        return data || null;
+      },
+      async list({ limit, after = null, webhookId, status, event }) {
+        let query = supabase
+          .from('webhook_deliveries')
+          .select('*')
+          .eq('user_id', user.id)
+          .order('created_at', { ascending: false })
+          .order('id', { ascending: false })
+          .limit(limit);
+        if (webhookId) query = query.eq('webhook_id', webhookId);
+        if (status) query = query.eq('status', status);
+        if (event) query = query.eq('event', event);
+        if (after) {
+          query = query.or(`created_at.lt."${after.createdAt}",and(created_at.eq."${after.createdAt}",id.lt.${after.id})`);
+        }
+        const { data, error } = await query;
+        check(error);
+        return Array.isArray(data) ? data : [];
+      }
+    }
+  };
+}
+
+export function createSupabaseStore() {
+  return {
+    name: 'supabase',
+    resolveUser: resolveSupabaseUser,
+    forUser(user, token) {
+      const supabase = user?.id ? createUserSupabaseClient(token) : null;
+      return supabase ? createRepository(supabase, user) : null;
+    }
+  };
+}
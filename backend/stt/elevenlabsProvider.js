@@ -0,0 +1,280 @@
+/**
+ * ElevenLabs Scribe v2 Realtime STT provider.
+ * - Requires PCM 16-bit little-endian at 16kHz (we stream this from the frontend)
+ * - Docs: https://elevenlabs.io/docs/api-reference/speech-to-text/v-1-speech-to-text-realtime
+ */
+
+import { WebSocket as WS } from 'ws';
+
+const DEFAULT_URL = 'wss://api.elevenlabs.io/v1/speech-to-text/realtime';
+
+/**
+ * @param {object} cfg
+ * @param {string} [cfg.url] - Realtime endpoint (without query string)
+ * @param {string} [cfg.apiKey]
+ * @param {string} [cfg.apiKeyEnv] - Env var to read the key from (default ELEVENLABS_API_KEY)
+ * @param {string} [cfg.modelId] - Default ELEVENLABS_MODEL_ID or scribe_v2_realtime
+ * @param {string} [cfg.language] - language_code when the session doesn't pick one (default en)
+ * @param {number} [cfg.vadSilenceThresholdSecs] - Pause that ends a committed transcript (default 0.3)
+ * @param {number} [cfg.vadThreshold] - Speech detection threshold (default 0.25)
+ * @param {boolean} [cfg.includeTimestamps] - Ask for word timings on commits (default true)
+ */
+export function createElevenLabsProvider(name, cfg = {}) {
+  const modelId = String(cfg.modelId || process.env.ELEVENLABS_MODEL_ID || 'scribe_v2_realtime');
+  // Use VAD commit strategy - Scribe commits on natural pauses in speech.
+  // This produces much better transcription quality than manual commits which fragment words.
+  // NOTE: Too-low VAD thresholds can treat noise as speech → hallucinated transcripts.
+  // Balance: too-low threshold can hallucinate; too-high can miss speech (no transcripts).
+  // Controlled-test evidence: our audio often has <0.5s pauses (e.g. 0.4s max quiet in a 5s window),
+  // so 0.5s can prevent commits entirely. Hence 0.3s by default.
+  // Session language: 'auto' leaves language_code off so Scribe detects it
+  const urlFor = (language) => {
+    const lang = String(language || cfg.language || 'en');
+    const params = new URLSearchParams({
+      model_id: modelId,
+      ...(lang === 'auto' ? {} : { language_code: lang }),
+      audio_format: 'pcm_16000',
+      commit_strategy: 'vad',
+      vad_silence_threshold_secs: String(cfg.vadSilenceThresholdSecs ?? 0.3),
+      vad_threshold: String(cfg.vadThreshold ?? 0.25),
+      include_timestamps: String(cfg.includeTimestamps !== false)
+    });
+    return `${cfg.url || DEFAULT_URL}?${params}`;
+  };
+  const apiKey = () => String(cfg.apiKey || process.env[cfg.apiKeyEnv || 'ELEVENLABS_API_KEY'] || '');
+
+  return {
+    name,
+    type: 'elevenlabs',
+    createSession: ({ language, onTranscript, onError } = {}) =>
+      new ElevenLabsScribeSession({
+        url: urlFor(language),
+        modelId,
+        apiKey: apiKey(),
+        includeTimestamps: cfg.includeTimestamps !== false,
+        onTranscript,
+        onError
+      })
+  };
+}
+
+// With timestamps on, Scribe sends committed_transcript and then committed_transcript_with_timestamps
+// for the same text. Hold the plain one this long for its word timings.
+const TIMESTAMPS_WAIT_MS = 300;
+
+/**
+ * Scribe words ({ text, start, end, type } in seconds of session audio) as
+ * [{ text, startMs, endMs }], spacing entries dropped.
+ */
+function wordsFromScribe(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((w) => (w?.type ?? 'word') === 'word' && String(w?.text || '').trim() && Number.isFinite(Number(w?.start)))
+    .map((w) => ({
+      text: String(w.text).trim(),
+      startMs: Math.round(Number(w.start) * 1000),
+      endMs: Math.round(Number(w.end ?? w.start) * 1000)
+    }));
+}
+
+class ElevenLabsScribeSession {
+  constructor({ url, modelId, apiKey, includeTimestamps, onError, onTranscript }) {
+    this.url = url;
+    this.modelId = modelId;
+    this.apiKey = apiKey;
+    this.includeTimestamps = includeTimestamps;
+    this.onError = onError;
+    this.onTranscript = onTranscript; // Callback for partial + committed transcripts (VAD-based)
+    this.ws = null;
+    this.connected = false;
+    this.closed = false; // true = user explicitly closed, don't reconnect
+    this.lastCommitted = '';
+    this.lastPartial = '';
+    this.pendingCommit = null; // { text, timer } waiting for its _with_timestamps twin
+  }
+
+  async connect() {
+    if (this.connected) return;
+    if (this.closed) throw new Error('Scribe session closed');
+    if (!this.apiKey) throw new Error('ELEVENLABS_API_KEY missing');
+
+    this.ws = new WS(this.url, {
+      headers: { 'xi-api-key': this.apiKey }
+    });
+
+    await new Promise((resolve, reject) => {
+      const t = setTimeout(() => reject(new Error('ElevenLabs connect timeout')), 15000);
+      this.ws.on('open', () => {
+        clearTimeout(t);
+        this.connected = true;
+        // Runtime evidence in Railway logs (no secrets)
+        console.log('[S1] ElevenLabs Scribe WS open', { model: this.modelId });
+        resolve();
+      });
+      this.ws.on('error', (err) => {
+        clearTimeout(t);
+        reject(err);
+      });
+    });
+
+    this.ws.on('message', (raw) => this.#onMessage(raw));
+    this.ws.on('close', (code, reason) => {
+      // IMPORTANT: do not permanently "close" on transient disconnects.
+      this.connected = false;
+      const reasonStr = Buffer.isBuffer(reason) ? reason.toString('utf8') : String(reason || '');
+      console.log('[S3] ElevenLabs Scribe WS closed', { code, reason: reasonStr.slice(0, 200) });
+      this.ws = null;
+    });
+    this.ws.on('error', (err) => {
+      this.connected = false;
+      this.ws = null;
+      console.log('[S3] ElevenLabs Scribe WS error', { msg: err?.message || String(err) });
+      if (this.onError) this.onError(err);
+    });
+  }
+
+  close() {
+    this.#flushPendingCommit();
+    this.closed = true;
+    this.connected = false;
+    try {
+      this.ws?.close();
+    } catch {}
+  }
+
+  #onMessage(raw) {
+    let msg;
+    try {
+      msg = JSON.parse(String(raw));
+    } catch {
+      return;
+    }
+
+    const t = String(msg?.message_type || '');
+    // Log ALL messages from ElevenLabs for debugging
+    console.log('[SCRIBE-MSG]', {
+      type: t,
+      hasText: !!msg?.text,
+      textLen: msg?.text?.length || 0,
+      textPreview: msg?.text?.slice?.(0, 50) || '(none)',
+      keys: Object.keys(msg || {}).slice(0, 8).join(',')
+    });
+
+    if (t === 'partial_transcript') {
+      const text = String(msg?.text || '').trim();
+      if (text) {
+        this.lastPartial = text;
+        // With VAD, send partial transcripts to callback for real-time UI updates
+        if (this.onTranscript) {
+          this.onTranscript(text, false); // false = not committed
+        }
+      }
+      return;
+    }
+
+    if (
+      t === 'committed_transcript' ||
+      t === 'committed_transcript_with_timestamps' ||
+      t === 'final_transcript' ||
+      t === 'final_transcript_with_timestamps'
+    ) {
+      const text = String(msg?.text || '').trim();
+      if (!text) return;
+      const timed = t.endsWith('_with_timestamps');
+
+      // The timestamped twin of the commit we are holding: send it once, with its words
+      if (timed && this.pendingCommit?.text === text) {
+        clearTimeout(this.pendingCommit.timer);
+        this.pendingCommit = null;
+        this.#emitCommitted(text, wordsFromScribe(msg?.words));
+        return;
+      }
+
+      // Dedup common repeats
+      if (text === this.lastCommitted) return;
+      this.lastCommitted = text;
+      this.lastPartial = '';
+
+      console.log('[S2] ElevenLabs committed transcript', { len: text.length, preview: text.slice(0, 80), timed });
+
+      if (timed || !this.includeTimestamps) {
+        this.#emitCommitted(text, wordsFromScribe(msg?.words));
+        return;
+      }
+      this.#flushPendingCommit();
+      this.pendingCommit = {
+        text,
+        timer: setTimeout(() => this.#flushPendingCommit(), TIMESTAMPS_WAIT_MS)
+      };
+      return;
+    }
+
+    // Surface auth/quota/etc errors (do not log secrets)
+    const tl = t.toLowerCase();
+    // message_type can be "scribe_auth_error", "scribeQuotaExceededError", etc.
+    if (tl.includes('error')) {
+      const errMsg = String(msg?.message || msg?.error || t);
+      console.log('[S3] ElevenLabs Scribe error msg', { msgType: t, errMsg: String(errMsg).slice(0, 140) });
+      if (this.onError) this.onError(new Error(errMsg));
+    }
+  }
+
+  #emitCommitted(text, words) {
+    // With VAD, send committed transcripts to callback
+    if (this.onTranscript) {
+      this.onTranscript(text, true, words.length ? { words } : {}); // true = committed
+    }
+  }
+
+  // Timings never came (or another commit overtook them): send the held commit without words.
+  #flushPendingCommit() {
+    if (!this.pendingCommit) return;
+    const { text, timer } = this.pendingCommit;
+    clearTimeout(timer);
+    this.pendingCommit = null;
+    this.#emitCommitted(text, []);
+  }
+
+  #sendJson(payload) {
+    if (!this.ws || this.ws.readyState !== WS.OPEN) {
+      console.log('[S-NOT-OPEN] WS not open', { wsState: this.ws?.readyState, closed: this.closed });
+      return false;
+    }
+    try {
+      this.ws.send(JSON.stringify(payload));
+      return true;
+    } catch (e) {
+      console.log('[S-SEND-FAIL] WS send failed', { err: e?.message || String(e) });
+      return false;
+    }
+  }
+
+  /**
+   * @returns {Promise<string>} latest partial transcript (committed text arrives via onTranscript)
+   */
+  async send(pcmBuffer) {
+    // reset partial before sending
+    this.lastPartial = '';
+
+    // IMPORTANT: do NOT send previous_text. It can bias the model and cause unrelated phrases
+    // to appear when noise/VAD triggers. We want pure audio-only transcription.
+    // Don't include commit:true - using VAD-based commits for better quality.
+    const sent = this.#sendJson({
+      message_type: 'input_audio_chunk',
+      audio_base_64: Buffer.from(pcmBuffer).toString('base64'),
+      sample_rate: 16000
+    });
+    if (!sent) return '';
+
+    // With VAD, don't wait for commits per-chunk - just return partial transcripts for real-time feel.
+    // Committed transcripts come asynchronously when Scribe detects pauses.
+    // Give a short wait for partial to arrive, then return whatever we have.
+    await new Promise(r => setTimeout(r, 150));
+    return this.lastPartial || '';
+  }
+
+  // Force a commit of whatever Scribe has heard since the last VAD commit.
+  async commit() {
+    this.#sendJson({ message_type: 'input_audio_chunk', audio_base_64: '', sample_rate: 16000, commit: true });
+  }
+}
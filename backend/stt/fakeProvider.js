@@ -0,0 +1,85 @@
+/**
+ * Fake (offline) STT provider - replays a transcript file instead of listening.
+ *
+ * Uses the replay transcript format (replay/sources.js):
+ *   [00:05] CLOSER: Thanks for hopping on.
+ *   [00:09] PROSPECT: Sure, we got the notice last week.
+ * Time is audio time, not wall time: a line is committed once the session has been sent
+ * offsetMs worth of PCM16@16k (any bytes will do - silence is fine), so tests are deterministic
+ * however fast the audio is pushed. A `closer` / `prospect` session only replays that speaker's
+ * lines; a mono session replays every line. commit() releases the next pending line early.
+ * Each line comes with word timings, spaced FAKE_WORD_MS apart from the line's offset.
+ */
+
+import { loadTranscriptFile, parseTimestampedTranscript } from '../replay/sources.js';
+
+const BYTES_PER_MS = (16000 * 2) / 1000;
+const FAKE_WORD_MS = 300;
+
+function fakeWords(text, offsetMs) {
+  return String(text)
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word, i) => ({ text: word, startMs: offsetMs + i * FAKE_WORD_MS, endMs: offsetMs + (i + 1) * FAKE_WORD_MS - 50 }));
+}
+
+/**
+ * @param {object} cfg
+ * @param {string} [cfg.transcriptPath] - Default STT_FAKE_TRANSCRIPT_PATH
+ * @param {string} [cfg.transcript] - Inline transcript text (wins over the file)
+ */
+export function createFakeSttProvider(name, cfg = {}) {
+  const transcriptPath = String(cfg.transcriptPath || process.env.STT_FAKE_TRANSCRIPT_PATH || '');
+
+  function loadLines() {
+    if (typeof cfg.transcript === 'string') return parseTimestampedTranscript(cfg.transcript);
+    if (!transcriptPath) throw new Error(`STT provider "${name}": transcriptPath missing`);
+    return loadTranscriptFile(transcriptPath);
+  }
+
+  return {
+    name,
+    type: 'fake',
+    createSession: ({ channel = 'mono', onTranscript } = {}) => {
+      let lines = null;
+      let next = 0;
+      let audioMs = 0;
+
+      const release = (count) => {
+        while (next < lines.length && (count > 0 || lines[next].offsetMs <= audioMs)) {
+          const line = lines[next++];
+          count--;
+          onTranscript?.(line.text, true, { words: fakeWords(line.text, line.offsetMs) });
+        }
+      };
+
+      return {
+        connected: false,
+        closed: false,
+        async connect() {
+          if (this.closed) throw new Error('STT session closed');
+          // Read per session so edits show up on the next call without a restart.
+          if (!lines) {
+            const all = loadLines();
+            lines = channel === 'mono' ? all : all.filter((l) => l.speaker === channel);
+          }
+          this.connected = true;
+          console.log('[STT] Fake STT ready', { provider: name, channel, lines: lines.length });
+        },
+        async send(pcmBuffer) {
+          if (!lines) return '';
+          audioMs += Buffer.byteLength(pcmBuffer) / BYTES_PER_MS;
+          release(0);
+          return '';
+        },
+        async commit() {
+          if (lines) release(1);
+        },
+        close() {
+          this.closed = true;
+          this.connected = false;
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * Speech-to-text provider registry - decides which STT backend transcribes a call.
+ *
+ * Simple setups only need env vars:
+ *   STT_PROVIDER=elevenlabs|websocket|fake   (default elevenlabs)
+ *   STT_WS_URL=ws://localhost:9000/stream    (for "websocket")
+ *   STT_FAKE_TRANSCRIPT_PATH=./fixtures/call.txt   (for "fake")
+ *
+ * Named providers come from STT_CONFIG (inline JSON) or STT_CONFIG_PATH (JSON file):
+ *   {
+ *     "default": "elevenlabs",
+ *     "providers": {
+ *       "scribe-fast": { "type": "elevenlabs", "vadSilenceThresholdSecs": 0.2 },
+ *       "whisper": { "type": "websocket", "url": "ws://localhost:9000/stream" },
+ *       "demo-call": { "type": "fake", "transcriptPath": "./fixtures/call.txt" }
+ *     }
+ *   }
+ * "elevenlabs", "websocket" and "fake" are always registered; config entries with the same name
+ * override them. A call picks one with start_listening `config.sttProvider` (a name, never a URL).
+ *
+ * Provider: { name, type, createSession({ channel, language, onTranscript(text, isCommitted, { words }), onError }) }
+ *   language: call language ('en', 'es', 'auto' = provider detects); empty = the provider's own default
+ *   words (committed only, optional): [{ text, startMs, endMs }] in ms of audio sent to the session
+ * Session:  connect(), send(pcm16Buffer) → Promise<partial text>, commit(), close(), connected, closed
+ */
+
+import fs from 'fs';
+import { createElevenLabsProvider } from './elevenlabsProvider.js';
+import { createWebSocketSttProvider } from './websocketProvider.js';
+import { createFakeSttProvider } from './fakeProvider.js';
+
+const FACTORIES = {
+  elevenlabs: createElevenLabsProvider,
+  websocket: createWebSocketSttProvider,
+  fake: createFakeSttProvider
+};
+
+function readConfig() {
+  const inline = String(process.env.STT_CONFIG || '').trim();
+  const file = String(process.env.STT_CONFIG_PATH || '').trim();
+  try {
+    if (inline) return JSON.parse(inline);
+    if (file) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.error(`[STT] Invalid ${inline ? 'STT_CONFIG' : `STT_CONFIG_PATH (${file})`}:`, e?.message || e);
+  }
+  return {};
+}
+
+function buildRegistry(config) {
+  const providers = new Map();
+  const defs = {
+    elevenlabs: { type: 'elevenlabs' },
+    websocket: { type: 'websocket' },
+    fake: { type: 'fake' },
+    ...(config.providers || {})
+  };
+
+  for (const [name, def] of Object.entries(defs)) {
+    const type = String(def?.type || name);
+    const factory = FACTORIES[type];
+    if (!factory) {
+      console.error(`[STT] Unknown provider type "${type}" for "${name}" (expected: ${Object.keys(FACTORIES).join(', ')})`);
+      continue;
+    }
+    providers.set(name, factory(name, def || {}));
+  }
+  return providers;
+}
+
+let state = null;
+function getState() {
+  if (state) return state;
+  const config = readConfig();
+  const providers = buildRegistry(config);
+  let defaultName = String(config.default || process.env.STT_PROVIDER || 'elevenlabs');
+  if (!providers.has(defaultName)) {
+    console.error(`[STT] Default provider "${defaultName}" is not configured; falling back to elevenlabs`);
+    defaultName = 'elevenlabs';
+  }
+  state = { providers, defaultName };
+  return state;
+}
+
+/**
+ * Provider for one call. Unknown or empty names fall back to the default.
+ */
+export function resolveSttProvider(name) {
+  const { providers, defaultName } = getState();
+  const requested = String(name || '').trim();
+  if (requested && !providers.has(requested)) {
+    console.warn(`[STT] Provider "${requested}" not configured; using ${defaultName}`);
+  }
+  return providers.get(requested && providers.has(requested) ? requested : defaultName);
+}
+
+/**
+ * One-line summary for the boot log, e.g. "elevenlabs (3 providers)".
+ */
+export function describeSttConfig() {
+  const { providers, defaultName } = getState();
+  return `${defaultName} (${providers.size} providers)`;
+}
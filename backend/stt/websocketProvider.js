@@ -0,0 +1,162 @@
+/**
+ * Generic WebSocket STT provider - for self-hosted servers (whisper.cpp / faster-whisper / Vosk
+ * wrappers) or any vendor behind a small adapter that speaks this protocol:
+ *
+ *   client → server  {"type":"start","sampleRate":16000,"encoding":"pcm_s16le","channel":"closer","language":"en"}
+ *                    language is left out when the call is set to auto-detect
+ *                    <binary frames: PCM16 little-endian @ 16kHz mono>
+ *                    {"type":"commit"}      finalize what has been heard so far
+ *                    {"type":"stop"}        before the client closes the socket
+ *   server → client  {"type":"partial","text":"..."}
+ *                    {"type":"final","text":"...","words":[{"text":"...","start":1.2,"end":1.5}]}
+ *                                           words are optional; start/end in seconds of this session's audio
+ *                    {"type":"error","message":"..."}
+ */
+
+import { WebSocket as WS } from 'ws';
+
+/**
+ * @param {object} cfg
+ * @param {string} cfg.url - ws:// or wss:// endpoint (default STT_WS_URL)
+ * @param {Record<string, string>} [cfg.headers]
+ * @param {string} [cfg.apiKeyEnv] - Env var whose value is sent as "Authorization: Bearer <key>"
+ * @param {string} [cfg.language] - Start message language when the session doesn't pick one
+ * @param {number} [cfg.connectTimeoutMs] - Default 10000
+ */
+export function createWebSocketSttProvider(name, cfg = {}) {
+  const url = String(cfg.url || process.env.STT_WS_URL || '');
+  const connectTimeoutMs = Number(cfg.connectTimeoutMs || 10000);
+
+  return {
+    name,
+    type: 'websocket',
+    createSession: ({ channel = 'mono', language, onTranscript, onError } = {}) => {
+      const lang = String(language || cfg.language || '');
+      const key = cfg.apiKeyEnv ? String(process.env[cfg.apiKeyEnv] || '') : '';
+      const headers = { ...(cfg.headers || {}), ...(key ? { Authorization: `Bearer ${key}` } : {}) };
+      return new WebSocketSttSession({
+        name,
+        url,
+        headers,
+        connectTimeoutMs,
+        start: { type: 'start', sampleRate: 16000, encoding: 'pcm_s16le', channel, ...(lang && lang !== 'auto' ? { language: lang } : {}) },
+        onTranscript,
+        onError
+      });
+    }
+  };
+}
+
+class WebSocketSttSession {
+  constructor({ name, url, headers, connectTimeoutMs, start, onTranscript, onError }) {
+    this.name = name;
+    this.url = url;
+    this.headers = headers;
+    this.connectTimeoutMs = connectTimeoutMs;
+    this.start = start;
+    this.onTranscript = onTranscript;
+    this.onError = onError;
+    this.ws = null;
+    this.connected = false;
+    this.closed = false;
+    this.lastPartial = '';
+  }
+
+  async connect() {
+    if (this.connected) return;
+    if (this.closed) throw new Error('STT session closed');
+    if (!this.url) throw new Error(`STT provider "${this.name}": url missing`);
+
+    this.ws = new WS(this.url, { headers: this.headers });
+    await new Promise((resolve, reject) => {
+      const t = setTimeout(() => reject(new Error(`STT provider "${this.name}": connect timeout`)), this.connectTimeoutMs);
+      this.ws.on('open', () => {
+        clearTimeout(t);
+        this.connected = true;
+        console.log('[STT] WebSocket STT open', { provider: this.name, channel: this.start.channel });
+        resolve();
+      });
+      this.ws.on('error', (err) => {
+        clearTimeout(t);
+        reject(err);
+      });
+    });
+
+    this.ws.send(JSON.stringify(this.start));
+    this.ws.on('message', (raw, isBinary) => {
+      if (!isBinary) this.#onMessage(raw);
+    });
+    this.ws.on('close', (code) => {
+      // Transient drop: the listener reconnects on the next audio chunk unless close() was called.
+      this.connected = false;
+      this.ws = null;
+      console.log('[STT] WebSocket STT closed', { provider: this.name, code });
+    });
+    this.ws.on('error', (err) => {
+      this.connected = false;
+      this.ws = null;
+      console.log('[STT] WebSocket STT error', { provider: this.name, msg: err?.message || String(err) });
+      if (this.onError) this.onError(err);
+    });
+  }
+
+  #onMessage(raw) {
+    let msg;
+    try {
+      msg = JSON.parse(String(raw));
+    } catch {
+      return;
+    }
+    const type = String(msg?.type || '');
+    const text = String(msg?.text || '').trim();
+    if (type === 'partial') {
+      if (!text) return;
+      this.lastPartial = text;
+      this.onTranscript?.(text, false);
+    } else if (type === 'final') {
+      this.lastPartial = '';
+      if (!text) return;
+      const words = (Array.isArray(msg?.words) ? msg.words : [])
+        .filter((w) => String(w?.text || '').trim() && Number.isFinite(Number(w?.start)))
+        .map((w) => ({
+          text: String(w.text).trim(),
+          startMs: Math.round(Number(w.start) * 1000),
+          endMs: Math.round(Number(w.end ?? w.start) * 1000)
+        }));
+      this.onTranscript?.(text, true, words.length ? { words } : {});
+    } else if (type === 'error') {
+      const errMsg = String(msg?.message || 'STT server error');
+      console.log('[STT] WebSocket STT error msg', { provider: this.name, errMsg: errMsg.slice(0, 140) });
+      this.onError?.(new Error(errMsg));
+    }
+  }
+
+  #send(data) {
+    if (!this.ws || this.ws.readyState !== WS.OPEN) return false;
+    try {
+      this.ws.send(data);
+      return true;
+    } catch (e) {
+      console.log('[STT] WebSocket STT send failed', { provider: this.name, err: e?.message || String(e) });
+      return false;
+    }
+  }
+
+  async send(pcmBuffer) {
+    this.#send(Buffer.from(pcmBuffer));
+    return this.lastPartial;
+  }
+
+  async commit() {
+    this.#send(JSON.stringify({ type: 'commit' }));
+  }
+
+  close() {
+    this.closed = true;
+    this.connected = false;
+    this.#send(JSON.stringify({ type: 'stop' }));
+    try {
+      this.ws?.close();
+    } catch {}
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Indicator evidence on a live-style call: chunks go through handleIncomingTextChunk and
+ * scheduleAnalysis (via startReplay), so the pillar agents score the unlabeled plainTranscript
+ * and speakers come from the scripted SpeakerRoleAgent (a "?" makes a line the closer's).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-test-'));
+const fixturesPath = path.join(tmpDir, 'fixtures.json');
+fs.writeFileSync(fixturesPath, JSON.stringify({
+  responses: {
+    'P1-PainDesire': {
+      1: 8, 2: 7, 3: 6, 4: 6,
+      evidence: {
+        1: { quote: 'the bank sent us a notice', offset: 0 },
+        2: { quote: 'how soon do you need to sell', offset: 0 },
+        3: { quote: 'a notice last month and honestly', offset: 0 },
+        4: { quote: 'we cannot keep up with payments', offset: 0 }
+      }
+    }
+  }
+}));
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.LLM_FIXTURES_PATH = fixturesPath;
+process.env.PORT = '0';
+const { startReplay } = await import('../index.js');
+
+test('prospect quotes in the unlabeled live transcript become indicator evidence', async () => {
+  const framesPath = path.join(tmpDir, 'frames.jsonl');
+  const job = startReplay({
+    chunks: [
+      { offsetMs: 0, text: 'Thanks for taking the call, how soon do you need to sell?' },
+      { offsetMs: 1000, text: 'The bank sent us a notice last month' },
+      { offsetMs: 2000, text: 'and honestly we cannot keep up with payments.' }
+    ],
+    speed: 'max',
+    prospectType: 'foreclosure',
+    source: 'test',
+    framesPath
+  });
+  const result = await job.done;
+  assert.equal(result.status, 'completed');
+
+  const frames = fs.readFileSync(framesPath, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+  const last = frames.filter((f) => f.type === 'analysis_update' && f.data?.indicatorEvidence).pop();
+  assert.ok(last, 'no analysis_update carried indicatorEvidence');
+  const evidence = last.data.indicatorEvidence;
+
+  assert.equal(evidence[1]?.quote, 'The bank sent us a notice');
+  assert.equal(evidence[1]?.score, last.data.indicatorSignals[1]);
+  // Spans two prospect chunks
+  assert.equal(evidence[3]?.quote, 'a notice last month and honestly');
+  assert.equal(evidence[4]?.quote, 'we cannot keep up with payments');
+  // The closer's question is in the transcript but isn't the prospect's words
+  assert.equal(evidence[2], undefined);
+});
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
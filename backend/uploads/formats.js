@@ -0,0 +1,262 @@
+/**
+ * Uploaded call formats - turn an uploaded transcript or recording into something the live
+ * pipeline can take.
+ *
+ * Transcripts become replay chunks ([{ offsetMs, text, speaker, clientTsMs }], see
+ * replay/sources.js): timestamped text, PDF text (extracted in the browser), WebVTT, SRT and
+ * JSON with speakers. Recordings (WAV or raw PCM16) become 16kHz PCM16 channels for STT.
+ *
+ * Speaker labels are mapped to roles: "closer" / "prospect" as-is, anything else through the
+ * upload's `speakers` map ({ "Dana": "closer", "Speaker 2": "prospect" }); unmapped labels stay
+ * "unknown" and the speaker-role agent labels them like mono audio.
+ */
+
+import { parseTimestampedTranscript } from '../replay/sources.js';
+
+const UPLOAD_CHUNK_CHARS = Number(process.env.UPLOAD_CHUNK_CHARS || 400);
+// Spacing given to the pieces of a split chunk (and to untimed JSON entries).
+const SPLIT_GAP_MS = 2000;
+// WAV headers accepted by parseWav
+const WAV_MIN_SAMPLE_RATE = 8000;
+const WAV_MAX_SAMPLE_RATE = 192000;
+const WAV_MAX_CHANNELS = 8;
+
+export const TRANSCRIPT_FORMATS = ['text', 'vtt', 'srt', 'json'];
+
+function normalizeSpeakers(speakers) {
+  const out = {};
+  for (const [label, role] of Object.entries(speakers && typeof speakers === 'object' ? speakers : {})) {
+    const r = String(role || '').toLowerCase();
+    if (r === 'closer' || r === 'prospect') out[String(label).trim().toLowerCase()] = r;
+  }
+  return out;
+}
+
+function roleFor(label, speakers) {
+  const l = String(label || '').trim().toLowerCase();
+  if (!l) return 'unknown';
+  if (speakers[l]) return speakers[l];
+  if (l === 'closer' || l === 'prospect') return l;
+  return 'unknown';
+}
+
+/**
+ * Pick the transcript format from an explicit value, the file name, then the content.
+ */
+export function detectTranscriptFormat(text, { format = '', filename = '' } = {}) {
+  const f = String(format || '').toLowerCase();
+  if (TRANSCRIPT_FORMATS.includes(f)) return f;
+  const ext = String(filename || '').toLowerCase().split('.').pop();
+  if (ext === 'vtt' || ext === 'srt' || ext === 'json') return ext;
+  const head = String(text || '').trimStart();
+  if (head.startsWith('WEBVTT')) return 'vtt';
+  if (head.startsWith('{') || head.startsWith('[')) return 'json';
+  if (/^\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(head)) return 'srt';
+  return 'text';
+}
+
+// 01:02:03.450 / 02:03.450 / 01:02:03,450 -> ms
+function cueTimeToMs(s) {
+  const parts = String(s).trim().replace(',', '.').split(':').map(Number);
+  if (parts.some((p) => !Number.isFinite(p))) return null;
+  let sec = 0;
+  for (const p of parts) sec = sec * 60 + p;
+  return Math.round(sec * 1000);
+}
+
+/**
+ * WebVTT and SRT: one chunk per cue. Speaker from a <v Name> voice tag or a "Name:" prefix.
+ */
+function parseCues(text, speakers) {
+  const chunks = [];
+  const blocks = String(text || '').replace(/\r\n/g, '\n').split(/\n\s*\n/);
+  for (const block of blocks) {
+    const lines = block.split('\n').map((l) => l.trim()).filter(Boolean);
+    const timingAt = lines.findIndex((l) => l.includes('-->'));
+    if (timingAt === -1) continue;
+    const offsetMs = cueTimeToMs(lines[timingAt].split('-->')[0]);
+    let body = lines.slice(timingAt + 1).join(' ');
+    let label = '';
+    const voice = body.match(/<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+    if (voice) label = voice[1];
+    body = body.replace(/<[^>]+>/g, '').trim();
+    if (!label) {
+      const prefix = body.match(/^([A-Za-z][\w .'-]{0,40}):\s+/);
+      if (prefix && (roleFor(prefix[1], speakers) !== 'unknown')) {
+        label = prefix[1];
+        body = body.slice(prefix[0].length);
+      }
+    }
+    if (!body) continue;
+    chunks.push({ offsetMs: offsetMs ?? 0, text: body, speaker: roleFor(label, speakers), clientTsMs: null });
+  }
+  return chunks;
+}
+
+/**
+ * JSON: an array of entries, or an object holding one under segments / utterances / transcript /
+ * entries / chunks. Entry: { speaker|role|speaker_role|name, text|transcript|content,
+ * start (seconds) | startMs | offsetMs }.
+ */
+function parseJsonTranscript(text, speakers) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text || ''));
+  } catch (e) {
+    throw new Error(`Invalid JSON transcript: ${e.message}`);
+  }
+  const list = Array.isArray(parsed)
+    ? parsed
+    : ['segments', 'utterances', 'transcript', 'entries', 'chunks'].map((k) => parsed?.[k]).find(Array.isArray);
+  if (!Array.isArray(list)) throw new Error('JSON transcript must be an array of { speaker, text } entries');
+
+  const chunks = [];
+  let lastOffset = null;
+  for (const entry of list) {
+    const body = String(entry?.text ?? entry?.transcript ?? entry?.content ?? '').trim();
+    if (!body) continue;
+    let offsetMs = null;
+    if (Number.isFinite(Number(entry?.startMs ?? entry?.offsetMs))) offsetMs = Number(entry.startMs ?? entry.offsetMs);
+    else if (Number.isFinite(Number(entry?.start))) offsetMs = Math.round(Number(entry.start) * 1000);
+    if (offsetMs === null) offsetMs = lastOffset === null ? 0 : lastOffset + SPLIT_GAP_MS;
+    offsetMs = Math.max(offsetMs, lastOffset ?? 0);
+    lastOffset = offsetMs;
+    const label = entry?.speaker ?? entry?.role ?? entry?.speaker_role ?? entry?.name ?? '';
+    chunks.push({ offsetMs, text: body, speaker: roleFor(label, speakers), clientTsMs: null });
+  }
+  return chunks;
+}
+
+/**
+ * Plain / timestamped text (replay format). Lines that start with a mapped "Name:" get that role.
+ */
+function parseTextTranscript(text, speakers) {
+  return parseTimestampedTranscript(text).map((chunk) => {
+    if (chunk.speaker !== 'unknown') return chunk;
+    const prefix = chunk.text.match(/^([A-Za-z][\w .'-]{0,40}):\s+/);
+    const role = prefix ? roleFor(prefix[1], speakers) : 'unknown';
+    return role === 'unknown' ? chunk : { ...chunk, speaker: role, text: chunk.text.slice(prefix[0].length) };
+  });
+}
+
+/**
+ * Split chunks longer than UPLOAD_CHUNK_CHARS at sentence ends, so a PDF page or a long
+ * monologue is analyzed in pieces like live speech.
+ */
+function splitLongChunks(chunks) {
+  const out = [];
+  for (const chunk of chunks) {
+    if (chunk.text.length <= UPLOAD_CHUNK_CHARS) {
+      out.push(chunk);
+      continue;
+    }
+    const sentences = chunk.text.match(/[^.!?]+(?:[.!?]+|$)/g) || [chunk.text];
+    let piece = '';
+    let n = 0;
+    const flush = () => {
+      if (!piece.trim()) return;
+      out.push({ ...chunk, offsetMs: chunk.offsetMs + n * SPLIT_GAP_MS, text: piece.trim() });
+      n += 1;
+      piece = '';
+    };
+    for (const s of sentences) {
+      if (piece && (piece + s).length > UPLOAD_CHUNK_CHARS) flush();
+      // A single run-on "sentence" longer than the cap is cut at word boundaries.
+      if (s.length > UPLOAD_CHUNK_CHARS) {
+        for (const word of s.split(/\s+/)) {
+          if (piece && (piece + ' ' + word).length > UPLOAD_CHUNK_CHARS) flush();
+          piece += (piece ? ' ' : '') + word;
+        }
+      } else {
+        piece += s;
+      }
+    }
+    flush();
+  }
+  return out;
+}
+
+/**
+ * @param {string} text
+ * @param {{format?: string, filename?: string, speakers?: Record<string, string>}} opts
+ * @returns {{format: string, chunks: Array<{offsetMs: number, text: string, speaker: string, clientTsMs: null}>}}
+ */
+export function parseUploadedTranscript(text, { format = '', filename = '', speakers = {} } = {}) {
+  const detected = detectTranscriptFormat(text, { format, filename });
+  const map = normalizeSpeakers(speakers);
+  let chunks;
+  if (detected === 'vtt' || detected === 'srt') chunks = parseCues(text, map);
+  else if (detected === 'json') chunks = parseJsonTranscript(text, map);
+  else chunks = parseTextTranscript(text, map);
+  return { format: detected, chunks: splitLongChunks(chunks) };
+}
+
+/**
+ * Read a RIFF/WAVE file. Only 16-bit integer PCM at 8-192 kHz with 1-8 channels is supported.
+ * @returns {{sampleRate: number, channels: number, data: Buffer}}
+ */
+export function parseWav(buf) {
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+  let fmt = null;
+  let data = null;
+  for (let at = 12; at + 8 <= buf.length; ) {
+    const id = buf.toString('ascii', at, at + 4);
+    const size = buf.readUInt32LE(at + 4);
+    const body = at + 8;
+    if (id === 'fmt ') {
+      if (size < 16 || body + 16 > buf.length) throw new Error('WAV fmt chunk is truncated');
+      fmt = {
+        audioFormat: buf.readUInt16LE(body),
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        bitsPerSample: buf.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      // Streamed WAVs can carry a 0 / 0xFFFFFFFF size; take the rest of the file.
+      data = buf.subarray(body, size && body + size <= buf.length ? body + size : buf.length);
+      break;
+    }
+    at = body + size + (size % 2);
+  }
+  if (!fmt || !data) throw new Error('WAV file has no fmt/data chunk');
+  // 1 = PCM, 0xFFFE = WAVE_FORMAT_EXTENSIBLE (PCM subformat in practice)
+  if ((fmt.audioFormat !== 1 && fmt.audioFormat !== 0xfffe) || fmt.bitsPerSample !== 16) {
+    throw new Error(`Unsupported WAV encoding (format ${fmt.audioFormat}, ${fmt.bitsPerSample}-bit); need 16-bit PCM`);
+  }
+  // The header drives the resampling buffer size, so an absurd rate must not get that far
+  if (fmt.sampleRate < WAV_MIN_SAMPLE_RATE || fmt.sampleRate > WAV_MAX_SAMPLE_RATE) {
+    throw new Error(`Unsupported WAV sample rate ${fmt.sampleRate} Hz (${WAV_MIN_SAMPLE_RATE}-${WAV_MAX_SAMPLE_RATE})`);
+  }
+  if (fmt.channels < 1 || fmt.channels > WAV_MAX_CHANNELS) {
+    throw new Error(`Unsupported WAV channel count ${fmt.channels} (1-${WAV_MAX_CHANNELS})`);
+  }
+  return { sampleRate: fmt.sampleRate, channels: fmt.channels, data };
+}
+
+/**
+ * Interleaved PCM16 at any rate → PCM16@16k: mono stays mono, two or more channels keep the
+ * first two (interleaved stereo, split by the listener per STEREO_CHANNEL_ROLES).
+ * @returns {{pcm: Buffer, stereo: boolean, durationMs: number}}
+ */
+export function toPcm16k({ sampleRate, channels, data }) {
+  const inCh = Math.max(1, Number(channels) || 1);
+  const outCh = inCh >= 2 ? 2 : 1;
+  const frames = Math.floor(data.length / (2 * inCh));
+  const ratio = sampleRate / 16000;
+  const outFrames = Math.floor(frames / ratio);
+  const pcm = Buffer.alloc(outFrames * 2 * outCh);
+  const sample = (frame, ch) => data.readInt16LE((Math.min(frame, frames - 1) * inCh + ch) * 2);
+  for (let i = 0; i < outFrames; i++) {
+    const pos = i * ratio;
+    const idx = Math.floor(pos);
+    const frac = pos - idx;
+    for (let ch = 0; ch < outCh; ch++) {
+      const s1 = sample(idx, ch);
+      const s2 = sample(idx + 1, ch);
+      pcm.writeInt16LE(Math.round(s1 + (s2 - s1) * frac), (i * outCh + ch) * 2);
+    }
+  }
+  return { pcm, stereo: outCh === 2, durationMs: Math.round((outFrames / 16000) * 1000) };
+}
@@ -0,0 +1,85 @@
+/**
+ * Transcribe an uploaded recording through the same realtime STT path a live call uses
+ * (realtime/listener.js + the call's STT provider), so uploads get the same hallucination
+ * filtering and, for stereo files, the same per-channel speaker roles.
+ *
+ * Audio is pushed faster than real time in UPLOAD_STT_FEED_MS slices. A committed transcript is
+ * stamped with where the listener places its first word in the file (exact when the provider
+ * sends word timings), else with how much audio had been sent when it arrived.
+ */
+
+import { createRealtimeConnection } from '../realtime/listener.js';
+
+const UPLOAD_STT_FEED_MS = Number(process.env.UPLOAD_STT_FEED_MS || 500);
+// After the last slice: wait for trailing commits until nothing new arrives for this long.
+const UPLOAD_STT_SETTLE_MS = Number(process.env.UPLOAD_STT_SETTLE_MS || 2000);
+const UPLOAD_STT_SETTLE_MAX_MS = 15000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {object} args
+ * @param {Buffer} args.pcm - PCM16@16k, interleaved when stereo (uploads/formats.js toPcm16k)
+ * @param {boolean} args.stereo
+ * @param {string} [args.sttProvider]
+ * @param {string} [args.language] - call language for the STT sessions ('en', 'es', 'auto')
+ * @param {(fraction: number) => void} [args.onProgress]
+ * @param {() => boolean} [args.isCancelled]
+ * @returns {Promise<Array<{offsetMs: number, text: string, speaker: string, clientTsMs: null, words?: Array<{text: string, startMs: number, endMs: number}>}>>}
+ */
+export async function transcribeRecording({ pcm, stereo, sttProvider = '', language = '', onProgress = () => {}, isCancelled = () => false }) {
+  const chunks = [];
+  let audioMs = 0;
+  let lastChunkAt = Date.now();
+  let sttError = null;
+
+  const connection = await createRealtimeConnection({
+    sttProvider,
+    language,
+    onChunk: (text, { speaker = null, audioStartMs = null, words = [] } = {}) => {
+      chunks.push({
+        offsetMs: audioStartMs ?? Math.round(audioMs),
+        text,
+        speaker: speaker || 'unknown',
+        clientTsMs: null,
+        ...(words.length ? { words } : {})
+      });
+      lastChunkAt = Date.now();
+    },
+    // Analysis is driven from the chunks afterwards, not per commit.
+    onTranscript: async () => {},
+    onError: (e) => {
+      sttError = e;
+    }
+  });
+
+  try {
+    const frameBytes = stereo ? 4 : 2;
+    const bytesPerMs = 16 * frameBytes; // 16 frames per ms at 16kHz
+    const sliceBytes = Math.max(1, Math.round(UPLOAD_STT_FEED_MS)) * bytesPerMs;
+    const mimeType = stereo ? 'pcm_16000_stereo' : 'pcm_16000';
+    for (let at = 0; at < pcm.length; at += sliceBytes) {
+      if (isCancelled()) return chunks;
+      const slice = pcm.subarray(at, Math.min(at + sliceBytes, pcm.length));
+      await connection.sendAudio(slice, mimeType);
+      audioMs += slice.length / bytesPerMs;
+      onProgress(Math.min(1, (at + slice.length) / pcm.length));
+    }
+    await connection.commit();
+
+    const deadline = Date.now() + UPLOAD_STT_SETTLE_MAX_MS;
+    lastChunkAt = Math.max(lastChunkAt, Date.now());
+    while (Date.now() < deadline && Date.now() - lastChunkAt < UPLOAD_STT_SETTLE_MS) {
+      if (isCancelled()) break;
+      await sleep(250);
+    }
+  } finally {
+    connection.close();
+  }
+
+  if (!chunks.length && sttError) {
+    throw new Error(`Transcription failed: ${sttError.message || sttError}`);
+  }
+  // Channels commit independently; put the lines back in the order they were said.
+  return chunks.sort((a, b) => a.offsetMs - b.offsetMs);
+}
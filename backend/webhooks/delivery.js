@@ -0,0 +1,337 @@
+/**
+ * Webhook delivery - POST call events to the user's webhooks, signed, with retries.
+ *
+ * Every (event, subscribed webhook) pair gets a webhook_deliveries row, which is the delivery
+ * history. The body is the event envelope { id, type, createdAt, sessionId, user, data }, or
+ * { text } for format "slack" (an incoming-webhook message). Each request carries
+ *   X-ZSS-Event, X-ZSS-Delivery, X-ZSS-Timestamp (unix seconds) and
+ *   X-ZSS-Signature: v1=<hex HMAC-SHA256 of `${timestamp}.${body}` with the webhook secret>
+ *
+ * The host is resolved before every attempt, local, private and internal addresses are refused
+ * (resolveWebhookHost), and the request connects to the checked address. Network errors, timeouts, 408, 429 and 5xx retry after WEBHOOK_RETRY_BASE_MS * 2^(attempt-1)
+ * (±20%) up to WEBHOOK_MAX_ATTEMPTS; other responses, redirects included, count as final. A
+ * delivery that fails for good is "dead" and is appended to the dead-letter log
+ * (WEBHOOK_DEAD_LETTER_LOG, JSON lines; "off" to disable). Retries are timers in this process:
+ * after a restart they stay "retrying" until redelivered. Each retry re-reads the webhook, so a
+ * deleted or deactivated webhook stops retrying and a rotated secret or new URL applies.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatClock } from '../export/formats.js';
+import { resolveWebhookHost } from './registry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 2000);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+// Webhook lists are read per event; registrations through the API clear the cache at once
+const WEBHOOK_CACHE_MS = 15000;
+const DEAD_LETTER_LOG =
+  process.env.WEBHOOK_DEAD_LETTER_LOG || path.resolve(__dirname, '..', 'data', 'local', 'webhook-dead-letters.jsonl');
+
+const webhookCache = new Map(); // userId -> { at, webhooks }
+const retryTimers = new Map(); // deliveryId -> { webhookId, timer } for the pending retry
+
+export function forgetWebhooks(userId) {
+  webhookCache.delete(userId);
+}
+
+async function subscribedWebhooks(repo, event) {
+  const cached = webhookCache.get(repo.user.id);
+  let webhooks = cached && Date.now() - cached.at < WEBHOOK_CACHE_MS ? cached.webhooks : null;
+  if (!webhooks) {
+    webhooks = await repo.webhooks.list();
+    webhookCache.set(repo.user.id, { at: Date.now(), webhooks });
+  }
+  return webhooks.filter((w) => w.active && Array.isArray(w.events) && w.events.includes(event));
+}
+
+export function signPayload(secret, timestamp, body) {
+  return `v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+const quote = (s) => `"${String(s || '').slice(0, 280)}"`;
+
+// One-line Slack message per event
+function slackText(envelope) {
+  const d = envelope.data || {};
+  const who = envelope.user?.email ? ` (${envelope.user.email})` : '';
+  switch (envelope.type) {
+    case 'session_started':
+      return `*Call started*${who}${d.prospectType ? ` · ${d.prospectType}` : ''}`;
+    case 'objection_detected': {
+      const at = formatClock(Number.isFinite(d.offsetMs) ? d.offsetMs : d.t);
+      return [
+        `*Objection*${at ? ` at ${at}` : ''}${who}: ${quote(d.objectionText)}`,
+        d.rebuttalScript ? `> Rebuttal: ${d.rebuttalScript}` : null
+      ].filter(Boolean).join('\n');
+    }
+    case 'close_zone_changed':
+      return `*Close zone* ${d.from || 'none'} → ${d.to}${who}${d.lubometer !== null ? ` · Lubometer ${d.lubometer}` : ''}${d.recommendedAction ? `\n> ${d.recommendedAction}` : ''}`;
+    case 'truth_penalty_applied':
+      return `*Truth Index penalty*${who}: ${d.rule || d.ruleId} (-${d.penalty ?? '?'})${d.description ? ` · ${d.description}` : ''}`;
+    case 'session_ended':
+      return `*Call ended*${who}${Number.isFinite(d.durationMs) ? ` after ${formatClock(d.durationMs)}` : ''}${d.closeZone ? ` · close zone ${d.closeZone}` : ''}`;
+    case 'final_summary_ready':
+      return `*Call summary ready*${who}${d.executiveSummary ? `\n> ${String(d.executiveSummary).slice(0, 600)}` : ''}`;
+    case 'ping':
+      return 'Test delivery from Zero-Stress Sales';
+    default:
+      return `${envelope.type}${who}`;
+  }
+}
+
+function buildRequest(webhook, envelope, deliveryId) {
+  const body = JSON.stringify(webhook.format === 'slack' ? { text: slackText(envelope) } : envelope);
+  const timestamp = Math.floor(Date.now() / 1000);
+  return {
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ZeroStressSales-Webhooks/1',
+      'X-ZSS-Event': envelope.type,
+      'X-ZSS-Delivery': deliveryId,
+      'X-ZSS-Timestamp': String(timestamp),
+      'X-ZSS-Signature': signPayload(webhook.secret, timestamp, body)
+    }
+  };
+}
+
+function backoffMs(attempts) {
+  const base = WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+function writeDeadLetter(entry) {
+  if (DEAD_LETTER_LOG === 'off') return;
+  try {
+    fs.mkdirSync(path.dirname(DEAD_LETTER_LOG), { recursive: true });
+    fs.appendFileSync(DEAD_LETTER_LOG, `${JSON.stringify(entry)}\n`);
+  } catch (e) {
+    console.warn(`[Webhooks] Could not write dead-letter log: ${e.message}`);
+  }
+}
+
+const saveDelivery = (repo, id, patch) =>
+  repo.webhookDeliveries
+    .update(id, { ...patch, updated_at: new Date().toISOString() })
+    .catch((e) => console.warn(`[Webhooks] Failed to update delivery ${id}: ${e.message}`));
+
+// POST `body` to `url` over a connection to `address` (from resolveWebhookHost; TLS still checks the
+// certificate against the URL's host). Redirects are not followed. Resolves with the status code.
+function postPinned(url, { headers, body, address, family, signal }) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const lookup = address
+    ? (hostname, options, cb) => (options?.all ? cb(null, [{ address, family }]) : cb(null, address, family))
+    : undefined;
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        agent: false,
+        lookup,
+        signal
+      },
+      (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// POST one request. A private or local address is final; network errors keep a generic message for the
+// delivery (shown to the webhook's owner), since the socket error ("connect ECONNREFUSED
+// 10.0.0.5:8080") would map the internal network, and go to the server log in full.
+async function postWebhook(webhook, body, headers, deliveryId) {
+  const host = await resolveWebhookHost(webhook.url);
+  if (host.error) return { status: null, error: host.error, final: !host.retryable };
+  const signal = AbortSignal.timeout(WEBHOOK_TIMEOUT_MS);
+  try {
+    const status = await postPinned(webhook.url, { headers, body, address: host.address, family: host.family, signal });
+    const ok = status >= 200 && status < 300;
+    return { status, error: ok ? null : `HTTP ${status}` };
+  } catch (e) {
+    if (signal.aborted) return { status: null, error: `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` };
+    console.warn(`[Webhooks] Delivery ${deliveryId} to ${webhook.url} failed: ${e?.cause?.message || e?.message || e}`);
+    return { status: null, error: 'Connection failed' };
+  }
+}
+
+/**
+ * One POST of a delivery; schedules the next try or marks it delivered / dead.
+ * @returns {Promise<'delivered'|'retrying'|'dead'>}
+ */
+async function attemptDelivery(repo, webhook, delivery) {
+  const attempts = delivery.attempts + 1;
+  const { body, headers } = buildRequest(webhook, delivery.envelope, delivery.id);
+  const { status, error, final = false } = await postWebhook(webhook, body, headers, delivery.id);
+
+  if (!error) {
+    await saveDelivery(repo, delivery.id, {
+      status: 'delivered',
+      attempts,
+      response_status: status,
+      last_error: null,
+      next_attempt_at: null,
+      delivered_at: new Date().toISOString()
+    });
+    return 'delivered';
+  }
+
+  const retryable = !final && (status === null || status === 408 || status === 429 || status >= 500);
+  if (retryable && attempts < WEBHOOK_MAX_ATTEMPTS) {
+    const delay = backoffMs(attempts);
+    await saveDelivery(repo, delivery.id, {
+      status: 'retrying',
+      attempts,
+      response_status: status,
+      last_error: error,
+      next_attempt_at: new Date(Date.now() + delay).toISOString()
+    });
+    const timer = setTimeout(() => {
+      retryTimers.delete(delivery.id);
+      void retryDelivery(repo, webhook.id, { ...delivery, attempts });
+    }, delay);
+    timer.unref?.();
+    retryTimers.set(delivery.id, { webhookId: webhook.id, timer });
+    return 'retrying';
+  }
+
+  await saveDelivery(repo, delivery.id, {
+    status: 'dead',
+    attempts,
+    response_status: status,
+    last_error: error,
+    next_attempt_at: null
+  });
+  console.error(`[Webhooks] Delivery ${delivery.id} (${delivery.envelope.type} → ${webhook.url}) failed after ${attempts} attempt(s): ${error}`);
+  writeDeadLetter({
+    at: new Date().toISOString(),
+    deliveryId: delivery.id,
+    webhookId: webhook.id,
+    userId: repo.user.id,
+    url: webhook.url,
+    event: delivery.envelope.type,
+    attempts,
+    responseStatus: status,
+    error,
+    payload: delivery.envelope
+  });
+  return 'dead';
+}
+
+// A retry goes to the webhook as it is now: deleted or deactivated drops it, a new URL or
+// secret applies
+async function retryDelivery(repo, webhookId, delivery) {
+  let webhook;
+  try {
+    webhook = await repo.webhooks.get(webhookId);
+  } catch (e) {
+    console.warn(`[Webhooks] Could not load webhook ${webhookId} for retry: ${e.message}`);
+    return;
+  }
+  if (!webhook?.active) {
+    await saveDelivery(repo, delivery.id, {
+      status: 'dead',
+      last_error: webhook ? 'Webhook was deactivated' : 'Webhook was deleted',
+      next_attempt_at: null
+    });
+    return;
+  }
+  await attemptDelivery(repo, webhook, delivery);
+}
+
+function cancelRetry(deliveryId) {
+  clearTimeout(retryTimers.get(deliveryId)?.timer);
+  retryTimers.delete(deliveryId);
+}
+
+/**
+ * Stop the pending retries of a deleted webhook.
+ */
+export function cancelWebhookRetries(webhookId) {
+  for (const [deliveryId, pending] of retryTimers) {
+    if (pending.webhookId === webhookId) cancelRetry(deliveryId);
+  }
+}
+
+async function enqueueDelivery(repo, webhook, envelope) {
+  const id = await repo.webhookDeliveries.insert({
+    webhook_id: webhook.id,
+    session_id: envelope.sessionId,
+    event: envelope.type,
+    event_id: envelope.id,
+    payload_json: envelope,
+    status: 'pending',
+    attempts: 0
+  });
+  return { id, run: () => attemptDelivery(repo, webhook, { id, attempts: 0, envelope }) };
+}
+
+function createEnvelope(repo, { event, sessionId = null, data = {} }) {
+  return {
+    id: `evt_${crypto.randomUUID()}`,
+    type: event,
+    createdAt: new Date().toISOString(),
+    sessionId,
+    user: { id: repo.user.id, email: repo.user.email || null },
+    data
+  };
+}
+
+/**
+ * Send an event to every active webhook of the repository's user that subscribes to it. Resolves
+ * once the deliveries are recorded; the POSTs and retries carry on in the background.
+ * @param {object} repo - user-scoped repository (storage/index.js)
+ * @returns {Promise<string[]>} delivery ids
+ */
+export async function dispatchWebhookEvent(repo, { event, sessionId = null, data = {} }) {
+  const webhooks = await subscribedWebhooks(repo, event);
+  if (!webhooks.length) return [];
+  const envelope = createEnvelope(repo, { event, sessionId, data });
+  const ids = [];
+  for (const webhook of webhooks) {
+    try {
+      const { id, run } = await enqueueDelivery(repo, webhook, envelope);
+      ids.push(id);
+      void run();
+    } catch (e) {
+      console.warn(`[Webhooks] Could not record ${event} delivery for ${webhook.id}: ${e.message}`);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Send a "ping" event to one webhook and wait for the first attempt (retries follow as usual).
+ * @returns {Promise<string>} delivery id
+ */
+export async function sendTestWebhook(repo, webhook) {
+  const envelope = createEnvelope(repo, { event: 'ping', data: { webhookId: webhook.id } });
+  const { id, run } = await enqueueDelivery(repo, webhook, envelope);
+  await run();
+  return id;
+}
+
+/**
+ * Send a stored delivery again with the webhook's current URL and secret, starting a fresh round
+ * of retries. The event id stays the same so receivers can drop duplicates. Waits for the first
+ * attempt.
+ */
+export async function redeliverWebhook(repo, webhook, deliveryRow) {
+  cancelRetry(deliveryRow.id);
+  await saveDelivery(repo, deliveryRow.id, { status: 'pending', attempts: 0, next_attempt_at: null });
+  return attemptDelivery(repo, webhook, { id: deliveryRow.id, attempts: 0, envelope: deliveryRow.payload_json });
+}
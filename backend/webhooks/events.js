@@ -0,0 +1,77 @@
+/**
+ * Webhook events read off the live analysis. Each call keeps a small state (createWebhookEventState)
+ * so an event fires when something changes, not on every analysis frame:
+ *   close_zone_changed     closeDecision.zone moved (the first zone of the call counts, from: null)
+ *   truth_penalty_applied  a Truth Index rule penalised for the first time in the call
+ * objection_detected comes from analysis/scoreSeries.js recordObjections, which already dedupes.
+ * The state is saved with the score series (webhookEventStateToJson) and restored on resume.
+ */
+
+export function createWebhookEventState() {
+  return { closeZone: null, truthPenaltyRules: new Set() };
+}
+
+/**
+ * JSON copy of `state` for call_score_series.webhook_state_json, or null before any event fired.
+ */
+export function webhookEventStateToJson(state) {
+  if (!state || (!state.closeZone && !state.truthPenaltyRules?.size)) return null;
+  return { closeZone: state.closeZone || null, truthPenaltyRules: [...state.truthPenaltyRules] };
+}
+
+/**
+ * State from a stored webhookEventStateToJson copy (a fresh state for anything else).
+ */
+export function restoreWebhookEventState(json) {
+  const state = createWebhookEventState();
+  if (typeof json?.closeZone === 'string') state.closeZone = json.closeZone;
+  for (const rule of Array.isArray(json?.truthPenaltyRules) ? json.truthPenaltyRules : []) {
+    if (typeof rule === 'string' && rule) state.truthPenaltyRules.add(rule);
+  }
+  return state;
+}
+
+/**
+ * Events for one analysis frame; updates `state`.
+ * @returns {Array<{event: string, data: object}>}
+ */
+export function analysisWebhookEvents(state, frame) {
+  const events = [];
+  const lubometer = Number.isFinite(frame?.lubometer?.score) ? frame.lubometer.score : null;
+  const truthIndex = Number.isFinite(frame?.truthIndex?.score) ? frame.truthIndex.score : null;
+
+  const decision = frame?.closeDecision;
+  if (decision?.zone && decision.zone !== state.closeZone) {
+    events.push({
+      event: 'close_zone_changed',
+      data: {
+        from: state.closeZone,
+        to: decision.zone,
+        verdict: decision.verdict || null,
+        recommendedAction: decision.recommendedAction || null,
+        reason: decision.reason || null,
+        lubometer,
+        truthIndex
+      }
+    });
+    state.closeZone = decision.zone;
+  }
+
+  for (const p of Array.isArray(frame?.truthIndex?.penalties) ? frame.truthIndex.penalties : []) {
+    const key = p?.ruleId || p?.rule;
+    if (!key || state.truthPenaltyRules.has(key)) continue;
+    state.truthPenaltyRules.add(key);
+    events.push({
+      event: 'truth_penalty_applied',
+      data: {
+        ruleId: p.ruleId || null,
+        rule: p.rule || null,
+        description: p.description || '',
+        penalty: p.penalty ?? null,
+        truthIndex,
+        statements: Array.isArray(p.statements) ? p.statements : []
+      }
+    });
+  }
+  return events;
+}
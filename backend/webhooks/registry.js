@@ -0,0 +1,255 @@
+/**
+ * Webhook registrations - validation and the API shapes for /api/webhooks.
+ *
+ * A webhook belongs to the user who registered it and hears about that user's calls only. Rows
+ * use the webhooks / webhook_deliveries column names (storage/index.js); the API is camelCase.
+ * The signing secret is returned once, when it is created or rotated; afterwards only its last
+ * four characters are shown.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { decodeCursor, encodeCursor, isSessionId, isStoredTimestamp, pageLimit } from '../sessions/history.js';
+
+export const WEBHOOK_EVENTS = [
+  'session_started',
+  'objection_detected',
+  'close_zone_changed',
+  'truth_penalty_applied',
+  'session_ended',
+  'final_summary_ready'
+];
+export const WEBHOOK_FORMATS = ['json', 'slack'];
+export const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'dead'];
+
+const DEFAULT_DELIVERY_PAGE = 50;
+const MAX_DELIVERY_PAGE = 200;
+
+// Local host names. Addresses are checked by isPrivateAddress, at registration for IP literals and
+// again for whatever the host resolves to when a delivery is sent (resolveWebhookHost). Set
+// WEBHOOK_ALLOW_PRIVATE_URLS=true for self-hosted receivers on the same network.
+const LOCAL_HOST_RE = /^(localhost|.*\.localhost)$/i;
+
+const allowPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+function ipv4Private(ip) {
+  const [a, b] = ip.split('.').map(Number);
+  return (
+    a === 0 || // "this network", 0.0.0.0 included
+    a === 10 ||
+    a === 127 ||
+    a >= 224 || // multicast, reserved, broadcast
+    (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 192 && b === 0 && ip.split('.')[2] === '0') ||
+    (a === 198 && (b === 18 || b === 19))
+  );
+}
+
+// Eight 16-bit groups; a dotted IPv4 tail ("::ffff:127.0.0.1") becomes the last two
+function ipv6Groups(ip) {
+  let s = ip.toLowerCase().split('%')[0];
+  const v4 = s.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (v4) {
+    const [a, b, c, d] = v4.slice(1).map(Number);
+    s = `${s.slice(0, -v4[0].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = s.split('::');
+  const h = head ? head.split(':') : [];
+  const t = tail === undefined ? null : tail ? tail.split(':') : [];
+  const groups = t === null ? h : [...h, ...Array(Math.max(0, 8 - h.length - t.length)).fill('0'), ...t];
+  return groups.map((g) => parseInt(g, 16) || 0);
+}
+
+const embeddedIpv4 = (hi, lo) => `${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`;
+
+/**
+ * True for addresses a webhook must not reach: loopback, private, link-local, carrier-grade NAT,
+ * unspecified, multicast/reserved, and IPv4-mapped or -compatible IPv6 addresses. Anything that
+ * isn't an IP address counts as private.
+ */
+export function isPrivateAddress(address) {
+  const ip = String(address || '').replace(/^\[|\]$/g, '');
+  const family = net.isIP(ip);
+  if (family === 4) return ipv4Private(ip);
+  if (family !== 6) return true;
+  const g = ipv6Groups(ip);
+  if (g.slice(0, 5).every((x) => x === 0) && (g[5] === 0 || g[5] === 0xffff)) return true; // ::, ::1, ::ffff:a.b.c.d
+  if ((g[0] & 0xfe00) === 0xfc00) return true; // unique local
+  if ((g[0] & 0xffc0) === 0xfe80 || (g[0] & 0xffc0) === 0xfec0) return true; // link-local, site-local
+  if ((g[0] & 0xff00) === 0xff00) return true; // multicast
+  if (g[0] === 0x64 && g[1] === 0xff9b) return ipv4Private(embeddedIpv4(g[6], g[7])); // NAT64
+  if (g[0] === 0x2002) return ipv4Private(embeddedIpv4(g[1], g[2])); // 6to4
+  return false;
+}
+
+/**
+ * Resolve a webhook URL's host right before a delivery and refuse local and private addresses,
+ * so a public name pointing at an internal address (127.0.0.1.nip.io) is caught at send time.
+ * The delivery connects to the returned address rather than resolving the name again, so a
+ * DNS answer that changes after the check (rebinding) can't redirect it.
+ * @returns {Promise<{ address: string|null, family?: number }|{ error: string, retryable: boolean }>}
+ *   the address to connect to (null = resolve as usual, with WEBHOOK_ALLOW_PRIVATE_URLS), or why
+ *   the URL can't be sent to (safe to store on the delivery; a failed lookup may be temporary)
+ */
+export async function resolveWebhookHost(url) {
+  if (allowPrivateUrls()) return { address: null };
+  const blocked = { error: 'url points at a local or private address', retryable: false };
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (LOCAL_HOST_RE.test(host)) return blocked;
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return { error: 'Could not resolve host', retryable: true };
+  }
+  if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) return blocked;
+  return { address: addresses[0].address, family: addresses[0].family };
+}
+
+export const isWebhookId = isSessionId;
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch {
+    throw new Error('url must be an absolute http(s) URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('url must be an absolute http(s) URL');
+  if (url.username || url.password) throw new Error('url must not contain credentials');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivateUrls() && (LOCAL_HOST_RE.test(host) || (net.isIP(host) && isPrivateAddress(host)))) {
+    throw new Error('url points at a local or private address');
+  }
+  return url.toString();
+}
+
+/**
+ * Validate a POST /api/webhooks body, or with `partial` a PATCH body (only the fields sent).
+ * Throws with a message fit for a 400.
+ * @returns {object} row fields: url, events, format, description, active, secret
+ */
+export function parseWebhookInput(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('Body must be a JSON object');
+  const row = {};
+  if (!partial || body.url !== undefined) row.url = parseUrl(body.url);
+  if (!partial || body.events !== undefined) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events.map(String))] : [];
+    if (!events.length) throw new Error(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+    const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) throw new Error(`Unknown events: ${unknown.join(', ')}`);
+    row.events = events;
+  }
+  if (body.format !== undefined) {
+    if (!WEBHOOK_FORMATS.includes(body.format)) throw new Error(`format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+    row.format = body.format;
+  }
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string') throw new Error('description must be a string');
+    row.description = body.description.slice(0, 500);
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') throw new Error('active must be a boolean');
+    row.active = body.active;
+  }
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== 'string' || body.secret.length < 16 || body.secret.length > 256) {
+      throw new Error('secret must be a string of 16-256 characters');
+    }
+    row.secret = body.secret;
+  }
+  return row;
+}
+
+export function publicWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: Array.isArray(row.events) ? row.events : [],
+    format: row.format || 'json',
+    description: row.description || '',
+    active: Boolean(row.active),
+    secretHint: row.secret ? `…${String(row.secret).slice(-4)}` : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function publicDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    sessionId: row.session_id || null,
+    event: row.event,
+    eventId: row.event_id,
+    status: row.status,
+    attempts: row.attempts ?? 0,
+    responseStatus: row.response_status ?? null,
+    lastError: row.last_error || null,
+    nextAttemptAt: row.next_attempt_at || null,
+    deliveredAt: row.delivered_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    payload: row.payload_json ?? null
+  };
+}
+
+/**
+ * Validate GET /api/webhooks/deliveries query parameters. Throws with a message fit for a 400.
+ */
+export function parseDeliveryQuery(query = {}) {
+  const status = query.status ? String(query.status) : null;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    throw new Error(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+  }
+  const event = query.event ? String(query.event) : null;
+  if (event && !WEBHOOK_EVENTS.includes(event) && event !== 'ping') {
+    throw new Error(`event must be one of: ${WEBHOOK_EVENTS.join(', ')}, ping`);
+  }
+  const webhookId = query.webhookId ? String(query.webhookId) : null;
+  if (webhookId && !isWebhookId(webhookId)) throw new Error('webhookId must be a UUID');
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (!after || !isStoredTimestamp(after.c) || !isWebhookId(after.i)) {
+      throw new Error('cursor is invalid');
+    }
+  }
+  return {
+    limit: pageLimit(query.limit, DEFAULT_DELIVERY_PAGE, MAX_DELIVERY_PAGE),
+    after,
+    webhookId,
+    status,
+    event
+  };
+}
+
+/**
+ * One page of the caller's delivery history, newest first.
+ * @param {object} repo - user-scoped repository (storage/index.js)
+ * @param {ReturnType<typeof parseDeliveryQuery>} options
+ */
+export async function listDeliveries(repo, options) {
+  const { limit, after, ...filters } = options;
+  const rows = await repo.webhookDeliveries.list({
+    ...filters,
+    limit: limit + 1,
+    after: after ? { createdAt: after.c, id: after.i } : null
+  });
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    deliveries: page.map(publicDelivery),
+    nextCursor: rows.length > limit && last ? encodeCursor({ c: last.created_at, i: last.id }) : null
+  };
+}
@@ -1,8 +1,11 @@
 import { useState } from 'react';
 import { ArrowLeft, Settings, Scale, MessageSquare, RotateCcw, Save, Check, AlertCircle, Mail, Lock, UserPlus, LogIn, FileText } from 'lucide-react';
 import { useSettings } from '../contexts/SettingsContext';
+import { REBUTTAL_STYLE_OPTIONS } from '../data/rebuttalStyles';
+import { CALL_LANGUAGE_OPTIONS, DISPLAY_LANGUAGE_OPTIONS } from '../data/languages';
 import { useAuth } from '../contexts/AuthContext';
 import { strategyOptions } from '../data/coPilotData';
+import { getApiBaseUrl } from '../lib/api';
 
 interface AdminPanelProps {
   onBack: () => void;
@@ -317,7 +320,7 @@ function VerificationPendingScreen({
 }
 
 export default function AdminPanel({ onBack, onViewSummaries }: AdminPanelProps) {
-  const { settings, updatePillarWeight, updateCustomPrompt, updateDiagnosticQuestions, resetToDefaults, saveToSupabase, saving, lastSaved } = useSettings();
+  const { settings, updatePillarWeight, updateCustomPrompt, updatePreferredRebuttalStyle, updateCallLanguage, updateDisplayLanguage, updateDiagnosticQuestions, resetToDefaults, saveToSupabase, saving, lastSaved } = useSettings();
   const { user, loading, signOut } = useAuth();
 
   const [saveError, setSaveError] = useState<string | null>(null);
@@ -353,21 +356,7 @@ export default function AdminPanel({ onBack, onViewSummaries }: AdminPanelProps)
     
     setIsGeneratingQuestions(true);
     try {
-      // Construct API URL from WebSocket URL or use same-origin
-      const wsUrl = import.meta.env.VITE_WS_URL;
-      let apiBaseUrl: string;
-      
-      if (wsUrl) {
-        // Convert ws://host:port/ws to http://host:port
-        apiBaseUrl = wsUrl.replace('ws://', 'http://').replace('wss://', 'https://').replace('/ws', '');
-      } else if (import.meta.env.DEV) {
-        // Development: use localhost
-        apiBaseUrl = 'http://localhost:3001';
-      } else {
-        // Production: use same origin
-        apiBaseUrl = window.location.origin;
-      }
-      
+      const apiBaseUrl = getApiBaseUrl();
       const response = await fetch(`${apiBaseUrl}/api/generate-diagnostic-questions`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -602,6 +591,73 @@ export default function AdminPanel({ onBack, onViewSummaries }: AdminPanelProps)
                 </span>
               </div>
             </div>
+
+            {/* Preferred Objection Matrix style */}
+            <div className="mt-6 pt-6 border-t border-gray-700/50">
+              <h3 className="text-sm font-semibold text-white mb-1">Preferred Rebuttal Style</h3>
+              <p className="text-xs text-gray-400 mb-3">
+                Shown first on each objection card, from the Objection Matrix playbook
+              </p>
+              <div className="grid grid-cols-2 gap-2">
+                {REBUTTAL_STYLE_OPTIONS.map((option) => (
+                  <button
+                    key={option.key}
+                    onClick={() => updatePreferredRebuttalStyle(option.key)}
+                    className={`text-left px-3 py-2 rounded-lg border transition-colors ${
+                      settings.preferredRebuttalStyle === option.key
+                        ? 'bg-amber-500/20 border-amber-400/50 text-amber-300'
+                        : 'bg-gray-800/50 border-gray-700 text-gray-300 hover:border-gray-500'
+                    }`}
+                  >
+                    <div className="text-sm font-semibold">{option.label}</div>
+                    <div className="text-xs text-gray-400">{option.description}</div>
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Call + display language */}
+            <div className="mt-6 pt-6 border-t border-gray-700/50">
+              <h3 className="text-sm font-semibold text-white mb-1">Call Language</h3>
+              <p className="text-xs text-gray-400 mb-3">
+                Language the prospect and closer speak; used for transcription and analysis
+              </p>
+              <div className="grid grid-cols-3 gap-2">
+                {CALL_LANGUAGE_OPTIONS.map((option) => (
+                  <button
+                    key={option.key}
+                    onClick={() => updateCallLanguage(option.key)}
+                    className={`text-left px-3 py-2 rounded-lg border transition-colors ${
+                      settings.callLanguage === option.key
+                        ? 'bg-amber-500/20 border-amber-400/50 text-amber-300'
+                        : 'bg-gray-800/50 border-gray-700 text-gray-300 hover:border-gray-500'
+                    }`}
+                  >
+                    <div className="text-sm font-semibold">{option.label}</div>
+                    <div className="text-xs text-gray-400">{option.description}</div>
+                  </button>
+                ))}
+              </div>
+              <h3 className="text-sm font-semibold text-white mt-4 mb-1">Display Language</h3>
+              <p className="text-xs text-gray-400 mb-3">
+                Whispers, rebuttals and summaries are written in this language; quotes stay as said
+              </p>
+              <div className="grid grid-cols-2 gap-2">
+                {DISPLAY_LANGUAGE_OPTIONS.map((option) => (
+                  <button
+                    key={option.key}
+                    onClick={() => updateDisplayLanguage(option.key)}
+                    className={`text-left px-3 py-2 rounded-lg border transition-colors ${
+                      settings.displayLanguage === option.key
+                        ? 'bg-amber-500/20 border-amber-400/50 text-amber-300'
+                        : 'bg-gray-800/50 border-gray-700 text-gray-300 hover:border-gray-500'
+                    }`}
+                  >
+                    <div className="text-sm font-semibold">{option.label}</div>
+                  </button>
+                ))}
+              </div>
+            </div>
           </div>
         </div>
 
@@ -799,6 +855,19 @@ export default function AdminPanel({ onBack, onViewSummaries }: AdminPanelProps)
                 {settings.customScriptPrompt || '(Not set)'}
               </div>
             </div>
+            <div className="p-4 bg-gray-800/40 rounded-xl">
+              <div className="text-sm text-gray-400 mb-1">Rebuttal Style</div>
+              <div className="text-amber-400 text-sm">
+                {REBUTTAL_STYLE_OPTIONS.find((o) => o.key === settings.preferredRebuttalStyle)?.label}
+              </div>
+            </div>
+            <div className="p-4 bg-gray-800/40 rounded-xl">
+              <div className="text-sm text-gray-400 mb-1">Language</div>
+              <div className="text-amber-400 text-sm">
+                {CALL_LANGUAGE_OPTIONS.find((o) => o.key === settings.callLanguage)?.label} call,{' '}
+                {DISPLAY_LANGUAGE_OPTIONS.find((o) => o.key === settings.displayLanguage)?.label} display
+              </div>
+            </div>
           </div>
         </div>
       </div>
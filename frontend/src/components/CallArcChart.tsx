@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react';
+import { TrendingUp, Loader2 } from 'lucide-react';
+import { supabase, isSupabaseAvailable } from '../lib/supabase';
+
+// One analysis pass from call_score_series.points_json (backend/analysis/scoreSeries.js)
+interface ScorePoint {
+  t: number;
+  ts: string;
+  indicators: Record<string, number>;
+  pillars: Record<string, number>;
+  lubometer: number;
+  truthIndex: number;
+}
+
+interface TurningPoint {
+  t: number;
+  from: number;
+  to: number;
+  delta: number;
+  drivers: Array<{ key: string; label: string; delta: number }>;
+}
+
+interface CallArcChartProps {
+  sessionId: string;
+}
+
+const pillarLines: Array<{ key: string; label: string; color: string }> = [
+  { key: 'P1', label: 'Pain & Desire', color: '#f472b6' },
+  { key: 'P2', label: 'Urgency', color: '#fb923c' },
+  { key: 'P3', label: 'Decisiveness', color: '#facc15' },
+  { key: 'P4', label: 'Available Money', color: '#4ade80' },
+  { key: 'P5', label: 'Responsibility', color: '#60a5fa' },
+  { key: 'P6', label: 'Price Sensitivity', color: '#a78bfa' },
+  { key: 'P7', label: 'Trust', color: '#2dd4bf' },
+];
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PAD = 28;
+
+const formatClock = (ms: number) => {
+  const total = Math.round(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+export default function CallArcChart({ sessionId }: CallArcChartProps) {
+  const [points, setPoints] = useState<ScorePoint[]>([]);
+  const [turningPoints, setTurningPoints] = useState<TurningPoint[]>([]);
+  const [loading, setLoading] = useState(true);
+  // Pillar lines are off by default so the Lubometer arc stays readable
+  const [shownPillars, setShownPillars] = useState<string[]>([]);
+
+  useEffect(() => {
+    if (!isSupabaseAvailable()) {
+      setLoading(false);
+      return;
+    }
+    let cancelled = false;
+
+    const loadSeries = async () => {
+      setLoading(true);
+      const { data, error } = await supabase!
+        .from('call_score_series')
+        .select('points_json, turning_points_json')
+        .eq('session_id', sessionId)
+        .maybeSingle();
+      if (cancelled) return;
+      if (error) console.warn('Could not load score series:', error.message);
+      setPoints(Array.isArray(data?.points_json) ? data.points_json : []);
+      setTurningPoints(Array.isArray(data?.turning_points_json) ? data.turning_points_json : []);
+      setLoading(false);
+    };
+
+    loadSeries();
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 text-gray-400 text-sm">
+        <Loader2 className="w-4 h-4 animate-spin" />
+        Loading call arc...
+      </div>
+    );
+  }
+  if (points.length < 2) return null;
+
+  const duration = Math.max(1, points[points.length - 1].t);
+  const lubometerMax = Math.max(90, ...points.map((p) => p.lubometer));
+  const x = (t: number) => PAD + (t / duration) * (WIDTH - PAD * 2);
+  // Everything is drawn on a 0-100% scale
+  const y = (pct: number) => HEIGHT - PAD - (Math.min(100, Math.max(0, pct)) / 100) * (HEIGHT - PAD * 2);
+  const path = (value: (p: ScorePoint) => number) =>
+    points.map((p, i) => `${i ? 'L' : 'M'}${x(p.t).toFixed(1)},${y(value(p)).toFixed(1)}`).join(' ');
+
+  const togglePillar = (key: string) =>
+    setShownPillars((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+
+  return (
+    <div>
+      <h3 className="text-lg font-bold text-cyan-400 mb-2 flex items-center gap-2">
+        <TrendingUp className="w-5 h-5" />
+        Call Arc
+      </h3>
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full bg-gray-800/40 border border-gray-700/40 rounded-xl">
+        {[25, 50, 75].map((pct) => (
+          <line key={pct} x1={PAD} x2={WIDTH - PAD} y1={y(pct)} y2={y(pct)} stroke="#374151" strokeDasharray="4 4" />
+        ))}
+        {turningPoints.map((tp) => (
+          <line key={tp.t} x1={x(tp.t)} x2={x(tp.t)} y1={PAD} y2={HEIGHT - PAD} stroke={tp.delta > 0 ? '#34d399' : '#f87171'} strokeWidth={1.5} />
+        ))}
+        {pillarLines
+          .filter((pl) => shownPillars.includes(pl.key))
+          .map((pl) => (
+            <path key={pl.key} d={path((p) => (p.pillars?.[pl.key] || 0) * 10)} fill="none" stroke={pl.color} strokeWidth={1.5} opacity={0.8} />
+          ))}
+        <path d={path((p) => p.truthIndex)} fill="none" stroke="#94a3b8" strokeWidth={2} strokeDasharray="6 3" />
+        <path d={path((p) => (p.lubometer / lubometerMax) * 100)} fill="none" stroke="#22d3ee" strokeWidth={3} />
+        <text x={PAD} y={HEIGHT - 8} fill="#6b7280" fontSize="11">0:00</text>
+        <text x={WIDTH - PAD} y={HEIGHT - 8} fill="#6b7280" fontSize="11" textAnchor="end">{formatClock(duration)}</text>
+      </svg>
+
+      <div className="flex flex-wrap items-center gap-2 mt-3 text-xs">
+        <span className="text-cyan-300 font-medium">━ Lubometer</span>
+        <span className="text-slate-400 font-medium mr-2">┅ Truth Index</span>
+        {pillarLines.map((pl) => (
+          <button
+            key={pl.key}
+            onClick={() => togglePillar(pl.key)}
+            className={`px-2 py-0.5 rounded-full border transition-colors ${
+              shownPillars.includes(pl.key) ? 'border-gray-500 bg-gray-700/60' : 'border-gray-700/60 text-gray-500 hover:text-gray-300'
+            }`}
+            style={shownPillars.includes(pl.key) ? { color: pl.color } : undefined}
+          >
+            {pl.label}
+          </button>
+        ))}
+      </div>
+
+      {turningPoints.length > 0 && (
+        <ul className="mt-4 space-y-2">
+          {turningPoints.map((tp) => (
+            <li key={tp.t} className="text-sm text-gray-300 flex items-start gap-2">
+              <span className={`font-mono ${tp.delta > 0 ? 'text-emerald-400' : 'text-red-400'}`}>{formatClock(tp.t)}</span>
+              <span>
+                Lubometer {tp.from} → {tp.to}
+                {tp.drivers.length > 0 && (
+                  <span className="text-gray-400">
+                    {' '}({tp.drivers.map((d) => `${d.label} ${d.delta > 0 ? '+' : ''}${d.delta}`).join(', ')})
+                  </span>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
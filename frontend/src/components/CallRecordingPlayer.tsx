@@ -0,0 +1,149 @@
+import { useState, useEffect, useRef } from 'react';
+import { Headphones, Play } from 'lucide-react';
+import { supabase, isSupabaseAvailable } from '../lib/supabase';
+import { getApiBaseUrl } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+
+// call_transcript_chunks row with where it starts in the recording (backend/sessions/recordings.js)
+interface RecordedLine {
+  id: number;
+  speaker_role: string;
+  chunk_text: string;
+  audio_offset_ms: number | null;
+}
+
+interface CallRecordingPlayerProps {
+  sessionId: string;
+  // Objections from the summary; each one jumps to the line that best matches it
+  objections?: string[];
+}
+
+const formatClock = (ms: number) => {
+  const total = Math.round(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+const words = (text: string) => new Set(text.toLowerCase().match(/[a-z']{4,}/g) || []);
+
+// Line sharing the most words with the text (summaries paraphrase, so exact matches are rare)
+function findLine(lines: RecordedLine[], text: string): RecordedLine | null {
+  const target = words(text);
+  let best: RecordedLine | null = null;
+  let bestScore = 0;
+  for (const line of lines) {
+    let score = 0;
+    for (const w of words(line.chunk_text)) if (target.has(w)) score += 1;
+    if (score > bestScore) {
+      best = line;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+export default function CallRecordingPlayer({ sessionId, objections = [] }: CallRecordingPlayerProps) {
+  const { session } = useAuth();
+  const accessToken = session?.access_token ?? null;
+  const [hasRecording, setHasRecording] = useState(false);
+  const [lines, setLines] = useState<RecordedLine[]>([]);
+  const [activeLineId, setActiveLineId] = useState<number | null>(null);
+  const audioRef = useRef<HTMLAudioElement | null>(null);
+
+  useEffect(() => {
+    if (!isSupabaseAvailable()) return;
+    let cancelled = false;
+
+    const loadRecording = async () => {
+      const { data: recording, error } = await supabase!
+        .from('call_recordings')
+        .select('session_id')
+        .eq('session_id', sessionId)
+        .maybeSingle();
+      if (cancelled) return;
+      if (error) console.warn('Could not load recording:', error.message);
+      setHasRecording(Boolean(recording));
+      if (!recording) return;
+
+      const { data: chunks, error: chunksError } = await supabase!
+        .from('call_transcript_chunks')
+        .select('id, speaker_role, chunk_text, audio_offset_ms')
+        .eq('session_id', sessionId)
+        .order('id', { ascending: true });
+      if (cancelled) return;
+      if (chunksError) console.warn('Could not load transcript lines:', chunksError.message);
+      setLines((chunks || []).filter((c) => c.audio_offset_ms != null));
+    };
+
+    setActiveLineId(null);
+    loadRecording();
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId]);
+
+  if (!hasRecording || !accessToken) return null;
+
+  const playFrom = (line: RecordedLine) => {
+    const audio = audioRef.current;
+    if (!audio || line.audio_offset_ms == null) return;
+    audio.currentTime = line.audio_offset_ms / 1000;
+    setActiveLineId(line.id);
+    void audio.play();
+  };
+
+  const objectionLines = objections
+    .map((objection) => ({ objection, line: findLine(lines, objection) }))
+    .filter((o): o is { objection: string; line: RecordedLine } => o.line !== null);
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        <Headphones className="w-5 h-5 text-cyan-400" />
+        <h3 className="text-lg font-bold text-cyan-400">Call Recording</h3>
+      </div>
+      <audio
+        ref={audioRef}
+        controls
+        preload="metadata"
+        src={`${getApiBaseUrl()}/api/recordings/${sessionId}?access_token=${encodeURIComponent(accessToken)}`}
+        className="w-full mb-3"
+      />
+
+      {objectionLines.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {objectionLines.map(({ objection, line }, idx) => (
+            <button
+              key={idx}
+              onClick={() => playFrom(line)}
+              title={line.chunk_text}
+              className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-amber-900/30 border border-amber-700/50 text-amber-300 hover:bg-amber-900/50"
+            >
+              <Play className="w-3 h-3" />
+              {objection.length > 60 ? `${objection.slice(0, 60)}…` : objection}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {lines.length > 0 && (
+        <div className="max-h-64 overflow-y-auto space-y-1 pr-1">
+          {lines.map((line) => (
+            <button
+              key={line.id}
+              onClick={() => playFrom(line)}
+              className={`w-full text-left flex gap-3 px-2 py-1 rounded text-sm hover:bg-gray-800/80 ${
+                activeLineId === line.id ? 'bg-gray-800 border border-cyan-700/50' : ''
+              }`}
+            >
+              <span className="text-gray-500 font-mono shrink-0">{formatClock(line.audio_offset_ms ?? 0)}</span>
+              <span className={line.speaker_role === 'prospect' ? 'text-amber-300 shrink-0' : 'text-cyan-300 shrink-0'}>
+                {line.speaker_role === 'prospect' ? 'Prospect' : line.speaker_role === 'closer' ? 'Closer' : '—'}
+              </span>
+              <span className="text-gray-300">{line.chunk_text}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,9 @@ import { useState, useEffect } from 'react';
 import { ArrowLeft, FileText, Loader2, AlertCircle, CheckCircle2, Clock, User, MessageSquare } from 'lucide-react';
 import { supabase, isSupabaseAvailable } from '../lib/supabase';
 import { useAuth } from '../contexts/AuthContext';
+import CallArcChart from './CallArcChart';
+import CallRecordingPlayer from './CallRecordingPlayer';
+import SessionExportMenu from './SessionExportMenu';
 
 interface ConversationSummary {
   id: string;
@@ -300,9 +303,19 @@ create policy "call_summaries_update_own" on public.call_summaries
                         </span>
                       </div>
                     </div>
+                    <SessionExportMenu sessionId={selectedSummary.session_id} />
                   </div>
 
                   <div className="space-y-6">
+                    {/* How the scores moved over the call */}
+                    <CallArcChart sessionId={selectedSummary.session_id} />
+
+                    {/* Click a line or an objection to hear that moment (recorded calls only) */}
+                    <CallRecordingPlayer
+                      sessionId={selectedSummary.session_id}
+                      objections={selectedSummary.summary_json.objectionsRaised}
+                    />
+
                     {/* Executive Summary */}
                     {selectedSummary.summary_json.executiveSummary && (
                       <div>
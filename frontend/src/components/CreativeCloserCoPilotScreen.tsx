@@ -72,7 +72,7 @@ export default function CreativeCloserCoPilotScreen({ onOpenDebrief }: CreativeC
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900">
       <div className="max-w-[1900px] mx-auto p-6">
         <div className="mb-6">
-          <ConversationUpload onAnalysisComplete={handleAnalysisComplete} />
+          <ConversationUpload prospectType={prospectType} onAnalysisComplete={handleAnalysisComplete} />
         </div>
 
         <div className="mb-6">
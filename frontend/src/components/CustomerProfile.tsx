@@ -1,5 +1,10 @@
+import { useState, useEffect } from 'react';
 import { Building2, Mail, Phone, MapPin, Linkedin, Calendar, DollarSign, ArrowLeft, Upload, Play, CheckCircle, Clock } from 'lucide-react';
 import { CustomerProfile as CustomerProfileType } from '../types';
+import { supabase, isSupabaseAvailable } from '../lib/supabase';
+import { useAuth } from '../contexts/AuthContext';
+import type { DealSheet } from '../lib/websocket';
+import DealSheetCard from './DealSheetCard';
 
 interface CustomerProfileProps {
   profile: CustomerProfileType;
@@ -8,6 +13,39 @@ interface CustomerProfileProps {
 }
 
 export default function CustomerProfile({ profile, onBack, onSelectCall }: CustomerProfileProps) {
+  const { user } = useAuth();
+  // Deal sheet from the most recent call (call_deal_sheets)
+  const [dealSheet, setDealSheet] = useState<DealSheet | null>(null);
+  const [dealSheetDate, setDealSheetDate] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!isSupabaseAvailable() || !user) return;
+    let cancelled = false;
+
+    const loadDealSheet = async () => {
+      const { data, error } = await supabase!
+        .from('call_deal_sheets')
+        .select('deal_sheet_json, updated_at')
+        .eq('user_id', user.id)
+        .order('updated_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      if (error) {
+        console.warn('Could not load deal sheet:', error.message);
+        return;
+      }
+      if (!cancelled && data) {
+        setDealSheet(data.deal_sheet_json as DealSheet);
+        setDealSheetDate(data.updated_at);
+      }
+    };
+
+    loadDealSheet();
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
   const getCallStatusColor = (status: string) => {
     switch (status) {
       case 'analyzed':
@@ -146,7 +184,13 @@ export default function CustomerProfile({ profile, onBack, onSelectCall }: Custo
             </div>
           </div>
 
-          <div className="col-span-8">
+          <div className="col-span-8 space-y-6">
+            {dealSheet && (
+              <DealSheetCard
+                dealSheet={dealSheet}
+                subtitle={dealSheetDate ? `From the call on ${new Date(dealSheetDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}` : undefined}
+              />
+            )}
             <div className="backdrop-blur-xl bg-gray-900/40 border border-gray-700/50 rounded-2xl p-6">
               <div className="flex items-center justify-between mb-6">
                 <h2 className="text-2xl font-bold text-white">Call History</h2>
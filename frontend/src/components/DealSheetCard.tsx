@@ -0,0 +1,81 @@
+import { ClipboardList, Quote } from 'lucide-react';
+import type { DealSheet, DealSheetFieldKey } from '../lib/websocket';
+
+interface DealSheetCardProps {
+  dealSheet?: DealSheet | null;
+  subtitle?: string;
+}
+
+// Same order and types as DEAL_SHEET_FIELDS in backend/analysis/dealSheet.js
+const fieldConfigs: Array<{ key: DealSheetFieldKey; label: string; type: 'text' | 'currency' | 'number' | 'date' }> = [
+  { key: 'propertyAddress', label: 'Property address', type: 'text' },
+  { key: 'mortgageBalance', label: 'Mortgage balance', type: 'currency' },
+  { key: 'monthlyPayment', label: 'Monthly payment', type: 'currency' },
+  { key: 'monthsBehind', label: 'Months behind', type: 'number' },
+  { key: 'auctionDate', label: 'Auction date', type: 'date' },
+  { key: 'rent', label: 'Rent', type: 'currency' },
+  { key: 'repairs', label: 'Repairs', type: 'text' },
+  { key: 'askingPrice', label: 'Asking price', type: 'currency' },
+];
+
+const formatValue = (type: string, value: string | number) =>
+  type === 'currency' ? `$${Number(value).toLocaleString('en-US')}` : String(value);
+
+export default function DealSheetCard({ dealSheet, subtitle = 'Deal numbers captured from the call' }: DealSheetCardProps) {
+  const fields = dealSheet?.fields || {};
+  const known = fieldConfigs.filter((f) => fields[f.key]);
+
+  return (
+    <div className="backdrop-blur-xl bg-gray-900/40 border border-gray-700/50 rounded-2xl p-6">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <div className="relative">
+            <ClipboardList className="w-7 h-7 text-cyan-400" />
+            <div className="absolute inset-0 blur-md bg-cyan-400/30"></div>
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold text-white">Deal Sheet</h2>
+            <p className="text-sm text-gray-400 mt-1">{subtitle}</p>
+          </div>
+        </div>
+        {known.length > 0 && (
+          <span className="text-xs text-gray-400 bg-gray-800 px-2 py-1 rounded-full">
+            {known.length}/{fieldConfigs.length}
+          </span>
+        )}
+      </div>
+
+      {known.length === 0 ? (
+        <div className="text-center py-6 text-gray-400">
+          <p className="text-sm">Nothing captured yet. Balances, dates and the address appear here as the prospect states them.</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {known.map((cfg) => {
+            const field = fields[cfg.key]!;
+            return (
+              <div key={cfg.key} className="bg-gray-800/40 border border-gray-700/40 rounded-xl p-3">
+                <div className="flex items-baseline justify-between gap-3">
+                  <span className="text-xs text-gray-400 uppercase tracking-wider">{cfg.label}</span>
+                  <span className="text-white font-semibold text-right">{formatValue(cfg.type, field.value)}</span>
+                </div>
+                {field.evidence && (
+                  <div className="flex items-start gap-2 text-xs text-gray-400 mt-2">
+                    <Quote className="w-3 h-3 text-cyan-400 flex-shrink-0 mt-0.5" />
+                    <span className="italic">{field.evidence}</span>
+                  </div>
+                )}
+                {field.previous?.length > 0 && (
+                  <div className="text-xs text-amber-300 mt-1">
+                    Earlier said {field.previous.map((p) => formatValue(cfg.type, p.value)).join(', ')}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { Quote } from 'lucide-react';
+import { PILLAR_INDICATORS } from '../data/indicators';
+import type { IndicatorEvidence } from '../lib/websocket';
+
+interface IndicatorBreakdownProps {
+  indicatorSignals?: Record<string, number>;
+  indicatorEvidence?: Record<string, IndicatorEvidence>;
+  indicatorConfidence?: Record<string, number>;
+}
+
+const formatClock = (ms: number) => {
+  const total = Math.round(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+const getScoreColor = (score: number) => {
+  if (score >= 7) return 'bg-emerald-400';
+  if (score >= 4) return 'bg-amber-400';
+  return 'bg-red-400';
+};
+
+export default function IndicatorBreakdown({ indicatorSignals = {}, indicatorEvidence = {}, indicatorConfidence = {} }: IndicatorBreakdownProps) {
+  const hasScores = Object.keys(indicatorSignals).length > 0;
+  if (!hasScores) {
+    return <p className="text-sm text-gray-400">Indicator scores appear after the first analysis pass.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {PILLAR_INDICATORS.map((pillar) => (
+        <div key={pillar.id}>
+          <div className="text-xs font-semibold text-gray-400 uppercase tracking-wider mb-2">
+            {pillar.id} · {pillar.name}
+          </div>
+          <div className="space-y-1.5">
+            {pillar.indicators.map((ind) => {
+              const score = Number(indicatorSignals[String(ind.id)] || 0);
+              const evidence = indicatorEvidence[String(ind.id)];
+              const confidence = indicatorConfidence[String(ind.id)];
+              return (
+                <div key={ind.id} className="group relative flex items-center gap-3 text-sm">
+                  <span className="flex-1 text-gray-300 truncate flex items-center gap-1">
+                    {ind.name}
+                    {evidence && <Quote className="w-3 h-3 text-cyan-400 flex-shrink-0" />}
+                  </span>
+                  <div className="w-24 bg-gray-800/60 rounded-full h-1.5 overflow-hidden">
+                    <div className={`h-full ${getScoreColor(score)}`} style={{ width: `${score * 10}%` }} />
+                  </div>
+                  <span className="w-8 text-right text-white font-medium">{score ? score.toFixed(1).replace(/\.0$/, '') : '–'}</span>
+
+                  {/* Hover: the words the score came from */}
+                  <div className="pointer-events-none absolute left-0 bottom-full mb-2 z-20 hidden group-hover:block w-72 bg-gray-950 border border-gray-700 rounded-lg p-3 shadow-xl">
+                    {evidence ? (
+                      <p className="text-xs text-gray-200 italic">
+                        “{evidence.quote}”
+                        {typeof evidence.offsetMs === 'number' && (
+                          <span className="not-italic text-gray-500 font-mono ml-1">{formatClock(evidence.offsetMs)}</span>
+                        )}
+                      </p>
+                    ) : (
+                      <p className="text-xs text-gray-400">No quote yet - scored from the overall conversation.</p>
+                    )}
+                    {typeof confidence === 'number' && (
+                      <p className="text-[11px] text-gray-500 mt-1">Confidence {Math.round(confidence * 100)}%</p>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
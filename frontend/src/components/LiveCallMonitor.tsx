@@ -0,0 +1,307 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Headphones, Radio, Send, X, MessageSquare, RefreshCw } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { getApiBaseUrl } from '../lib/api';
+import { ConversationWebSocket } from '../lib/websocket';
+import type { AnalysisUpdate, CloseVerdict, CoachingNote } from '../lib/websocket';
+
+interface LiveSession {
+  sessionId: string;
+  closerId: string;
+  closerEmail: string | null;
+  prospectType: string;
+  startedAt: string | null;
+  chunkCount: number;
+  listenerCount: number;
+}
+
+interface TranscriptLine {
+  speaker: string;
+  text: string;
+  // ms since the call started
+  offsetMs?: number | null;
+}
+
+const MAX_TRANSCRIPT_LINES = 200;
+
+const formatClock = (ms: number) => {
+  const total = Math.round(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+const SESSIONS_POLL_MS = 10000;
+
+const verdictLabels: Record<CloseVerdict, string> = {
+  push: 'Push to Close',
+  soft_close: 'Soft Close — Coach',
+  nurture: 'Delay — Nurture',
+  do_not_close: 'Do Not Close',
+};
+
+// Manager "listen-in": read-only view of a closer's live call plus private coaching notes
+export default function LiveCallMonitor() {
+  const { session } = useAuth();
+  const accessToken = session?.access_token ?? null;
+  const [sessions, setSessions] = useState<LiveSession[]>([]);
+  const [sessionsError, setSessionsError] = useState<string | null>(null);
+  const [active, setActive] = useState<LiveSession | null>(null);
+  const [transcript, setTranscript] = useState<TranscriptLine[]>([]);
+  const [analysis, setAnalysis] = useState<Partial<AnalysisUpdate> | null>(null);
+  const [notes, setNotes] = useState<CoachingNote[]>([]);
+  const [noteDraft, setNoteDraft] = useState('');
+  const [status, setStatus] = useState<string | null>(null);
+  const wsRef = useRef<ConversationWebSocket | null>(null);
+
+  const loadSessions = useCallback(async () => {
+    if (!accessToken) return;
+    try {
+      const response = await fetch(`${getApiBaseUrl()}/api/live-sessions`, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.details || data.error || `HTTP ${response.status}`);
+      }
+      setSessions(Array.isArray(data.sessions) ? data.sessions : []);
+      setSessionsError(null);
+    } catch (e) {
+      setSessionsError(e instanceof Error ? e.message : 'Failed to load live calls');
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    loadSessions();
+    const interval = setInterval(loadSessions, SESSIONS_POLL_MS);
+    return () => clearInterval(interval);
+  }, [loadSessions]);
+
+  // Close the socket when leaving the dashboard
+  useEffect(() => {
+    return () => {
+      wsRef.current?.stopListenIn();
+      wsRef.current?.disconnect();
+      wsRef.current = null;
+    };
+  }, []);
+
+  const getSocket = async () => {
+    if (wsRef.current?.isConnected()) return wsRef.current;
+    const ws = new ConversationWebSocket();
+    ws.setAuthToken(accessToken);
+    ws.setOnListenInStarted((ev) => {
+      setTranscript(ev.transcript.slice(-MAX_TRANSCRIPT_LINES));
+      setAnalysis(ev.analysis);
+      setNotes(ev.notes);
+      setStatus(null);
+    });
+    ws.setOnListenInEnded((ev) => {
+      setStatus(ev.failed ? `Could not listen in: ${ev.reason}` : `Call ended (${ev.reason})`);
+      setActive(null);
+      loadSessions();
+    });
+    ws.setOnTranscriptChunk((chunk) => {
+      if (!chunk?.text) return;
+      setTranscript((prev) => [...prev, { speaker: chunk.speaker, text: chunk.text, offsetMs: chunk.offsetMs }].slice(-MAX_TRANSCRIPT_LINES));
+    });
+    ws.setOnAnalysisUpdate((update) => {
+      // Partial updates carry only the groups that finished; merge like the closer's dashboard does
+      setAnalysis((prev) => ({ ...(prev || {}), ...update }));
+    });
+    ws.setOnCoachingNote((note) => {
+      setNotes((prev) => (prev.some((n) => n.id === note.id) ? prev : [...prev, note]));
+    });
+    ws.setOnError((err) => setStatus(err.message));
+    await ws.connect();
+    wsRef.current = ws;
+    return ws;
+  };
+
+  const startListening = async (target: LiveSession) => {
+    try {
+      setStatus('Connecting…');
+      setTranscript([]);
+      setAnalysis(null);
+      setNotes([]);
+      const ws = await getSocket();
+      ws.listenIn(target.sessionId);
+      setActive(target);
+    } catch (e) {
+      setStatus(e instanceof Error ? e.message : 'Failed to connect');
+    }
+  };
+
+  const stopListening = () => {
+    wsRef.current?.stopListenIn();
+    setActive(null);
+    setStatus(null);
+  };
+
+  const sendNote = () => {
+    const text = noteDraft.trim();
+    if (!text || !wsRef.current) return;
+    try {
+      wsRef.current.sendCoachingNote(text);
+      setNoteDraft('');
+    } catch (e) {
+      setStatus(e instanceof Error ? e.message : 'Failed to send note');
+    }
+  };
+
+  if (!accessToken) {
+    return (
+      <div className="backdrop-blur-xl bg-gray-900/40 border border-gray-700/50 rounded-2xl p-6 mb-8 text-gray-400 text-sm">
+        Sign in to listen in on your team's live calls.
+      </div>
+    );
+  }
+
+  const closeDecision = analysis?.closeDecision || null;
+  const objections = Array.isArray(analysis?.objections) ? analysis.objections.slice(0, 3) : [];
+
+  return (
+    <div className="backdrop-blur-xl bg-gray-900/40 border border-gray-700/50 rounded-2xl p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <Radio className="w-6 h-6 text-red-400" />
+          <h2 className="text-2xl font-bold text-white">Live Calls</h2>
+          <span className="text-sm text-gray-400">{sessions.length} in progress</span>
+        </div>
+        <button
+          onClick={loadSessions}
+          className="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-300 bg-gray-800/60 hover:bg-gray-700/60 rounded-lg transition-colors"
+        >
+          <RefreshCw className="w-4 h-4" />
+          Refresh
+        </button>
+      </div>
+
+      {sessionsError && <div className="mb-3 text-sm text-red-400">{sessionsError}</div>}
+      {status && <div className="mb-3 text-sm text-amber-400">{status}</div>}
+
+      {!active && (
+        <div className="grid grid-cols-3 gap-4">
+          {sessions.length === 0 && !sessionsError && (
+            <div className="col-span-3 text-sm text-gray-500">No one on your team is on a call right now.</div>
+          )}
+          {sessions.map((s) => (
+            <div key={s.sessionId} className="p-4 bg-gray-800/40 border border-gray-700/50 rounded-xl">
+              <div className="text-white font-semibold truncate">{s.closerEmail || 'Closer'}</div>
+              <div className="text-xs text-gray-400 mt-1">
+                {s.prospectType || 'Unknown prospect type'}
+                {s.startedAt ? ` · started ${new Date(s.startedAt).toLocaleTimeString()}` : ''}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">{s.chunkCount} transcript chunks</div>
+              <button
+                onClick={() => startListening(s)}
+                className="mt-3 flex items-center gap-2 px-3 py-1.5 text-sm text-cyan-300 bg-cyan-500/10 border border-cyan-400/30 hover:bg-cyan-500/20 rounded-lg transition-colors"
+              >
+                <Headphones className="w-4 h-4" />
+                Listen In
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {active && (
+        <div className="grid grid-cols-3 gap-6">
+          <div className="col-span-2">
+            <div className="flex items-center justify-between mb-3">
+              <div className="flex items-center gap-2">
+                <div className="w-2 h-2 bg-red-500 rounded-full animate-pulse"></div>
+                <span className="text-white font-semibold">{active.closerEmail || 'Closer'}</span>
+                <span className="text-xs text-gray-400">{active.prospectType}</span>
+              </div>
+              <button
+                onClick={stopListening}
+                className="flex items-center gap-1 text-sm text-gray-400 hover:text-white transition-colors"
+              >
+                <X className="w-4 h-4" />
+                Stop listening
+              </button>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3 mb-4">
+              <div className="p-3 bg-gray-800/40 rounded-lg">
+                <div className="text-xs text-gray-400 mb-1">Lubometer</div>
+                <div className="text-2xl font-bold text-white">{analysis?.lubometer?.score ?? '—'}</div>
+              </div>
+              <div className="p-3 bg-gray-800/40 rounded-lg">
+                <div className="text-xs text-gray-400 mb-1">Truth Index</div>
+                <div className="text-2xl font-bold text-white">{analysis?.truthIndex?.score ?? '—'}</div>
+              </div>
+              <div className="p-3 bg-gray-800/40 rounded-lg">
+                <div className="text-xs text-gray-400 mb-1">Close Decision</div>
+                <div className="text-sm font-bold text-white">
+                  {closeDecision ? verdictLabels[closeDecision.verdict] : '—'}
+                </div>
+              </div>
+            </div>
+
+            {objections.length > 0 && (
+              <div className="mb-4 space-y-1">
+                {objections.map((o, idx) => (
+                  <div key={idx} className="text-sm text-orange-300">
+                    • {o.objectionText} ({Math.round((o.probability || 0) * 100)}%)
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="px-4 py-3 bg-gray-800/60 border border-gray-700 rounded-xl overflow-y-auto max-h-[320px] space-y-1">
+              {transcript.length === 0 && <div className="text-sm text-gray-500">Waiting for speech…</div>}
+              {transcript.map((line, idx) => (
+                <div key={idx} className="text-sm text-gray-200">
+                  {typeof line.offsetMs === 'number' && (
+                    <span className="text-gray-500 font-mono mr-2">{formatClock(line.offsetMs)}</span>
+                  )}
+                  <span className={line.speaker === 'closer' ? 'text-cyan-400' : line.speaker === 'prospect' ? 'text-amber-400' : 'text-gray-500'}>
+                    {line.speaker.toUpperCase()}:
+                  </span>{' '}
+                  {line.text}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex flex-col">
+            <div className="flex items-center gap-2 mb-3">
+              <MessageSquare className="w-5 h-5 text-purple-400" />
+              <span className="text-white font-semibold">Coaching Notes</span>
+            </div>
+            <div className="flex-1 space-y-2 overflow-y-auto max-h-[320px] mb-3">
+              {notes.length === 0 && <div className="text-sm text-gray-500">Only the closer sees these notes.</div>}
+              {notes.map((note) => (
+                <div key={note.id} className="px-3 py-2 bg-purple-500/10 border border-purple-400/20 rounded-lg">
+                  <div className="text-sm text-gray-100">{note.text}</div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {note.from} · {new Date(note.ts).toLocaleTimeString()}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <input
+                value={noteDraft}
+                onChange={(e) => setNoteDraft(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') sendNote();
+                }}
+                maxLength={500}
+                placeholder="e.g. Ask who else is on the title"
+                className="flex-1 px-3 py-2 bg-gray-800/60 border border-gray-700 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:border-purple-400/50"
+              />
+              <button
+                onClick={sendNote}
+                disabled={!noteDraft.trim()}
+                className="px-3 py-2 bg-purple-500/20 border border-purple-400/30 text-purple-300 rounded-lg hover:bg-purple-500/30 disabled:opacity-40 transition-colors"
+                title="Send coaching note"
+              >
+                <Send className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,24 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { CheckCircle2, Circle, Target, Gauge, Shield, Mic } from 'lucide-react';
+import { CheckCircle2, Circle, Target, Gauge, Shield, Mic, MessageSquare, ChevronDown, ChevronUp } from 'lucide-react';
 import { StrategyType, strategyOptions } from '../data/coPilotData';
 import { useSettings } from '../contexts/SettingsContext';
 import TopObjections from './TopObjections';
 import HotButtons from './HotButtons';
 import RecordingButton from './coPilot/RecordingButton';
+import DealSheetCard from './DealSheetCard';
+import IndicatorBreakdown from './IndicatorBreakdown';
+import TruthContradictions from './TruthContradictions';
+import type {
+  CloseDecision,
+  CloseVerdict,
+  CoachingNote,
+  DealSheet,
+  HotButton,
+  IndicatorEvidence,
+  RebuttalStyles,
+  ScoreTrends,
+  TruthPenalty
+} from '../lib/websocket';
 
 
 interface AnalysisData {
@@ -15,26 +29,21 @@ interface AnalysisData {
     interpretation: string;
     action: string;
     maxScore?: number;
+    // 0-1: how settled the indicator scores behind the gauge are
+    confidence?: number;
   };
   truthIndex?: {
     score: number;
     signals: string[];
     redFlags: string[];
-    penalties: Array<{
-      rule: string;
-      description: string;
-      penalty: number;
-      details: string;
-    }>;
+    penalties: TruthPenalty[];
   };
-  hotButtons?: Array<{
-    id: number;
-    name: string;
-    description?: string;
-    quote: string;
-    score: number;
-    prompt: string;
-  }>;
+  hotButtons?: HotButton[];
+  trends?: ScoreTrends;
+  indicatorSignals?: Record<string, number>;
+  indicatorEvidence?: Record<string, IndicatorEvidence>;
+  indicatorConfidence?: Record<string, number>;
+  closeDecision?: CloseDecision | null;
   emotionalLevers?: {
     riskTolerance?: number;
     fearOfFailure?: number;
@@ -48,6 +57,9 @@ interface AnalysisData {
     whisper: string;
     probability: number;
     rebuttalScript: string;
+    indicatorId?: number | null;
+    indicatorName?: string;
+    rebuttalStyles?: RebuttalStyles | null;
   }>;
   dials?: {
     urgency: string;
@@ -70,6 +82,14 @@ export default function LiveCoPilotDashboard() {
   const [isCallActive, setIsCallActive] = useState<boolean>(false);
   const [callStartTime, setCallStartTime] = useState<number | null>(null);
   const [callDuration, setCallDuration] = useState<string>('00:00:00');
+  // Private notes from a manager listening in on this call
+  const [coachingNotes, setCoachingNotes] = useState<CoachingNote[]>([]);
+  // Hot button prompts the closer already used this call (synced to the backend by RecordingButton)
+  const [usedHotButtonIds, setUsedHotButtonIds] = useState<number[]>([]);
+  // Deal numbers the backend extracts live (deal_sheet_update)
+  const [dealSheet, setDealSheet] = useState<DealSheet | null>(null);
+  // "Why this score" - per-indicator scores with their quotes
+  const [showBreakdown, setShowBreakdown] = useState<boolean>(false);
   const { settings } = useSettings();
 
   // Accumulated history for objections (persists across updates)
@@ -79,6 +99,9 @@ export default function LiveCoPilotDashboard() {
     whisper: string;
     probability: number;
     rebuttalScript: string;
+    indicatorId?: number | null;
+    indicatorName?: string;
+    rebuttalStyles?: RebuttalStyles | null;
     timestamp: number;
   }>>([]);
 
@@ -258,6 +281,10 @@ export default function LiveCoPilotDashboard() {
               fear: pickNew(existing.fear, newItem.fear),
               whisper: pickNew(existing.whisper, newItem.whisper),
               rebuttalScript: pickNew(existing.rebuttalScript, newItem.rebuttalScript),
+              // Matrix mapping can be refined by the rebuttal agent; keep the latest one sent
+              indicatorId: newItem.rebuttalStyles ? newItem.indicatorId : existing.indicatorId,
+              indicatorName: newItem.rebuttalStyles ? newItem.indicatorName : existing.indicatorName,
+              rebuttalStyles: newItem.rebuttalStyles || existing.rebuttalStyles,
               // IMPORTANT: Keep original timestamp so order doesn't jump around
               timestamp: existing.timestamp
             };
@@ -378,6 +405,21 @@ export default function LiveCoPilotDashboard() {
   const lubometerColor = getLubometerColor();
   const lubometerScore = analysisData?.lubometer?.score ?? 0;
 
+  // Push/Delay verdict from the backend rules engine (falls back to the % bands until it arrives)
+  const closeDecision = analysisData?.closeDecision || null;
+  const verdictLabels: Record<CloseVerdict, string> = {
+    push: 'Push to Close',
+    soft_close: 'Soft Close — Coach',
+    nurture: 'Delay — Nurture',
+    do_not_close: 'Do Not Close',
+  };
+  const verdictStyles: Record<CloseVerdict, string> = {
+    push: 'text-emerald-400 bg-emerald-500/10 border-emerald-400/50',
+    soft_close: 'text-yellow-400 bg-yellow-500/10 border-yellow-400/50',
+    nurture: 'text-cyan-400 bg-cyan-500/10 border-cyan-400/50',
+    do_not_close: 'text-red-400 bg-red-500/10 border-red-400/50',
+  };
+
   // (debug display removed)
 
   // Truth Index helpers for header display - only use real data
@@ -444,6 +486,11 @@ export default function LiveCoPilotDashboard() {
                   });
                 }}
                 onAnalysisUpdate={handleAnalysisUpdate}
+                usedHotButtonIds={usedHotButtonIds}
+                onCoachingNote={(note) => {
+                  setCoachingNotes((prev) => (prev.some((n) => n.id === note.id) ? prev : [...prev, note].slice(-20)));
+                }}
+                onDealSheetUpdate={setDealSheet}
                 onRecordingStateChange={(isRecording) => {
                   setIsCallActive(isRecording);
                   // Only set call start time if it's not already set (first time recording)
@@ -565,6 +612,26 @@ export default function LiveCoPilotDashboard() {
           </div>
         </div>
 
+        {/* Manager Coaching Notes (only visible to the closer) */}
+        {coachingNotes.length > 0 && (
+          <div className="mb-6 backdrop-blur-xl bg-gray-900/40 border-2 border-purple-500/30 rounded-2xl p-4">
+            <div className="flex items-center gap-2 mb-3">
+              <MessageSquare className="w-5 h-5 text-purple-400" />
+              <span className="text-sm font-semibold text-purple-300">Coaching from your manager</span>
+            </div>
+            <div className="space-y-2 max-h-[140px] overflow-y-auto">
+              {coachingNotes.slice().reverse().map((note) => (
+                <div key={note.id} className="px-4 py-2 bg-purple-500/10 border border-purple-400/20 rounded-lg">
+                  <div className="text-sm text-gray-100">{note.text}</div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {note.from} · {new Date(note.ts).toLocaleTimeString()}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Main Three Column View */}
         <div className="grid grid-cols-3 gap-6">
           {/* LEFT: Diagnostic Questions */}
@@ -697,10 +764,26 @@ export default function LiveCoPilotDashboard() {
                 <div className={`text-7xl font-bold bg-gradient-to-r ${lubometerColor.gradient} bg-clip-text text-transparent mb-3 transition-all duration-500`}>
                   {completionPercentage}%
                 </div>
+                {typeof analysisData?.lubometer?.confidence === 'number' && analysisData.lubometer.confidence > 0 && (
+                  <div className="text-xs text-gray-400 -mt-1">
+                    Confidence {Math.round(analysisData.lubometer.confidence * 100)}%
+                    {analysisData.lubometer.confidence < 0.5 && <span className="text-amber-400"> · still settling</span>}
+                  </div>
+                )}
               </div>
 
               {/* Strategic Status Label */}
               <div className="text-center mb-6">
+                {closeDecision ? (
+                  <div
+                    className={`inline-block px-6 py-2 rounded-full border-2 ${verdictStyles[closeDecision.verdict]}`}
+                    title={closeDecision.firedRules.length ? `Rules: ${closeDecision.firedRules.join(', ')}` : undefined}
+                  >
+                    <div className="text-lg font-bold">
+                      {verdictLabels[closeDecision.verdict]}
+                    </div>
+                  </div>
+                ) : (
                 <div className={`inline-block px-6 py-2 rounded-full border-2 ${lubometerColor.text} ${
                   lubometerLevel === 'HIGH' ? 'bg-emerald-500/10 border-emerald-400/50' :
                   lubometerLevel === 'MEDIUM' ? 'bg-cyan-500/10 border-cyan-400/50' :
@@ -713,8 +796,9 @@ export default function LiveCoPilotDashboard() {
                      'Not Ready — Qualify First'}
                   </div>
                 </div>
+                )}
                 <div className="text-gray-300 text-sm mt-3">
-                  {lubometerText}
+                  {closeDecision?.reason || lubometerText}
                 </div>
               </div>
 
@@ -744,17 +828,61 @@ export default function LiveCoPilotDashboard() {
                 <span className="text-emerald-300">100%</span>
               </div>
 
+              {/* Trend - what moved in the last ~90 seconds */}
+              {analysisData?.trends?.deltas?.length ? (
+                <div className="flex flex-wrap gap-2 mb-6">
+                  {analysisData.trends.deltas.map((d) => (
+                    <span
+                      key={`${d.kind}-${d.key}`}
+                      className={`text-xs font-medium px-3 py-1 rounded-full border ${
+                        d.favorable
+                          ? 'text-emerald-300 bg-emerald-500/10 border-emerald-400/30'
+                          : 'text-red-300 bg-red-500/10 border-red-400/30'
+                      }`}
+                    >
+                      {d.favorable ? '▲' : '▼'} {d.text}
+                    </span>
+                  ))}
+                </div>
+              ) : null}
+
               {/* Action Section */}
               <div className="bg-gradient-to-r from-blue-500/10 to-cyan-500/10 border border-blue-400/30 rounded-xl p-4">
                 <h4 className="text-blue-300 font-bold text-sm mb-2">Action</h4>
                 <p className="text-gray-300 text-sm">
-                  {analysisData?.lubometer?.action || 'Start recording to get real-time action recommendations...'}
+                  {closeDecision?.recommendedAction || analysisData?.lubometer?.action || 'Start recording to get real-time action recommendations...'}
                 </p>
               </div>
+
+              {/* Score breakdown - hover an indicator for the quote behind it */}
+              <div className="mt-4">
+                <button
+                  onClick={() => setShowBreakdown((v) => !v)}
+                  className="flex items-center gap-2 text-sm text-gray-400 hover:text-white transition-colors"
+                >
+                  {showBreakdown ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                  Why this score
+                </button>
+                {showBreakdown && (
+                  <div className="mt-3">
+                    <IndicatorBreakdown
+                      indicatorSignals={analysisData?.indicatorSignals}
+                      indicatorEvidence={analysisData?.indicatorEvidence}
+                      indicatorConfidence={analysisData?.indicatorConfidence}
+                    />
+                  </div>
+                )}
+              </div>
             </div>
 
-            {/* Hot Buttons - Emotional Levers */}
-            <HotButtons emotionalLevers={analysisData?.emotionalLevers} />
+            {/* Hot Buttons - Smart Closing Prompts */}
+            <HotButtons
+              hotButtons={analysisData?.hotButtons}
+              usedIds={usedHotButtonIds}
+              onToggleUsed={(id) =>
+                setUsedHotButtonIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]))
+              }
+            />
           </div>
 
           {/* RIGHT: Live Intel */}
@@ -762,6 +890,8 @@ export default function LiveCoPilotDashboard() {
             <TopObjections
               realTimeObjections={objectionsHistory}
             />
+            <TruthContradictions penalties={analysisData?.truthIndex?.penalties} />
+            <DealSheetCard dealSheet={dealSheet} />
           </div>
         </div>
       </div>
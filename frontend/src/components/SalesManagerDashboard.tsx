@@ -1,5 +1,6 @@
 import { TrendingUp, TrendingDown, Minus, AlertTriangle, CheckCircle, Phone, DollarSign, Target, Clock, Activity, Award, AlertCircle, ShieldAlert, ArrowLeft } from 'lucide-react';
 import { SalesManagerProfile, CloserOverview } from '../types';
+import LiveCallMonitor from './LiveCallMonitor';
 
 interface SalesManagerDashboardProps {
   profile: SalesManagerProfile;
@@ -137,6 +138,8 @@ export default function SalesManagerDashboard({ profile, onCloserClick, onBack }
           </div>
         </div>
 
+        <LiveCallMonitor />
+
         <div className="grid grid-cols-2 gap-6">
           {profile.closers.map(closer => {
             const burnoutAlerts = getBurnoutAlerts(closer);
@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { Download, Printer, Loader2 } from 'lucide-react';
+import { getApiBaseUrl } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+
+// Formats served by GET /api/sessions/:id/export (backend/export/formats.js)
+type ExportFormat = 'json' | 'md' | 'csv' | 'html';
+
+const downloads: Array<{ format: ExportFormat; label: string }> = [
+  { format: 'md', label: 'Markdown' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' },
+];
+
+interface SessionExportMenuProps {
+  sessionId: string;
+}
+
+const fileNameFrom = (disposition: string | null, fallback: string) =>
+  disposition?.match(/filename="([^"]+)"/)?.[1] || fallback;
+
+// Call packet (transcript, summary, timeline, objections, debrief) for CRM records and partners
+export default function SessionExportMenu({ sessionId }: SessionExportMenuProps) {
+  const { session } = useAuth();
+  const accessToken = session?.access_token ?? null;
+  const [busy, setBusy] = useState<ExportFormat | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchExport = async (format: ExportFormat) => {
+    const response = await fetch(
+      `${getApiBaseUrl()}/api/sessions/${sessionId}/export?format=${format}`,
+      { headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {} }
+    );
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.details || data.error || `HTTP ${response.status}`);
+    }
+    return {
+      url: URL.createObjectURL(await response.blob()),
+      fileName: fileNameFrom(response.headers.get('Content-Disposition'), `call-${sessionId}.${format}`),
+    };
+  };
+
+  const run = async (format: ExportFormat, action: (file: { url: string; fileName: string }) => void) => {
+    setBusy(format);
+    setError(null);
+    try {
+      const file = await fetchExport(format);
+      action(file);
+      // Let the download or the new tab pick the file up first
+      setTimeout(() => URL.revokeObjectURL(file.url), 60000);
+      return true;
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Export failed');
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const download = (format: ExportFormat) =>
+    run(format, ({ url, fileName }) => {
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+    });
+
+  // Open the tab while the click still counts as a user gesture, then point it at the page
+  const openPrintable = () => {
+    const tab = window.open('', '_blank');
+    void run('html', ({ url }) => {
+      if (tab) tab.location.href = url;
+      else window.location.assign(url);
+    }).then((ok) => {
+      if (!ok) tab?.close();
+    });
+  };
+
+  return (
+    <div className="flex flex-col items-end gap-1">
+      <div className="flex items-center gap-2">
+        {downloads.map(({ format, label }) => (
+          <button
+            key={format}
+            onClick={() => download(format)}
+            disabled={busy !== null}
+            className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-gray-800/60 border border-gray-700/50 text-gray-300 hover:bg-gray-700/60 disabled:opacity-50"
+          >
+            {busy === format ? <Loader2 className="w-3 h-3 animate-spin" /> : <Download className="w-3 h-3" />}
+            {label}
+          </button>
+        ))}
+        <button
+          onClick={openPrintable}
+          disabled={busy !== null}
+          className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-cyan-900/30 border border-cyan-700/50 text-cyan-300 hover:bg-cyan-900/50 disabled:opacity-50"
+        >
+          {busy === 'html' ? <Loader2 className="w-3 h-3 animate-spin" /> : <Printer className="w-3 h-3" />}
+          Print
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  );
+}
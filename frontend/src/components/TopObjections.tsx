@@ -1,4 +1,8 @@
-import { AlertTriangle } from 'lucide-react';
+import { useState } from 'react';
+import { AlertTriangle, ChevronDown, ChevronUp } from 'lucide-react';
+import { useSettings } from '../contexts/SettingsContext';
+import { REBUTTAL_STYLE_OPTIONS } from '../data/rebuttalStyles';
+import type { RebuttalStyles } from '../lib/websocket';
 
 interface RealTimeObjection {
   objectionText: string;
@@ -6,13 +10,29 @@ interface RealTimeObjection {
   whisper: string;
   probability: number;
   rebuttalScript: string;
+  indicatorId?: number | null;
+  indicatorName?: string;
+  rebuttalStyles?: RebuttalStyles | null;
+  // ms since the call started
+  offsetMs?: number | null;
 }
 
 interface TopObjectionsProps {
   realTimeObjections?: RealTimeObjection[];
 }
 
+const formatClock = (ms: number) => {
+  const total = Math.round(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
 export default function TopObjections({ realTimeObjections }: TopObjectionsProps) {
+  const { settings } = useSettings();
+  const preferredStyle = REBUTTAL_STYLE_OPTIONS.find((o) => o.key === settings.preferredRebuttalStyle) || REBUTTAL_STYLE_OPTIONS[0];
+  const otherStyles = REBUTTAL_STYLE_OPTIONS.filter((o) => o.key !== preferredStyle.key);
+  // Which cards have the other three matrix styles expanded (keyed by objection text)
+  const [expanded, setExpanded] = useState<Record<string, boolean>>({});
+
   // Show only TOP 3 objections, sorted by probability
   const top3Objections = (realTimeObjections || [])
     .sort((a, b) => b.probability - a.probability)
@@ -101,6 +121,9 @@ export default function TopObjections({ realTimeObjections }: TopObjectionsProps
                       <h3 className={`text-lg font-bold ${color.text} leading-tight`}>
                         {objection.objectionText}
                       </h3>
+                      {typeof objection.offsetMs === 'number' && (
+                        <p className="text-xs text-gray-400 font-mono mt-1">Said at {formatClock(objection.offsetMs)}</p>
+                      )}
                     </div>
                   </div>
                   <div className={`flex-shrink-0 px-3 py-1 ${color.badge} rounded-full text-sm font-bold ml-3`}>
@@ -142,6 +165,41 @@ export default function TopObjections({ realTimeObjections }: TopObjectionsProps
                       </p>
                     </div>
                   </div>
+
+                  {/* Objection Matrix responses (preferred style first) */}
+                  {objection.rebuttalStyles && (
+                    <div className="flex items-start gap-2">
+                      <div className="w-1 h-1 rounded-full bg-amber-400 mt-2 flex-shrink-0"></div>
+                      <div className="flex-1">
+                        <span className="text-amber-300 font-semibold text-xs uppercase tracking-wide">
+                          {preferredStyle.label}:
+                        </span>
+                        {objection.indicatorName && (
+                          <span className="text-gray-500 text-xs ml-2">#{objection.indicatorId} {objection.indicatorName}</span>
+                        )}
+                        <p className="text-gray-200 text-sm mt-1 font-medium">
+                          {objection.rebuttalStyles[preferredStyle.key]}
+                        </p>
+                        <button
+                          onClick={() => setExpanded((prev) => ({ ...prev, [objection.objectionText]: !prev[objection.objectionText] }))}
+                          className="mt-1 flex items-center gap-1 text-xs text-gray-400 hover:text-gray-200 transition-colors"
+                        >
+                          {expanded[objection.objectionText] ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                          Other styles
+                        </button>
+                        {expanded[objection.objectionText] && (
+                          <div className="mt-2 space-y-1">
+                            {otherStyles.map((style) => (
+                              <p key={style.key} className="text-gray-300 text-xs">
+                                <span className="text-gray-400 font-semibold">{style.label}:</span>{' '}
+                                {objection.rebuttalStyles?.[style.key]}
+                              </p>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
             );
@@ -0,0 +1,68 @@
+import { AlertTriangle, Quote } from 'lucide-react';
+import type { TruthPenalty, TruthStatement } from '../lib/websocket';
+
+interface TruthContradictionsProps {
+  penalties?: TruthPenalty[];
+}
+
+const formatWhen = (s: TruthStatement) => {
+  if (typeof s.t === 'number') {
+    const total = Math.round(s.t / 1000);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+  return s.ts ? new Date(s.ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+};
+
+function Statement({ label, statement }: { label: string; statement: TruthStatement }) {
+  return (
+    <div className="flex items-start gap-2 text-sm">
+      <span className="text-xs font-bold text-amber-300 w-4 flex-shrink-0 mt-0.5">{label}</span>
+      <Quote className="w-3 h-3 text-cyan-400 flex-shrink-0 mt-1" />
+      <span className="flex-1 text-gray-200 italic">{statement.quote}</span>
+      <span className="text-xs text-gray-500 font-mono flex-shrink-0">{formatWhen(statement)}</span>
+    </div>
+  );
+}
+
+// Truth Index rules backed by what the prospect said: statement A vs statement B
+export default function TruthContradictions({ penalties = [] }: TruthContradictionsProps) {
+  const quoted = penalties.filter((p) => p.statements?.length);
+  if (quoted.length === 0) return null;
+
+  return (
+    <div className="backdrop-blur-xl bg-gray-900/40 border border-gray-700/50 rounded-2xl p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="relative">
+          <AlertTriangle className="w-7 h-7 text-amber-400" />
+          <div className="absolute inset-0 blur-md bg-amber-400/30"></div>
+        </div>
+        <div>
+          <h2 className="text-2xl font-bold text-white">Contradictions</h2>
+          <p className="text-sm text-gray-400 mt-1">What the prospect said that lowered the Truth Index</p>
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        {quoted.map((p) => (
+          <div key={p.rule} className="bg-gray-800/40 border border-gray-700/40 rounded-xl p-3">
+            <div className="flex items-baseline justify-between gap-3 mb-2">
+              <span className="text-white font-semibold">{p.rule}</span>
+              <span className="text-xs text-red-300">-{p.penalty}</span>
+            </div>
+            <div className="space-y-1.5">
+              {p.statements!.length === 2 ? (
+                <>
+                  <Statement label="A" statement={p.statements![0]} />
+                  <div className="text-xs text-gray-500 pl-6">vs</div>
+                  <Statement label="B" statement={p.statements![1]} />
+                </>
+              ) : (
+                p.statements!.map((s, i) => <Statement key={i} label="" statement={s} />)
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
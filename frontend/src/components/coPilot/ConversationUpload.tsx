@@ -1,29 +1,81 @@
 import { useState } from 'react';
 import { Upload, FileText, AlertCircle, CheckCircle, Loader2 } from 'lucide-react';
 import * as pdfjsLib from 'pdfjs-dist';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSettings } from '../../contexts/SettingsContext';
+import { getApiBaseUrl } from '../../lib/api';
+import type { AnalysisUpdate } from '../../lib/websocket';
 
 // Set up the worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
 
+interface UploadResult {
+  prospectType: string;
+  lubometer: number;
+  dials: {
+    urgency: number;
+    trust: number;
+    authority: number;
+    structure: number;
+  };
+}
+
 interface ConversationUploadProps {
-  onAnalysisComplete: (analysis: {
-    prospectType: string;
-    lubometer: number;
+  // Sent with the upload so the backend scores against the selected prospect type
+  prospectType?: string;
+  onAnalysisComplete: (analysis: UploadResult) => void;
+}
+
+interface UploadJob {
+  uploadId: string;
+  status: 'running' | 'completed' | 'failed' | 'cancelled';
+  phase: 'transcribing' | 'analyzing' | 'summarizing';
+  progress: number;
+  sessionId: string | null;
+  analysis: Partial<AnalysisUpdate> & { lubometer?: AnalysisUpdate['lubometer'] & { maxScore?: number } } | null;
+  error: string | null;
+}
+
+const TEXT_EXTENSIONS = ['txt', 'vtt', 'srt', 'json'];
+const POLL_MS = 1500;
+const phaseLabels: Record<UploadJob['phase'], string> = {
+  transcribing: 'Transcribing',
+  analyzing: 'Analyzing',
+  summarizing: 'Summarizing',
+};
+
+// Backend pillar averages are 0-10; the dials take 0-100.
+function toUploadResult(job: UploadJob, fallbackProspectType: string): UploadResult {
+  const analysis = job.analysis || {};
+  const pillars = (analysis.pillars || {}) as Record<string, number>;
+  const dial = (pillarId: string) => Math.round(Math.max(0, Math.min(10, Number(pillars[pillarId]) || 0)) * 10);
+  const score = Number(analysis.lubometer?.score) || 0;
+  const maxScore = Number(analysis.lubometer?.maxScore) || 90;
+  return {
+    prospectType: analysis.prospectType || fallbackProspectType,
+    lubometer: Math.round((score / maxScore) * 100),
     dials: {
-      urgency: number;
-      trust: number;
-      authority: number;
-      structure: number;
-    };
-  }) => void;
+      urgency: dial('P2'),
+      trust: dial('P7'),
+      authority: dial('P3'),
+      structure: dial('P4'),
+    },
+  };
 }
 
-export default function ConversationUpload({ onAnalysisComplete }: ConversationUploadProps) {
+export default function ConversationUpload({ prospectType = '', onAnalysisComplete }: ConversationUploadProps) {
+  const { session } = useAuth();
+  const accessToken = session?.access_token ?? null;
+  // Uploaded calls are transcribed and analyzed in the language set for live calls
+  const { settings } = useSettings();
+  const { callLanguage: language, displayLanguage } = settings;
   const [extractedText, setExtractedText] = useState('');
+  const [fileName, setFileName] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
-  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [job, setJob] = useState<UploadJob | null>(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const isAnalyzing = job?.status === 'running';
 
   const extractTextFromPDF = async (file: File): Promise<string> => {
     const arrayBuffer = await file.arrayBuffer();
@@ -42,124 +94,68 @@ export default function ConversationUpload({ onAnalysisComplete }: ConversationU
     return fullText;
   };
 
-  const analyzeConversation = (text: string) => {
-    setIsAnalyzing(true);
-    setError('');
+  const authHeaders = (): Record<string, string> =>
+    accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
 
+  const pollJob = async (uploadId: string) => {
+    for (;;) {
+      await new Promise((resolve) => setTimeout(resolve, POLL_MS));
+      const response = await fetch(`${getApiBaseUrl()}/api/uploads/${uploadId}`, { headers: authHeaders() });
+      if (!response.ok) throw new Error(`Upload status failed (${response.status})`);
+      const next = (await response.json()) as UploadJob;
+      setJob(next);
+      if (next.status !== 'running') return next;
+    }
+  };
+
+  // Send a transcript (JSON body) or a WAV recording (raw body) and wait for the backend analysis.
+  const analyzeUpload = async (body: { transcript: string; filename: string } | { audio: File }) => {
+    setError('');
+    setSuccess('');
     try {
-      const lowerText = text.toLowerCase();
+      const response = 'audio' in body
+        ? await fetch(
+            `${getApiBaseUrl()}/api/uploads?${new URLSearchParams({ filename: body.audio.name, format: 'wav', prospectType, language, displayLanguage })}`,
+            { method: 'POST', headers: { 'Content-Type': 'audio/wav', ...authHeaders() }, body: body.audio }
+          )
+        : await fetch(`${getApiBaseUrl()}/api/uploads`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...authHeaders() },
+            body: JSON.stringify({ transcript: body.transcript, filename: body.filename, prospectType, language, displayLanguage }),
+          });
+      const started = await response.json();
+      if (!response.ok) throw new Error(started.error || `Upload failed (${response.status})`);
+      setJob(started as UploadJob);
 
-      // Determine prospect type
-      let prospectType = 'creative-seller-financing';
-      if (lowerText.includes('foreclosure') || lowerText.includes('behind on mortgage')) {
-        prospectType = 'foreclosure';
-      } else if (lowerText.includes('landlord') || lowerText.includes('tenant')) {
-        if (lowerText.includes('tired') || lowerText.includes('done')) {
-          prospectType = 'performing-tired-landlord';
-        } else {
-          prospectType = 'distressed-landlord';
-        }
-      } else if (lowerText.includes('inherited') || lowerText.includes('probate') || lowerText.includes('estate')) {
-        prospectType = 'creative-seller-financing';
+      const finished = await pollJob(started.uploadId);
+      if (finished.status !== 'completed') {
+        throw new Error(finished.error || `Analysis ${finished.status}`);
       }
-
-      // Analyze urgency (0-100)
-      let urgency = 50;
-      const urgencyIndicators = [
-        { phrase: 'months behind', value: 85 },
-        { phrase: 'default notice', value: 85 },
-        { phrase: "don't know what to do", value: 80 },
-        { phrase: 'foreclosure', value: 85 },
-        { phrase: 'need to sell fast', value: 90 },
-        { phrase: 'already received', value: 75 },
-        { phrase: 'scared', value: 80 },
-      ];
-      urgencyIndicators.forEach(({ phrase, value }) => {
-        if (lowerText.includes(phrase)) urgency = Math.max(urgency, value);
-      });
-
-      // Analyze trust (0-100)
-      let trust = 50;
-      const trustIndicators = [
-        { phrase: 'sketchy', value: -30 },
-        { phrase: 'sounds sketchy', value: -30 },
-        { phrase: "don't trust", value: -25 },
-        { phrase: 'worried', value: -15 },
-        { phrase: 'afraid', value: -10 },
-        { phrase: 'makes sense', value: 15 },
-        { phrase: 'that helps', value: 15 },
-        { phrase: 'okay', value: 10 },
-        { phrase: 'i guess', value: 5 },
-      ];
-      trustIndicators.forEach(({ phrase, value }) => {
-        if (lowerText.includes(phrase)) trust += value;
-      });
-      trust = Math.max(0, Math.min(100, trust));
-
-      // Analyze authority (0-100)
-      let authority = 60;
-      const authorityIndicators = [
-        { phrase: 'need to ask', value: -20 },
-        { phrase: 'talk to my', value: -20 },
-        { phrase: 'my wife', value: -10 },
-        { phrase: 'my husband', value: -10 },
-        { phrase: 'let me think', value: 10 },
-        { phrase: 'i can decide', value: 20 },
-        { phrase: "i'll do", value: 15 },
-      ];
-      authorityIndicators.forEach(({ phrase, value }) => {
-        if (lowerText.includes(phrase)) authority += value;
-      });
-      authority = Math.max(0, Math.min(100, authority));
-
-      // Analyze structure understanding (0-100)
-      let structure = 50;
-      const structureIndicators = [
-        { phrase: "haven't heard", value: -20 },
-        { phrase: "don't understand", value: -15 },
-        { phrase: 'what does that mean', value: -20 },
-        { phrase: 'slowly', value: -10 },
-        { phrase: 'heard that', value: 10 },
-        { phrase: 'i know about', value: 15 },
-        { phrase: 'understand how', value: 20 },
-        { phrase: 'makes sense', value: 15 },
-      ];
-      structureIndicators.forEach(({ phrase, value }) => {
-        if (lowerText.includes(phrase)) structure += value;
-      });
-      structure = Math.max(0, Math.min(100, structure));
-
-      // Calculate lubometer (overall readiness)
-      const lubometer = Math.round((urgency * 0.4 + trust * 0.3 + authority * 0.2 + structure * 0.1));
-
-      const analysis = {
-        prospectType,
-        lubometer,
-        dials: {
-          urgency: Math.round(urgency),
-          trust: Math.round(trust),
-          authority: Math.round(authority),
-          structure: Math.round(structure),
-        },
-      };
-
-      onAnalysisComplete(analysis);
-      setSuccess('Conversation analyzed successfully! Metrics updated.');
+      if (!finished.analysis) throw new Error('No analysis was produced for this call');
+      onAnalysisComplete(toUploadResult(finished, prospectType));
+      setSuccess(finished.sessionId ? 'Call analyzed and saved to your sessions.' : 'Call analyzed. Metrics updated.');
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
-      setError('Failed to analyze conversation. Please try again.');
+      setError(err instanceof Error ? err.message : 'Failed to analyze conversation. Please try again.');
       console.error('Analysis error:', err);
-    } finally {
-      setIsAnalyzing(false);
+      setJob(null);
     }
   };
 
   const handleFileUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
     const file = e.target.files?.[0];
+    e.target.value = '';
     if (!file) return;
+    const ext = file.name.toLowerCase().split('.').pop() || '';
 
-    if (!file.name.endsWith('.pdf')) {
-      setError('Please upload a PDF file');
+    if (ext === 'wav') {
+      setFileName(file.name);
+      setExtractedText('');
+      await analyzeUpload({ audio: file });
+      return;
+    }
+    if (ext !== 'pdf' && !TEXT_EXTENSIONS.includes(ext)) {
+      setError('Please upload a PDF, TXT, VTT, SRT, JSON or WAV file');
       return;
     }
 
@@ -167,29 +163,27 @@ export default function ConversationUpload({ onAnalysisComplete }: ConversationU
     setError('');
     setSuccess('');
 
+    let text = '';
     try {
-      const text = await extractTextFromPDF(file);
+      text = ext === 'pdf' ? await extractTextFromPDF(file) : await file.text();
       setExtractedText(text);
-      setSuccess('PDF processed successfully!');
-
-      // Auto-analyze after extraction
-      setTimeout(() => {
-        analyzeConversation(text);
-      }, 500);
+      setFileName(file.name);
     } catch (err) {
-      setError('Failed to process PDF. Please try again.');
-      console.error('PDF extraction error:', err);
+      setError('Failed to read the file. Please try again.');
+      console.error('File extraction error:', err);
+      return;
     } finally {
       setIsProcessing(false);
     }
+    await analyzeUpload({ transcript: text, filename: file.name });
   };
 
   const handleTextAnalysis = () => {
-    if (!extractedText) {
+    if (!extractedText.trim()) {
       setError('No conversation text to analyze');
       return;
     }
-    analyzeConversation(extractedText);
+    void analyzeUpload({ transcript: extractedText, filename: fileName });
   };
 
   return (
@@ -200,20 +194,24 @@ export default function ConversationUpload({ onAnalysisComplete }: ConversationU
         <div className="space-y-2">
           <div className="flex items-center gap-2 mb-2">
             <Upload className="w-4 h-4 text-blue-400" />
-            <h3 className="text-sm font-semibold text-white">Upload A PDF</h3>
+            <h3 className="text-sm font-semibold text-white">Upload A Call</h3>
           </div>
           <div className="border-2 border-dashed border-gray-600 rounded-lg p-4 text-center hover:border-blue-500 transition-colors">
             <label className="cursor-pointer block">
               <input
                 type="file"
-                accept=".pdf"
+                accept=".pdf,.txt,.vtt,.srt,.json,.wav"
                 onChange={handleFileUpload}
                 className="hidden"
-                disabled={isProcessing}
+                disabled={isProcessing || isAnalyzing}
               />
               <FileText className="w-8 h-8 text-gray-400 mx-auto mb-2" />
               <p className="text-sm text-gray-300 mb-1">
-                {isProcessing ? 'Processing...' : 'Upload PDF'}
+                {isProcessing
+                  ? 'Processing...'
+                  : isAnalyzing && job
+                    ? `${phaseLabels[job.phase]}... ${job.progress}%`
+                    : 'PDF, transcript or WAV'}
               </p>
               <p className="text-xs text-gray-500">Click to browse</p>
             </label>
@@ -228,7 +226,10 @@ export default function ConversationUpload({ onAnalysisComplete }: ConversationU
           </div>
           <textarea
             value={extractedText}
-            onChange={(e) => setExtractedText(e.target.value)}
+            onChange={(e) => {
+              setExtractedText(e.target.value);
+              setFileName('');
+            }}
             placeholder="Paste text here..."
             className="w-full h-24 px-3 py-2 bg-gray-900 border border-gray-600 rounded-lg text-sm text-gray-300 placeholder-gray-500 focus:outline-none focus:border-blue-500 resize-none"
           />
@@ -241,7 +242,7 @@ export default function ConversationUpload({ onAnalysisComplete }: ConversationU
               {isAnalyzing ? (
                 <>
                   <Loader2 className="w-3 h-3 animate-spin" />
-                  Analyzing...
+                  {job ? `${phaseLabels[job.phase]}... ${job.progress}%` : 'Analyzing...'}
                 </>
               ) : (
                 'Analyze'
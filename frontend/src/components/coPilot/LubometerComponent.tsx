@@ -1,13 +1,26 @@
 import { LubometerInterpretation } from '../../data/coPilotData';
 import { Snowflake, Target, BookOpen, Flame } from 'lucide-react';
+import IndicatorBreakdown from '../IndicatorBreakdown';
+import type { IndicatorEvidence } from '../../lib/websocket';
 
 interface LubometerComponentProps {
   interpretation: LubometerInterpretation;
   value: number;
   onChange: (value: number) => void;
+  // Per-indicator scores behind the value, with the quote each came from (hover to see it)
+  indicatorSignals?: Record<string, number>;
+  indicatorEvidence?: Record<string, IndicatorEvidence>;
+  indicatorConfidence?: Record<string, number>;
 }
 
-export default function LubometerComponent({ interpretation, value, onChange }: LubometerComponentProps) {
+export default function LubometerComponent({
+  interpretation,
+  value,
+  onChange,
+  indicatorSignals,
+  indicatorEvidence,
+  indicatorConfidence
+}: LubometerComponentProps) {
   const getActiveLevel = () => {
     if (value <= 33) return 'low';
     if (value <= 66) return 'medium';
@@ -99,6 +112,17 @@ export default function LubometerComponent({ interpretation, value, onChange }:
             </div>
           </div>
         </div>
+
+        {indicatorSignals && (
+          <div className="mt-8 bg-gray-900/60 border border-cyan-500/20 rounded-xl p-6">
+            <h3 className="text-lg font-bold text-cyan-300 mb-4">Score Breakdown</h3>
+            <IndicatorBreakdown
+              indicatorSignals={indicatorSignals}
+              indicatorEvidence={indicatorEvidence}
+              indicatorConfidence={indicatorConfidence}
+            />
+          </div>
+        )}
       </div>
     </div>
   );
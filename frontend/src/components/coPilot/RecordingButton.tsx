@@ -1,6 +1,6 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
 import { Mic, MicOff, Loader2 } from 'lucide-react';
-import { ConversationWebSocket } from '../../lib/websocket';
+import { ConversationWebSocket, type AudioChannel, type CoachingNote, type DealSheet } from '../../lib/websocket';
 import { useSettings } from '../../contexts/SettingsContext';
 import { useAuth } from '../../contexts/AuthContext';
 
@@ -8,6 +8,9 @@ interface RecordingButtonProps {
   prospectType: string;
   onTranscriptUpdate?: (transcript: string) => void;
   onAnalysisUpdate?: (analysis: any) => void;
+  usedHotButtonIds?: number[];
+  onCoachingNote?: (note: CoachingNote) => void;
+  onDealSheetUpdate?: (dealSheet: DealSheet) => void;
   onRecordingStateChange?: (isRecording: boolean) => void;
 }
 
@@ -15,6 +18,9 @@ export default function RecordingButton({
   prospectType,
   onTranscriptUpdate,
   onAnalysisUpdate,
+  usedHotButtonIds,
+  onCoachingNote,
+  onDealSheetUpdate,
   onRecordingStateChange
 }: RecordingButtonProps) {
   const { session } = useAuth();
@@ -23,6 +29,8 @@ export default function RecordingButton({
   const customScriptPrompt = settings.customScriptPrompt || '';
   // Extract pillar weights for Lubometer calculation
   const pillarWeights = settings.pillarWeights.map(p => ({ id: p.id, weight: p.weight }));
+  const callLanguage = settings.callLanguage;
+  const displayLanguage = settings.displayLanguage;
   const [isRecording, setIsRecording] = useState(false);
   const [isConnecting, setIsConnecting] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -31,6 +39,10 @@ export default function RecordingButton({
   const recognitionRef = useRef<any>(null);
   const [audioInputs, setAudioInputs] = useState<MediaDeviceInfo[]>([]);
   const [selectedMicId, setSelectedMicId] = useState<string>('default');
+  // Also capture the prospect's side (shared tab/system audio) as its own channel
+  const [captureProspectAudio, setCaptureProspectAudio] = useState(false);
+  // Opt-in: keep the call audio so it can be played back from the transcript later
+  const [recordCallAudio, setRecordCallAudio] = useState(false);
   // Use ref to track recording state (avoids stale closure issues)
   const isRecordingRef = useRef(false);
   // Keepalive interval for WebSocket
@@ -38,11 +50,15 @@ export default function RecordingButton({
   const sendTimeoutRef = useRef<NodeJS.Timeout | null>(null);
   // Persist the last start_listening config so we can re-send it after reconnects
   const startListeningConfigRef = useRef<any>(null);
+  // Latest used hot buttons, re-sent when a call (re)starts so the backend marks them
+  const usedHotButtonIdsRef = useRef<number[]>(usedHotButtonIds || []);
 
   // Refs for stopping media (if used)
   const mediaStreamRef = useRef<MediaStream | null>(null);
   const audioContextRef = useRef<AudioContext | null>(null);
   const processorRef = useRef<ScriptProcessorNode | null>(null);
+  const prospectStreamRef = useRef<MediaStream | null>(null);
+  const prospectProcessorRef = useRef<ScriptProcessorNode | null>(null);
 
   // OpenAI Realtime WebRTC mode removed (unused).
   // Mode: Use ElevenLabs Scribe v2 Realtime STT via backend (streams PCM16@16k over WS)
@@ -56,25 +72,34 @@ export default function RecordingButton({
     }
   }, [prospectType]);
 
+  // Tell the backend which hot button prompts were used so later analyses mark them
+  useEffect(() => {
+    usedHotButtonIdsRef.current = usedHotButtonIds || [];
+    if (wsRef.current && wsRef.current.isConnected()) {
+      wsRef.current.sendHotButtonsUsed(usedHotButtonIdsRef.current);
+    }
+  }, [usedHotButtonIds]);
+
   // If settings change mid-call (pillar weights / prompt), push them to backend so Lubometer uses latest.
   useEffect(() => {
     const ws = wsRef.current;
     if (!ws || !ws.isConnected()) return;
     if (!isRecordingRef.current) return;
     try {
-      ws.sendSettingsUpdate(customScriptPrompt, pillarWeights);
+      ws.sendSettingsUpdate(customScriptPrompt, pillarWeights, displayLanguage);
       // Keep reconnect behavior consistent with latest settings
       if (startListeningConfigRef.current) {
         startListeningConfigRef.current = {
           ...startListeningConfigRef.current,
           customScriptPrompt,
-          pillarWeights
+          pillarWeights,
+          displayLanguage
         };
       }
     } catch {
       // ignore transient errors
     }
-  }, [customScriptPrompt, pillarWeights]);
+  }, [customScriptPrompt, pillarWeights, displayLanguage]);
 
   // Load microphone devices (best-effort)
   useEffect(() => {
@@ -147,6 +172,24 @@ export default function RecordingButton({
       setError(null);
       setIsConnecting(true);
 
+      // Ask for the prospect's audio first, while we still have the click's user activation.
+      // Chrome only returns audio from getDisplayMedia when "Share tab/system audio" is ticked.
+      let prospectStream: MediaStream | null = null;
+      if (useScribeRealtime && captureProspectAudio && navigator.mediaDevices?.getDisplayMedia) {
+        try {
+          const display = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+          display.getVideoTracks().forEach(track => track.stop());
+          if (display.getAudioTracks().length) {
+            prospectStream = display;
+            prospectStreamRef.current = display;
+          } else {
+            console.warn('[ScribeMode] No audio shared - falling back to mic only (mono)');
+          }
+        } catch (e) {
+          console.warn('[ScribeMode] Prospect audio capture cancelled - falling back to mic only (mono)', e);
+        }
+      }
+
       // Clean up any existing connection first
       if (wsRef.current) {
         console.log('🧹 Frontend: Cleaning up existing WebSocket connection...');
@@ -183,6 +226,18 @@ export default function RecordingButton({
         }
       });
 
+      ws.setOnCoachingNote((note) => {
+        if (onCoachingNote) {
+          onCoachingNote(note);
+        }
+      });
+
+      ws.setOnDealSheetUpdate((ev) => {
+        if (onDealSheetUpdate && ev?.dealSheet) {
+          onDealSheetUpdate(ev.dealSheet);
+        }
+      });
+
       ws.setOnError((err) => {
         console.error('WebSocket error:', err);
         // Do NOT stop recording on transient WS errors (Railway can drop idle sockets).
@@ -200,12 +255,16 @@ export default function RecordingButton({
       });
 
       ws.setOnConnect(() => {
-        // On reconnect, re-send start_listening so backend resumes session updates
+        // On reconnect, resume the same call session (falls back to start_listening if the backend lost it)
         if (isRecordingRef.current) {
           try {
             const cfg = startListeningConfigRef.current;
-            if (cfg) {
+            if (ws.canResume()) {
+              ws.resumeSession();
+              console.log('✅ Frontend: Sent resume_session after reconnect');
+            } else if (cfg) {
               ws.startListening(cfg);
+              if (usedHotButtonIdsRef.current.length) ws.sendHotButtonsUsed(usedHotButtonIdsRef.current);
               console.log('✅ Frontend: Re-sent start_listening after reconnect');
             }
             setError(null);
@@ -225,10 +284,18 @@ export default function RecordingButton({
       const startCfg = {
         customScriptPrompt,
         pillarWeights,
-        clientMode: useScribeRealtime ? 'backend_transcribe' : 'websocket_transcribe'
+        clientMode: useScribeRealtime ? 'backend_transcribe' : 'websocket_transcribe',
+        // Audio only reaches the backend when it transcribes
+        record: useScribeRealtime && recordCallAudio,
+        // Call language for STT + agents (auto = detected), and the language whispers/rebuttals come back in
+        language: callLanguage,
+        displayLanguage,
+        // Named backend STT provider (e.g. to compare vendors); unset = backend default
+        ...(import.meta.env.VITE_STT_PROVIDER ? { sttProvider: import.meta.env.VITE_STT_PROVIDER } : {})
       };
       startListeningConfigRef.current = startCfg;
       ws.startListening(startCfg);
+      if (usedHotButtonIdsRef.current.length) ws.sendHotButtonsUsed(usedHotButtonIdsRef.current);
       wsRef.current = ws;
       console.log(`✅ Frontend: Listening started (mode=${useScribeRealtime ? 'backend_transcribe' : 'websocket_transcribe'})`);
 
@@ -260,13 +327,6 @@ export default function RecordingButton({
         } catch (e) {
           console.warn('[ScribeMode] audioContext resume failed', e);
         }
-        const source = audioContext.createMediaStreamSource(stream);
-
-        // Use ScriptProcessorNode for broad compatibility (deprecated but works).
-        // Buffer size 4096 gives stable ~85ms frames at 48k.
-        const processor = audioContext.createScriptProcessor(4096, 1, 1);
-        processorRef.current = processor;
-
         const inSampleRate = audioContext.sampleRate;
         const outSampleRate = 16000;
 
@@ -298,23 +358,38 @@ export default function RecordingButton({
           return buffer;
         };
 
-        processor.onaudioprocess = (e) => {
-          if (!isRecordingRef.current || !wsRef.current?.isConnected()) return;
-
-          const input = e.inputBuffer.getChannelData(0);
-          const resampled = resample(input, inSampleRate, outSampleRate);
-          const pcm16 = floatTo16BitPCM(resampled);
-          wsRef.current?.sendAudioChunk(pcm16, 'pcm_16000');
+        // Use ScriptProcessorNode for broad compatibility (deprecated but works).
+        // Buffer size 4096 gives stable ~85ms frames at 48k.
+        const streamToBackend = (input: MediaStream, channel?: AudioChannel) => {
+          const source = audioContext.createMediaStreamSource(input);
+          const processor = audioContext.createScriptProcessor(4096, 1, 1);
+          processor.onaudioprocess = (e) => {
+            if (!isRecordingRef.current || !wsRef.current?.isConnected()) return;
+
+            const samples = e.inputBuffer.getChannelData(0);
+            const resampled = resample(samples, inSampleRate, outSampleRate);
+            const pcm16 = floatTo16BitPCM(resampled);
+            wsRef.current?.sendAudioChunk(pcm16, 'pcm_16000', channel);
+          };
+          source.connect(processor);
+          processor.connect(audioContext.destination);
+          return processor;
         };
 
-        source.connect(processor);
-        processor.connect(audioContext.destination);
+        // With the prospect's audio captured separately, each side is transcribed on its own channel
+        // and the backend knows who spoke. Mic only = mono, speaker is guessed per chunk.
+        if (prospectStream) {
+          processorRef.current = streamToBackend(stream, 'closer');
+          prospectProcessorRef.current = streamToBackend(prospectStream, 'prospect');
+        } else {
+          processorRef.current = streamToBackend(stream);
+        }
 
         setIsRecording(true);
         isRecordingRef.current = true;
         setIsConnecting(false);
         onRecordingStateChange?.(true);
-        console.log('✅ ElevenLabs Scribe streaming started (PCM16@16k)', { inSampleRate });
+        console.log('✅ ElevenLabs Scribe streaming started (PCM16@16k)', { inSampleRate, dualChannel: Boolean(prospectStream) });
               return;
             }
 
@@ -332,7 +407,8 @@ export default function RecordingButton({
       recognitionRef.current = recognition;
       recognition.continuous = true;
       recognition.interimResults = false; // Only get final results to prevent duplicates
-      recognition.lang = 'en-US';
+      // Web Speech API can't auto-detect; an auto call listens for English
+      recognition.lang = callLanguage === 'es' ? 'es-US' : 'en-US';
 
       // Track last sent transcript to prevent duplicates
       let lastSentText = '';
@@ -391,6 +467,8 @@ export default function RecordingButton({
       onRecordingStateChange?.(true);
     } catch (err: any) {
       console.error('Error starting recording:', err);
+      prospectStreamRef.current?.getTracks().forEach(track => track.stop());
+      prospectStreamRef.current = null;
       const errorMessage = err.message || 'Failed to start recording';
       
       // Check if this is a "no backend" error
@@ -437,8 +515,10 @@ export default function RecordingButton({
     // Stop PCM pipeline + mic
     try {
       processorRef.current?.disconnect();
+      prospectProcessorRef.current?.disconnect();
     } catch {}
     processorRef.current = null;
+    prospectProcessorRef.current = null;
     try {
       audioContextRef.current?.close();
     } catch {}
@@ -452,6 +532,14 @@ export default function RecordingButton({
       }
       mediaStreamRef.current = null;
     }
+    if (prospectStreamRef.current) {
+      try {
+        prospectStreamRef.current.getTracks().forEach(track => track.stop());
+      } catch (e) {
+        console.warn('Error stopping prospect audio stream:', e);
+      }
+      prospectStreamRef.current = null;
+    }
 
     if (wsRef.current) {
       try {
@@ -545,6 +633,34 @@ export default function RecordingButton({
           ))}
         </select>
       )}
+      {!isRecording && (
+        <label
+          className="flex items-center gap-1.5 text-xs text-gray-300 cursor-pointer"
+          title="Share the call's tab or system audio so each side is transcribed separately (use headphones)"
+        >
+          <input
+            type="checkbox"
+            checked={captureProspectAudio}
+            onChange={(e) => setCaptureProspectAudio(e.target.checked)}
+            className="accent-cyan-500"
+          />
+          Capture prospect audio
+        </label>
+      )}
+      {!isRecording && (
+        <label
+          className="flex items-center gap-1.5 text-xs text-gray-300 cursor-pointer"
+          title="Save the call audio with the transcript so lines can be played back (make sure the prospect has agreed)"
+        >
+          <input
+            type="checkbox"
+            checked={recordCallAudio}
+            onChange={(e) => setRecordCallAudio(e.target.checked)}
+            className="accent-cyan-500"
+          />
+          Record call
+        </label>
+      )}
       <button
         onClick={handleToggle}
         onKeyDown={(e) => {
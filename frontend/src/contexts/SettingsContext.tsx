@@ -1,6 +1,9 @@
 import { createContext, useContext, useEffect, useMemo, useRef, useState, ReactNode } from 'react';
 import { supabase, isSupabaseAvailable } from '../lib/supabase';
 import { useAuth } from './AuthContext';
+import type { CallLanguage, DisplayLanguage, RebuttalStyleKey } from '../lib/websocket';
+import { REBUTTAL_STYLE_OPTIONS } from '../data/rebuttalStyles';
+import { CALL_LANGUAGE_OPTIONS, DISPLAY_LANGUAGE_OPTIONS } from '../data/languages';
 
 export interface PillarWeight {
   id: string;
@@ -26,6 +29,11 @@ export interface AdminSettings {
   pillarWeights: PillarWeight[];
   priceTiers: PriceTierSetting[];
   customScriptPrompt: string;
+  // Objection Matrix style shown first on objection cards
+  preferredRebuttalStyle: RebuttalStyleKey;
+  // Language calls are run in, and the one whispers/rebuttals/summaries come back in
+  callLanguage: CallLanguage;
+  displayLanguage: DisplayLanguage;
   diagnosticQuestionsByStrategy: Record<string, EditableDiagnosticQuestion[]>;
   // Legacy field for backward compatibility
   diagnosticQuestionsByProspectType?: Record<string, EditableDiagnosticQuestion[]>;
@@ -47,6 +55,9 @@ const DEFAULT_SETTINGS: AdminSettings = {
     { label: 'Elite', price: 15997 },
   ],
   customScriptPrompt: '',
+  preferredRebuttalStyle: 'pearl',
+  callLanguage: 'en',
+  displayLanguage: 'en',
   diagnosticQuestionsByStrategy: {},
 };
 
@@ -55,6 +66,9 @@ interface SettingsContextType {
   updatePillarWeight: (pillarId: string, weight: number) => void;
   updatePriceTier: (index: number, price: number, label?: string) => void;
   updateCustomPrompt: (prompt: string) => void;
+  updatePreferredRebuttalStyle: (style: RebuttalStyleKey) => void;
+  updateCallLanguage: (language: CallLanguage) => void;
+  updateDisplayLanguage: (language: DisplayLanguage) => void;
   updateDiagnosticQuestions: (strategy: string, questions: EditableDiagnosticQuestion[]) => void;
   resetToDefaults: () => void;
   saveToSupabase: () => Promise<{ success: boolean; error?: string }>;
@@ -82,6 +96,15 @@ export function SettingsProvider({ children }: { children: ReactNode }) {
         pillarWeights: Array.isArray(parsed.pillarWeights) ? parsed.pillarWeights : DEFAULT_SETTINGS.pillarWeights,
         priceTiers: Array.isArray(parsed.priceTiers) ? parsed.priceTiers : DEFAULT_SETTINGS.priceTiers,
         customScriptPrompt: typeof parsed.customScriptPrompt === 'string' ? parsed.customScriptPrompt.slice(0, 70) : DEFAULT_SETTINGS.customScriptPrompt,
+        preferredRebuttalStyle: REBUTTAL_STYLE_OPTIONS.some((o) => o.key === parsed.preferredRebuttalStyle)
+          ? parsed.preferredRebuttalStyle
+          : DEFAULT_SETTINGS.preferredRebuttalStyle,
+        callLanguage: CALL_LANGUAGE_OPTIONS.some((o) => o.key === parsed.callLanguage)
+          ? parsed.callLanguage
+          : DEFAULT_SETTINGS.callLanguage,
+        displayLanguage: DISPLAY_LANGUAGE_OPTIONS.some((o) => o.key === parsed.displayLanguage)
+          ? parsed.displayLanguage
+          : DEFAULT_SETTINGS.displayLanguage,
         diagnosticQuestionsByStrategy:
           parsed.diagnosticQuestionsByStrategy && typeof parsed.diagnosticQuestionsByStrategy === 'object'
             ? parsed.diagnosticQuestionsByStrategy
@@ -229,6 +252,27 @@ export function SettingsProvider({ children }: { children: ReactNode }) {
     }));
   };
 
+  const updatePreferredRebuttalStyle = (style: RebuttalStyleKey) => {
+    setSettings(prev => ({
+      ...prev,
+      preferredRebuttalStyle: style,
+    }));
+  };
+
+  const updateCallLanguage = (language: CallLanguage) => {
+    setSettings(prev => ({
+      ...prev,
+      callLanguage: language,
+    }));
+  };
+
+  const updateDisplayLanguage = (language: DisplayLanguage) => {
+    setSettings(prev => ({
+      ...prev,
+      displayLanguage: language,
+    }));
+  };
+
   const updateDiagnosticQuestions: SettingsContextType['updateDiagnosticQuestions'] = (strategy, questions) => {
     setSettings(prev => ({
       ...prev,
@@ -250,6 +294,9 @@ export function SettingsProvider({ children }: { children: ReactNode }) {
         updatePillarWeight,
         updatePriceTier,
         updateCustomPrompt,
+        updatePreferredRebuttalStyle,
+        updateCallLanguage,
+        updateDisplayLanguage,
         updateDiagnosticQuestions,
         resetToDefaults,
         saveToSupabase,
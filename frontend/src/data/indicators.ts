@@ -0,0 +1,72 @@
+// The 27 Lubometer indicators ("Indicators and Objection Matrix.csv"), grouped by pillar
+export const PILLAR_INDICATORS: Array<{ id: string; name: string; indicators: Array<{ id: number; name: string }> }> = [
+  {
+    id: 'P1',
+    name: 'Pain & Desire',
+    indicators: [
+      { id: 1, name: 'Pain Awareness' },
+      { id: 2, name: 'Desire Clarity' },
+      { id: 3, name: 'Desire Priority' },
+      { id: 4, name: 'Duration of Dissatisfaction' },
+    ],
+  },
+  {
+    id: 'P2',
+    name: 'Urgency',
+    indicators: [
+      { id: 5, name: 'Time Pressure' },
+      { id: 6, name: 'Cost of Delay' },
+      { id: 7, name: 'Internal Timing Activation' },
+      { id: 8, name: 'Environmental Availability' },
+    ],
+  },
+  {
+    id: 'P3',
+    name: 'Decisiveness',
+    indicators: [
+      { id: 9, name: 'Decision-Making Authority' },
+      { id: 10, name: 'Decision-Making Style' },
+      { id: 11, name: 'Commitment to Decide' },
+      { id: 12, name: 'Self-Permission to Choose' },
+    ],
+  },
+  {
+    id: 'P4',
+    name: 'Available Money',
+    indicators: [
+      { id: 13, name: 'Resource Access' },
+      { id: 14, name: 'Resource Fluidity' },
+      { id: 15, name: 'Investment Mindset' },
+      { id: 16, name: 'Resourcefulness' },
+    ],
+  },
+  {
+    id: 'P5',
+    name: 'Responsibility',
+    indicators: [
+      { id: 17, name: 'Problem Recognition' },
+      { id: 18, name: 'Solution Ownership' },
+      { id: 19, name: 'Locus of Control' },
+      { id: 20, name: 'Integrity: Desire vs Action' },
+    ],
+  },
+  {
+    id: 'P6',
+    name: 'Price Sensitivity',
+    indicators: [
+      { id: 21, name: 'Emotional Response to Spending' },
+      { id: 22, name: 'Negotiation Reflex' },
+      { id: 23, name: 'Structural Rigidity' },
+    ],
+  },
+  {
+    id: 'P7',
+    name: 'Trust',
+    indicators: [
+      { id: 24, name: 'ROI Ownership Framing' },
+      { id: 25, name: 'External Trust' },
+      { id: 26, name: 'Internal Trust' },
+      { id: 27, name: 'Risk Tolerance' },
+    ],
+  },
+];
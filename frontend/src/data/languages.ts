@@ -0,0 +1,14 @@
+import type { CallLanguage, DisplayLanguage } from '../lib/websocket';
+
+// Call languages the backend STT and agents support (backend/analysis/language.js)
+export const CALL_LANGUAGE_OPTIONS: Array<{ key: CallLanguage; label: string; description: string }> = [
+  { key: 'en', label: 'English', description: 'Call is in English' },
+  { key: 'es', label: 'Spanish', description: 'Call is in Spanish' },
+  { key: 'auto', label: 'Auto-detect', description: 'Detected from the first few exchanges' },
+];
+
+// Language of whispers, rebuttals, insights and summaries
+export const DISPLAY_LANGUAGE_OPTIONS: Array<{ key: DisplayLanguage; label: string }> = [
+  { key: 'en', label: 'English' },
+  { key: 'es', label: 'Spanish' },
+];
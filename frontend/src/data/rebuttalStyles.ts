@@ -0,0 +1,9 @@
+import type { RebuttalStyleKey } from '../lib/websocket';
+
+// Response styles from the Objection Matrix sheet, in sheet column order
+export const REBUTTAL_STYLE_OPTIONS: Array<{ key: RebuttalStyleKey; label: string; description: string }> = [
+  { key: 'pearl', label: 'PEARL Prompt', description: 'Open question that lets them name the gap' },
+  { key: 'david', label: 'David', description: 'Self-led insight — they reach the conclusion' },
+  { key: 'calvin', label: 'Calvin', description: 'Pattern interrupt — short and unexpected' },
+  { key: 'carone', label: 'Carone', description: 'Direct challenge to the excuse' },
+];
@@ -0,0 +1,16 @@
+/**
+ * HTTP base URL for the backend API (same host as the WebSocket server)
+ */
+export function getApiBaseUrl(): string {
+  const wsUrl = import.meta.env.VITE_WS_URL;
+  if (wsUrl) {
+    // Convert ws://host:port/ws to http://host:port
+    return wsUrl.replace('ws://', 'http://').replace('wss://', 'https://').replace('/ws', '');
+  }
+  if (import.meta.env.DEV) {
+    // Development: use localhost
+    return 'http://localhost:3001';
+  }
+  // Production: use same origin
+  return window.location.origin;
+}
@@ -2,6 +2,127 @@
  * WebSocket client for real-time conversation analysis
  */
 
+export type CloseZone = 'green' | 'yellow' | 'red' | 'no_go';
+export type CloseVerdict = 'push' | 'soft_close' | 'nurture' | 'do_not_close';
+
+// Push/Delay verdict (C1-C7 rules from "Push_Delay Rules.csv")
+export interface CloseDecision {
+  zone: CloseZone | null;
+  verdict: CloseVerdict;
+  firedRules: string[];
+  recommendedAction: string;
+  reason: string;
+  normalizedScore: number;
+}
+
+// Objection Matrix response styles (columns of "Indicators and Objection Matrix.csv")
+export type RebuttalStyleKey = 'pearl' | 'david' | 'calvin' | 'carone';
+// Language the call is spoken in ('auto' = detected by the backend) and the one the closer reads
+export type CallLanguage = 'en' | 'es' | 'auto';
+export type DisplayLanguage = 'en' | 'es';
+export type RebuttalStyles = Record<RebuttalStyleKey, string>;
+
+// Fired "Hot Buttons Tracker.csv" indicator with its Smart Closing Prompt
+export interface HotButton {
+  id: number;
+  name: string;
+  description?: string;
+  score: number;
+  prompt: string;
+  exampleLanguage?: string;
+  // Prospect line that triggered it
+  quote: string;
+  // Where the quote was said, ms since the call started
+  offsetMs?: number | null;
+  firedAt?: string;
+  used?: boolean;
+}
+
+// Verbatim prospect quote behind an indicator score (checked against the transcript by the backend)
+export interface IndicatorEvidence {
+  quote: string;
+  // Character offset into the analyzed transcript
+  offset: number;
+  // Where the quote was said, ms since the call started
+  offsetMs?: number | null;
+  // Smoothed indicator score (the one the gauge shows) when the quote was recorded
+  score: number | null;
+  at?: string;
+}
+
+// Prospect quote behind a Truth Index rule (backend/analysis/truthIndexRules.js)
+export interface TruthStatement {
+  quote: string;
+  phrase: string;
+  ts: string | null;
+  // ms since the call started
+  t: number | null;
+}
+
+export interface TruthPenalty {
+  ruleId?: string;
+  rule: string;
+  description: string;
+  penalty: number;
+  details?: string;
+  confidence?: number;
+  // Phrase rules: the prospect statement(s); a contradiction is [statement A, statement B] in call order
+  statements?: TruthStatement[];
+}
+
+// Score change over the last ~90s of the call (backend/analysis/scoreSeries.js)
+export interface ScoreDelta {
+  kind: 'indicator' | 'pillar' | 'lubometer' | 'truthIndex';
+  key: string;
+  label: string;
+  from: number;
+  to: number;
+  delta: number;
+  // False when the move hurts the deal (a drop, or rising price sensitivity)
+  favorable: boolean;
+  // e.g. "Urgency +2 in last 90s"
+  text: string;
+}
+
+export interface ScoreTrends {
+  windowSec: number;
+  deltas: ScoreDelta[];
+}
+
+// Deal sheet built live from the call (backend/analysis/dealSheet.js)
+export type DealSheetFieldKey =
+  | 'propertyAddress'
+  | 'mortgageBalance'
+  | 'monthlyPayment'
+  | 'monthsBehind'
+  | 'auctionDate'
+  | 'rent'
+  | 'repairs'
+  | 'askingPrice';
+
+export interface DealSheetField {
+  value: string | number;
+  // Transcript quote the value came from
+  evidence: string;
+  speaker: 'prospect' | 'closer';
+  confidence: number;
+  updatedAt: string;
+  // Values stated earlier in the call, newest first
+  previous: Array<{ value: string | number; evidence: string }>;
+}
+
+export interface DealSheet {
+  fields: Partial<Record<DealSheetFieldKey, DealSheetField>>;
+  version: number;
+  updatedAt: string | null;
+}
+
+export interface DealSheetUpdateEvent {
+  sessionId: string | null;
+  dealSheet: DealSheet;
+  changed: DealSheetFieldKey[];
+}
+
 export interface AnalysisUpdate {
   prospectType: string;
   lubometer: {
@@ -9,32 +130,35 @@ export interface AnalysisUpdate {
     level: string;
     interpretation: string;
     action: string;
+    // 0-1: how settled the indicator scores behind the gauge are
+    confidence?: number;
   };
   truthIndex: {
     score: number;
     signals: string[];
     redFlags: string[];
-    penalties: Array<{
-      rule: string;
-      description: string;
-      penalty: number;
-      details: string;
-    }>;
+    penalties: TruthPenalty[];
   };
   pillars: any;
-  hotButtons?: Array<{
-    id: number;
-    name: string;
-    quote: string;
-    score: number;
-    prompt: string;
-  }>;
+  indicatorSignals?: Record<string, number>;
+  // 0-1 per indicator: how often it was scored and how well the passes agree
+  indicatorConfidence?: Record<string, number>;
+  indicatorEvidence?: Record<string, IndicatorEvidence>;
+  trends?: ScoreTrends;
+  closeDecision?: CloseDecision | null;
+  hotButtons?: HotButton[];
   objections: Array<{
     objectionText: string;
     fear: string;
     whisper: string;
     probability: number;
     rebuttalScript: string;
+    // Matrix row the objection maps to, with its four scripted responses
+    indicatorId?: number | null;
+    indicatorName?: string;
+    rebuttalStyles?: RebuttalStyles | null;
+    // Where the objection was said, ms since the call started
+    offsetMs?: number | null;
   }>;
   dials: {
     urgency: string;
@@ -59,6 +183,59 @@ export interface AnalysisStreamEvent {
   analysisSeq?: number;
 }
 
+export interface SessionResumedEvent {
+  sessionId: string | null;
+  source: 'memory' | 'storage';
+  chunkCount: number;
+  analysisSeq: number;
+}
+
+// STT word timing, ms from the start of its transcript chunk
+export interface TranscriptWord {
+  text: string;
+  startMs: number;
+  endMs: number;
+}
+
+export interface TranscriptChunk {
+  speaker: string;
+  text: string;
+  ts?: number;
+  // Where the chunk starts, ms since the call started
+  offsetMs?: number | null;
+  words?: TranscriptWord[];
+}
+
+// Audio stream label for audio_chunk: closer mic and prospect (tab/system) audio are transcribed separately
+export type AudioChannel = 'mono' | 'closer' | 'prospect';
+
+// Private note from a manager listening in on the call
+export interface CoachingNote {
+  id: string;
+  sessionId: string;
+  text: string;
+  from: string;
+  ts: number;
+}
+
+// Catch-up snapshot sent when a manager starts listening in on a live call
+export interface ListenInStartedEvent {
+  sessionId: string;
+  closerEmail: string | null;
+  prospectType: string;
+  startedAt: string | null;
+  transcript: Array<{ speaker: string; text: string; offsetMs?: number | null }>;
+  analysis: AnalysisUpdate | null;
+  dealSheet?: DealSheet | null;
+  notes: CoachingNote[];
+}
+
+export interface ListenInEndedEvent {
+  sessionId: string | null;
+  reason: string;
+  failed?: boolean;
+}
+
 export class ConversationWebSocket {
   private ws: WebSocket | null = null;
   private reconnectAttempts = 0;
@@ -67,7 +244,7 @@ export class ConversationWebSocket {
   private url: string;
   private onAnalysisUpdate?: (analysis: AnalysisUpdate) => void;
   private onAnalysisStream?: (ev: AnalysisStreamEvent) => void;
-  private onTranscriptChunk?: (chunk: { speaker: string; text: string; ts?: number }) => void;
+  private onTranscriptChunk?: (chunk: TranscriptChunk) => void;
   private onError?: (error: Error) => void;
   private onConnect?: () => void;
   private onDisconnect?: () => void;
@@ -77,6 +254,19 @@ export class ConversationWebSocket {
   private connectionCheckInterval: ReturnType<typeof setInterval> | null = null;
   private keepaliveInterval: ReturnType<typeof setInterval> | null = null;
   private authToken: string | null = null;
+  // Resume state: lets a reconnect reattach to the same call instead of starting a new session
+  private connectionId: string | null = null;
+  private previousConnectionId: string | null = null;
+  private sessionId: string | null = null;
+  private lastAnalysisSeq = 0;
+  private listeningConfig: Record<string, unknown> | null = null;
+  private onSessionResumed?: (info: SessionResumedEvent) => void;
+  // Manager listen-in (read-only subscription to another closer's session)
+  private listenSessionId: string | null = null;
+  private onListenInStarted?: (ev: ListenInStartedEvent) => void;
+  private onListenInEnded?: (ev: ListenInEndedEvent) => void;
+  private onCoachingNote?: (note: CoachingNote) => void;
+  private onDealSheetUpdate?: (ev: DealSheetUpdateEvent) => void;
 
   constructor(url?: string) {
     // Use environment variable or default to localhost for development
@@ -189,6 +379,8 @@ export class ConversationWebSocket {
           try {
             this.ws?.send(JSON.stringify({ type: 'debug_event', tag: 'ws_connected', message: 'frontend ws connected', data: { url: this.url }, ts: Date.now() }));
           } catch {}
+          // Re-subscribe a manager's listen-in after a reconnect
+          if (this.listenSessionId) this.sendListenIn(this.listenSessionId);
           if (this.onConnect) this.onConnect();
           resolve();
         };
@@ -201,10 +393,12 @@ export class ConversationWebSocket {
             const data = JSON.parse(event.data);
             
             if (data.type === 'analysis_update') {
+              this.trackAnalysisSeq(data.data?.analysisSeq);
               if (this.onAnalysisUpdate) {
                 this.onAnalysisUpdate(data.data);
               }
             } else if (data.type === 'analysis_stream') {
+              this.trackAnalysisSeq(data.data?.analysisSeq);
               if (this.onAnalysisStream) {
                 this.onAnalysisStream(data.data);
               }
@@ -218,6 +412,42 @@ export class ConversationWebSocket {
               }
             } else if (data.type === 'connected') {
               console.log('Connected to analysis server:', data.connectionId);
+              this.connectionId = data.connectionId || null;
+            } else if (data.type === 'session_started') {
+              this.sessionId = data.sessionId || null;
+            } else if (data.type === 'session_resumed') {
+              console.log('Resumed call session:', data);
+              this.sessionId = data.sessionId || this.sessionId;
+              if (this.onSessionResumed) {
+                this.onSessionResumed({
+                  sessionId: data.sessionId || null,
+                  source: data.source,
+                  chunkCount: Number(data.chunkCount || 0),
+                  analysisSeq: Number(data.analysisSeq || 0)
+                });
+              }
+            } else if (data.type === 'session_resume_failed') {
+              // Backend no longer has this call; fall back to a fresh session
+              console.warn('Session resume failed, starting a new session:', data.reason);
+              this.sessionId = null;
+              if (this.listeningConfig) {
+                this.startListening(this.listeningConfig);
+              }
+            } else if (data.type === 'listen_in_started') {
+              if (this.onListenInStarted) this.onListenInStarted(data as ListenInStartedEvent);
+            } else if (data.type === 'listen_in_ended' || data.type === 'listen_in_failed') {
+              this.listenSessionId = null;
+              if (this.onListenInEnded) {
+                this.onListenInEnded({
+                  sessionId: data.sessionId || null,
+                  reason: String(data.reason || ''),
+                  failed: data.type === 'listen_in_failed'
+                });
+              }
+            } else if (data.type === 'coaching_note') {
+              if (this.onCoachingNote) this.onCoachingNote(data.data);
+            } else if (data.type === 'deal_sheet_update') {
+              if (this.onDealSheetUpdate) this.onDealSheetUpdate(data.data);
             }
           } catch (error) {
             console.error('Error parsing WebSocket message:', error);
@@ -237,6 +467,7 @@ export class ConversationWebSocket {
           console.log('WebSocket disconnected', { code: ce?.code, reason: ce?.reason, manuallyDisconnected: this.manuallyDisconnected });
           this.stopKeepalive(); // Stop keepalive on disconnect
           this.stopConnectionCheck();
+          if (this.connectionId) this.previousConnectionId = this.connectionId;
           if (this.onDisconnect) this.onDisconnect();
           
           // Only attempt to reconnect if disconnect was NOT intentional
@@ -269,6 +500,7 @@ export class ConversationWebSocket {
       ...(config || {}),
       prospectType: this.currentProspectType
     };
+    this.listeningConfig = config || {};
 
     this.ws.send(JSON.stringify({
       type: 'start_listening',
@@ -277,6 +509,78 @@ export class ConversationWebSocket {
     }));
   }
 
+  // True after a drop mid-call: the backend may still hold (or can rebuild) the session
+  canResume(): boolean {
+    return Boolean(this.listeningConfig && (this.sessionId || this.previousConnectionId));
+  }
+
+  // Reattach to the current call after a reconnect. Backend answers session_resumed, or
+  // session_resume_failed (handled above by starting a new session).
+  resumeSession() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket is not connected');
+    }
+
+    this.lastSendTime = Date.now();
+    this.ws.send(JSON.stringify({
+      type: 'resume_session',
+      sessionId: this.sessionId,
+      connectionId: this.previousConnectionId,
+      lastAnalysisSeq: this.lastAnalysisSeq,
+      authToken: this.authToken,
+      config: {
+        ...(this.listeningConfig || {}),
+        prospectType: this.currentProspectType
+      }
+    }));
+  }
+
+  // Managers: subscribe read-only to a closer's live session (transcript + analysis frames)
+  listenIn(sessionId: string) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket is not connected');
+    }
+    this.listenSessionId = sessionId;
+    this.sendListenIn(sessionId);
+  }
+
+  stopListenIn() {
+    const sessionId = this.listenSessionId;
+    this.listenSessionId = null;
+    if (!sessionId || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    this.lastSendTime = Date.now();
+    this.ws.send(JSON.stringify({ type: 'stop_listen_in', sessionId }));
+  }
+
+  // Managers: private note shown on the closer's dashboard
+  sendCoachingNote(text: string) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket is not connected');
+    }
+    this.lastSendTime = Date.now();
+    this.ws.send(JSON.stringify({ type: 'coaching_note', text }));
+  }
+
+  // Closers: full list of hot button ids whose prompt was already used this call
+  sendHotButtonsUsed(ids: number[]) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      console.warn('WebSocket is not connected, cannot send hot_buttons_used');
+      return;
+    }
+    this.lastSendTime = Date.now();
+    this.ws.send(JSON.stringify({ type: 'hot_buttons_used', ids }));
+  }
+
+  private sendListenIn(sessionId: string) {
+    this.lastSendTime = Date.now();
+    this.ws?.send(JSON.stringify({ type: 'listen_in', sessionId, authToken: this.authToken }));
+  }
+
+  private trackAnalysisSeq(seq: unknown) {
+    const n = Number(seq);
+    if (Number.isFinite(n) && n > this.lastAnalysisSeq) this.lastAnalysisSeq = n;
+  }
+
   // Send an arbitrary message to the backend WS
   sendRaw(payload: any) {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
@@ -297,6 +601,11 @@ export class ConversationWebSocket {
       type: 'stop_listening',
       prospectType: this.currentProspectType
     }));
+    // Call is over; a later reconnect must not resume it
+    this.sessionId = null;
+    this.previousConnectionId = null;
+    this.listeningConfig = null;
+    this.lastAnalysisSeq = 0;
   }
 
   sendTranscript(
@@ -323,7 +632,7 @@ export class ConversationWebSocket {
   }
 
   // Update analysis-related settings mid-call without restarting listening.
-  sendSettingsUpdate(customScriptPrompt?: string, pillarWeights?: { id: string; weight: number }[]) {
+  sendSettingsUpdate(customScriptPrompt?: string, pillarWeights?: { id: string; weight: number }[], displayLanguage?: DisplayLanguage) {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
       console.warn('WebSocket is not connected, cannot send settings_update');
       return;
@@ -333,6 +642,7 @@ export class ConversationWebSocket {
       type: 'settings_update',
       customScriptPrompt: customScriptPrompt || '',
       pillarWeights: pillarWeights || null,
+      ...(displayLanguage ? { displayLanguage } : {}),
       authToken: this.authToken,
       clientTsMs: Date.now()
     }));
@@ -353,7 +663,8 @@ export class ConversationWebSocket {
     }));
   }
 
-  sendAudioChunk(audio: ArrayBuffer, mimeType?: string) {
+  // channel labels a separately captured stream (closer mic / prospect system audio); omit for a mono mix
+  sendAudioChunk(audio: ArrayBuffer, mimeType?: string, channel?: AudioChannel) {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
       console.warn('WebSocket is not connected, cannot send audio');
       return;
@@ -372,6 +683,7 @@ export class ConversationWebSocket {
       type: 'audio_chunk',
       audio: base64,
       mimeType: mimeType || '',
+      ...(channel ? { channel } : {}),
       prospectType: this.currentProspectType,
       authToken: this.authToken,
       clientTsMs: Date.now()
@@ -397,7 +709,7 @@ export class ConversationWebSocket {
     this.onAnalysisStream = callback;
   }
 
-  setOnTranscriptChunk(callback: (chunk: { speaker: string; text: string; ts?: number }) => void) {
+  setOnTranscriptChunk(callback: (chunk: TranscriptChunk) => void) {
     this.onTranscriptChunk = callback;
   }
 
@@ -405,6 +717,26 @@ export class ConversationWebSocket {
     this.onError = callback;
   }
 
+  setOnSessionResumed(callback: (info: SessionResumedEvent) => void) {
+    this.onSessionResumed = callback;
+  }
+
+  setOnListenInStarted(callback: (ev: ListenInStartedEvent) => void) {
+    this.onListenInStarted = callback;
+  }
+
+  setOnListenInEnded(callback: (ev: ListenInEndedEvent) => void) {
+    this.onListenInEnded = callback;
+  }
+
+  setOnCoachingNote(callback: (note: CoachingNote) => void) {
+    this.onCoachingNote = callback;
+  }
+
+  setOnDealSheetUpdate(callback: (ev: DealSheetUpdateEvent) => void) {
+    this.onDealSheetUpdate = callback;
+  }
+
   setOnConnect(callback: () => void) {
     this.onConnect = callback;
   }
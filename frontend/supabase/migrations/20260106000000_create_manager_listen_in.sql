@@ -0,0 +1,64 @@
+/*
+  # Manager Listen-In
+  Lets a sales manager listen in on their closers' live calls and leave coaching notes.
+
+  Tables:
+    - public.manager_team_members: which closers a manager may listen to
+    - public.call_coaching_notes: notes a manager sent during a live call
+
+  Notes:
+    - Team membership is managed by an admin (service role / SQL editor); users can only read it
+    - The backend checks membership with the manager's own token, so RLS scopes it to their team
+*/
+
+create table if not exists public.manager_team_members (
+  manager_id uuid not null references auth.users(id) on delete cascade,
+  closer_id uuid not null references auth.users(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (manager_id, closer_id)
+);
+
+create index if not exists manager_team_members_closer_id_idx on public.manager_team_members(closer_id);
+
+create table if not exists public.call_coaching_notes (
+  id bigserial primary key,
+  session_id uuid not null references public.call_sessions(id) on delete cascade,
+  manager_id uuid not null references auth.users(id) on delete cascade,
+  closer_id uuid not null references auth.users(id) on delete cascade,
+  note_text text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists call_coaching_notes_session_id_idx on public.call_coaching_notes(session_id);
+
+alter table public.manager_team_members enable row level security;
+alter table public.call_coaching_notes enable row level security;
+
+-- manager_team_members policies (read-only for users)
+drop policy if exists "manager_team_members_select_own" on public.manager_team_members;
+create policy "manager_team_members_select_own"
+on public.manager_team_members
+for select
+to authenticated
+using (auth.uid() = manager_id or auth.uid() = closer_id);
+
+-- call_coaching_notes policies
+drop policy if exists "call_coaching_notes_select_own" on public.call_coaching_notes;
+create policy "call_coaching_notes_select_own"
+on public.call_coaching_notes
+for select
+to authenticated
+using (auth.uid() = manager_id or auth.uid() = closer_id);
+
+drop policy if exists "call_coaching_notes_insert_manager" on public.call_coaching_notes;
+create policy "call_coaching_notes_insert_manager"
+on public.call_coaching_notes
+for insert
+to authenticated
+with check (
+  auth.uid() = manager_id
+  and exists (
+    select 1 from public.manager_team_members m
+    where m.manager_id = auth.uid() and m.closer_id = call_coaching_notes.closer_id
+  )
+);
@@ -0,0 +1,49 @@
+/*
+  # Call Deal Sheets Table
+  Stores the live "deal sheet" extracted during a call (property address, mortgage balance,
+  monthly payment, months behind, auction date, rent, repairs, asking price)
+
+  Notes:
+  - One sheet per session (upserted whenever a field changes), next to call_summaries
+  - deal_sheet_json is { fields: { <key>: { value, evidence, speaker, confidence, updatedAt, previous[] } }, version, updatedAt }
+  - previous[] keeps values the prospect stated earlier, so changed stories stay visible
+*/
+
+create table if not exists public.call_deal_sheets (
+  id uuid primary key default gen_random_uuid(),
+  session_id uuid not null unique,
+  user_id uuid not null,
+  user_email text not null default '',
+  prospect_type text not null default '',
+  deal_sheet_json jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists call_deal_sheets_user_id_idx on public.call_deal_sheets(user_id);
+create index if not exists call_deal_sheets_updated_at_idx on public.call_deal_sheets(updated_at desc);
+
+alter table public.call_deal_sheets enable row level security;
+
+-- RLS Policies
+drop policy if exists "call_deal_sheets_select_own" on public.call_deal_sheets;
+create policy "call_deal_sheets_select_own"
+on public.call_deal_sheets
+for select
+to authenticated
+using (auth.uid() = user_id);
+
+drop policy if exists "call_deal_sheets_insert_own" on public.call_deal_sheets;
+create policy "call_deal_sheets_insert_own"
+on public.call_deal_sheets
+for insert
+to authenticated
+with check (auth.uid() = user_id);
+
+drop policy if exists "call_deal_sheets_update_own" on public.call_deal_sheets;
+create policy "call_deal_sheets_update_own"
+on public.call_deal_sheets
+for update
+to authenticated
+using (auth.uid() = user_id)
+with check (auth.uid() = user_id);
@@ -0,0 +1,64 @@
+/*
+  # Call Score Series Table
+  Stores how the scores moved during a call: one point per analysis pass with all 27 indicators,
+  the 7 pillar averages, Lubometer and Truth Index
+
+  Notes:
+  - One row per session (upserted periodically during the call and when it stops), next to call_summaries
+  - points_json is [{ t, ts, seq, indicators: { "1": 7, ... }, pillars: { "P1": 6.5, ... }, lubometer, truthIndex }],
+    t = milliseconds since started_at
+  - turning_points_json is the biggest Lubometer swings with the pillars that drove them
+  - Managers can read their team's series (manager_team_members) to see where a call turned
+*/
+
+create table if not exists public.call_score_series (
+  id uuid primary key default gen_random_uuid(),
+  session_id uuid not null unique,
+  user_id uuid not null,
+  user_email text not null default '',
+  started_at timestamptz not null default now(),
+  points_json jsonb not null default '[]'::jsonb,
+  turning_points_json jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists call_score_series_user_id_idx on public.call_score_series(user_id);
+create index if not exists call_score_series_updated_at_idx on public.call_score_series(updated_at desc);
+
+alter table public.call_score_series enable row level security;
+
+-- RLS Policies
+drop policy if exists "call_score_series_select_own" on public.call_score_series;
+create policy "call_score_series_select_own"
+on public.call_score_series
+for select
+to authenticated
+using (auth.uid() = user_id);
+
+drop policy if exists "call_score_series_select_manager" on public.call_score_series;
+create policy "call_score_series_select_manager"
+on public.call_score_series
+for select
+to authenticated
+using (
+  exists (
+    select 1 from public.manager_team_members m
+    where m.manager_id = auth.uid() and m.closer_id = call_score_series.user_id
+  )
+);
+
+drop policy if exists "call_score_series_insert_own" on public.call_score_series;
+create policy "call_score_series_insert_own"
+on public.call_score_series
+for insert
+to authenticated
+with check (auth.uid() = user_id);
+
+drop policy if exists "call_score_series_update_own" on public.call_score_series;
+create policy "call_score_series_update_own"
+on public.call_score_series
+for update
+to authenticated
+using (auth.uid() = user_id)
+with check (auth.uid() = user_id);
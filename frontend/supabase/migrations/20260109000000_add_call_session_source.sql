@@ -0,0 +1,15 @@
+/*
+  # Call Session Source
+  Marks where a call session came from, so uploaded recordings and transcripts can sit next to live
+  calls in the same tables
+
+  Notes:
+  - source is 'live' (default, existing rows) or 'upload' (POST /api/uploads)
+  - source_name is the uploaded file name, null for live calls
+  - Existing RLS on call_sessions already covers the new columns
+*/
+
+alter table public.call_sessions add column if not exists source text not null default 'live';
+alter table public.call_sessions add column if not exists source_name text;
+
+create index if not exists call_sessions_source_idx on public.call_sessions(source);
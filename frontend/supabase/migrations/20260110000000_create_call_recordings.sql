@@ -0,0 +1,83 @@
+/*
+  # Call Recordings
+  Opt-in call audio (start_listening config.record) written to a WAV per session by the backend
+  and kept in its recording storage (local disk or S3-compatible)
+
+  Notes:
+  - One row per recorded session; object_key is the file's key in the backend's RECORDING_STORAGE
+  - channel_roles is ['mono'], or the speaker on the left/right channel (e.g. ['closer', 'prospect'])
+  - call_transcript_chunks.audio_offset_ms is where the line starts in the recording (null when the
+    call was not recorded), so a transcript line or objection can be played back
+  - Audio is streamed by the backend (GET /api/recordings/:sessionId); managers can read their
+    team's recordings and transcript lines (manager_team_members)
+*/
+
+create table if not exists public.call_recordings (
+  id uuid primary key default gen_random_uuid(),
+  session_id uuid not null unique,
+  user_id uuid not null,
+  user_email text not null default '',
+  storage text not null default 'local',
+  object_key text not null,
+  mime_type text not null default 'audio/wav',
+  channels integer not null default 1,
+  channel_roles text[] not null default array['mono'],
+  duration_ms integer not null default 0,
+  size_bytes bigint not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists call_recordings_user_id_idx on public.call_recordings(user_id);
+
+alter table public.call_transcript_chunks add column if not exists audio_offset_ms integer;
+
+alter table public.call_recordings enable row level security;
+
+-- RLS Policies
+drop policy if exists "call_recordings_select_own" on public.call_recordings;
+create policy "call_recordings_select_own"
+on public.call_recordings
+for select
+to authenticated
+using (auth.uid() = user_id);
+
+drop policy if exists "call_recordings_select_manager" on public.call_recordings;
+create policy "call_recordings_select_manager"
+on public.call_recordings
+for select
+to authenticated
+using (
+  exists (
+    select 1 from public.manager_team_members m
+    where m.manager_id = auth.uid() and m.closer_id = call_recordings.user_id
+  )
+);
+
+drop policy if exists "call_recordings_insert_own" on public.call_recordings;
+create policy "call_recordings_insert_own"
+on public.call_recordings
+for insert
+to authenticated
+with check (auth.uid() = user_id);
+
+drop policy if exists "call_recordings_update_own" on public.call_recordings;
+create policy "call_recordings_update_own"
+on public.call_recordings
+for update
+to authenticated
+using (auth.uid() = user_id)
+with check (auth.uid() = user_id);
+
+-- Managers jump from a recording to the lines of the same call
+drop policy if exists "call_transcript_chunks_select_manager" on public.call_transcript_chunks;
+create policy "call_transcript_chunks_select_manager"
+on public.call_transcript_chunks
+for select
+to authenticated
+using (
+  exists (
+    select 1 from public.manager_team_members m
+    where m.manager_id = auth.uid() and m.closer_id = call_transcript_chunks.user_id
+  )
+);
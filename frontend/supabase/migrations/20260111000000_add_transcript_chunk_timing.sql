@@ -0,0 +1,16 @@
+/*
+  # Transcript Chunk Timing
+  Puts every transcript chunk on the call timeline, so objections, hot buttons and Truth Index
+  quotes can point at when they were said
+
+  Notes:
+  - call_offset_ms is where the chunk starts, ms since the call started (live calls, replays and
+    uploads alike); null for chunks stored before this column existed
+  - words_json holds the STT word timings when the provider sends them:
+    [{ "text": "...", "startMs": 0, "endMs": 240 }], ms from the chunk start
+  - audio_offset_ms (call recordings) is unchanged; for recorded calls both offsets match
+  - Existing RLS on call_transcript_chunks already covers the new columns
+*/
+
+alter table public.call_transcript_chunks add column if not exists call_offset_ms integer;
+alter table public.call_transcript_chunks add column if not exists words_json jsonb;
@@ -0,0 +1,16 @@
+/*
+  # Call Session Language
+  Records which language a call was run in, so Spanish (and auto-detected) calls can be told
+  apart and resumed with the same settings
+
+  Notes:
+  - language is the call setting from start_listening / uploads: 'en', 'es' or 'auto'
+  - detected_language is filled in once an 'auto' call's transcript shows its language
+  - display_language is the language whispers, rebuttals and summaries were written in
+  - Existing rows are English calls; the defaults cover them
+  - Existing RLS on call_sessions already covers the new columns
+*/
+
+alter table public.call_sessions add column if not exists language text not null default 'en';
+alter table public.call_sessions add column if not exists detected_language text;
+alter table public.call_sessions add column if not exists display_language text not null default 'en';
@@ -0,0 +1,16 @@
+/*
+  # Sessions API Links
+  Lets a debrief point at the call it was written for, and gives the sessions API
+  (GET /api/sessions) an index that matches its newest-first cursor pagination
+
+  Notes:
+  - call_debriefs.session_id is optional; older debriefs (and ones written outside a live call) stay unlinked
+  - No foreign key, same as call_summaries, so a debrief survives its session being removed
+  - The sessions list pages on (created_at desc, id desc) within one user's rows
+  - Existing RLS on both tables already covers the new column and index
+*/
+
+alter table public.call_debriefs add column if not exists session_id uuid;
+
+create index if not exists call_debriefs_session_id_idx on public.call_debriefs(session_id);
+create index if not exists call_sessions_user_created_idx on public.call_sessions(user_id, created_at desc, id desc);
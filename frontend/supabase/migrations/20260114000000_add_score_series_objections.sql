@@ -0,0 +1,12 @@
+/*
+  # Score Series Objections
+  Keeps each objection raised during a call, with the rebuttal the closer was shown, on the
+  call's score series row so session exports can list them after the call
+
+  Notes:
+  - objections_json is a list of { t, ts, offsetMs, objectionText, fear, whisper, rebuttalScript, probability }
+  - The backend only writes the column once a call has objections, so it can deploy before this migration
+  - Existing RLS on call_score_series already covers the new column
+*/
+
+alter table public.call_score_series add column if not exists objections_json jsonb not null default '[]'::jsonb;
@@ -0,0 +1,110 @@
+/*
+  # Outbound Webhooks
+  URLs a user registers to be told about their calls (session_started, objection_detected,
+  close_zone_changed, truth_penalty_applied, session_ended, final_summary_ready), and the history
+  of every delivery the backend attempted
+
+  Tables:
+    - public.webhooks: endpoint, signing secret, subscribed events and payload format
+    - public.webhook_deliveries: one row per event sent to a webhook, with its attempts and outcome
+
+  Notes:
+  - The backend signs each POST with the webhook's secret (HMAC-SHA256), so the secret is stored as is;
+    RLS keeps it to its owner
+  - events is a JSON array of event names; format is 'json' (signed event envelope) or 'slack'
+    (Slack incoming-webhook { text } message)
+  - Deliveries are retried with exponential backoff; status 'dead' is the dead-letter log
+  - Deliveries go when the webhook is deleted
+*/
+
+create table if not exists public.webhooks (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  url text not null,
+  secret text not null,
+  events jsonb not null default '[]'::jsonb,
+  format text not null default 'json' check (format in ('json', 'slack')),
+  description text not null default '',
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhooks_user_id_idx on public.webhooks(user_id);
+
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id uuid not null references public.webhooks(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  session_id uuid,
+  event text not null,
+  event_id text not null,
+  payload_json jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'retrying', 'delivered', 'dead')),
+  attempts integer not null default 0,
+  response_status integer,
+  last_error text,
+  next_attempt_at timestamptz,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_user_created_idx on public.webhook_deliveries(user_id, created_at desc, id desc);
+create index if not exists webhook_deliveries_webhook_id_idx on public.webhook_deliveries(webhook_id);
+
+alter table public.webhooks enable row level security;
+alter table public.webhook_deliveries enable row level security;
+
+-- webhooks policies (owner only)
+drop policy if exists "webhooks_select_own" on public.webhooks;
+create policy "webhooks_select_own"
+on public.webhooks
+for select
+to authenticated
+using (auth.uid() = user_id);
+
+drop policy if exists "webhooks_insert_own" on public.webhooks;
+create policy "webhooks_insert_own"
+on public.webhooks
+for insert
+to authenticated
+with check (auth.uid() = user_id);
+
+drop policy if exists "webhooks_update_own" on public.webhooks;
+create policy "webhooks_update_own"
+on public.webhooks
+for update
+to authenticated
+using (auth.uid() = user_id)
+with check (auth.uid() = user_id);
+
+drop policy if exists "webhooks_delete_own" on public.webhooks;
+create policy "webhooks_delete_own"
+on public.webhooks
+for delete
+to authenticated
+using (auth.uid() = user_id);
+
+-- webhook_deliveries policies (owner only; written by the backend with the owner's token)
+drop policy if exists "webhook_deliveries_select_own" on public.webhook_deliveries;
+create policy "webhook_deliveries_select_own"
+on public.webhook_deliveries
+for select
+to authenticated
+using (auth.uid() = user_id);
+
+drop policy if exists "webhook_deliveries_insert_own" on public.webhook_deliveries;
+create policy "webhook_deliveries_insert_own"
+on public.webhook_deliveries
+for insert
+to authenticated
+with check (auth.uid() = user_id);
+
+drop policy if exists "webhook_deliveries_update_own" on public.webhook_deliveries;
+create policy "webhook_deliveries_update_own"
+on public.webhook_deliveries
+for update
+to authenticated
+using (auth.uid() = user_id)
+with check (auth.uid() = user_id);
@@ -0,0 +1,12 @@
+/*
+  # Score Series Webhook State
+  Keeps what the call's webhooks were already told on the call's score series row, so a call
+  resumed after a dropped connection doesn't fire close_zone_changed / truth_penalty_applied again
+
+  Notes:
+  - webhook_state_json is { closeZone, truthPenaltyRules: [ruleId, ...] } (webhooks/events.js)
+  - The backend only writes the column once a call has fired such an event, so it can deploy before this migration
+  - Existing RLS on call_score_series already covers the new column
+*/
+
+alter table public.call_score_series add column if not exists webhook_state_json jsonb;